@@ -0,0 +1,195 @@
+/**
+ * Edge the Dealer - Draw Advisor
+ * Scores every way to discard from your hand (32 for five cards) by playing
+ * the rest of the hand out many times against the open dealer hand: how often
+ * you beat the dealer, are the lowest hand that beats it, and win the pot.
+ */
+
+// Play-outs per discard choice; every choice is played against the same deals
+const ADVISOR_SAMPLES = 400;
+
+class DrawAdvisor {
+    /**
+     * game: an EdgeTheDealerGame of the advisor's own, used for hand evaluation;
+     * it is switched to each view's variant
+     */
+    constructor(game = new EdgeTheDealerGame()) {
+        this.game = game;
+    }
+
+    /**
+     * Take on the view's variant and evaluate the dealer's hand
+     */
+    evaluateDealer(view) {
+        this.game.setVariant(view.variant);
+        return this.game.evaluateDealerHand(view.dealerCards);
+    }
+
+    /**
+     * view: what one player can see during a draw round
+     *   variant: the table's variant (the standard game when left out)
+     *   holeCards: your cards, in slot order
+     *   pileDiscards: cards you threw that are still in the discard pile
+     *   dealerCards: the dealer's open cards
+     *   seats: every player in draw order, [{ me, hasConfirmed, discardCount }]
+     *   deckCount, discardCount: cards left in the deck and in the discard pile
+     *   drawsLeft: draw rounds still to come, this one included
+     * options: { samples, random }
+     * Returns every discard choice, best first:
+     *   [{ slots, beatChance, lowestChance, winChance, ev }]
+     * ev is the average result per $1 bet
+     */
+    advise(view, options = {}) {
+        const samples = options.samples || ADVISOR_SAMPLES;
+        const random = options.random || Math.random;
+        const dealerHand = this.evaluateDealer(view);
+
+        // Your discards still in the pile are in nobody's hand; the ones a reshuffle
+        // took back to the deck count as unseen
+        const pileDiscards = view.pileDiscards || [];
+        const seen = new Set([...view.holeCards, ...view.dealerCards, ...pileDiscards].map(Poker.getCardId));
+        const unseen = Poker.createDeck(this.game.jokerCount).filter(card => !seen.has(Poker.getCardId(card)));
+
+        const handSlots = view.holeCards.map((card, slot) => slot);
+        const choices = [];
+        for (let mask = 0; mask < 2 ** handSlots.length; mask++) {
+            const slots = handSlots.filter(slot => mask & (1 << slot));
+            choices.push({ slots, beats: 0, lowest: 0, wins: 0, total: 0 });
+        }
+
+        for (let s = 0; s < samples; s++) {
+            const deal = Poker.shuffleDeck([...unseen], random);
+            for (const choice of choices) {
+                const outcome = this.playOut(view, deal, pileDiscards, choice.slots, dealerHand, random);
+                if (outcome.beats) choice.beats++;
+                if (outcome.lowest) choice.lowest++;
+                if (outcome.wins) choice.wins++;
+                choice.total += outcome.net;
+            }
+        }
+
+        return choices
+            .map(choice => ({
+                slots: choice.slots,
+                beatChance: choice.beats / samples,
+                lowestChance: choice.lowest / samples,
+                winChance: choice.wins / samples,
+                ev: choice.total / samples
+            }))
+            .sort((a, b) => b.ev - a.ev || b.winChance - a.winChance || a.slots.length - b.slots.length);
+    }
+
+    /**
+     * One play-out: the unseen cards in `deal` become the other players' hands,
+     * the deck and the rest of the discard pile, where your own discards lie, so
+     * those only come back as draws after a reshuffle. Then every remaining draw
+     * round runs the way executeDrawRound does (all discards to the pile, then
+     * draws in seat order, reshuffling the pile when the deck runs out)
+     */
+    playOut(view, deal, pileDiscards, slots, dealerHand, random) {
+        let next = 0;
+        const handSize = view.holeCards.length;
+        const hands = view.seats.map(seat => (seat.me ? [...view.holeCards] : deal.slice(next, next += handSize)));
+        const deckCount = Math.min(view.deckCount, deal.length - next);
+        let deck = deal.slice(next, next + deckCount);
+        let pile = [...deal.slice(next + deckCount), ...pileDiscards];
+
+        for (let round = 0; round < view.drawsLeft; round++) {
+            const plans = view.seats.map((seat, i) => {
+                if (round > 0) return this.pickDiscards(hands[i], dealerHand);
+                if (seat.me) return slots;
+                // Someone who already confirmed throws the number of cards they chose
+                return seat.hasConfirmed
+                    ? this.pickDiscards(hands[i], dealerHand, seat.discardCount)
+                    : this.pickDiscards(hands[i], dealerHand);
+            });
+
+            plans.forEach((plan, i) => plan.forEach(slot => pile.push(hands[i][slot])));
+            plans.forEach((plan, i) => plan.forEach(slot => {
+                if (deck.length === 0) {
+                    deck = Poker.shuffleDeck(pile, random);
+                    pile = [];
+                }
+                hands[i][slot] = deck.pop();
+            }));
+        }
+
+        return this.score(view, hands.map(hand => this.game.evaluatePlayerHand(hand)), dealerHand);
+    }
+
+    /**
+     * How everyone else is assumed to draw (and you, after this round): stand
+     * pat on a hand that beats the dealer, otherwise keep wild cards and what
+     * the target rewards and draw to the rest. count forces how many go, the
+     * least useful cards first
+     */
+    pickDiscards(hand, dealerHand, count = null) {
+        if (count === null && this.game.compareHands(this.game.evaluatePlayerHand(hand), dealerHand) > 0) {
+            return [];
+        }
+
+        const { wild, target } = this.game.variant;
+        const slots = hand.map((card, slot) => slot).filter(slot => !Poker.isWildCard(hand[slot], wild));
+        let keep;
+        let order;
+
+        if (target === 'high') {
+            // Pairs and better; the lowest unpaired cards go first
+            const rankCounts = {};
+            slots.forEach(slot => { rankCounts[hand[slot].rank] = (rankCounts[hand[slot].rank] || 0) + 1; });
+            keep = slots.filter(slot => rankCounts[hand[slot].rank] > 1);
+            order = [...slots].sort((a, b) =>
+                rankCounts[hand[a].rank] - rankCounts[hand[b].rank] ||
+                Poker.getRankValue(hand[a].rank) - Poker.getRankValue(hand[b].rank));
+        } else if (target === 'deuce-seven') {
+            // One card of each rank up to an eight; the highest cards go first
+            const byRank = [...slots].sort((a, b) => Poker.getRankValue(hand[a].rank) - Poker.getRankValue(hand[b].rank));
+            keep = byRank.filter((slot, i) => Poker.getRankValue(hand[slot].rank) <= Poker.getRankValue('8') &&
+                (i === 0 || hand[byRank[i - 1]].rank !== hand[slot].rank));
+            order = [...byRank].reverse();
+        } else {
+            // The cards that make the Badugi; the highest of the rest go first
+            const badugi = Poker.evaluateBadugi(slots.map(slot => hand[slot])).badugiCards;
+            keep = slots.filter(slot => badugi.includes(hand[slot]));
+            order = [...slots].sort((a, b) => Poker.getLowRankValue(hand[b].rank) - Poker.getLowRankValue(hand[a].rank));
+        }
+
+        order = [...order.filter(slot => !keep.includes(slot)), ...order.filter(slot => keep.includes(slot))];
+        if (count === null) {
+            return order.filter(slot => !keep.includes(slot));
+        }
+        // Wild cards are the last to go
+        const wildSlots = hand.map((card, slot) => slot).filter(slot => !slots.includes(slot));
+        return [...order, ...wildSlots].slice(0, count);
+    }
+
+    /**
+     * Settle a play-out the way resolveShowdown does, from your seat
+     */
+    score(view, hands, dealerHand) {
+        const me = view.seats.findIndex(seat => seat.me);
+        const beats = hands.map(hand => this.game.compareHands(hand, dealerHand) > 0);
+
+        if (hands.length === 1) {
+            return { beats: beats[0], lowest: beats[0], wins: beats[0], net: beats[0] ? 1 : -1 };
+        }
+
+        const contenders = beats.some(Boolean) ? hands.filter((hand, i) => beats[i]) : hands;
+        const direction = beats.some(Boolean) ? -1 : 1; // lowest beater, else highest hand
+        const reference = contenders.reduce((best, hand) =>
+            (this.game.compareHands(hand, best) * direction > 0 ? hand : best));
+        const winners = hands.filter((hand, i) =>
+            (beats[i] || !beats.some(Boolean)) && this.game.compareHands(hand, reference) === 0).length;
+        const wins = (beats[me] || !beats.some(Boolean)) && this.game.compareHands(hands[me], reference) === 0;
+
+        return {
+            beats: beats[me],
+            lowest: beats[me] && wins,
+            wins,
+            net: wins ? hands.length / winners - 1 : -1
+        };
+    }
+}
+
+// Export for use in other modules
+window.DrawAdvisor = DrawAdvisor;
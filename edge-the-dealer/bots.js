@@ -0,0 +1,37 @@
+/**
+ * Edge the Dealer - Bots
+ * Discards for a computer player the host runs. A bot sees what a player in its
+ * seat would, the same view the draw advisor works from.
+ */
+
+// Play-outs per discard choice for the optimal bot
+const BOT_SAMPLES = 200;
+
+/**
+ * Pick the card slots one bot throws this round
+ * level: 'random' | 'basic' | 'optimal'
+ * view: a DrawAdvisor view from the bot's seat
+ * options: { random }
+ */
+function chooseDiscards(level, view, advisor, options = {}) {
+    const random = options.random || Math.random;
+
+    switch (level) {
+        case 'random':
+            return view.holeCards.map((card, slot) => slot).filter(() => random() < 0.5);
+
+        case 'basic':
+            return advisor.pickDiscards(view.holeCards, advisor.evaluateDealer(view));
+
+        case 'optimal':
+            return advisor.advise(view, { samples: BOT_SAMPLES, random })[0].slots;
+
+        default:
+            throw new Error(`Unknown bot level: ${level}`);
+    }
+}
+
+// Export for use in other modules
+window.EdgeBot = {
+    chooseDiscards
+};
@@ -8,14 +8,36 @@
  * - All draws execute simultaneously after every player confirms.
  * - If anyone beats dealer, winner is the lowest hand among those that beat dealer.
  * - If nobody beats dealer, highest hand wins.
+ *
+ * The host can pick a variant instead (Poker.DEFAULT_VARIANT is the above):
+ * 5-9 dealer cards, jokers or deuces wild, and 2-7 lowball or four-card Badugi
+ * hands, where "beats" and "lowest" follow that target's ranking.
  */
 
 class EdgeTheDealerGame {
     constructor() {
-        this.maxPlayers = 9; // 9 players + 7 dealer cards = 52 total cards
         this.reset();
     }
 
+    /**
+     * Cards in each player's hand: five, or four for Badugi
+     */
+    get holeCardCount() {
+        return Poker.HAND_TARGETS[this.variant.target].size;
+    }
+
+    get jokerCount() {
+        return this.variant.wild === 'jokers' ? 2 : 0;
+    }
+
+    /**
+     * As many players as one deck deals a hand to after the dealer's cards
+     * (nine in the standard game: 9 × 5 + 7 = 52)
+     */
+    get maxPlayers() {
+        return Math.floor((52 + this.jokerCount - this.variant.dealerCards) / this.holeCardCount);
+    }
+
     reset() {
         this.players = [];
         this.queuedPlayers = [];
@@ -29,6 +51,16 @@ class EdgeTheDealerGame {
         this.currentDrawRound = 0;
         this.lastResults = null;
         this.lastResolutionType = null;
+        this.shuffleId = null; // Hand id of the commit-reveal shuffle used for the deal
+        this.dealOrder = []; // Player ids in the order cards were dealt
+        this.handRecord = null; // { startedAt, openingHands, draws } - what happened in the hand being played
+        this.handHistory = null; // History entry of the last completed hand
+        this.variant = { ...Poker.DEFAULT_VARIANT };
+        this.tournament = null; // TournamentClock in a tournament; it sets each hand's ante
+        this.bankroll = null; // Bankroll at a cash table with buy-ins
+        this.sittingOut = {}; // playerId -> PnL kept while the player sits out
+        this.shotClock = null; // ShotClock when the host set one; whoever runs out of time keeps all
+        this.random = Math.random;
     }
 
     roundMoney(amount) {
@@ -91,12 +123,20 @@ class EdgeTheDealerGame {
             holeCards: [],
             totalBet: this.baseBet,
             hasConfirmed: false,
-            pendingDiscards: []
+            pendingDiscards: [],
+            pileDiscards: []
         }));
         this.queuedPlayers = [];
+        this.sittingOut = {};
     }
 
     queuePlayer(playerId) {
+        // Back before the next deal: the seat was never given up
+        const seated = this.players.find(p => p.id === playerId);
+        if (seated?.sittingOut) {
+            seated.sittingOut = false;
+            return true;
+        }
         if (this.players.some(p => p.id === playerId) || this.queuedPlayers.includes(playerId)) {
             return false;
         }
@@ -108,14 +148,18 @@ class EdgeTheDealerGame {
         const stillQueued = [];
         for (const playerId of this.queuedPlayers) {
             if (this.players.length < this.maxPlayers) {
+                // A player back from sitting out picks up their PnL where they left it
+                const pnl = this.sittingOut[playerId] ?? 0;
+                delete this.sittingOut[playerId];
                 this.players.push({
                     id: playerId,
-                    pnl: 0,
-                    startingPnl: 0,
+                    pnl,
+                    startingPnl: pnl,
                     holeCards: [],
                     totalBet: this.baseBet,
                     hasConfirmed: false,
-                    pendingDiscards: []
+                    pendingDiscards: [],
+                    pileDiscards: []
                 });
             } else {
                 stillQueued.push(playerId);
@@ -132,6 +176,80 @@ class EdgeTheDealerGame {
         this.drawCount = Math.min(4, Math.max(1, parseInt(drawCount, 10) || 1));
     }
 
+    /**
+     * Dealer cards, wild cards and target for the hands to come ({ dealerCards, wild, target })
+     */
+    setVariant(variant) {
+        this.variant = Poker.normalizeVariant(variant);
+    }
+
+    /**
+     * Play a tournament (config as for TournamentClock) instead of a cash game; null for a cash game
+     */
+    setTournament(config) {
+        this.tournament = config ? new TournamentClock(config) : null;
+    }
+
+    /**
+     * Play with buy-ins (config as for Bankroll), or null for unlimited PnL.
+     * A hand costs at most the bet, so a stack that covers the bet covers the hand
+     */
+    setBankroll(config) {
+        this.bankroll = config ? new Bankroll(config) : null;
+    }
+
+    /**
+     * Time each draw round (config as for ShotClock), or null for no clock
+     */
+    setShotClock(config) {
+        this.shotClock = config ? new ShotClock(config) : null;
+    }
+
+    /**
+     * The decision the table is waiting on, for the shot clock: { key, playerIds }, or null
+     */
+    getDecision() {
+        if (this.phase !== 'draw') return null;
+        return {
+            key: `${this.shuffleId}:${this.currentDrawRound}`,
+            playerIds: this.players.filter(p => !p.hasConfirmed).map(p => p.id)
+        };
+    }
+
+    /**
+     * Sit a player out from the next hand on; their PnL waits for them to come back
+     */
+    sitOut(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (player) {
+            player.sittingOut = true;
+        }
+    }
+
+    /**
+     * Whether a seated player misses the next hand: sitting out, or unable to cover the bet
+     */
+    willSitOut(player) {
+        return Boolean(player.sittingOut) || Boolean(this.bankroll && !this.bankroll.canCover(player, this.baseBet));
+    }
+
+    /**
+     * Add a rebuy to a player's stack; returns the amount (0 without buy-ins or once the cap is reached)
+     */
+    rebuy(playerId) {
+        return this.bankroll ? this.bankroll.rebuy(playerId) : 0;
+    }
+
+    /**
+     * Everyone with a stack: the players at the table and those sitting out
+     */
+    getBankrollPlayers() {
+        return [
+            ...this.players,
+            ...Object.entries(this.sittingOut).map(([id, pnl]) => ({ id, pnl }))
+        ];
+    }
+
     drawOneCard() {
         if (this.deck.length === 0) {
             this.refillDeckFromDiscards();
@@ -154,8 +272,10 @@ class EdgeTheDealerGame {
         if (this.discardPile.length === 0) {
             return false;
         }
-        this.deck = Poker.shuffleDeck([...this.discardPile]);
+        // Keep drawing from the hand's shuffle stream so reshuffles stay reproducible
+        this.deck = Poker.shuffleDeck([...this.discardPile], this.random);
         this.discardPile = [];
+        this.players.forEach(p => { p.pileDiscards = []; });
         return true;
     }
 
@@ -164,7 +284,7 @@ class EdgeTheDealerGame {
         const unique = new Set();
         for (const idx of indices) {
             const parsed = parseInt(idx, 10);
-            if (!Number.isInteger(parsed) || parsed < 0 || parsed > 4) {
+            if (!Number.isInteger(parsed) || parsed < 0 || parsed >= this.holeCardCount) {
                 continue;
             }
             unique.add(parsed);
@@ -172,18 +292,38 @@ class EdgeTheDealerGame {
         return Array.from(unique).sort((a, b) => a - b);
     }
 
-    startHand() {
+    /**
+     * Start a new hand
+     * shuffle: optional FairShuffle result ({ handId, random }); falls back to Math.random
+     */
+    startHand(shuffle = null) {
+        // Refuse a deal the variant can't cover before anything changes, so the table stays as it was
+        const dealtIn = this.players.filter(p => !this.tournament?.isEliminated(p.id) && !this.willSitOut(p)).length;
+        const joining = Math.min(this.queuedPlayers.length, Math.max(0, this.maxPlayers - this.players.length));
+        this.checkPlayerCount(dealtIn + joining);
+
         this.addQueuedPlayers();
 
-        if (this.players.length === 0) {
-            throw new Error('At least one player is required');
+        // In a tournament the clock sets the ante, and eliminated players are out
+        if (this.tournament) {
+            this.players = this.players.filter(p => !this.tournament.isEliminated(p.id));
+            this.baseBet = this.tournament.nextHand();
         }
 
-        if (this.players.length > this.maxPlayers) {
-            throw new Error(`Too many active players for a single deck (${this.maxPlayers} max)`);
+        for (const player of this.players.filter(p => this.willSitOut(p))) {
+            this.sittingOut[player.id] = player.pnl;
         }
+        this.players = this.players.filter(p => this.sittingOut[p.id] === undefined);
+        if (this.bankroll) {
+            this.players.forEach(p => this.bankroll.seat(p.id));
+        }
+
+        this.checkPlayerCount(this.players.length);
 
-        this.deck = Poker.shuffleDeck(Poker.createDeck());
+        this.random = shuffle ? shuffle.random : Math.random;
+        this.shuffleId = shuffle ? shuffle.handId : null;
+        this.dealOrder = this.players.map(p => p.id);
+        this.deck = Poker.shuffleDeck(Poker.createDeck(this.jokerCount), this.random);
         this.discardPile = [];
         this.dealerCards = [];
         this.dealerBestHand = null;
@@ -193,17 +333,25 @@ class EdgeTheDealerGame {
         for (const player of this.players) {
             player.startingPnl = player.pnl;
             player.holeCards = [];
-            player.totalBet = this.baseBet;
+            player.totalBet = this.tournament ? this.tournament.betFor(player) : this.baseBet;
             player.hasConfirmed = false;
             player.pendingDiscards = [];
+            player.pileDiscards = [];
         }
 
         // Deal all player cards first, then dealer cards.
         for (const player of this.players) {
-            player.holeCards = this.sortCardsForDisplay(this.drawCards(5));
+            player.holeCards = this.sortCardsForDisplay(this.drawCards(this.holeCardCount));
         }
-        this.dealerCards = this.drawCards(7);
-        this.dealerBestHand = this.evaluateBestFiveFromCards(this.dealerCards);
+        this.dealerCards = this.drawCards(this.variant.dealerCards);
+        this.dealerBestHand = this.evaluateDealerHand(this.dealerCards);
+
+        this.handRecord = {
+            startedAt: Date.now(),
+            openingHands: this.players.map(p => ({ playerId: p.id, cards: [...p.holeCards] })),
+            draws: []
+        };
+        this.handHistory = null;
 
         this.phase = 'draw';
         this.currentDrawRound = 1;
@@ -211,6 +359,19 @@ class EdgeTheDealerGame {
         return this.getGameState();
     }
 
+    /**
+     * Throw unless one deck under the current variant can deal this many players a hand
+     */
+    checkPlayerCount(count) {
+        if (count === 0) {
+            throw new Error('At least one player is required');
+        }
+
+        if (count > this.maxPlayers) {
+            throw new Error(`Too many active players for a single deck (${this.maxPlayers} max)`);
+        }
+    }
+
     getActivePlayers() {
         return this.players;
     }
@@ -230,8 +391,8 @@ class EdgeTheDealerGame {
         }
 
         const normalized = this.normalizeDiscardIndices(discardIndices);
-        if (normalized.length > 5) {
-            return { success: false, error: 'You can discard at most 5 cards' };
+        if (normalized.length > this.holeCardCount) {
+            return { success: false, error: `You can discard at most ${this.holeCardCount} cards` };
         }
 
         player.pendingDiscards = normalized;
@@ -258,6 +419,7 @@ class EdgeTheDealerGame {
         }
 
         player.hasConfirmed = true;
+        this.shotClock?.charge(playerId);
 
         const allConfirmed = this.players.every(p => p.hasConfirmed);
         if (allConfirmed) {
@@ -276,22 +438,33 @@ class EdgeTheDealerGame {
         const replacementPlans = [];
         for (const player of this.players) {
             const slots = [...player.pendingDiscards].sort((a, b) => a - b);
-            replacementPlans.push({ player, slots });
+            const discarded = [];
+            replacementPlans.push({ player, slots, discarded });
             for (const slot of slots) {
                 const oldCard = player.holeCards[slot];
                 if (oldCard) {
                     this.discardPile.push(oldCard);
+                    discarded.push(oldCard);
+                    player.pileDiscards.push(oldCard);
                 }
                 player.holeCards[slot] = null;
             }
         }
 
         // Draw replacements after all discards are in the pile.
+        const drawRecord = { round: this.currentDrawRound, players: [] };
         for (const plan of replacementPlans) {
+            const discarded = [...plan.discarded];
+            const drawn = [];
             for (const slot of plan.slots) {
                 plan.player.holeCards[slot] = this.drawOneCard();
+                drawn.push(plan.player.holeCards[slot]);
             }
             plan.player.holeCards = this.sortCardsForDisplay(plan.player.holeCards);
+            drawRecord.players.push({ playerId: plan.player.id, discarded, drawn });
+        }
+        if (this.handRecord) {
+            this.handRecord.draws.push(drawRecord);
         }
 
         if (this.currentDrawRound < this.drawCount) {
@@ -307,23 +480,24 @@ class EdgeTheDealerGame {
         }
     }
 
-    evaluateBestFiveFromCards(cards) {
-        if (!Array.isArray(cards) || cards.length < 5) return null;
+    /**
+     * The dealer's hand: the best hand for the variant's target from the dealer's cards
+     */
+    evaluateDealerHand(cards) {
+        if (!Array.isArray(cards) || cards.length < this.holeCardCount) return null;
+        return Poker.evaluateBestHand(cards, this.variant);
+    }
 
-        const allFiveCardCombos = Poker.combinations(cards, 5);
-        let best = null;
-        for (const combo of allFiveCardCombos) {
-            const hand = Poker.evaluate5CardHand(combo);
-            if (!best || Poker.compareHands(hand, best) > 0) {
-                best = hand;
-            }
-        }
-        return best;
+    /**
+     * Positive if hand1 is the better hand under the variant's target
+     */
+    compareHands(hand1, hand2) {
+        return Poker.compareTargetHands(hand1, hand2, this.variant.target);
     }
 
     getDealerCardGroups() {
         const visibleCards = (this.dealerCards || []).filter(card => !card.faceDown);
-        if (visibleCards.length < 5) {
+        if (visibleCards.length < this.holeCardCount) {
             return {
                 dealerBestHand: null,
                 dealerUsedCards: [],
@@ -331,7 +505,7 @@ class EdgeTheDealerGame {
             };
         }
 
-        const dealerBestHand = this.dealerBestHand || this.evaluateBestFiveFromCards(visibleCards);
+        const dealerBestHand = this.dealerBestHand || this.evaluateDealerHand(visibleCards);
         const usedIds = new Set((dealerBestHand?.cards || []).map(card => Poker.getCardId(card)));
         const dealerUsedCards = this.sortCardsForDisplay(dealerBestHand?.cards || []);
         const dealerUnusedCards = this.sortCardsForDisplay(
@@ -346,15 +520,15 @@ class EdgeTheDealerGame {
     }
 
     evaluatePlayerHand(playerCards) {
-        if (!Array.isArray(playerCards) || playerCards.length !== 5) return null;
-        return Poker.evaluate5CardHand(playerCards);
+        if (!Array.isArray(playerCards) || playerCards.length !== this.holeCardCount) return null;
+        return Poker.evaluateHand(playerCards, this.variant);
     }
 
     pickLowestHand(hands) {
         if (!hands.length) return null;
         let lowest = hands[0];
         for (let i = 1; i < hands.length; i++) {
-            if (Poker.compareHands(hands[i].hand, lowest.hand) < 0) {
+            if (this.compareHands(hands[i].hand, lowest.hand) < 0) {
                 lowest = hands[i];
             }
         }
@@ -365,7 +539,7 @@ class EdgeTheDealerGame {
         if (!hands.length) return null;
         let highest = hands[0];
         for (let i = 1; i < hands.length; i++) {
-            if (Poker.compareHands(hands[i].hand, highest.hand) > 0) {
+            if (this.compareHands(hands[i].hand, highest.hand) > 0) {
                 highest = hands[i];
             }
         }
@@ -373,12 +547,12 @@ class EdgeTheDealerGame {
     }
 
     resolveShowdown() {
-        const dealerHand = this.dealerBestHand || this.evaluateBestFiveFromCards(this.dealerCards);
+        const dealerHand = this.dealerBestHand || this.evaluateDealerHand(this.dealerCards);
         this.dealerBestHand = dealerHand;
 
         const handSummaries = this.players.map(player => {
             const hand = this.evaluatePlayerHand(player.holeCards);
-            const beatsDealer = Poker.compareHands(hand, dealerHand) > 0;
+            const beatsDealer = this.compareHands(hand, dealerHand) > 0;
             return {
                 playerId: player.id,
                 hand,
@@ -394,13 +568,13 @@ class EdgeTheDealerGame {
         if (beatingPlayers.length > 0) {
             winningReference = this.pickLowestHand(beatingPlayers);
             winningPlayerIds = beatingPlayers
-                .filter(h => Poker.compareHands(h.hand, winningReference.hand) === 0)
+                .filter(h => this.compareHands(h.hand, winningReference.hand) === 0)
                 .map(h => h.playerId);
             this.lastResolutionType = 'lowest_beating_dealer';
         } else {
             winningReference = this.pickHighestHand(handSummaries);
             winningPlayerIds = handSummaries
-                .filter(h => Poker.compareHands(h.hand, winningReference.hand) === 0)
+                .filter(h => this.compareHands(h.hand, winningReference.hand) === 0)
                 .map(h => h.playerId);
             this.lastResolutionType = 'highest_when_no_one_beats_dealer';
         }
@@ -439,10 +613,84 @@ class EdgeTheDealerGame {
             };
         });
 
+        if (this.tournament) {
+            this.tournament.recordEliminations(this.players);
+        }
+
         this.lastResults = results;
+        this.handHistory = this.buildHandHistory(results);
         return results;
     }
 
+    /**
+     * Structured record of the finished hand, for hand history export
+     * Players are listed in seat (deal) order and identified by id; the app adds names
+     */
+    buildHandHistory(results) {
+        const record = this.handRecord || { startedAt: Date.now(), openingHands: [], draws: [] };
+        const seats = this.dealOrder.filter(id => results.some(r => r.playerId === id));
+
+        return {
+            game: 'edge-the-dealer',
+            handId: this.shuffleId,
+            startedAt: record.startedAt,
+            endedAt: Date.now(),
+            baseBet: this.baseBet,
+            drawCount: this.drawCount,
+            variant: { ...this.variant },
+            dealerCards: [...this.dealerCards],
+            dealerHand: this.dealerBestHand ? this.dealerBestHand.name : null,
+            resolutionType: this.lastResolutionType,
+            players: seats.map((id, index) => {
+                const player = this.players.find(p => p.id === id);
+                const result = results.find(r => r.playerId === id);
+                const opening = record.openingHands.find(h => h.playerId === id);
+                return {
+                    id,
+                    seat: index + 1,
+                    startingPnl: player.startingPnl,
+                    openingHand: opening ? [...opening.cards] : null,
+                    holeCards: [...result.holeCards],
+                    hand: result.hand.name,
+                    beatsDealer: result.beatsDealer,
+                    isWinner: result.isWinner,
+                    totalBet: result.totalBet,
+                    netResult: result.netResult
+                };
+            }),
+            draws: record.draws.map(draw => ({
+                round: draw.round,
+                players: draw.players.map(p => ({
+                    playerId: p.playerId,
+                    discardCount: p.discarded.length,
+                    discarded: [...p.discarded],
+                    drawn: [...p.drawn]
+                }))
+            }))
+        };
+    }
+
+    /**
+     * A history entry as one viewer may see it: other players' opening hands
+     * and which cards they threw or drew stay hidden, only how many
+     */
+    static redactHandHistory(entry, viewerId) {
+        if (!entry) return entry;
+        return {
+            ...entry,
+            players: entry.players.map(p => (p.id === viewerId ? p : { ...p, openingHand: null })),
+            draws: entry.draws.map(draw => ({
+                ...draw,
+                players: draw.players.map(p => (p.playerId === viewerId ? p : {
+                    playerId: p.playerId,
+                    discardCount: p.discardCount,
+                    discarded: null,
+                    drawn: null
+                }))
+            }))
+        };
+    }
+
     getGameState() {
         const dealerGroups = this.getDealerCardGroups();
 
@@ -450,6 +698,10 @@ class EdgeTheDealerGame {
             phase: this.phase,
             baseBet: this.baseBet,
             drawCount: this.drawCount,
+            variant: { ...this.variant },
+            tournament: this.tournament ? this.tournament.getState(this.players) : null,
+            bankroll: this.bankroll ? this.bankroll.getState(this.getBankrollPlayers()) : null,
+            shotClock: this.shotClock ? this.shotClock.getState(this.getDecision()) : null,
             currentDrawRound: this.currentDrawRound,
             players: this.players.map(p => ({
                 id: p.id,
@@ -458,7 +710,9 @@ class EdgeTheDealerGame {
                 totalBet: p.totalBet,
                 hasConfirmed: p.hasConfirmed,
                 discardCount: p.pendingDiscards.length,
-                holeCards: p.holeCards
+                holeCards: p.holeCards,
+                pileDiscards: [...p.pileDiscards],
+                sittingOut: Boolean(p.sittingOut)
             })),
             queuedPlayers: [...this.queuedPlayers],
             dealerCards: [...this.dealerCards],
@@ -475,13 +729,48 @@ class EdgeTheDealerGame {
             deckCount: this.deck.length,
             discardCount: this.discardPile.length,
             results: this.lastResults,
-            resolutionType: this.lastResolutionType
+            resolutionType: this.lastResolutionType,
+            handHistory: this.handHistory,
+            shuffleId: this.shuffleId,
+            dealOrder: [...this.dealOrder]
         };
     }
 
+    /**
+     * Compare a rebuilt deck with what was dealt, mirroring the order in startHand
+     * Draws depend on everyone's discards, so only the opening deal is checked:
+     * the dealer's cards from the results state and, if known, our own first hand
+     */
+    checkDeal(deck, gameState, playerId = null, dealtHand = null) {
+        const problems = [];
+        const cardKey = card => (card ? Poker.getCardId(card) : '');
+        const sameCards = (a, b) => a.length === b.length &&
+            [...a].map(cardKey).sort().join() === [...b].map(cardKey).sort().join();
+
+        const variant = Poker.normalizeVariant(gameState.variant);
+        const handSize = Poker.HAND_TARGETS[variant.target].size;
+        const dealOrder = gameState.dealOrder || (gameState.players || []).map(p => p.id);
+        const dealerStart = dealOrder.length * handSize;
+        if (!sameCards(gameState.dealerCards || [], deck.slice(dealerStart, dealerStart + variant.dealerCards))) {
+            problems.push('dealer cards');
+        }
+
+        if (playerId && dealtHand) {
+            const seat = dealOrder.indexOf(playerId);
+            if (seat === -1 || !sameCards(dealtHand, deck.slice(seat * handSize, (seat + 1) * handSize))) {
+                problems.push('our opening hand');
+            }
+        }
+
+        return problems;
+    }
+
     removePlayer(playerId) {
         const playerIndex = this.players.findIndex(p => p.id === playerId);
         if (playerIndex !== -1) {
+            if (this.tournament) {
+                this.tournament.withdraw(this.players[playerIndex]);
+            }
             this.players.splice(playerIndex, 1);
         }
 
@@ -502,16 +791,26 @@ class EdgeTheDealerGame {
             phase: this.phase,
             baseBet: this.baseBet,
             drawCount: this.drawCount,
+            variant: { ...this.variant },
+            tournament: this.tournament ? this.tournament.serialize() : null,
+            bankroll: this.bankroll ? this.bankroll.serialize() : null,
+            shotClock: this.shotClock ? this.shotClock.serialize() : null,
+            sittingOut: { ...this.sittingOut },
             currentDrawRound: this.currentDrawRound,
             lastResults: this.lastResults,
-            lastResolutionType: this.lastResolutionType
+            lastResolutionType: this.lastResolutionType,
+            shuffleId: this.shuffleId,
+            dealOrder: [...this.dealOrder],
+            handRecord: this.handRecord,
+            handHistory: this.handHistory
         };
     }
 
     deserialize(data) {
         this.players = (data.players || []).map(player => ({
             ...player,
-            holeCards: this.sortCardsForDisplay(player.holeCards || [])
+            holeCards: this.sortCardsForDisplay(player.holeCards || []),
+            pileDiscards: player.pileDiscards || []
         }));
         this.queuedPlayers = data.queuedPlayers || [];
         this.deck = data.deck || [];
@@ -521,9 +820,20 @@ class EdgeTheDealerGame {
         this.phase = data.phase || 'waiting';
         this.baseBet = data.baseBet || 1.0;
         this.drawCount = data.drawCount || 1;
+        this.variant = Poker.normalizeVariant(data.variant);
+        this.tournament = data.tournament ? TournamentClock.deserialize(data.tournament) : null;
+        this.bankroll = data.bankroll ? Bankroll.deserialize(data.bankroll) : null;
+        this.shotClock = data.shotClock ? ShotClock.deserialize(data.shotClock) : null;
+        this.sittingOut = { ...(data.sittingOut || {}) };
         this.currentDrawRound = data.currentDrawRound || 0;
         this.lastResults = data.lastResults || null;
         this.lastResolutionType = data.lastResolutionType || null;
+        // The shuffle stream itself cannot be serialized; a new host reshuffles with Math.random
+        this.shuffleId = data.shuffleId || null;
+        this.dealOrder = data.dealOrder || [];
+        this.handRecord = data.handRecord || null;
+        this.handHistory = data.handHistory || null;
+        this.random = Math.random;
     }
 }
 
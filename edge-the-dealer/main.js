@@ -3,10 +3,14 @@
  * Handles UI, state rendering, multiplayer orchestration, and QoL features.
  */
 
+// Pause before a bot acts, in ms
+const BOT_TURN_DELAY = 800;
+
 class EdgeTheDealerController {
     constructor() {
-        this.multiplayer = new MultiplayerManager();
+        this.multiplayer = new MultiplayerManager('edge-the-dealer');
         this.game = new EdgeTheDealerGame();
+        this.multiplayer.maxSeats = this.game.maxPlayers; // As many as one deck deals to (nine in the standard game)
         this.currentScreen = 'menu';
         this.myPlayerId = null;
         this.gameStarted = false;
@@ -16,10 +20,24 @@ class EdgeTheDealerController {
         this.lastDrawRound = 0;
         this.currentState = null;
         this.selectedDiscards = new Set();
+        this.dealInProgress = false; // Host is running the shuffle protocol
+        this.dealtHand = null; // { handId, cards } - our opening hand, for the shuffle check
+        this.ledger = new Ledger.HandLedger();
+        this.ledgerReport = null; // Report shown in the ledger modal, for export
+        this.replay = null; // { entry, steps, index, returnScreen } while a recorded hand is shown
+        this.advisor = new DrawAdvisor(); // With its own engine, set to each view's variant
+        this.showAdvice = false; // Draw advice turned on
+        this.advice = null; // { key, choices } - advice for the draw round on the table
+        this.botTimer = null; // Host: the next bot turn, while one is pending
+        this.limits = { stopLoss: null, stopWin: null }; // Our own stop-loss and stop-win, from the lobby
+        this.rebuyRequests = []; // Host: player ids waiting for a rebuy to be approved
+        this.shotClockTimer = null; // Host: fires when the first player still to draw runs out of time
+        this.clockDeadlines = {}; // playerId -> { deadline, bankFrom } on our own clock, for the countdown
+        this.clockTicker = null; // Redraws the countdown every second while it runs
 
         // QoL state
         this.streak = { type: null, count: 0 }; // 'win' | 'lose' | null
-        this.soundEnabled = false;
+        this.sound = new SoundEngine(); // Sound cues, with settings saved on this device
         this.previousPnl = 0;
         this.isAnimatingPnl = false;
 
@@ -31,6 +49,8 @@ class EdgeTheDealerController {
         this.setupLogAndChat();
         this.setupCollapsibles();
         this.setupSwipeGestures();
+        this.updateSoundButton();
+        this.applyLobbyVariant();
 
         this.checkForReconnection();
     }
@@ -54,6 +74,8 @@ class EdgeTheDealerController {
                 document.getElementById('start-game-btn').classList.remove('hidden');
                 document.getElementById('host-controls').style.display = 'flex';
                 document.getElementById('waiting-message').classList.add('hidden');
+                // The password, join approval and bans came back with the session
+                this.showRoomAccess();
 
                 if (session.gameInProgress || this.multiplayer.gameInProgress) {
                     this.gameStarted = true;
@@ -105,6 +127,51 @@ class EdgeTheDealerController {
         document.getElementById('copy-code-btn').addEventListener('click', () => this.copyRoomCode());
         document.getElementById('start-game-btn').addEventListener('click', () => this.startGame());
         document.getElementById('leave-lobby-btn').addEventListener('click', () => this.leaveLobby());
+        document.querySelectorAll('.take-seat-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.requestSeat());
+        });
+        document.getElementById('add-bot-btn').addEventListener('click', () => this.addBot());
+        ['dealer-card-count', 'wild-cards', 'hand-target'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyLobbyVariant());
+        });
+        document.getElementById('format-select').addEventListener('change', () => this.renderFormat());
+        document.getElementById('lobby-players').addEventListener('click', e => {
+            const btn = e.target.closest('[data-remove-bot]');
+            const kick = e.target.closest('[data-kick]');
+            const ban = e.target.closest('[data-ban]');
+            if (btn) this.multiplayer.removeBot(btn.dataset.removeBot);
+            if (kick) this.kickPlayer(kick.dataset.kick, false);
+            if (ban) this.kickPlayer(ban.dataset.ban, true);
+        });
+        ['room-password', 'join-approval'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.readRoomAccess());
+        });
+        document.querySelectorAll('.join-requests').forEach(container => {
+            container.addEventListener('click', e => {
+                const approve = e.target.closest('[data-approve-join]');
+                const deny = e.target.closest('[data-deny-join]');
+                if (approve) this.multiplayer.approveJoin(approve.dataset.approveJoin);
+                if (deny) this.multiplayer.denyJoin(deny.dataset.denyJoin);
+            });
+        });
+        document.getElementById('banned-list').addEventListener('click', e => {
+            const unban = e.target.closest('[data-unban]');
+            if (!unban) return;
+            this.multiplayer.unban(unban.dataset.unban);
+            this.renderBannedList();
+        });
+        ['stop-loss', 'stop-win'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.readLimits());
+        });
+        document.querySelectorAll('.rebuy-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.requestRebuy());
+        });
+        document.getElementById('rebuy-requests').addEventListener('click', e => {
+            const approve = e.target.closest('[data-approve-rebuy]');
+            const deny = e.target.closest('[data-deny-rebuy]');
+            if (approve) this.approveRebuy(approve.dataset.approveRebuy);
+            if (deny) this.denyRebuy(deny.dataset.denyRebuy);
+        });
 
         // Game controls
         document.getElementById('clear-discards-btn').addEventListener('click', () => this.clearDiscards());
@@ -116,6 +183,30 @@ class EdgeTheDealerController {
         document.getElementById('rules-btn').addEventListener('click', () => this.showRules());
         document.getElementById('close-rules').addEventListener('click', () => this.hideRules());
         document.getElementById('sound-toggle-btn').addEventListener('click', () => this.toggleSound());
+        document.getElementById('sound-settings-btn').addEventListener('click', () => this.showSoundSettings());
+        document.getElementById('close-sound').addEventListener('click', () => this.hideSoundSettings());
+        document.getElementById('sound-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'sound-modal') this.hideSoundSettings();
+        });
+        document.getElementById('sound-enabled-checkbox').addEventListener('change', (e) => {
+            this.sound.setEnabled(e.target.checked);
+            this.updateSoundButton();
+        });
+        document.getElementById('sound-volume').addEventListener('change', (e) => {
+            this.sound.setVolume(e.target.value / 100);
+            this.sound.play('confirm');
+        });
+        document.getElementById('sound-events').addEventListener('change', (e) => {
+            const event = e.target.dataset.soundEvent;
+            if (!event) return;
+            this.sound.setMuted(event, !e.target.checked);
+            if (e.target.checked) this.sound.play(event);
+        });
+        document.getElementById('advice-toggle-btn').addEventListener('click', () => this.toggleAdvice());
+        document.getElementById('draw-advice').addEventListener('click', (e) => {
+            const option = e.target.closest('[data-slots]');
+            if (option) this.applyAdvice(option.dataset.slots);
+        });
 
         // Card selection
         document.getElementById('hole-cards').addEventListener('click', (e) => {
@@ -132,11 +223,44 @@ class EdgeTheDealerController {
         document.getElementById('rules-modal').addEventListener('click', (e) => {
             if (e.target.id === 'rules-modal') this.hideRules();
         });
+        document.getElementById('close-standings').addEventListener('click', () => this.hideStandings());
+        document.getElementById('standings-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'standings-modal') this.hideStandings();
+        });
+
+        // Ledger
+        document.querySelectorAll('.open-ledger-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showLedger());
+        });
+        document.getElementById('close-ledger').addEventListener('click', () => this.hideLedger());
+        document.getElementById('export-ledger-csv').addEventListener('click', () => this.exportLedger('csv'));
+        document.getElementById('export-ledger-json').addEventListener('click', () => this.exportLedger('json'));
+        document.getElementById('export-history-txt').addEventListener('click', () => this.exportHandHistory('txt'));
+        document.getElementById('export-history-json').addEventListener('click', () => this.exportHandHistory('json'));
+        document.getElementById('clear-ledger').addEventListener('click', () => this.clearLedger());
+        document.getElementById('ledger-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'ledger-modal') this.hideLedger();
+        });
+        document.getElementById('ledger-history-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-hand-id]');
+            if (btn) this.replayLedgerHand(btn.dataset.handId);
+        });
+
+        // Replay
+        document.getElementById('replay-hand-btn').addEventListener('click', () => {
+            this.startReplay(this.getNamedHandHistory(this.currentState));
+        });
+        document.getElementById('replay-back').addEventListener('click', () => this.stepReplay(-1));
+        document.getElementById('replay-forward').addEventListener('click', () => this.stepReplay(1));
+        document.getElementById('replay-close').addEventListener('click', () => this.stopReplay());
     }
 
     setupMultiplayerCallbacks() {
+        this.multiplayer.seatCheck = (peerId) => this.seatRefusal(peerId);
+
         this.multiplayer.onPlayerJoin = (players) => {
             this.updateLobbyPlayers(players);
+            this.updateSpectatorUI();
         };
 
         this.multiplayer.onPlayerLeave = (playerId, mayReconnect = false) => {
@@ -148,11 +272,32 @@ class EdgeTheDealerController {
 
             this.updateLobbyPlayers(this.multiplayer.getAllPlayers());
 
+            // Someone who may reconnect keeps their seat for a while
+            if (mayReconnect && this.multiplayer.isHost && this.gameStarted) {
+                this.holdSeat(playerId);
+            }
             if (this.currentScreen === 'game' && !mayReconnect) {
                 this.game.removePlayer(playerId);
             }
         };
 
+        this.multiplayer.onSeatReclaimed = (oldId, newId) => {
+            this.reclaimSeat(oldId, newId);
+        };
+
+        this.multiplayer.onKnock = () => {
+            this.renderJoinRequests();
+        };
+
+        this.multiplayer.onKnockWaiting = () => {
+            this.showToast('Knocked - waiting for the host to let you in', 'info');
+        };
+
+        this.multiplayer.onTurnedAway = (message) => {
+            this.leaveRoomAndReturnToMenu();
+            this.showToast(message || 'The host turned you away', 'error');
+        };
+
         this.multiplayer.onReconnected = () => {
             this.showToast('A player reconnected!', 'success');
             this.updateLobbyPlayers(this.multiplayer.getAllPlayers());
@@ -162,7 +307,31 @@ class EdgeTheDealerController {
         };
 
         this.multiplayer.onGameStateUpdate = (state) => {
+            this.currentState = state;
+            this.scheduleBotTurn();
+            this.scheduleShotClock();
+            // A new hand for this player ends the replay; otherwise it stays on the table
+            if (this.replay && this.isPlayingHand()) {
+                this.stopReplay();
+                this.showToast('New hand dealt - replay closed', 'info');
+                return;
+            }
             this.updateGameUI(state);
+            if (this.replay) this.renderReplayStep();
+        };
+
+        // Jokers change the deck the shuffle is checked against
+        this.multiplayer.createDeck = () => {
+            const variant = Poker.normalizeVariant(this.currentState?.variant);
+            return Poker.createDeck(variant.wild === 'jokers' ? 2 : 0);
+        };
+
+        this.multiplayer.onShuffleVerified = (result) => {
+            this.logShuffleCheck(result);
+        };
+
+        this.multiplayer.onRejected = (peerId, reason) => {
+            this.logRejectedMessage(peerId, reason);
         };
 
         this.multiplayer.onConnected = (data) => {
@@ -170,11 +339,14 @@ class EdgeTheDealerController {
 
             if (data.gameInProgress) {
                 this.gameStarted = true;
-                if (!data.reconnected) {
+                if (data.spectator) {
+                    this.showToast('Game in progress - you are watching', 'info');
+                } else if (!data.reconnected) {
                     this.showToast('Game in progress - you will join next hand', 'info');
                 }
                 this.showScreen('game');
             }
+            this.updateSpectatorUI();
         };
 
         this.multiplayer.onError = (message) => {
@@ -188,6 +360,15 @@ class EdgeTheDealerController {
         this.multiplayer.onBecomeHost = (gameState) => {
             this.handleBecomeHost(gameState);
         };
+
+        // Bots ride along in the backup so a refreshed host can seat them again
+        this.multiplayer.getBackupState = () => ({ ...this.game.serialize(), bots: this.multiplayer.getBots() });
+        // Which cards others threw stays hidden, in the history and in the pile alike
+        this.multiplayer.redactStateForPlayer = (state, playerId) => ({
+            ...state,
+            players: state.players.map(p => (p.id === playerId ? p : { ...p, pileDiscards: null })),
+            handHistory: EdgeTheDealerGame.redactHandHistory(state.handHistory, playerId)
+        });
     }
 
     setupLogAndChat() {
@@ -294,10 +475,42 @@ class EdgeTheDealerController {
     }
 
     toggleSound() {
-        this.soundEnabled = !this.soundEnabled;
+        this.sound.setEnabled(!this.sound.enabled);
+        this.updateSoundButton();
+    }
+
+    updateSoundButton() {
         const btn = document.getElementById('sound-toggle-btn');
-        btn.textContent = this.soundEnabled ? '🔊' : '🔇';
-        btn.classList.toggle('active', this.soundEnabled);
+        btn.textContent = this.sound.enabled ? '🔊' : '🔇';
+        btn.classList.toggle('active', this.sound.enabled);
+    }
+
+    showSoundSettings() {
+        const settings = this.sound.settings;
+        document.getElementById('sound-unavailable').classList.toggle('hidden', this.sound.available);
+        document.getElementById('sound-enabled-checkbox').checked = settings.enabled;
+        document.getElementById('sound-volume').value = Math.round(settings.volume * 100);
+        document.getElementById('sound-events').innerHTML = Object.entries(SOUND_EVENTS).map(([event, label]) => `
+            <label class="spectate-toggle">
+                <input type="checkbox" data-sound-event="${event}" ${this.sound.isMuted(event) ? '' : 'checked'}>
+                <span>${this.escapeHtml(label)}</span>
+            </label>
+        `).join('');
+        document.getElementById('sound-modal').classList.remove('hidden');
+    }
+
+    hideSoundSettings() {
+        document.getElementById('sound-modal').classList.add('hidden');
+    }
+
+    /**
+     * Showdown cue from your seat: beat the dealer or not, then a win on top
+     */
+    playResultSound(state) {
+        const myResult = state.results.find(r => r.playerId === this.myPlayerId);
+        if (!myResult) return;
+        this.sound.play(myResult.beatsDealer ? 'qualify' : 'foul');
+        if (myResult.isWinner) this.sound.play('win', 0.35);
     }
 
     // ============ MENU / LOBBY ============
@@ -353,10 +566,16 @@ class EdgeTheDealerController {
             document.getElementById('start-game-btn').classList.remove('hidden');
             document.getElementById('host-controls').style.display = 'flex';
             document.getElementById('waiting-message').classList.add('hidden');
+            this.readRoomAccess();
+            this.renderBannedList();
 
             this.updateLobbyPlayers(this.multiplayer.getAllPlayers());
             this.showScreen('lobby');
-            this.showToast(`Room created: ${this.multiplayer.roomCode}`, 'success');
+            if (result.offline) {
+                this.showToast('Offline: play solo or add bots - nobody else can join', 'info');
+            } else {
+                this.showToast(`Room created: ${this.multiplayer.roomCode}`, 'success');
+            }
         } catch (err) {
             this.showToast(err.message, 'error');
         } finally {
@@ -373,6 +592,8 @@ class EdgeTheDealerController {
         }
 
         this.multiplayer.myName = name;
+        this.multiplayer.spectating = document.getElementById('spectate-checkbox').checked;
+        this.multiplayer.joinPassword = document.getElementById('room-password-input').value;
 
         const btn = document.getElementById('start-join-btn');
         this.setButtonLoading(btn, true);
@@ -403,16 +624,22 @@ class EdgeTheDealerController {
         players.forEach(player => {
             const isQueued = player.queued;
             const div = document.createElement('div');
-            div.className = `lobby-player ${player.isHost ? 'host' : ''} ${isQueued ? 'queued' : ''}`;
+            div.className = `lobby-player ${player.isHost ? 'host' : ''} ${isQueued ? 'queued' : ''} ${player.spectator ? 'spectator' : ''}`;
             div.innerHTML = `
                 <div class="player-name">${this.escapeHtml(player.name)}</div>
+                ${this.identityBadge(player)}
                 ${player.isHost ? '<div class="host-badge">Host</div>' : ''}
                 ${isQueued ? '<div class="queued-badge">Joining next hand</div>' : ''}
+                ${player.spectator ? '<div class="spectator-badge">Spectator</div>' : ''}
+                ${player.bot ? `<div class="bot-badge">🤖 ${this.escapeHtml(player.botLevel)} bot</div>` : ''}
+                ${player.bot && this.multiplayer.isHost ? `<button class="remove-bot-btn" data-remove-bot="${player.id}" title="Remove bot">✕</button>` : ''}
+                ${this.canKick(player) ? `<div class="kick-controls"><button data-kick="${player.id}" title="Remove from the room">Kick</button><button data-ban="${player.id}" title="Remove and keep out">Ban</button></div>` : ''}
             `;
             container.appendChild(div);
         });
 
-        document.getElementById('player-count').textContent = `(${players.length}/9)`;
+        const seated = players.filter(p => !p.spectator).length;
+        document.getElementById('player-count').textContent = `(${seated}/${this.multiplayer.maxSeats})`;
 
         const startBtn = document.getElementById('start-game-btn');
         if (this.multiplayer.isHost && players.length >= 1) {
@@ -420,6 +647,103 @@ class EdgeTheDealerController {
         }
     }
 
+    /**
+     * The variant picked in the lobby
+     */
+    readVariant() {
+        return Poker.normalizeVariant({
+            dealerCards: parseInt(document.getElementById('dealer-card-count').value, 10),
+            wild: document.getElementById('wild-cards').value,
+            target: document.getElementById('hand-target').value
+        });
+    }
+
+    /**
+     * Set the engine to the lobby's variant between hands; the seats follow
+     * from how many hands the deck deals
+     */
+    applyLobbyVariant() {
+        if (this.game.phase !== 'waiting' && this.game.phase !== 'results') return;
+        this.game.setVariant(this.readVariant());
+        this.multiplayer.maxSeats = this.game.maxPlayers;
+        this.updateLobbyPlayers(this.multiplayer.getAllPlayers());
+    }
+
+    /**
+     * Host: humans other than ourselves can be shown out of the room
+     */
+    canKick(player) {
+        return this.multiplayer.isHost && !player.bot && player.id !== this.multiplayer.myId;
+    }
+
+    /**
+     * Host: apply the lobby's password and join approval
+     */
+    readRoomAccess() {
+        this.multiplayer.setRoomAccess(
+            document.getElementById('room-password').value,
+            document.getElementById('join-approval').value === 'knock'
+        );
+    }
+
+    /**
+     * Host: put the room's access settings back in the lobby (after a refresh)
+     */
+    showRoomAccess() {
+        document.getElementById('room-password').value = this.multiplayer.roomPassword;
+        document.getElementById('join-approval').value = this.multiplayer.approveJoins ? 'knock' : 'open';
+        this.renderBannedList();
+    }
+
+    /**
+     * Host: the players waiting to be let in, over the lobby and the table
+     */
+    renderJoinRequests() {
+        const knocks = Array.from(this.multiplayer.knocking.entries());
+        document.querySelectorAll('.join-requests').forEach(container => {
+            container.classList.toggle('hidden', knocks.length === 0);
+            container.innerHTML = knocks.map(([id, knock]) => `
+                <div class="join-request">
+                    <span>${this.escapeHtml(knock.data.name || 'Player')} ${knock.identity ? `#${Identity.shortFingerprint(knock.identity)}` : '(unverified)'} wants to join</span>
+                    <button class="btn btn-primary" data-approve-join="${id}">Let In</button>
+                    <button class="btn btn-secondary" data-deny-join="${id}">Deny</button>
+                </div>
+            `).join('');
+        });
+    }
+
+    /**
+     * Host: players banned from this room, each with a way back in
+     */
+    renderBannedList() {
+        const container = document.getElementById('banned-list');
+        const banned = this.multiplayer.banned;
+        container.classList.toggle('hidden', banned.length === 0);
+        const entries = banned.map(entry =>
+            `${this.escapeHtml(entry.name)} <button data-unban="${this.escapeHtml(entry.identity || entry.peerId)}">Unban</button>`
+        );
+        container.innerHTML = banned.length === 0 ? '' : `Banned: ${entries.join(', ')}`;
+    }
+
+    kickPlayer(playerId, ban) {
+        const name = this.multiplayer.getPlayer(playerId)?.name || 'Player';
+        this.multiplayer.kickPlayer(playerId, ban);
+        this.renderBannedList();
+        this.announceToTable(ban ? `${name} was banned by the host` : `${name} was removed by the host`);
+    }
+
+    /**
+     * A player's key fingerprint, which nobody else can claim the way they can a name
+     */
+    identityBadge(player) {
+        if (player.bot) return '';
+        if (!player.identity) {
+            return '<div class="identity-badge unverified" title="This player has no identity key">Unverified</div>';
+        }
+        const identity = this.escapeHtml(player.identity);
+        return `<div class="identity-badge" title="Identity key ${identity}">#${Identity.shortFingerprint(identity)}</div>`;
+    }
+
     copyRoomCode() {
         navigator.clipboard.writeText(this.multiplayer.roomCode).then(() => {
             this.showToast('Room code copied!', 'success');
@@ -430,6 +754,25 @@ class EdgeTheDealerController {
         this.leaveRoomAndReturnToMenu();
     }
 
+    /**
+     * Spectators: ask the host for a seat
+     */
+    requestSeat() {
+        this.multiplayer.requestSeat();
+        this.showToast('Asked the host for a seat', 'info');
+    }
+
+    /**
+     * Show the seat button and hide our hand while we are only watching
+     */
+    updateSpectatorUI() {
+        const spectating = this.multiplayer.spectating;
+        this.updateRebuyButton();
+        document.querySelectorAll('.take-seat-btn').forEach(btn => btn.classList.toggle('hidden', !spectating));
+        document.getElementById('spectator-controls').classList.toggle('hidden', !spectating);
+        document.getElementById('player-hand-area').classList.toggle('hidden', spectating);
+    }
+
     showScreen(screenId) {
         document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
         document.getElementById(`${screenId}-screen`).classList.add('active');
@@ -443,11 +786,19 @@ class EdgeTheDealerController {
     leaveRoomAndReturnToMenu(options = {}) {
         const hardReload = !!options.hardReload;
 
+        this.stopReplay();
+        clearTimeout(this.botTimer);
+        this.botTimer = null;
+        clearTimeout(this.shotClockTimer);
+        this.shotClockTimer = null;
+        this.clockDeadlines = {};
+        this.renderShotClock();
         try { this.multiplayer.leave(); } catch (err) { console.error('Leave error:', err); }
+        this.renderJoinRequests();
         try { this.multiplayer.clearSession(); } catch (err) { console.error('Clear session error:', err); }
-        try { sessionStorage.removeItem('ultimateomaha_session'); } catch (err) { console.error('Remove session key error:', err); }
 
         this.game.reset();
+        this.applyLobbyVariant();
         this.gameStarted = false;
         this.currentState = null;
         this.myPlayerId = null;
@@ -489,21 +840,37 @@ class EdgeTheDealerController {
 
     // ============ GAME FLOW ============
 
-    startGame() {
-        if (!this.multiplayer.isHost) return;
+    async startGame() {
+        if (!this.multiplayer.isHost || this.dealInProgress) return;
 
         const baseBet = parseFloat(document.getElementById('base-bet').value) || 1.0;
         const drawCount = parseInt(document.getElementById('draw-count').value, 10) || 1;
-        const playerIds = Array.from(this.multiplayer.players.keys());
+        const playerIds = this.multiplayer.getSeatedPlayerIds();
+        this.applyLobbyVariant();
 
         if (playerIds.length > this.game.maxPlayers) {
             this.showToast(`Too many players for one deck (max ${this.game.maxPlayers})`, 'error');
             return;
         }
+        const tournament = this.readTournament();
+        if (tournament && playerIds.length < 2) {
+            this.showToast('A tournament needs at least two players - add a bot', 'error');
+            return;
+        }
+        const bankroll = this.readBankroll();
+        if (bankroll && Bankroll.normalizeConfig(bankroll).buyIn < baseBet) {
+            this.showToast('The buy-in must cover the bet', 'error');
+            return;
+        }
 
         try {
             this.game.initGame(playerIds, baseBet, drawCount);
-            this.game.startHand();
+            this.game.setTournament(tournament);
+            this.game.setBankroll(bankroll);
+            this.game.setShotClock(this.readShotClock());
+            // Nobody new sits down once a tournament is under way
+            this.multiplayer.seatsClosed = Boolean(tournament);
+            await this.dealHand();
         } catch (err) {
             this.showToast(err.message || 'Failed to start game', 'error');
             return;
@@ -515,11 +882,14 @@ class EdgeTheDealerController {
         this.lastPhase = null;
         this.lastDrawRound = 0;
 
-        this.logHandStart(baseBet, drawCount, this.game.players);
+        const level = this.game.tournament ? this.game.tournament.level + 1 : null;
+        this.logHandStart(this.game.baseBet, drawCount, this.game.players, this.game.variant, level);
         this.multiplayer.broadcast({
             type: 'hand_start_log',
-            baseBet,
+            baseBet: this.game.baseBet,
             drawCount,
+            variant: this.game.variant,
+            level,
             players: this.game.players.map(p => ({ id: p.id }))
         });
 
@@ -530,18 +900,32 @@ class EdgeTheDealerController {
         this.updateCompactSoloMode();
     }
 
-    startNextHand() {
-        if (!this.multiplayer.isHost) return;
+    async startNextHand() {
+        if (!this.multiplayer.isHost || this.dealInProgress) return;
 
         const nextBet = parseFloat(document.getElementById('next-bet').value) || 1.0;
         const nextDrawCount = parseInt(document.getElementById('next-draw-count').value, 10) || 1;
 
-        this.game.setBaseBet(nextBet);
+        if (this.game.tournament) {
+            // The clock sets the ante; players knocked out last hand watch from now on
+            if (this.game.tournament.getState(this.game.players).over) return;
+            this.game.players
+                .filter(p => this.game.tournament.isEliminated(p.id))
+                .forEach(p => this.multiplayer.moveToSpectators(p.id));
+        } else {
+            this.game.setBaseBet(nextBet);
+            this.sitOutPlayers();
+        }
         this.game.setDrawCount(nextDrawCount);
+
+        if (!this.game.players.some(p => !this.game.willSitOut(p)) && this.game.queuedPlayers.length === 0) {
+            this.showToast('Nobody at the table can play the next hand', 'error');
+            return;
+        }
         this.multiplayer.clearQueuedStatus();
 
         try {
-            this.game.startHand();
+            await this.dealHand();
         } catch (err) {
             this.showToast(err.message || 'Failed to start next hand', 'error');
             return;
@@ -551,11 +935,14 @@ class EdgeTheDealerController {
         this.lastPhase = null;
         this.lastDrawRound = 0;
 
-        this.logHandStart(this.game.baseBet, this.game.drawCount, this.game.players);
+        const level = this.game.tournament ? this.game.tournament.level + 1 : null;
+        this.logHandStart(this.game.baseBet, this.game.drawCount, this.game.players, this.game.variant, level);
         this.multiplayer.broadcast({
             type: 'hand_start_log',
             baseBet: this.game.baseBet,
             drawCount: this.game.drawCount,
+            variant: this.game.variant,
+            level,
             players: this.game.players.map(p => ({ id: p.id }))
         });
 
@@ -563,6 +950,25 @@ class EdgeTheDealerController {
         this.updateCompactSoloMode();
     }
 
+    /**
+     * Shuffle with everyone who will be dealt in, then start the hand (host only)
+     */
+    async dealHand() {
+        this.dealInProgress = true;
+        try {
+            const participantIds = [
+                ...this.game.players
+                    .filter(p => !this.game.tournament?.isEliminated(p.id) && !this.game.willSitOut(p))
+                    .map(p => p.id),
+                ...this.game.queuedPlayers
+            ];
+            const shuffle = await this.multiplayer.negotiateShuffle(participantIds);
+            this.game.startHand(shuffle);
+        } finally {
+            this.dealInProgress = false;
+        }
+    }
+
     handleGameMessage(fromPeerId, data) {
         // Chat messages (all peers)
         if (data.type === 'chat') {
@@ -588,7 +994,7 @@ class EdgeTheDealerController {
         }
 
         if (data.type === 'hand_start_log') {
-            this.logHandStart(data.baseBet, data.drawCount, data.players);
+            this.logHandStart(data.baseBet, data.drawCount, data.players, data.variant, data.level);
             return;
         }
 
@@ -609,7 +1015,8 @@ class EdgeTheDealerController {
 
         switch (data.type) {
             case 'confirm_discards': {
-                const actingId = data.playerId || fromPeerId;
+                // MultiplayerManager has already tied the action to the sending peer
+                const actingId = fromPeerId;
                 const stateBefore = this.game.getGameState();
                 const roundBefore = stateBefore.currentDrawRound;
                 const phaseBefore = stateBefore.phase;
@@ -646,6 +1053,14 @@ class EdgeTheDealerController {
                 break;
             }
 
+            case 'sit_out':
+                this.handleSitOut(fromPeerId, data.reason);
+                break;
+
+            case 'rebuy_request':
+                this.handleRebuyRequest(fromPeerId);
+                break;
+
             case 'join':
                 if (this.gameStarted && this.game.phase !== 'waiting') {
                     this.game.queuePlayer(fromPeerId);
@@ -685,6 +1100,7 @@ class EdgeTheDealerController {
                 this.showToast(result.error, 'error');
                 return;
             }
+            this.sound.play('confirm');
 
             this.logDiscardConfirm(this.myPlayerId, discardCount, roundBefore, this.game.drawCount);
             this.multiplayer.broadcast({
@@ -706,9 +1122,9 @@ class EdgeTheDealerController {
 
             this.multiplayer.broadcastGameState(stateAfter);
         } else {
-            this.multiplayer.sendToHost({
+            this.sound.play('confirm');
+            this.multiplayer.sendPlayerMessage({
                 type: 'confirm_discards',
-                playerId: this.myPlayerId,
                 discards
             });
         }
@@ -738,7 +1154,7 @@ class EdgeTheDealerController {
         const myPlayer = this.currentState.players.find(p => p.id === this.myPlayerId);
         if (!myPlayer || myPlayer.hasConfirmed) return;
 
-        // Select all 5 cards
+        // Select every card
         this.selectedDiscards.clear();
         const cards = myPlayer.holeCards || [];
         for (let i = 0; i < cards.length; i++) {
@@ -758,8 +1174,9 @@ class EdgeTheDealerController {
         if (this.selectedDiscards.has(slotIndex)) {
             this.selectedDiscards.delete(slotIndex);
         } else {
-            if (this.selectedDiscards.size >= 5) return;
+            if (this.selectedDiscards.size >= myPlayer.holeCards.length) return;
             this.selectedDiscards.add(slotIndex);
+            this.sound.play('discard');
         }
 
         this.updateGameUI(this.currentState);
@@ -774,14 +1191,19 @@ class EdgeTheDealerController {
         if (state.phase !== this.lastPhase || state.currentDrawRound !== this.lastDrawRound) {
             if (this.lastDrawRound !== 0 && state.currentDrawRound !== this.lastDrawRound) {
                 this.selectedDiscards.clear();
+                if (state.phase === 'draw' && this.lastPhase === 'draw') this.sound.play('round');
             }
 
             if (state.phase === 'results' && this.lastPhase !== 'results' && state.results) {
                 this.selectedDiscards.clear();
                 this.logShowdown(state);
                 this.logPnLSummary(state.players);
+                this.recordLedgerHand(state);
                 this.updateStreakFromResults(state);
                 this.triggerWinnerCelebration(state);
+                this.playResultSound(state);
+                if (state.tournament) this.logEliminations(state.tournament);
+                if (state.tournament?.over) this.showStandings(state.tournament);
             }
 
             if (this.lastPhase === 'results' && state.phase === 'draw') {
@@ -792,10 +1214,12 @@ class EdgeTheDealerController {
 
             if (state.phase === 'draw' && this.lastPhase !== 'draw') {
                 this.scrollToHand();
+                this.sound.play('deal');
             }
 
             this.lastPhase = state.phase;
             this.lastDrawRound = state.currentDrawRound;
+            if (state.phase === 'results' && state.results && !state.tournament) this.checkLimits(state);
         }
 
         // Dealer cards and dealer hand
@@ -804,9 +1228,19 @@ class EdgeTheDealerController {
 
         // My player view
         const myPlayer = state.players.find(p => p.id === this.myPlayerId);
+
+        // Remember the opening deal; draws replace cards before the seeds are revealed
+        if (myPlayer && state.shuffleId && state.phase === 'draw' && state.currentDrawRound === 1 &&
+            this.dealtHand?.handId !== state.shuffleId) {
+            this.dealtHand = { handId: state.shuffleId, cards: [...myPlayer.holeCards] };
+        }
+
+        const stacks = this.getStacks(state);
+        document.getElementById('my-pnl-label').textContent = stacks ? 'Stack: ' : 'PnL: ';
         if (myPlayer) {
             const displayPnl = state.phase === 'results' ? myPlayer.actualPnl : myPlayer.pnl;
-            this.animatePnl(displayPnl);
+            // A tournament or buy-ins show the stack
+            this.animatePnl(stacks ? stacks[myPlayer.id] : displayPnl);
             document.getElementById('current-bet').textContent = this.formatCurrency(myPlayer.totalBet);
             this.updateHoleCards(myPlayer.holeCards, !myPlayer.hasConfirmed && state.phase === 'draw');
             this.updateHandStrength(myPlayer, state);
@@ -814,9 +1248,16 @@ class EdgeTheDealerController {
             this.updateMyHandResults(state, myPlayer);
             this.updateStreakDisplay();
         }
+        this.updateDrawAdvice(state, myPlayer);
+
+        document.getElementById('replay-hand-btn').classList.toggle('hidden', !(state.phase === 'results' && state.handHistory));
+
+        this.updateTournamentBar(state.tournament);
+        this.updateRebuyButton();
 
         // Everyone else
-        this.updatePlayersArea(state.players, state.phase, state.results, state.queuedPlayers);
+        this.updatePlayersArea(state.players, state.phase, state.results, state.queuedPlayers, stacks);
+        this.updateShotClock(state);
         this.updateActionButtons(state, myPlayer);
         this.updateCompactSoloMode();
     }
@@ -833,19 +1274,21 @@ class EdgeTheDealerController {
         }
 
         const cards = myPlayer.holeCards || [];
+        const variant = Poker.normalizeVariant(state.variant);
+        const handSize = Poker.HAND_TARGETS[variant.target].size;
         // Show hand strength for the cards you're keeping (not selected for discard)
         const keptCards = cards.filter((card, i) => card && !card.faceDown && !this.selectedDiscards.has(i));
 
-        if (keptCards.length === 5) {
+        if (keptCards.length === handSize) {
             try {
-                const hand = Poker.evaluate5CardHand(keptCards);
+                const hand = Poker.evaluateHand(keptCards, variant);
                 el.textContent = hand.name;
             } catch {
                 el.textContent = '';
             }
-        } else if (keptCards.length > 0 && keptCards.length < 5) {
+        } else if (keptCards.length > 0 && keptCards.length < handSize) {
             el.textContent = `${keptCards.length} card${keptCards.length === 1 ? '' : 's'} kept`;
-        } else if (this.selectedDiscards.size === 5) {
+        } else if (this.selectedDiscards.size === handSize) {
             el.textContent = 'Replacing all';
         } else {
             el.textContent = '';
@@ -863,17 +1306,18 @@ class EdgeTheDealerController {
         }
 
         const cards = myPlayer.holeCards || [];
+        const variant = Poker.normalizeVariant(state.variant);
         const keptCards = cards.filter((card, i) => card && !card.faceDown && !this.selectedDiscards.has(i));
 
-        if (keptCards.length !== 5 || !state.dealerBestHand) {
+        if (keptCards.length !== Poker.HAND_TARGETS[variant.target].size || !state.dealerBestHand) {
             el.textContent = '';
             el.className = 'dealer-comparison';
             return;
         }
 
         try {
-            const hand = Poker.evaluate5CardHand(keptCards);
-            const cmp = Poker.compareHands(hand, state.dealerBestHand);
+            const hand = Poker.evaluateHand(keptCards, variant);
+            const cmp = Poker.compareTargetHands(hand, state.dealerBestHand, variant.target);
             if (cmp > 0) {
                 el.textContent = '✓ Beats Dealer';
                 el.className = 'dealer-comparison beats';
@@ -890,6 +1334,147 @@ class EdgeTheDealerController {
         }
     }
 
+    // ============ DRAW ADVICE ============
+
+    toggleAdvice() {
+        this.showAdvice = !this.showAdvice;
+        document.getElementById('advice-toggle-btn').classList.toggle('active', this.showAdvice);
+        if (this.currentState) {
+            this.updateDrawAdvice(this.currentState, this.currentState.players.find(p => p.id === this.myPlayerId));
+        }
+    }
+
+    /**
+     * Best discards for this draw round, worked out once per round
+     */
+    updateDrawAdvice(state, myPlayer) {
+        const el = document.getElementById('draw-advice');
+        if (!this.showAdvice || state.phase !== 'draw' || !myPlayer || myPlayer.hasConfirmed ||
+            !myPlayer.holeCards || myPlayer.holeCards.some(card => !card || card.faceDown)) {
+            el.classList.add('hidden');
+            return;
+        }
+        el.classList.remove('hidden');
+
+        const key = `${state.shuffleId}:${state.currentDrawRound}`;
+        if (this.advice?.key === key) {
+            if (this.advice.choices) this.renderDrawAdvice(this.advice.choices, myPlayer.holeCards);
+            return;
+        }
+
+        this.advice = { key, choices: null };
+        el.innerHTML = `<div class="advice-status">Playing out all ${2 ** myPlayer.holeCards.length} discards...</div>`;
+
+        // Let the hand paint first; the play-outs take a moment
+        setTimeout(() => {
+            if (this.advice?.key !== key) return;
+            this.advice.choices = this.advisor.advise(this.getDrawView(state, this.myPlayerId));
+            if (this.currentState) {
+                this.updateDrawAdvice(this.currentState, this.currentState.players.find(p => p.id === this.myPlayerId));
+            }
+        }, 50);
+    }
+
+    /**
+     * What one seat sees of a draw round, in the form DrawAdvisor.advise takes
+     */
+    getDrawView(state, playerId) {
+        const me = state.players.find(p => p.id === playerId);
+        return {
+            variant: state.variant,
+            holeCards: me.holeCards,
+            pileDiscards: me.pileDiscards || [],
+            dealerCards: state.dealerCards,
+            seats: state.players.map(p => ({
+                me: p.id === playerId,
+                hasConfirmed: p.hasConfirmed,
+                discardCount: p.discardCount || 0
+            })),
+            deckCount: state.deckCount,
+            discardCount: state.discardCount,
+            drawsLeft: state.drawCount - state.currentDrawRound + 1
+        };
+    }
+
+    renderDrawAdvice(choices, holeCards) {
+        const multiplayer = this.currentState.players.length > 1;
+        document.getElementById('draw-advice').innerHTML = choices.slice(0, 3).map((choice, i) => {
+            const cards = choice.slots.map(slot => {
+                const formatted = Poker.formatCard(holeCards[slot]);
+                return `<span class="${formatted.isRed ? 'red' : ''}">${formatted.rank}${formatted.suit}</span>`;
+            }).join(' ');
+            const odds = multiplayer
+                ? `win ${this.formatPercent(choice.winChance)} · lowest above dealer ${this.formatPercent(choice.lowestChance)} · beat ${this.formatPercent(choice.beatChance)}`
+                : `beat dealer ${this.formatPercent(choice.beatChance)}`;
+            return `
+                <button class="advice-option ${i === 0 ? 'best' : ''}" data-slots="${choice.slots.join(',')}">
+                    ${choice.slots.length === 0 ? 'Stand pat' : `Discard ${cards}`} · ${odds}
+                </button>
+            `;
+        }).join('');
+    }
+
+    formatPercent(chance) {
+        return `${Math.round(chance * 100)}%`;
+    }
+
+    /**
+     * Select the cards an advice line suggests throwing
+     */
+    applyAdvice(slotList) {
+        if (!this.currentState || this.currentState.phase !== 'draw') return;
+        const myPlayer = this.currentState.players.find(p => p.id === this.myPlayerId);
+        if (!myPlayer || myPlayer.hasConfirmed) return;
+
+        this.selectedDiscards = new Set(slotList ? slotList.split(',').map(Number) : []);
+        this.updateGameUI(this.currentState);
+    }
+
+    // ============ BOTS ============
+
+    /**
+     * Host: seat a bot at the level picked in the lobby
+     */
+    addBot() {
+        const level = document.getElementById('bot-level').value;
+        const bot = this.multiplayer.addBot(level);
+        if (!bot) {
+            this.showToast(`The table is full (max ${this.game.maxPlayers})`, 'error');
+            return;
+        }
+        this.showToast(`${bot.name} (${level}) joined`, 'success');
+    }
+
+    /**
+     * Host: give the next bot that still has to draw its turn after a short pause,
+     * so everyone sees the bots confirm one at a time
+     */
+    scheduleBotTurn() {
+        if (!this.multiplayer.isHost || this.botTimer) return;
+        this.botTimer = setTimeout(() => {
+            this.botTimer = null;
+            this.playBotTurn();
+        }, BOT_TURN_DELAY);
+    }
+
+    /**
+     * Host: one bot confirms its discards through the same path as a client
+     */
+    playBotTurn() {
+        if (!this.multiplayer.isHost || this.dealInProgress || this.game.phase !== 'draw') return;
+        const bot = this.game.players.find(p => !p.hasConfirmed && this.multiplayer.isBot(p.id));
+        if (!bot) return;
+
+        // Decide from the bot's seat, not from the deck the host holds
+        const state = this.multiplayer.filterStateForPlayer(this.game.getGameState(), bot.id);
+        const discards = EdgeBot.chooseDiscards(
+            this.multiplayer.getPlayer(bot.id).botLevel,
+            this.getDrawView(state, bot.id),
+            this.advisor
+        );
+        this.handleGameMessage(bot.id, { type: 'confirm_discards', discards });
+    }
+
     // ============ QoL: ANIMATED PNL ============
 
     animatePnl(targetValue) {
@@ -1017,6 +1602,13 @@ class EdgeTheDealerController {
     // ============ DEALER CARDS ============
 
     updateDealerCards(state) {
+        const variant = Poker.normalizeVariant(state.variant);
+        const handSize = Poker.HAND_TARGETS[variant.target].size;
+        document.getElementById('dealer-label').textContent = `Dealer (${variant.dealerCards} Cards)`;
+        document.getElementById('dealer-used-label').textContent = `Best ${handSize}-Card Hand`;
+        this.setSlotCount('dealer-used-cards', handSize);
+        this.setSlotCount('dealer-unused-cards', variant.dealerCards - handSize);
+
         const dealerGroups = this.getDealerCardGroupsFromState(state);
         this.renderDealerRow('dealer-used-cards', dealerGroups.dealerUsedCards, false);
         this.renderDealerRow('dealer-unused-cards', dealerGroups.dealerUnusedCards, true);
@@ -1052,8 +1644,9 @@ class EdgeTheDealerController {
 
     updateHoleCards(cards, canSelect) {
         const container = document.getElementById('hole-cards');
-        const slots = container.querySelectorAll('.card-slot');
         const displayCards = this.sortCardsForDisplay(cards || []);
+        this.setSlotCount('hole-cards', Poker.HAND_TARGETS[Poker.normalizeVariant(this.currentState?.variant).target].size);
+        const slots = container.querySelectorAll('.card-slot');
 
         slots.forEach((slot, i) => {
             slot.innerHTML = '';
@@ -1089,7 +1682,7 @@ class EdgeTheDealerController {
         const help = document.getElementById('discard-help');
         if (this.currentState?.phase === 'draw') {
             help.textContent = canSelect
-                ? `Tap cards to replace. Selected: ${this.selectedDiscards.size} of 5`
+                ? `Tap cards to replace. Selected: ${this.selectedDiscards.size} of ${displayCards.length}`
                 : `Confirmed ${this.selectedDiscards.size} discard${this.selectedDiscards.size === 1 ? '' : 's'} — waiting...`;
         } else if (this.currentState?.phase === 'results') {
             help.textContent = 'Showdown complete.';
@@ -1100,14 +1693,20 @@ class EdgeTheDealerController {
 
     // ============ PLAYERS AREA ============
 
-    updatePlayersArea(players, phase, results = null, queuedPlayerIds = []) {
+    /**
+     * stacks: playerId -> stack, shown instead of PnL in a tournament or with buy-ins
+     */
+    updatePlayersArea(players, phase, results = null, queuedPlayerIds = [], stacks = null) {
         const container = document.getElementById('players-area');
         container.innerHTML = '';
 
+        // A replayed hand is seen through the eyes of whoever recorded it
+        const viewerId = this.replay ? this.replay.entry.heroId : this.myPlayerId;
+
         players.forEach((player, index) => {
             const playerInfo = this.multiplayer.getPlayer(player.id);
-            const isMe = player.id === this.myPlayerId;
-            const name = playerInfo ? playerInfo.name : (isMe ? 'You' : `Player ${index + 1}`);
+            const isMe = player.id === viewerId;
+            const name = player.name || (playerInfo ? playerInfo.name : (isMe ? 'You' : `Player ${index + 1}`));
             const displayPnl = phase === 'results' ? player.actualPnl : player.pnl;
 
             const playerBox = document.createElement('div');
@@ -1121,6 +1720,7 @@ class EdgeTheDealerController {
                         ${player.hasConfirmed ? '✓ Confirmed' : '... Waiting'}
                     </div>
                     <div class="discard-count">Discards: ${player.discardCount || 0}</div>
+                    <div class="shot-clock hidden" data-clock-player="${player.id}"></div>
                 `;
             } else if (results) {
                 const result = results.find(r => r.playerId === player.id);
@@ -1153,7 +1753,9 @@ class EdgeTheDealerController {
             playerBox.innerHTML = `
                 <div class="name">${this.escapeHtml(name)}${isMe ? ' (You)' : ''}</div>
                 <div class="pnl" style="color: ${displayPnl >= 0 ? 'var(--gold-light)' : 'var(--danger)'}">
-                    PnL: ${this.formatCurrency(displayPnl)}
+                    ${stacks
+                        ? `Stack: ${this.formatCurrency(stacks[player.id])}`
+                        : `PnL: ${this.formatCurrency(displayPnl)}`}
                 </div>
                 <div class="bet-amount">Bet: ${this.formatCurrency(player.totalBet)}</div>
                 ${detailsHtml}
@@ -1201,11 +1803,27 @@ class EdgeTheDealerController {
             <span class="draw-meta">Deck: ${state.deckCount ?? 0} • Discards: ${state.discardCount ?? 0}</span>
         `;
 
+        // Once a tournament is over there is no next hand
+        const over = Boolean(state.tournament?.over);
+
+        this.updateSpectatorUI();
+        if (this.multiplayer.spectating) {
+            actionButtons.classList.add('hidden');
+            // A host knocked out of a tournament still deals the next hand
+            hostControls.classList.toggle('hidden', !(this.multiplayer.isHost && state.phase === 'results' && !over));
+            waitingNext.classList.add('hidden');
+            waitingDraw.classList.add('hidden');
+            return;
+        }
+
         if (state.phase === 'results') {
             actionButtons.classList.add('hidden');
             waitingDraw.classList.add('hidden');
 
-            if (this.multiplayer.isHost) {
+            if (over) {
+                hostControls.classList.add('hidden');
+                waitingNext.classList.add('hidden');
+            } else if (this.multiplayer.isHost) {
                 hostControls.classList.remove('hidden');
                 waitingNext.classList.add('hidden');
 
@@ -1295,6 +1913,24 @@ class EdgeTheDealerController {
         return card;
     }
 
+    /**
+     * Give a row of cards one slot per card the variant puts there
+     */
+    setSlotCount(containerId, count) {
+        const container = document.getElementById(containerId);
+        const slots = container.querySelectorAll('.card-slot');
+        if (slots.length === count) return;
+
+        const className = slots[0]?.className || 'card-slot';
+        container.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            const slot = document.createElement('div');
+            slot.className = className;
+            slot.dataset.slot = String(i);
+            container.appendChild(slot);
+        }
+    }
+
     renderDealerRow(containerId, cards, markUnused) {
         const container = document.getElementById(containerId);
         if (!container) return;
@@ -1342,8 +1978,9 @@ class EdgeTheDealerController {
             };
         }
 
+        const variant = Poker.normalizeVariant(state.variant);
         const visibleCards = (state.dealerCards || []).filter(card => !card.faceDown);
-        if (visibleCards.length < 5) {
+        if (visibleCards.length < Poker.HAND_TARGETS[variant.target].size) {
             return {
                 dealerBestHand: null,
                 dealerUsedCards: [],
@@ -1351,7 +1988,7 @@ class EdgeTheDealerController {
             };
         }
 
-        const dealerBestHand = explicitBest || this.evaluateBestFiveFromCards(visibleCards);
+        const dealerBestHand = explicitBest || this.evaluateDealerHand(visibleCards, variant);
         const usedCards = this.sortCardsForDisplay(dealerBestHand?.cards || []);
         const usedIds = new Set(usedCards.map(card => Poker.getCardId(card)));
         const unusedCards = this.sortCardsForDisplay(
@@ -1405,22 +2042,15 @@ class EdgeTheDealerController {
         const unique = new Set();
         selection.forEach(idx => {
             const parsed = parseInt(idx, 10);
-            if (Number.isInteger(parsed) && parsed >= 0 && parsed <= 4) {
+            if (Number.isInteger(parsed) && parsed >= 0 && parsed < this.game.holeCardCount) {
                 unique.add(parsed);
             }
         });
         return unique.size;
     }
 
-    evaluateBestFiveFromCards(cards) {
-        const combos = Poker.combinations(cards, 5);
-        let best = null;
-        combos.forEach(combo => {
-            const hand = Poker.evaluate5CardHand(combo);
-            if (!best || Poker.compareHands(hand, best) > 0) {
-                best = hand;
-            }
-        });
+    evaluateDealerHand(cards, variant) {
+        const best = Poker.evaluateBestHand(cards, variant);
         if (!best) return null;
         return {
             ...best,
@@ -1441,7 +2071,10 @@ class EdgeTheDealerController {
         logContainer.scrollTop = logContainer.scrollHeight;
     }
 
-    logHandStart(baseBet, drawCount, players) {
+    /**
+     * level: the tournament level the hand is played at, if any
+     */
+    logHandStart(baseBet, drawCount, players, variant = null, level = null) {
         this.handNumber += 1;
         const playerNames = players.map(p => {
             const info = this.multiplayer.getPlayer(p.id);
@@ -1451,10 +2084,15 @@ class EdgeTheDealerController {
         this.addLogEntry(
             'hand-start',
             `<strong>═══ Hand #${this.handNumber} ═══</strong><br>` +
-            `Bet: ${this.formatCurrency(baseBet)} • Draws: ${drawCount} • Players: ${playerNames}`
+            `${level ? `Level ${level} • ` : ''}Bet: ${this.formatCurrency(baseBet)} • Draws: ${drawCount} • Players: ${playerNames}` +
+            (variant && !this.isStandardVariant(variant) ? `<br>${Poker.describeVariant(variant)}` : '')
         );
     }
 
+    isStandardVariant(variant) {
+        return JSON.stringify(Poker.normalizeVariant(variant)) === JSON.stringify(Poker.DEFAULT_VARIANT);
+    }
+
     logDiscardConfirm(playerId, discardCount, round, totalRounds) {
         const playerInfo = this.multiplayer.getPlayer(playerId);
         const name = playerInfo?.name || 'Player';
@@ -1513,6 +2151,40 @@ class EdgeTheDealerController {
         });
     }
 
+    logShuffleCheck({ handId, deck, problems }) {
+        const state = this.currentState;
+        const allProblems = [...problems];
+        if (!state || state.shuffleId !== handId) {
+            allProblems.push('no finished hand to compare the deck with');
+        } else {
+            const dealtCards = this.dealtHand?.handId === handId ? this.dealtHand.cards : null;
+            allProblems.push(...this.game.checkDeal(deck, state, this.myPlayerId, dealtCards));
+        }
+
+        if (allProblems.length === 0) {
+            this.addLogEntry('result', '✓ Shuffle verified: the deal matches everyone\'s committed seeds', 'win');
+            return;
+        }
+
+        // Problems name peers by id; show player names instead
+        let text = allProblems.join('; ');
+        for (const player of this.multiplayer.getAllPlayers()) {
+            text = text.split(player.id).join(player.name || 'Player');
+        }
+        this.addLogEntry('result', `⚠ Shuffle check failed: ${this.escapeHtml(text)}`, 'lose');
+        this.showToast('Shuffle check failed - see game log', 'error');
+    }
+
+    logRejectedMessage(peerId, reason) {
+        const name = this.multiplayer.getPlayer(peerId)?.name || 'Unknown peer';
+        this.addLogEntry(
+            'result',
+            `⚠ Rejected message from <span class="player-name">${this.escapeHtml(name)}</span>: ` +
+            `${this.escapeHtml(reason)}`,
+            'lose'
+        );
+    }
+
     // ============ CHAT ============
 
     switchTab(tabId) {
@@ -1604,9 +2276,13 @@ class EdgeTheDealerController {
         this.showToast('You are now the host!', 'success');
 
         if (gameState) {
-            this.game.deserialize(this.convertGameStateToInternal(gameState));
+            // Backups carry the engine's serialized state; older ones only the broadcast view
+            this.game.deserialize(Array.isArray(gameState.deck) ? gameState : this.convertGameStateToInternal(gameState));
+            this.multiplayer.maxSeats = this.game.maxPlayers;
             this.gameStarted = gameState.phase !== 'waiting';
             this.multiplayer.setGameInProgress(this.gameStarted);
+            this.multiplayer.restoreBots(gameState.bots);
+            this.multiplayer.seatsClosed = Boolean(this.game.tournament);
         }
 
         document.getElementById('start-game-btn').classList.remove('hidden');
@@ -1645,18 +2321,682 @@ class EdgeTheDealerController {
             phase: state.phase || 'waiting',
             baseBet: state.baseBet || 1,
             drawCount: state.drawCount || 1,
+            variant: state.variant,
             currentDrawRound: state.currentDrawRound || 1,
             lastResults: state.results || null,
             lastResolutionType: state.resolutionType || null
         };
     }
 
+    // ============ TOURNAMENT ============
+
+    /**
+     * The tournament the host set up in the lobby, or null for a cash game
+     */
+    readTournament() {
+        if (document.getElementById('format-select').value !== 'tournament') return null;
+        return {
+            startingStack: document.getElementById('starting-stack').value,
+            startingAnte: document.getElementById('base-bet').value,
+            levelLength: document.getElementById('level-length').value,
+            levelUnit: document.getElementById('level-unit').value
+        };
+    }
+
+    /**
+     * Show the tournament or buy-in settings for the format picked; a tournament's bet is the first ante
+     */
+    renderFormat() {
+        const format = document.getElementById('format-select').value;
+        const tournament = format === 'tournament';
+        document.getElementById('base-bet-label').textContent = tournament ? 'Starting Ante:' : 'Bet Amount:';
+        document.querySelectorAll('.tournament-only').forEach(el => el.classList.toggle('hidden', !tournament));
+        document.querySelectorAll('.buy-in-only').forEach(el => el.classList.toggle('hidden', format !== 'buy-in'));
+    }
+
+    /**
+     * Level, ante, the next level and players left over the table; the clock sets the next bet
+     */
+    updateTournamentBar(tournament) {
+        const bar = document.getElementById('tournament-bar');
+        bar.classList.toggle('hidden', !tournament);
+        document.getElementById('next-bet-field').classList.toggle('hidden', Boolean(tournament));
+        if (!tournament) return;
+
+        const parts = [`Level ${tournament.level}`, `Ante ${this.formatCurrency(tournament.ante)}`];
+        if (tournament.nextLevelAt) {
+            const when = tournament.nextLevelAt.hand
+                ? `hand ${tournament.nextLevelAt.hand}`
+                : new Date(tournament.nextLevelAt.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            parts.push(`Next ${this.formatCurrency(tournament.nextAnte)} from ${when}`);
+        }
+        parts.push(`${tournament.playersLeft} left`);
+        bar.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Log who went out in the hand just finished, and the winner once it is over
+     */
+    logEliminations(tournament) {
+        const nameOf = id => this.escapeHtml(this.multiplayer.getPlayer(id)?.name || 'Player');
+        for (const entry of tournament.standings) {
+            if (entry.outInHand === tournament.handsPlayed) {
+                this.addLogEntry('result', `${nameOf(entry.id)} is out in place ${entry.place}`, 'lose');
+            }
+        }
+        if (tournament.over && tournament.standings.length > 0) {
+            this.addLogEntry('result', `🏆 ${nameOf(tournament.standings[0].id)} wins the tournament`, 'win');
+        }
+    }
+
+    showStandings(tournament) {
+        document.getElementById('standings-list').innerHTML = tournament.standings.map(entry => {
+            const name = this.escapeHtml(this.multiplayer.getPlayer(entry.id)?.name || 'Player');
+            const detail = entry.outInHand === null
+                ? this.formatCurrency(entry.stack)
+                : `out in hand ${entry.outInHand}`;
+            return `<li class="${entry.place === 1 ? 'winner' : ''}"><span>${entry.place}. ${name}</span><span>${detail}</span></li>`;
+        }).join('');
+        document.getElementById('standings-modal').classList.remove('hidden');
+    }
+
+    hideStandings() {
+        document.getElementById('standings-modal').classList.add('hidden');
+    }
+
+    // ============ SHOT CLOCK ============
+
+    /**
+     * The shot clock the host set up in the lobby, or null for none
+     */
+    readShotClock() {
+        const seconds = parseInt(document.getElementById('shot-clock').value, 10);
+        if (!(seconds > 0)) return null;
+        return { seconds, timeBank: document.getElementById('time-bank').value };
+    }
+
+    /**
+     * Host: wake up when the first player still to draw runs out of time, or when
+     * the table should play for one who dropped
+     */
+    scheduleShotClock() {
+        clearTimeout(this.shotClockTimer);
+        this.shotClockTimer = null;
+        const decision = this.multiplayer.isHost && this.game.getDecision();
+        if (!decision) return;
+        const clock = this.game.shotClock;
+        const waits = decision.playerIds.flatMap(id => [
+            clock ? clock.remaining(id) : null,
+            this.multiplayer.autoPlayWait(id)
+        ]).filter(wait => wait !== null);
+        if (waits.length === 0) return;
+        this.shotClockTimer = setTimeout(() => this.expireShotClock(), Math.min(...waits));
+    }
+
+    /**
+     * Host: everyone out of time, or away from the table, gets the default action,
+     * through the same path as their own
+     */
+    expireShotClock() {
+        this.shotClockTimer = null;
+        if (!this.multiplayer.isHost || this.dealInProgress) return;
+        const decision = this.game.getDecision();
+        if (!decision) return;
+        const expired = this.game.shotClock ? this.game.shotClock.expired(decision.playerIds) : [];
+        const away = decision.playerIds.filter(id => this.multiplayer.autoPlayWait(id) === 0);
+        const due = decision.playerIds.filter(id => expired.includes(id) || away.includes(id));
+        for (const playerId of due) {
+            this.timeOut(playerId, away.includes(playerId));
+        }
+        // Nobody's time was up yet (the timer fired early): wait for the rest
+        if (due.length === 0) this.scheduleShotClock();
+    }
+
+    /**
+     * Host: a player ran out of time, or is away - they keep every card
+     */
+    timeOut(playerId, away = false) {
+        const name = this.multiplayer.getPlayer(playerId)?.name || 'Player';
+        this.announceToTable(away ? `${name} is away - they keep every card` : `${name} ran out of time`);
+        this.handleGameMessage(playerId, { type: 'confirm_discards', discards: [] });
+    }
+
+    /**
+     * Turn the state's clock into deadlines on our own clock, and keep the countdown running
+     */
+    updateShotClock(state) {
+        const now = Date.now();
+        const clock = state.shotClock;
+        this.clockDeadlines = {};
+        for (const [id, remaining] of Object.entries(clock?.remaining || {})) {
+            const deadline = now + remaining;
+            this.clockDeadlines[id] = { deadline, bankFrom: deadline - clock.timeBanks[id] * 1000 };
+        }
+        this.renderShotClock();
+        if (Object.keys(this.clockDeadlines).length > 0 && !this.clockTicker) {
+            this.clockTicker = setInterval(() => this.renderShotClock(), 1000);
+        }
+    }
+
+    /**
+     * Seconds left for us and for each player box; the ticker stops once every clock is out
+     */
+    renderShotClock() {
+        const now = Date.now();
+        let running = false;
+        const render = (el, playerId) => {
+            const clock = this.clockDeadlines[playerId];
+            el.classList.toggle('hidden', !clock || Boolean(this.replay));
+            if (!clock) return;
+            // The shot clock counts down first, then the time bank
+            const inBank = now >= clock.bankFrom && clock.deadline > clock.bankFrom;
+            const seconds = Math.max(0, Math.ceil(((inBank ? clock.deadline : clock.bankFrom) - now) / 1000));
+            el.textContent = `⏱ ${seconds}s${inBank ? ' (time bank)' : ''}`;
+            el.classList.toggle('time-bank', inBank);
+            el.classList.toggle('low', seconds <= 5);
+            if (clock.deadline > now) running = true;
+        };
+        render(document.getElementById('my-shot-clock'), this.myPlayerId);
+        document.querySelectorAll('#players-area [data-clock-player]').forEach(el => render(el, el.dataset.clockPlayer));
+        if (!running) {
+            clearInterval(this.clockTicker);
+            this.clockTicker = null;
+        }
+    }
+
+    // ============ HELD SEATS ============
+
+    /**
+     * Host: a seated player dropped mid-game - their seat waits for them, and
+     * the table plays for them until they're back
+     */
+    holdSeat(playerId) {
+        if (!this.game.players.some(p => p.id === playerId)) return;
+        this.announceToTable(`${this.multiplayer.getPlayer(playerId)?.name || 'Player'} dropped - their seat is held for ${SEAT_GRACE_MS / 60000} minutes`);
+        this.scheduleShotClock();
+    }
+
+    /**
+     * Host: a dropped player is back under a new peer id (a new tab or browser
+     * restart) - their seat, cards and PnL move over to it
+     */
+    reclaimSeat(oldId, newId) {
+        const { shotClock: clock, random } = this.game;
+        const renamed = JSON.stringify(this.game.serialize()).split(JSON.stringify(oldId)).join(JSON.stringify(newId));
+        this.game.deserialize(JSON.parse(renamed));
+        this.game.random = random; // Reshuffles keep drawing from the hand's fair shuffle
+        // The decision under way keeps running rather than starting afresh
+        if (clock && this.game.shotClock) {
+            this.game.shotClock.decision = clock.decision;
+            this.game.shotClock.startedAt = clock.startedAt;
+        }
+        this.rebuyRequests = this.rebuyRequests.map(id => id === oldId ? newId : id);
+        this.announceToTable(`${this.multiplayer.getPlayer(newId)?.name || 'Player'} is back in their seat`);
+    }
+
+    // ============ BUY-INS & LIMITS ============
+
+    /**
+     * The buy-ins the host set up in the lobby, or null for unlimited PnL
+     */
+    readBankroll() {
+        if (document.getElementById('format-select').value !== 'buy-in') return null;
+        return {
+            buyIn: document.getElementById('buy-in').value,
+            buyInCap: document.getElementById('buy-in-cap').value
+        };
+    }
+
+    /**
+     * Each player's stack in a tournament or with buy-ins (playerId -> amount), or null where only PnL counts
+     */
+    getStacks(state) {
+        if (!state.tournament && !state.bankroll) return null;
+        const stacks = {};
+        for (const player of state.players) {
+            const pnl = state.phase === 'results' ? player.actualPnl : player.pnl;
+            const base = state.tournament
+                ? state.tournament.startingStack
+                : (state.bankroll.accounts[player.id]?.boughtIn ?? state.bankroll.buyIn);
+            stacks[player.id] = base + pnl;
+        }
+        return stacks;
+    }
+
+    /**
+     * Our own stop-loss and stop-win from the lobby (blank for none)
+     */
+    readLimits() {
+        const amount = id => {
+            const value = parseFloat(document.getElementById(id).value);
+            return value > 0 ? value : null;
+        };
+        this.limits = { stopLoss: amount('stop-loss'), stopWin: amount('stop-win') };
+    }
+
+    /**
+     * After a showdown: once our PnL reaches a limit, we sit out and the limit is spent,
+     * so taking a seat again plays on without it
+     */
+    checkLimits(state) {
+        const me = state.players.find(p => p.id === this.myPlayerId);
+        if (!me || this.multiplayer.spectating) return;
+        const reason = Bankroll.limitReached(me.actualPnl, this.limits);
+        if (!reason) return;
+
+        const stopLoss = reason === 'stop-loss';
+        this.limits[stopLoss ? 'stopLoss' : 'stopWin'] = null;
+        document.getElementById(reason).value = '';
+        this.showToast(`${stopLoss ? 'Stop-loss' : 'Stop-win'} reached - you sit out from the next hand`, 'info');
+        if (this.multiplayer.isHost) {
+            this.handleSitOut(this.myPlayerId, reason);
+        } else {
+            this.multiplayer.sendToHost({ type: 'sit_out', reason });
+        }
+    }
+
+    /**
+     * Host: a player sits out from the next hand on; they watch from then until they take a seat again
+     */
+    handleSitOut(playerId, reason) {
+        const player = this.game.players.find(p => p.id === playerId);
+        if (!player || player.sittingOut || this.game.tournament) return;
+        this.game.sitOut(playerId);
+        const limit = { 'stop-loss': ' at their stop-loss', 'stop-win': ' at their stop-win' }[reason] || '';
+        this.announceToTable(`${this.multiplayer.getPlayer(playerId)?.name || 'Player'} sits out${limit}`);
+    }
+
+    /**
+     * Host, before a cash-game deal: bots that can't cover the bet rebuy, and
+     * everyone sitting out, or still short, moves to the spectators
+     */
+    sitOutPlayers() {
+        for (const player of this.game.players) {
+            const name = this.multiplayer.getPlayer(player.id)?.name || 'Player';
+            if (!player.sittingOut && this.multiplayer.isBot(player.id) && this.game.willSitOut(player)) {
+                const amount = this.game.rebuy(player.id);
+                if (amount > 0) this.announceToTable(`${name} rebuys for ${this.formatCurrency(amount)}`);
+            }
+            if (!this.game.willSitOut(player)) continue;
+            if (!player.sittingOut) {
+                this.announceToTable(`${name} can't cover the bet and sits out`);
+            }
+            this.multiplayer.moveToSpectators(player.id);
+        }
+    }
+
+    /**
+     * Host: a spectator whose stack can't cover the bet has to rebuy before sitting down
+     */
+    seatRefusal(peerId) {
+        if (!this.gameStarted || !this.game.bankroll) return null;
+        const player = this.game.getBankrollPlayers().find(p => p.id === peerId);
+        if (player && !this.game.bankroll.canCover(player, this.game.baseBet)) {
+            return 'Your stack can\'t cover the bet - rebuy first';
+        }
+        return null;
+    }
+
+    /**
+     * Ask the host for a rebuy (the host rebuys straight away)
+     */
+    requestRebuy() {
+        if (this.multiplayer.isHost) {
+            this.approveRebuy(this.myPlayerId);
+            return;
+        }
+        this.multiplayer.sendToHost({ type: 'rebuy_request' });
+        this.showToast('Rebuy requested - waiting for the host', 'info');
+    }
+
+    /**
+     * Host: why a player may not rebuy, or null. A rebuy tops up a stack below one buy-in
+     */
+    rebuyRefusal(playerId) {
+        if (!this.gameStarted || !this.game.bankroll) return 'There are no buy-ins at this table';
+        const player = this.game.getBankrollPlayers().find(p => p.id === playerId);
+        if (!player) return 'Take a seat to buy in first';
+        if (this.game.bankroll.stackOf(player) >= this.game.bankroll.config.buyIn) return 'Your stack is still a full buy-in';
+        if (this.game.bankroll.rebuyAmount(playerId) === 0) return 'No rebuys left under the buy-in cap';
+        return null;
+    }
+
+    /**
+     * Host: queue a player's rebuy for approval
+     */
+    handleRebuyRequest(playerId) {
+        const refusal = this.rebuyRefusal(playerId);
+        if (refusal) {
+            this.multiplayer.sendToPeer(playerId, { type: 'error', message: refusal });
+            return;
+        }
+        if (this.rebuyRequests.includes(playerId)) return;
+        this.rebuyRequests.push(playerId);
+        this.renderRebuyRequests();
+        this.showToast(`${this.multiplayer.getPlayer(playerId)?.name || 'A player'} asks to rebuy`, 'info');
+    }
+
+    approveRebuy(playerId) {
+        this.rebuyRequests = this.rebuyRequests.filter(id => id !== playerId);
+        this.renderRebuyRequests();
+        const refusal = this.rebuyRefusal(playerId);
+        if (refusal) {
+            this.showToast(refusal, 'error');
+            return;
+        }
+        const amount = this.game.rebuy(playerId);
+        this.announceToTable(`${this.multiplayer.getPlayer(playerId)?.name || 'Player'} rebuys for ${this.formatCurrency(amount)}`);
+        this.multiplayer.broadcastGameState(this.game.getGameState());
+    }
+
+    denyRebuy(playerId) {
+        this.rebuyRequests = this.rebuyRequests.filter(id => id !== playerId);
+        this.renderRebuyRequests();
+        this.multiplayer.sendToPeer(playerId, { type: 'error', message: 'The host turned down your rebuy' });
+    }
+
+    /**
+     * Host: the rebuys waiting for an answer, over the table
+     */
+    renderRebuyRequests() {
+        const container = document.getElementById('rebuy-requests');
+        // Players who left meanwhile drop off the list
+        this.rebuyRequests = this.rebuyRequests.filter(id => this.multiplayer.getPlayer(id));
+        container.classList.toggle('hidden', this.rebuyRequests.length === 0);
+        container.innerHTML = this.rebuyRequests.map(id => `
+            <div class="rebuy-request">
+                <span>${this.escapeHtml(this.multiplayer.getPlayer(id).name)} asks to rebuy for ${this.formatCurrency(this.game.bankroll.rebuyAmount(id))}</span>
+                <button class="btn btn-primary" data-approve-rebuy="${id}">Approve</button>
+                <button class="btn btn-secondary" data-deny-rebuy="${id}">Deny</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Rebuy shows for a spectator with a stack below one buy-in and a rebuy left under the cap
+     */
+    updateRebuyButton() {
+        const bankroll = this.currentState?.bankroll;
+        const account = bankroll?.accounts[this.myPlayerId];
+        const canRebuy = Boolean(account) && this.multiplayer.spectating && account.rebuy > 0 && account.stack < bankroll.buyIn;
+        document.querySelectorAll('.rebuy-btn').forEach(btn => btn.classList.toggle('hidden', !canRebuy));
+    }
+
+    /**
+     * Host: write a line to everyone's game log
+     */
+    announceToTable(message) {
+        this.addLogEntry('board', this.escapeHtml(message));
+        this.multiplayer.broadcast({ type: 'system_log', message });
+    }
+
+    // ============ LEDGER ============
+
+    /**
+     * Add a finished hand to this device's ledger (every tab records what it saw;
+     * the same hand from two tabs is stored once)
+     */
+    recordLedgerHand(state) {
+        if (!this.ledger.available || !state.shuffleId || !this.multiplayer.roomCode) return;
+        // Tournament chips are not money, so there is nothing to settle
+        if (state.tournament) return;
+
+        this.ledger.recordHand({
+            game: 'edge-the-dealer',
+            roomCode: this.multiplayer.roomCode,
+            handId: state.shuffleId,
+            results: state.results.map(result => ({
+                name: this.multiplayer.getPlayer(result.playerId)?.name || 'Player',
+                identity: this.multiplayer.getPlayer(result.playerId)?.identity || null,
+                net: result.netResult
+            })),
+            history: this.getNamedHandHistory(state)
+        }).catch(err => console.warn('Could not record hand in the ledger:', err));
+    }
+
+    /**
+     * The finished hand's history entry as this tab saw it, with player names
+     */
+    getNamedHandHistory(state) {
+        if (!state.handHistory) return null;
+        return {
+            ...state.handHistory,
+            roomCode: this.multiplayer.roomCode,
+            heroId: this.myPlayerId,
+            players: state.handHistory.players.map(p => ({
+                ...p,
+                name: this.multiplayer.getPlayer(p.id)?.name || 'Player'
+            }))
+        };
+    }
+
+    async showLedger() {
+        if (!this.ledger.available) {
+            this.showToast('This browser cannot store the ledger', 'error');
+            return;
+        }
+
+        try {
+            this.ledgerReport = await this.ledger.getReport();
+        } catch (err) {
+            this.showToast(`Could not open the ledger: ${err.message}`, 'error');
+            return;
+        }
+        this.renderLedger(this.ledgerReport);
+        document.getElementById('ledger-modal').classList.remove('hidden');
+    }
+
+    hideLedger() {
+        document.getElementById('ledger-modal').classList.add('hidden');
+    }
+
+    renderLedger(report) {
+        document.getElementById('ledger-summary').textContent = report.handCount === 0
+            ? 'No hands recorded yet'
+            : `${report.handCount} hand${report.handCount === 1 ? '' : 's'} recorded on this device`;
+
+        const balances = document.getElementById('ledger-balances');
+        balances.innerHTML = '<tr><th>Player</th><th>Hands</th><th>Net</th></tr>' +
+            report.balances.map(b => `
+                <tr>
+                    <td>${this.escapeHtml(b.name)}</td>
+                    <td>${b.hands}</td>
+                    <td class="${b.net > 0 ? 'win' : (b.net < 0 ? 'lose' : '')}">${this.formatCurrency(b.net, true)}</td>
+                </tr>
+            `).join('');
+
+        const histories = report.hands.filter(h => h.history).length;
+        document.getElementById('ledger-history-count').textContent =
+            `${histories} hand${histories === 1 ? '' : 's'} with a full history`;
+
+        // The 20 most recent hands of this game can be replayed
+        const replayable = report.hands.filter(h => h.history && h.game === 'edge-the-dealer').slice(-20).reverse();
+        document.getElementById('ledger-history-list').innerHTML = replayable.map(h => `
+            <li>
+                <span>${new Date(h.timestamp).toLocaleString()} · Room ${this.escapeHtml(h.roomCode)}</span>
+                <button class="btn btn-secondary" data-hand-id="${this.escapeHtml(h.id)}">Replay</button>
+            </li>
+        `).join('');
+
+        const payments = document.getElementById('ledger-payments');
+        payments.innerHTML = report.payments.length === 0
+            ? '<li>Everyone is even</li>'
+            : report.payments.map(p =>
+                `<li><strong>${this.escapeHtml(p.from)}</strong> pays <strong>${this.escapeHtml(p.to)}</strong> ${this.formatCurrency(p.amount)}</li>`
+            ).join('');
+    }
+
+    exportLedger(format) {
+        if (!this.ledgerReport) return;
+
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            Ledger.downloadText(`ledger-${date}.csv`, Ledger.reportToCSV(this.ledgerReport), 'text/csv');
+        } else {
+            Ledger.downloadText(`ledger-${date}.json`, Ledger.reportToJSON(this.ledgerReport), 'application/json');
+        }
+    }
+
+    /**
+     * Export the recorded hands as PokerStars-style text or JSON
+     */
+    exportHandHistory(format) {
+        const entries = (this.ledgerReport?.hands || []).map(h => h.history).filter(Boolean);
+        if (entries.length === 0) {
+            this.showToast('No hand histories recorded yet', 'info');
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'txt') {
+            Ledger.downloadText(`hand-history-${date}.txt`, HandHistory.formatHands(entries), 'text/plain');
+        } else {
+            Ledger.downloadText(`hand-history-${date}.json`, HandHistory.handsToJSON(entries), 'application/json');
+        }
+    }
+
+    replayLedgerHand(handId) {
+        const hand = (this.ledgerReport?.hands || []).find(h => h.id === handId);
+        if (hand) this.startReplay(hand.history);
+    }
+
+    async clearLedger() {
+        if (!window.confirm('Delete every hand in the ledger on this device?')) return;
+
+        try {
+            await this.ledger.clear();
+            this.ledgerReport = await this.ledger.getReport();
+            this.renderLedger(this.ledgerReport);
+            this.showToast('Ledger cleared', 'info');
+        } catch (err) {
+            this.showToast(`Could not clear the ledger: ${err.message}`, 'error');
+        }
+    }
+
+    // ============ REPLAY ============
+
+    /**
+     * Whether this player has a hand in progress (replays wait until it is over)
+     */
+    isPlayingHand() {
+        const state = this.currentState;
+        return Boolean(this.gameStarted && state && state.phase !== 'results' &&
+            state.players.some(p => p.id === this.myPlayerId));
+    }
+
+    /**
+     * Show a recorded hand on the game screen: the deal, each draw, the showdown
+     */
+    startReplay(entry) {
+        if (!entry) return;
+        if (this.isPlayingHand()) {
+            this.showToast('Finish the current hand before replaying', 'info');
+            return;
+        }
+
+        const returnScreen = this.replay ? this.replay.returnScreen : this.currentScreen;
+        this.replay = { entry, steps: HandHistory.buildReplay(entry), index: 0, returnScreen };
+        this.hideLedger();
+        this.showScreen('game');
+        document.getElementById('game-room-code').textContent = entry.roomCode || '';
+        document.getElementById('game-screen').classList.add('replaying');
+        document.getElementById('replay-controls').classList.remove('hidden');
+        this.renderReplayStep();
+    }
+
+    stepReplay(delta) {
+        if (!this.replay) return;
+        const index = this.replay.index + delta;
+        if (index < 0 || index >= this.replay.steps.length) return;
+        this.replay.index = index;
+        this.renderReplayStep();
+    }
+
+    /**
+     * Draw the current replay step with the same renderers as live play
+     */
+    renderReplayStep() {
+        const { entry, steps, index } = this.replay;
+        const step = steps[index];
+        const state = { ...step.state };
+        state.dealerBestHand = this.getDealerCardGroupsFromState(state).dealerBestHand;
+        const hero = state.players.find(p => p.id === entry.heroId);
+
+        this.updateDealerCards(state);
+        this.updateDealerResult(state);
+
+        // Spectators recorded no hand of their own
+        const handArea = document.getElementById('player-hand-area');
+        handArea.classList.toggle('hidden', !hero || !hero.holeCards);
+        if (hero && hero.holeCards) {
+            handArea.querySelector('.hand-label').textContent = `${hero.name}'s Hand`;
+            this.updateHoleCards(hero.holeCards, false);
+            this.updateHandStrength(hero, state);
+            this.updateDealerComparison(hero, state);
+            this.updateMyHandResults(state, hero);
+            this.animatePnl(state.phase === 'results' ? hero.actualPnl : hero.pnl);
+            document.getElementById('current-bet').textContent = this.formatCurrency(hero.totalBet);
+            document.getElementById('discard-help').textContent = '';
+        }
+
+        this.updatePlayersArea(state.players, state.phase, state.results);
+
+        document.getElementById('replay-step').textContent = `${step.label} (${index + 1}/${steps.length})`;
+        document.getElementById('replay-notes').innerHTML = step.notes
+            .map(note => `<li>${this.escapeHtml(note)}</li>`).join('');
+        document.getElementById('replay-back').disabled = index === 0;
+        document.getElementById('replay-forward').disabled = index === steps.length - 1;
+    }
+
+    /**
+     * Leave the replay for the live table, or wherever it was opened from
+     */
+    stopReplay() {
+        if (!this.replay) return;
+        const { returnScreen } = this.replay;
+        this.replay = null;
+
+        document.getElementById('game-screen').classList.remove('replaying');
+        document.getElementById('replay-controls').classList.add('hidden');
+        document.getElementById('player-hand-area').classList.remove('hidden');
+        document.querySelector('#player-hand-area .hand-label').textContent = 'Your Hand';
+
+        if (this.gameStarted && this.currentState) {
+            this.showScreen('game');
+            this.updateGameUI(this.currentState);
+        } else {
+            this.showScreen(returnScreen);
+        }
+    }
+
     // ============ RULES / TOAST / UTILS ============
 
     showRules() {
+        this.renderRules(this.currentState?.variant || this.readVariant());
         document.getElementById('rules-modal').classList.remove('hidden');
     }
 
+    /**
+     * Fill the setup, draw and ranking rules in for the variant on the table
+     */
+    renderRules(variant) {
+        const { dealerCards, wild, target } = Poker.normalizeVariant(variant);
+        const size = Poker.HAND_TARGETS[target].size;
+        const wilds = wild === 'none' ? '' : ` ${Poker.WILD_CARDS[wild]}.`;
+        const handName = target === 'high' ? 'poker' : Poker.HAND_TARGETS[target].name;
+
+        document.getElementById('rules-setup').innerHTML = `
+            <li>Each player antes the same base bet and gets ${size} cards.</li>
+            <li>The dealer gets ${dealerCards} open cards; everyone sees them.</li>
+            <li>The dealer's hand is their best ${size}-card ${handName} hand from the ${dealerCards}.${wilds}</li>
+        `;
+        document.getElementById('rules-discards').textContent =
+            `In each draw round, pick 0-${size} cards to discard, then confirm.`;
+        document.getElementById('rules-ranking').textContent = target === 'high'
+            ? 'All players are ranked by standard high poker hand strength.'
+            : `All players are ranked by ${handName} hand strength: the better ${handName} hand counts as the higher one.`;
+    }
+
     hideRules() {
         document.getElementById('rules-modal').classList.add('hidden');
     }
@@ -1683,4 +3023,9 @@ class EdgeTheDealerController {
 
 document.addEventListener('DOMContentLoaded', () => {
     window.gameController = new EdgeTheDealerController();
+
+    // Cache the game for offline play and installing as an app
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker not registered:', err));
+    }
 });
@@ -0,0 +1,34 @@
+/**
+ * Edge the Dealer - Service Worker
+ * Caches the game and the shared Ultimate Omaha files it loads, so it installs
+ * as an app and starts offline (see ../ultimate-omaha/offline-cache.js).
+ */
+
+importScripts('../ultimate-omaha/offline-cache.js');
+
+// Bump the version whenever a file is added to or removed from the list
+registerOfflineCache('edge-the-dealer-v6', [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    '../ultimate-omaha/style.css',
+    '../ultimate-omaha/vendor/peerjs.min.js',
+    '../ultimate-omaha/poker.js',
+    '../ultimate-omaha/secret-sharing.js',
+    '../ultimate-omaha/fair-shuffle.js',
+    '../ultimate-omaha/transports.js',
+    '../ultimate-omaha/identity.js',
+    '../ultimate-omaha/multiplayer.js',
+    '../ultimate-omaha/ledger.js',
+    '../ultimate-omaha/hand-history.js',
+    '../ultimate-omaha/sound.js',
+    '../ultimate-omaha/tournament.js',
+    '../ultimate-omaha/bankroll.js',
+    '../ultimate-omaha/shot-clock.js',
+    'game.js',
+    'advisor.js',
+    'bots.js',
+    'main.js'
+]);
@@ -0,0 +1,137 @@
+/**
+ * Headless harness - Shared assertions
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Copy a value out of a page's realm so deepStrictEqual compares data, not prototypes
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function cardKey(card) {
+    return `${card.rank}${card.suit}`;
+}
+
+/**
+ * No card may appear twice among everything dealt
+ */
+function assertUniqueCards(cards, description) {
+    const keys = cards.filter(Boolean).map(cardKey);
+    assert.equal(new Set(keys).size, keys.length, `${description}: a card was dealt twice`);
+}
+
+/**
+ * Multiplayer payouts only move money between players
+ */
+function assertZeroSum(players, description) {
+    const total = players.reduce((sum, p) => sum + p.pnl, 0);
+    assert.ok(Math.abs(total) < 0.001, `${description}: PnL sums to ${total}, not 0`);
+}
+
+/**
+ * Run a game engine's state through serialize -> JSON -> deserialize in a fresh instance
+ */
+function assertSerializeRoundTrip(page, className) {
+    const copy = page.evaluate(`new ${className}()`);
+    copy.deserialize(JSON.parse(JSON.stringify(page.game.serialize())));
+    assert.deepStrictEqual(plain(copy.serialize()), plain(page.game.serialize()), `${className} serialize round trip`);
+    assert.deepStrictEqual(plain(copy.getGameState()), plain(page.game.getGameState()), `${className} state after round trip`);
+}
+
+/**
+ * Every client logged a passing shuffle check, and nobody logged a failing one
+ */
+function assertShuffleVerified(pages) {
+    for (const page of pages) {
+        const entries = page.logEntries();
+        assert.ok(!entries.some(e => e.includes('Shuffle check failed')), `${page.name} logged a failed shuffle check`);
+        if (!page.multiplayer.isHost) {
+            assert.ok(entries.some(e => e.includes('Shuffle verified')), `${page.name} did not verify the shuffle`);
+        }
+    }
+}
+
+/**
+ * The game's service worker precaches every local file its page loads: scripts,
+ * stylesheets (and their @imports), the manifest and its icons. Every listed file exists.
+ */
+function assertPrecached(page, dir) {
+    const gameDir = path.join(ROOT, dir);
+    let precached = null;
+    vm.runInNewContext(fs.readFileSync(path.join(gameDir, 'sw.js'), 'utf8'), {
+        importScripts: () => {},
+        registerOfflineCache: (cacheName, urls) => { precached = urls; }
+    });
+    assert.ok(precached, `${dir}/sw.js did not register its cache`);
+
+    const resolve = url => path.relative(ROOT, path.join(gameDir, url));
+    const cached = new Set(precached.map(resolve));
+    for (const url of precached) {
+        assert.ok(fs.existsSync(path.join(gameDir, url)), `${dir}/sw.js lists ${url}, which does not exist`);
+    }
+
+    const local = url => url && !/^https?:/.test(url);
+    const needed = [
+        ...page.document.querySelectorAll('script[src]').map(el => el.getAttribute('src')),
+        ...page.document.querySelectorAll('link[href]').map(el => el.getAttribute('href'))
+    ].filter(local).map(resolve);
+    for (const file of needed.filter(f => f.endsWith('.css'))) {
+        const css = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const [, url] of css.matchAll(/@import url\("([^"]+)"\)/g)) {
+            needed.push(path.relative(ROOT, path.join(ROOT, path.dirname(file), url)));
+        }
+    }
+    const manifest = JSON.parse(fs.readFileSync(path.join(gameDir, 'manifest.webmanifest'), 'utf8'));
+    needed.push(...manifest.icons.map(icon => resolve(icon.src)));
+
+    for (const file of needed) {
+        assert.ok(cached.has(file), `${dir}/sw.js does not precache ${file}`);
+    }
+}
+
+/**
+ * Give a page's sound engine a stand-in Web Audio context (the harness has none).
+ * Returns the cues heard so far: each play() that scheduled some audio.
+ */
+function listenForSound(page) {
+    const heard = [];
+    let started = 0;
+    const param = () => ({ value: 0, setValueAtTime() {}, exponentialRampToValueAtTime() {} });
+    const node = extra => ({ connect: target => target, start: () => { started++; }, stop() {}, ...extra });
+    class FakeAudioContext {
+        constructor() {
+            this.currentTime = 0;
+            this.sampleRate = 8000;
+            this.state = 'running';
+            this.destination = node();
+        }
+        createGain() { return node({ gain: param() }); }
+        createOscillator() { return node({ frequency: param() }); }
+        createBiquadFilter() { return node({ frequency: param() }); }
+        createBufferSource() { return node(); }
+        createBuffer(channels, length) {
+            const data = new Float32Array(length);
+            return { getChannelData: () => data };
+        }
+    }
+
+    const sound = page.controller.sound;
+    const play = sound.play.bind(sound);
+    sound.AudioContextClass = FakeAudioContext;
+    sound.play = (event, delay) => {
+        const before = started;
+        play(event, delay);
+        if (started > before) heard.push(event);
+    };
+    return heard;
+}
+
+module.exports = { plain, assertUniqueCards, assertZeroSum, assertSerializeRoundTrip, assertShuffleVerified, assertPrecached, listenForSound };
@@ -0,0 +1,613 @@
+/**
+ * Headless harness - Minimal DOM
+ * Just enough of the DOM for the game controllers to run in Node: an HTML
+ * parser for index.html / innerHTML, simple CSS selectors, classList, dataset,
+ * style and bubbling events. Nothing is rendered.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', times: '×' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] ?? match;
+    });
+}
+
+// ============ NODES ============
+
+class TextNode {
+    constructor(text, ownerDocument) {
+        this.nodeType = 3;
+        this.data = text;
+        this.parentNode = null;
+        this.ownerDocument = ownerDocument;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value);
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+}
+
+class ClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get tokens() {
+        return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    }
+
+    set tokens(list) {
+        this.element.setAttribute('class', list.join(' '));
+    }
+
+    add(...names) {
+        const tokens = this.tokens;
+        names.forEach(name => {
+            if (!tokens.includes(name)) tokens.push(name);
+        });
+        this.tokens = tokens;
+    }
+
+    remove(...names) {
+        this.tokens = this.tokens.filter(token => !names.includes(token));
+    }
+
+    toggle(name, force) {
+        const has = this.contains(name);
+        const shouldHave = force === undefined ? !has : Boolean(force);
+        if (shouldHave && !has) this.add(name);
+        if (!shouldHave && has) this.remove(name);
+        return shouldHave;
+    }
+
+    contains(name) {
+        return this.tokens.includes(name);
+    }
+
+    get length() {
+        return this.tokens.length;
+    }
+}
+
+function toDataKey(attrName) {
+    return attrName.slice(5).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+}
+
+function toDataAttr(key) {
+    return 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+class Element {
+    constructor(tagName, ownerDocument) {
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map();
+        this.childNodes = [];
+        this.parentNode = null;
+        this.ownerDocument = ownerDocument;
+        this.listeners = new Map();
+        this.style = { setProperty(name, value) { this[name] = value; }, removeProperty(name) { delete this[name]; } };
+        this.classList = new ClassList(this);
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.scrollTop = 0;
+        this.scrollLeft = 0;
+
+        const element = this;
+        this.dataset = new Proxy({}, {
+            get(target, key) {
+                return typeof key === 'string' ? element.getAttribute(toDataAttr(key)) ?? undefined : undefined;
+            },
+            set(target, key, value) {
+                element.setAttribute(toDataAttr(key), value);
+                return true;
+            },
+            deleteProperty(target, key) {
+                element.removeAttribute(toDataAttr(key));
+                return true;
+            },
+            ownKeys() {
+                return Array.from(element.attributes.keys()).filter(a => a.startsWith('data-')).map(toDataKey);
+            },
+            getOwnPropertyDescriptor() {
+                return { enumerable: true, configurable: true };
+            }
+        });
+    }
+
+    // ----- attributes -----
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+        if (name === 'value') this.value = String(value);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    get title() {
+        return this.getAttribute('title') || '';
+    }
+
+    set title(value) {
+        this.setAttribute('title', value);
+    }
+
+    get hidden() {
+        return this.hasAttribute('hidden');
+    }
+
+    set hidden(value) {
+        if (value) this.setAttribute('hidden', '');
+        else this.removeAttribute('hidden');
+    }
+
+    // ----- tree -----
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+
+    get lastElementChild() {
+        const children = this.children;
+        return children[children.length - 1] || null;
+    }
+
+    get childElementCount() {
+        return this.children.length;
+    }
+
+    get parentElement() {
+        return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get nextElementSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.children;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    appendChild(node) {
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? new TextNode(node, this.ownerDocument) : node));
+    }
+
+    prepend(...nodes) {
+        nodes.reverse().forEach(node => {
+            const child = typeof node === 'string' ? new TextNode(node, this.ownerDocument) : node;
+            this.insertBefore(child, this.firstChild);
+        });
+    }
+
+    insertBefore(node, reference) {
+        if (!reference) return this.appendChild(node);
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+        return node;
+    }
+
+    removeChild(node) {
+        const index = this.childNodes.indexOf(node);
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            node.parentNode = null;
+        }
+        return node;
+    }
+
+    replaceChildren(...nodes) {
+        this.childNodes.slice().forEach(node => this.removeChild(node));
+        this.append(...nodes);
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    cloneNode(deep = false) {
+        const copy = new Element(this.tagName, this.ownerDocument);
+        this.attributes.forEach((value, name) => copy.setAttribute(name, value));
+        if (deep) {
+            this.childNodes.forEach(node => {
+                copy.appendChild(node.nodeType === 1 ? node.cloneNode(true) : new TextNode(node.data, this.ownerDocument));
+            });
+        }
+        return copy;
+    }
+
+    // ----- content -----
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.replaceChildren();
+        if (value !== '' && value !== null && value !== undefined) {
+            this.appendChild(new TextNode(String(value), this.ownerDocument));
+        }
+    }
+
+    get innerText() {
+        return this.textContent;
+    }
+
+    set innerText(value) {
+        this.textContent = value;
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(serializeNode).join('');
+    }
+
+    set innerHTML(html) {
+        this.replaceChildren();
+        parseHTML(String(html), this, this.ownerDocument);
+    }
+
+    insertAdjacentHTML(position, html) {
+        const holder = new Element('div', this.ownerDocument);
+        holder.innerHTML = html;
+        const nodes = holder.childNodes.slice();
+        if (position === 'beforeend') nodes.forEach(node => this.appendChild(node));
+        else if (position === 'afterbegin') nodes.reverse().forEach(node => this.insertBefore(node, this.firstChild));
+    }
+
+    // ----- selectors -----
+
+    matches(selector) {
+        return parseSelectorList(selector).some(chain => matchesChain(this, chain));
+    }
+
+    closest(selector) {
+        for (let current = this; current && current.nodeType === 1; current = current.parentNode) {
+            if (current.matches(selector)) return current;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const chains = parseSelectorList(selector);
+        const found = [];
+        walkElements(this, element => {
+            if (chains.some(chain => matchesChain(element, chain, this))) found.push(element);
+        });
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    getElementsByClassName(name) {
+        return this.querySelectorAll('.' + name);
+    }
+
+    getElementsByTagName(name) {
+        return this.querySelectorAll(name);
+    }
+
+    // ----- events -----
+
+    addEventListener(type, handler) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        const handlers = this.listeners.get(type) || [];
+        this.listeners.set(type, handlers.filter(h => h !== handler));
+    }
+
+    dispatchEvent(event) {
+        if (!event.target) event.target = this;
+        let stopped = false;
+        event.stopPropagation = () => { stopped = true; };
+        event.preventDefault = event.preventDefault || (() => { event.defaultPrevented = true; });
+
+        // Bubble up to the document
+        for (let current = this; current && !stopped; current = current.parentNode) {
+            event.currentTarget = current;
+            for (const handler of [...(current.listeners.get(event.type) || [])]) {
+                handler.call(current, event);
+            }
+        }
+        return !event.defaultPrevented;
+    }
+
+    click() {
+        if (this.disabled) return;
+        this.dispatchEvent({ type: 'click' });
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+    }
+
+    blur() {
+        if (this.ownerDocument.activeElement === this) {
+            this.ownerDocument.activeElement = this.ownerDocument.body;
+        }
+    }
+
+    // ----- layout (nothing is laid out) -----
+
+    get scrollHeight() {
+        return 0;
+    }
+
+    get offsetWidth() {
+        return 0;
+    }
+
+    get offsetHeight() {
+        return 0;
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 };
+    }
+
+    scrollIntoView() {}
+
+    scrollTo() {}
+}
+
+function serializeNode(node) {
+    if (node.nodeType === 3) {
+        return node.data.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    const tag = node.tagName.toLowerCase();
+    const attrs = Array.from(node.attributes).map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`).join('');
+    if (VOID_ELEMENTS.has(tag)) return `<${tag}${attrs}>`;
+    return `<${tag}${attrs}>${node.childNodes.map(serializeNode).join('')}</${tag}>`;
+}
+
+function walkElements(root, visit) {
+    for (const child of root.childNodes) {
+        if (child.nodeType === 1) {
+            visit(child);
+            walkElements(child, visit);
+        }
+    }
+}
+
+// ============ HTML PARSER ============
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z0-9-]+)\s*>|<([a-zA-Z0-9-]+)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</gi;
+const ATTR_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Parse HTML into `parent`; tolerant of the markup in the game pages, not of HTML in general
+ */
+function parseHTML(html, parent, ownerDocument) {
+    const stack = [parent];
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+        const [token, closeTag, openTag, attrText, selfClosing] = match;
+        const current = stack[stack.length - 1];
+
+        if (token.startsWith('<!')) continue;
+
+        if (closeTag) {
+            const name = closeTag.toUpperCase();
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].tagName === name) {
+                    stack.length = i;
+                    break;
+                }
+            }
+            continue;
+        }
+
+        if (openTag) {
+            const element = new Element(openTag, ownerDocument);
+            let attr;
+            ATTR_PATTERN.lastIndex = 0;
+            while ((attr = ATTR_PATTERN.exec(attrText || '')) !== null) {
+                const value = attr[2] ?? attr[3] ?? attr[4] ?? '';
+                element.setAttribute(attr[1].toLowerCase(), decodeEntities(value));
+            }
+            if (element.hasAttribute('checked')) element.checked = true;
+            if (element.hasAttribute('disabled')) element.disabled = true;
+            current.appendChild(element);
+
+            const tag = openTag.toLowerCase();
+            if (RAW_TEXT_ELEMENTS.has(tag)) {
+                // Skip script/style bodies entirely
+                const end = html.toLowerCase().indexOf(`</${tag}`, TOKEN_PATTERN.lastIndex);
+                TOKEN_PATTERN.lastIndex = end === -1 ? html.length : end;
+            } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+                stack.push(element);
+            }
+            continue;
+        }
+
+        current.appendChild(new TextNode(decodeEntities(token), ownerDocument));
+    }
+}
+
+// ============ SELECTORS ============
+
+/**
+ * "a .b > c[d='e'], f" -> [[{ compound, combinator }...], ...]
+ * Supports tag, #id, .class, [attr], [attr=value] and the descendant / child combinators
+ */
+function parseSelectorList(selector) {
+    return selector.split(',').map(part => {
+        const chain = [];
+        let combinator = ' ';
+        part.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/).forEach(piece => {
+            if (piece === '>') {
+                combinator = '>';
+                return;
+            }
+            chain.push({ compound: parseCompound(piece), combinator });
+            combinator = ' ';
+        });
+        return chain;
+    });
+}
+
+function parseCompound(text) {
+    const compound = { tag: null, id: null, classes: [], attrs: [] };
+    const pattern = /([a-zA-Z][a-zA-Z0-9-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=["']?([^\]"']*)["']?)?\]/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1]) compound.tag = match[1].toUpperCase();
+        else if (match[2]) compound.id = match[2];
+        else if (match[3]) compound.classes.push(match[3]);
+        else if (match[4]) compound.attrs.push({ name: match[4], value: match[5] });
+    }
+    return compound;
+}
+
+function matchesCompound(element, compound) {
+    if (compound.tag && element.tagName !== compound.tag) return false;
+    if (compound.id && element.id !== compound.id) return false;
+    if (compound.classes.some(name => !element.classList.contains(name))) return false;
+    return compound.attrs.every(({ name, value }) =>
+        value === undefined ? element.hasAttribute(name) : element.getAttribute(name) === value
+    );
+}
+
+function matchesChain(element, chain, scope = null) {
+    const last = chain[chain.length - 1];
+    if (!matchesCompound(element, last.compound)) return false;
+
+    let current = element;
+    for (let i = chain.length - 2; i >= 0; i--) {
+        const combinator = chain[i + 1].combinator;
+        let parent = current.parentNode;
+        if (combinator === '>') {
+            if (!parent || parent.nodeType !== 1 || parent === scope || !matchesCompound(parent, chain[i].compound)) return false;
+            current = parent;
+        } else {
+            while (parent && parent.nodeType === 1 && parent !== scope && !matchesCompound(parent, chain[i].compound)) {
+                parent = parent.parentNode;
+            }
+            if (!parent || parent.nodeType !== 1 || parent === scope) return false;
+            current = parent;
+        }
+    }
+    return true;
+}
+
+// ============ DOCUMENT ============
+
+class Document extends Element {
+    constructor() {
+        super('#document', null);
+        this.ownerDocument = this;
+        this.nodeType = 9;
+        this.documentElement = null;
+        this.body = null;
+        this.head = null;
+        this.activeElement = null;
+    }
+
+    createElement(tagName) {
+        return new Element(tagName, this);
+    }
+
+    createTextNode(text) {
+        return new TextNode(String(text), this);
+    }
+
+    createDocumentFragment() {
+        return new Element('#fragment', this);
+    }
+
+    getElementById(id) {
+        let found = null;
+        walkElements(this, element => {
+            if (!found && element.id === id) found = element;
+        });
+        return found;
+    }
+}
+
+/**
+ * Build a document from a page's HTML
+ */
+function createDocument(html) {
+    const document = new Document();
+    parseHTML(html, document, document);
+    document.documentElement = document.querySelector('html') || document;
+    document.head = document.querySelector('head') || document.createElement('head');
+    document.body = document.querySelector('body') || document.documentElement;
+    document.activeElement = document.body;
+    return document;
+}
+
+module.exports = { createDocument };
@@ -0,0 +1,66 @@
+/**
+ * Headless multiplayer harness
+ * Plays both games with several simulated tabs on an in-memory network and
+ * checks the resulting game states.
+ *
+ * Run:  node harness/run.js [filter]       e.g. node harness/run.js migration
+ * Set HARNESS_VERBOSE=1 to print every tab's console output on failure.
+ */
+
+const { Simulation } = require('./simulation');
+
+const suites = [
+    { game: 'omaha', scenarios: require('./scenarios/omaha') },
+    { game: 'edge', scenarios: require('./scenarios/edge') }
+];
+
+// Promise rejections inside a page (e.g. an async click handler) fail the running scenario
+let pageError = null;
+process.on('unhandledRejection', (err) => {
+    pageError = pageError || err;
+});
+
+async function runScenario(game, scenario) {
+    const sim = new Simulation(game);
+    pageError = null;
+    try {
+        await scenario.run(sim);
+        if (pageError) throw pageError;
+        return null;
+    } catch (err) {
+        return { err, logs: sim.dumpLogs() };
+    } finally {
+        sim.dispose();
+    }
+}
+
+async function main() {
+    const filter = process.argv[2] || '';
+    let passed = 0;
+    let failed = 0;
+
+    for (const { game, scenarios } of suites) {
+        for (const scenario of scenarios) {
+            if (!scenario.name.includes(filter)) continue;
+
+            const failure = await runScenario(game, scenario);
+            if (!failure) {
+                passed++;
+                console.log(`  ✓ ${scenario.name}`);
+                continue;
+            }
+
+            failed++;
+            console.log(`  ✗ ${scenario.name}`);
+            console.log(`    ${failure.err.stack || failure.err}`);
+            if (process.env.HARNESS_VERBOSE) {
+                console.log(failure.logs);
+            }
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,552 @@
+/**
+ * Headless harness - Edge the Dealer scenarios
+ */
+
+const assert = require('assert/strict');
+const { plain, assertUniqueCards, assertZeroSum, assertSerializeRoundTrip, assertShuffleVerified, assertPrecached, listenForSound } = require('../helpers');
+
+// ============ DRIVERS ============
+
+async function seatTable(sim, names) {
+    const host = await sim.host(names[0]);
+    const clients = [];
+    for (const name of names.slice(1)) {
+        clients.push(await sim.join(name, host));
+    }
+    return [host, ...clients];
+}
+
+async function deal(sim, host, pages, drawCount) {
+    const previous = host.game.shuffleId;
+    if (host.controller.gameStarted) {
+        host.$('#next-draw-count').value = String(drawCount);
+        host.click('#next-hand-btn');
+    } else {
+        host.$('#draw-count').value = String(drawCount);
+        host.click('#start-game-btn');
+    }
+    await sim.waitFor(
+        () => pages.every(p => p.state && p.state.phase === 'draw' && p.state.shuffleId && p.state.shuffleId !== previous),
+        'the hand to be dealt'
+    );
+}
+
+/**
+ * Tap the given card slots, then confirm (an empty list keeps every card)
+ */
+async function discard(sim, page, slots) {
+    for (const slot of slots) {
+        page.click(`#hole-cards .card-slot[data-slot="${slot}"]`);
+    }
+    page.click('#confirm-discards-btn');
+    await sim.settle();
+}
+
+async function drawRound(sim, host, pages, slotsByPage) {
+    const round = host.game.currentDrawRound;
+    for (let i = 0; i < pages.length; i++) {
+        await discard(sim, pages[i], slotsByPage[i] || []);
+    }
+    await sim.waitFor(
+        () => pages.every(p => p.state && (p.state.phase === 'results' || p.state.currentDrawRound > round)),
+        `draw round ${round} to finish`
+    );
+}
+
+function allDealtCards(game) {
+    return [...game.players.flatMap(p => p.holeCards), ...game.dealerCards];
+}
+
+// ============ SCENARIOS ============
+
+module.exports = [
+    {
+        name: 'edge: three players draw three times and settle to zero',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob] = pages;
+            await deal(sim, host, pages, 3);
+            assertUniqueCards(allDealtCards(host.game), 'opening deal');
+            assert.equal(host.game.dealerCards.length, 7, 'dealer gets seven cards');
+
+            const bobBefore = plain(host.game.players.find(p => p.id === bob.id).holeCards);
+            await drawRound(sim, host, pages, [[0], [0, 1, 2], []]);
+            const bobAfter = plain(host.game.players.find(p => p.id === bob.id).holeCards);
+            const kept = bobAfter.filter(card => bobBefore.some(old => old.rank === card.rank && old.suit === card.suit));
+            assert.equal(kept.length, 2, 'Bob kept two of his cards');
+            assert.equal(host.game.discardPile.length, 4, 'four cards went to the discard pile');
+
+            await drawRound(sim, host, pages, [[], [], [4]]);
+            assertUniqueCards(allDealtCards(host.game), 'after two draws');
+            assert.equal(host.game.currentDrawRound, 3);
+            assertSerializeRoundTrip(host, 'EdgeTheDealerGame');
+
+            await drawRound(sim, host, pages, [[1, 2], [], []]);
+            await sim.waitFor(() => pages.every(p => p.state.phase === 'results'), 'the showdown');
+            await sim.settle(200);
+            assertZeroSum(host.game.players, 'after the hand');
+            assertShuffleVerified(pages);
+            for (const page of pages.slice(1)) {
+                assert.deepStrictEqual(plain(page.state.results), plain(host.state.results), `${page.name} sees the host's results`);
+            }
+
+            // Bob's history shows his own draws card by card, Carol's only as counts
+            const history = plain(bob.controller.getNamedHandHistory(bob.state));
+            assert.equal(history.draws.length, 3, 'three draw rounds recorded');
+            const [bobDraw, carolDraw] = ['Bob', 'Carol'].map(name => {
+                const id = history.players.find(p => p.name === name).id;
+                return history.draws[0].players.find(p => p.playerId === id);
+            });
+            assert.equal(bobDraw.discarded.length, 3);
+            assert.equal(bobDraw.drawn.length, 3);
+            assert.deepStrictEqual([carolDraw.discardCount, carolDraw.discarded], [0, null]);
+            assert.equal(history.draws[1].players.find(p => p.discardCount === 1).discarded, null, 'Carol\'s discard stays hidden');
+            assert.ok(history.players.find(p => p.name === 'Bob').openingHand, 'Bob sees his opening hand');
+            assert.equal(history.players.find(p => p.name === 'Alice').openingHand, null, 'Bob cannot see Alice\'s opening hand');
+            const text = bob.evaluate(`HandHistory.formatHand(${JSON.stringify(history)})`);
+            assert.match(text, /^Edge the Dealer Hand #\S+: Triple Draw/);
+            assert.match(text, /Bob: discards 3 cards \[\w\w \w\w \w\w\]/);
+            assert.ok(text.includes('Carol: stands pat'), 'Carol stood pat in round 1');
+            assert.ok(text.includes('Carol: discards 1 card\n'), 'Carol\'s round 2 discard is only a count');
+
+            // Bob's replay follows his own cards through each draw
+            bob.click('#replay-hand-btn');
+            const steps = plain(bob.controller.replay.steps);
+            assert.deepStrictEqual(steps.map(step => step.label), ['Deal', 'Draw 1 of 3', 'Draw 2 of 3', 'Draw 3 of 3', 'Showdown']);
+            const cardIds = cards => cards.map(card => `${card.rank}${card.suit}`).sort();
+            const bobAt = step => steps[step].state.players.find(p => p.id === bob.id).holeCards;
+            assert.deepStrictEqual(cardIds(bobAt(0)), cardIds(bobBefore), 'replay deals Bob his opening hand');
+            assert.deepStrictEqual(cardIds(bobAt(1)), cardIds(bobAfter), 'replay draws Bob his first-round cards');
+            assert.equal(bobAt(1).length, 5);
+            assert.equal(steps[1].state.players.find(p => p.name === 'Alice').holeCards, null, 'Alice\'s cards stay unknown mid-hand');
+            for (let i = 0; i < steps.length - 1; i++) bob.click('#replay-forward');
+            assert.match(bob.$('#replay-step').textContent, /^Showdown \(5\/5\)/);
+            assert.equal(bob.$('#replay-forward').disabled, true, 'no step after the showdown');
+            assert.equal(bob.document.querySelectorAll('#players-area .player-box.showdown').length, 3);
+            bob.click('#replay-close');
+            assert.equal(bob.controller.replay, null);
+            assert.ok(!bob.$('#game-screen').classList.contains('replaying'), 'back to the live table');
+        }
+    },
+
+    {
+        name: 'edge: the draw advisor scores every discard and fills in the best',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob] = pages;
+            await deal(sim, host, pages, 2);
+
+            await discard(sim, host, [0, 1]);
+            bob.click('#advice-toggle-btn');
+            await sim.waitFor(() => bob.controller.advice && bob.controller.advice.choices, 'the round 1 advice');
+            const choices = plain(bob.controller.advice.choices);
+            assert.equal(choices.length, 32, 'every subset of five cards');
+            assert.equal(new Set(choices.map(c => c.slots.join(','))).size, 32);
+            for (let i = 1; i < choices.length; i++) {
+                assert.ok(choices[i - 1].ev >= choices[i].ev, 'best EV first');
+            }
+            for (const choice of choices) {
+                assert.ok(choice.lowestChance <= choice.beatChance && choice.lowestChance <= choice.winChance);
+                assert.ok(choice.winChance <= 1 && choice.ev >= -1);
+            }
+            assert.equal(bob.document.querySelectorAll('#draw-advice .advice-option').length, 3, 'top three shown');
+
+            bob.click('#draw-advice .advice-option');
+            assert.deepStrictEqual([...bob.controller.selectedDiscards].sort(), choices[0].slots, 'the best line is selected');
+            bob.click('#confirm-discards-btn');
+            await sim.settle();
+            assert.ok(bob.$('#draw-advice').classList.contains('hidden'), 'advice hides once Bob has confirmed');
+
+            await discard(sim, pages[2], []);
+            await sim.waitFor(() => bob.state.currentDrawRound === 2 && bob.controller.advice.key.endsWith(':2') && bob.controller.advice.choices, 'the round 2 advice');
+        }
+    },
+
+    {
+        name: 'edge: the advisor never deals your own discards to another player',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob] = pages;
+            await deal(sim, host, pages, 2);
+            await drawRound(sim, host, pages, [[0, 1, 2], [0, 1, 2, 3, 4], []]);
+
+            const thrown = plain(host.game.handRecord.draws[0].players.find(p => p.playerId === bob.id).discarded);
+            const me = bob.state.players.find(p => p.id === bob.id);
+            assert.deepStrictEqual(plain(me.pileDiscards), thrown, 'Bob sees the cards he threw lying in the pile');
+            assert.ok(bob.state.players.every(p => p.id === bob.id || p.pileDiscards === null), 'but not what anyone else threw');
+
+            // Before the pile is reshuffled, Bob's discards can only come back as draws
+            const advisor = bob.controller.advisor;
+            const opponentHands = [];
+            const pickDiscards = advisor.pickDiscards.bind(advisor);
+            advisor.pickDiscards = (hand, ...rest) => {
+                opponentHands.push([...hand]);
+                return pickDiscards(hand, ...rest);
+            };
+            advisor.advise(bob.controller.getDrawView(bob.state, bob.id), { samples: 20 });
+            advisor.pickDiscards = pickDiscards;
+
+            const cardId = bob.window.Poker.getCardId;
+            const thrownIds = new Set(thrown.map(cardId));
+            assert.ok(opponentHands.length > 0);
+            assert.ok(opponentHands.every(hand => hand.every(card => !thrownIds.has(cardId(card)))),
+                'no play-out deals Bob\'s discards into another hand');
+        }
+    },
+
+    {
+        name: 'edge: a Badugi variant with jokers wild and nine dealer cards deals and settles',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            const pick = (id, value) => {
+                const el = host.$(`#${id}`);
+                el.value = value;
+                el.dispatchEvent({ type: 'change' });
+            };
+
+            pick('dealer-card-count', '9');
+            assert.equal(host.$('#player-count').textContent, '(2/8)', 'nine dealer cards leave 43 cards for five-card hands');
+            pick('wild-cards', 'jokers');
+            pick('hand-target', 'badugi');
+            assert.equal(host.$('#player-count').textContent, '(2/11)', 'two jokers and four-card hands seat eleven');
+
+            await deal(sim, host, pages, 2);
+            assertUniqueCards(allDealtCards(host.game), 'opening deal');
+            assert.equal(host.game.dealerCards.length, 9, 'dealer gets nine cards');
+            assert.ok(host.game.players.every(p => p.holeCards.length === 4), 'Badugi hands have four cards');
+            assert.equal(bob.document.querySelectorAll('#hole-cards .card-slot').length, 4);
+            assert.equal(bob.$('#dealer-label').textContent, 'Dealer (9 Cards)');
+            const best = bob.evaluate(`Poker.evaluateBestHand(gameController.currentState.dealerCards, gameController.currentState.variant)`);
+            assert.equal(plain(bob.state.dealerBestHand).name, plain(best).name, 'Bob sees the dealer\'s best Badugi');
+
+            bob.click('#advice-toggle-btn');
+            await sim.waitFor(() => bob.controller.advice && bob.controller.advice.choices, 'the Badugi advice');
+            assert.equal(bob.controller.advice.choices.length, 16, 'every subset of four cards');
+
+            await drawRound(sim, host, pages, [[0], [1, 2]]);
+            await drawRound(sim, host, pages, [[], [3]]);
+            await sim.waitFor(() => pages.every(p => p.state.phase === 'results'), 'the showdown');
+            await sim.settle(200);
+            assertZeroSum(host.game.players, 'after the hand');
+            assertShuffleVerified(pages);
+            assertSerializeRoundTrip(host, 'EdgeTheDealerGame');
+
+            const text = bob.evaluate(`HandHistory.formatHand(${JSON.stringify(plain(bob.controller.getNamedHandHistory(bob.state)))})`);
+            assert.ok(text.includes('Variant: 9 dealer cards · Two jokers wild · Badugi'), 'the history names the variant');
+
+            // Wild cards fill in the best hand for each target
+            const cards = list => list.map(([rank, suit]) => ({ rank, suit }));
+            const hand = (list, variant) => plain(host.evaluate(`Poker.evaluateHand(${JSON.stringify(cards(list))}, ${JSON.stringify(variant)})`)).name;
+            assert.equal(hand([['A', 'h'], ['A', 'd'], ['A', 's'], ['A', 'c'], ['X', 'r']], { wild: 'jokers' }), 'Five of a Kind');
+            assert.equal(hand([['7', 'h'], ['5', 'd'], ['4', 's'], ['3', 'c'], ['2', 'h']], { target: 'deuce-seven' }), '7-5-4-3-2');
+            assert.equal(hand([['4', 'h'], ['3', 'd'], ['A', 's'], ['2', 'h']], { target: 'badugi', wild: 'deuces' }), '4-3-2-A Badugi');
+        }
+    },
+
+    {
+        name: 'edge: wild cards fill in the same best hand as trying every rank, and a deal the variant can\'t seat changes nothing',
+        async run(sim) {
+            const page = sim.open('Alice');
+            const { Poker, EdgeTheDealerGame } = page.window;
+
+            // Every rank for every wild card, in the wild cards' suit, as the reference
+            const tryEveryFill = (naturals, wildCount, target, suit) => {
+                const evaluate = target === 'deuce-seven' ? Poker.evaluateDeuceToSeven : Poker.evaluate5CardHand;
+                let best = null;
+                const fillFrom = (from, ranks) => {
+                    if (ranks.length === wildCount) {
+                        const hand = evaluate([...naturals, ...ranks.map(rank => ({ rank, suit }))]);
+                        if (!best || Poker.compareTargetHands(hand, best, target) > 0) best = hand;
+                        return;
+                    }
+                    for (let i = from; i < Poker.RANKS.length; i++) fillFrom(i, [...ranks, Poker.RANKS[i]]);
+                };
+                fillFrom(0, []);
+                return best;
+            };
+            const deuces = Poker.SUITS.map(suit => ({ rank: '2', suit }));
+            const naturalDeck = Poker.createDeck().filter(card => card.rank !== '2');
+            let seed = 7;
+            const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+            for (const target of ['high', 'deuce-seven']) {
+                for (let wildCount = 1; wildCount <= 4; wildCount++) {
+                    for (let i = 0; i < 150; i++) {
+                        let naturals = Poker.shuffleDeck([...naturalDeck], random).slice(0, 5 - wildCount);
+                        if (i % 3 === 0) naturals = naturals.map(card => ({ ...card, suit: 'h' })); // Suited, for flushes
+                        const suited = naturals.every(card => card.suit === naturals[0].suit);
+                        const suit = target === 'deuce-seven' ? Poker.SUITS.find(s => !suited || s !== naturals[0].suit) : naturals[0].suit;
+                        const hand = Poker.evaluateHand([...naturals, ...deuces.slice(0, wildCount)], { wild: 'deuces', target });
+                        const expected = tryEveryFill(naturals, wildCount, target, suit);
+                        const label = `${target}: ${naturals.map(c => c.rank + c.suit).join(' ')} + ${wildCount} wild`;
+                        assert.equal(hand.name, expected.name, label);
+                        assert.equal(Poker.compareTargetHands(hand, expected, target), 0, label);
+                    }
+                }
+            }
+
+            // Nine players, then nine dealer cards: the deck only deals eight, and the refused deal changes nothing
+            const game = new EdgeTheDealerGame();
+            game.initGame(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'], 1);
+            game.queuePlayer('j');
+            game.setBankroll({ buyIn: 10 });
+            game.setVariant({ dealerCards: 9, wild: 'none', target: 'high' });
+            const before = plain(game.serialize());
+            assert.throws(() => game.startHand(), /Too many active players for a single deck \(8 max\)/);
+            assert.deepStrictEqual(plain(game.serialize()), before, 'the refused deal leaves the game as it was');
+        }
+    },
+
+    {
+        name: 'edge: a heads-up tournament plays rising antes until one stack is left',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            const format = host.$('#format-select');
+            format.value = 'tournament';
+            format.dispatchEvent({ type: 'change' });
+            assert.equal(host.$('#base-bet-label').textContent, 'Starting Ante:');
+            host.$('#starting-stack').value = '2';
+            host.$('#base-bet').value = '1';
+            host.$('#level-length').value = '1';
+
+            for (let hand = 1; hand <= 20 && !(host.state?.tournament?.over); hand++) {
+                await deal(sim, host, pages, 1);
+                assert.equal(host.game.baseBet, host.game.tournament.anteFor(Math.min(hand - 1, 12)), `hand ${hand} antes at level ${hand}`);
+                assert.match(bob.$('#tournament-bar').textContent, new RegExp(`^Level ${Math.min(hand, 13)} · `));
+                await drawRound(sim, host, pages, [[0], []]);
+                await sim.waitFor(() => pages.every(p => p.state.phase === 'results'), 'the showdown');
+                await sim.settle(200);
+                assertZeroSum(host.game.players, `after tournament hand ${hand}`);
+            }
+
+            const { standings, over } = host.state.tournament;
+            assert.ok(over, 'one player is left');
+            assert.equal(standings[1].outInHand, host.state.tournament.handsPlayed, 'the loser went out in the last hand');
+            assert.equal(standings[0].stack, 4, 'the winner holds every chip');
+            assert.ok(!bob.$('#standings-modal').classList.contains('hidden'), 'Bob sees the standings');
+            assert.ok(host.$('#host-showdown-controls').classList.contains('hidden'), 'there is no next hand');
+            assertSerializeRoundTrip(host, 'EdgeTheDealerGame');
+        }
+    },
+
+    {
+        name: 'edge: with buy-ins a short bot rebuys on its own and a stop-loss sits a player out',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            host.$('#bot-level').value = 'basic';
+            host.click('#add-bot-btn');
+            const format = host.$('#format-select');
+            format.value = 'buy-in';
+            format.dispatchEvent({ type: 'change' });
+            host.$('#buy-in').value = '2';
+            host.$('#buy-in-cap').value = '4';
+            host.$('#base-bet').value = '1';
+
+            await deal(sim, host, pages, 1);
+            assert.equal(bob.$('#my-pnl-label').textContent, 'Stack: ');
+            assert.equal(bob.$('#my-pnl').textContent, '$2');
+            await drawRound(sim, host, pages, [[0], []]);
+            await sim.waitFor(() => pages.every(p => p.state.phase === 'results'), 'the first showdown');
+            assertZeroSum(host.game.players, 'after the first buy-in hand');
+
+            // The bot can't cover the bet, so it buys in again before the deal
+            const bot = host.game.players.find(p => host.multiplayer.isBot(p.id));
+            const alice = host.game.players.find(p => p.id === host.id);
+            alice.pnl += bot.pnl + 1.5;
+            bot.pnl = -1.5;
+            await deal(sim, host, pages, 1);
+            assert.ok(host.game.players.some(p => p.id === bot.id), 'the bot plays on');
+            assert.equal(bob.state.bankroll.accounts[bot.id].stack, 2.5);
+            assert.ok(bob.logEntries().some(e => e.includes('Bot 1 rebuys for $2')));
+
+            // Bob plays until his stop-loss or stop-win, then sits out from the next hand
+            for (const id of ['stop-loss', 'stop-win']) {
+                const input = bob.$(`#${id}`);
+                input.value = '0.01';
+                input.dispatchEvent({ type: 'change' });
+            }
+            for (let hand = 1; hand <= 10 && !host.game.players.find(p => p.id === bob.id).sittingOut; hand++) {
+                if (hand > 1) await deal(sim, host, pages, 1);
+                await drawRound(sim, host, pages, [[0], []]);
+                await sim.waitFor(() => pages.every(p => p.state.phase === 'results'), `buy-in hand ${hand}`);
+                await sim.settle(200);
+            }
+            assert.ok(host.game.players.find(p => p.id === bob.id).sittingOut, 'Bob reached a limit');
+            assert.ok(host.logEntries().some(e => /Bob sits out at their stop-(loss|win)/.test(e)));
+            await deal(sim, host, [host], 1);
+            assert.ok(host.multiplayer.isSpectator(bob.id), 'Bob watches');
+            assertZeroSum(host.game.getBankrollPlayers(), 'with Bob sitting out');
+            assertSerializeRoundTrip(host, 'EdgeTheDealerGame');
+        }
+    },
+
+    {
+        name: 'edge: a player who runs out of time on the shot clock keeps every card',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            host.$('#shot-clock').value = '15';
+            await deal(sim, host, pages, 1);
+            assert.equal(host.$(`#players-area [data-clock-player="${bob.id}"]`).textContent, '⏱ 15s');
+            const bobCards = plain(host.game.players.find(p => p.id === bob.id).holeCards);
+
+            // Bob picks a card to throw away, then never confirms
+            await discard(sim, host, [0]);
+            bob.click('#hole-cards .card-slot[data-slot="0"]');
+            await sim.waitFor(() => pages.every(p => p.state.phase === 'results'), 'Bob to run out of time', 20000);
+            assert.deepStrictEqual(plain(host.game.players.find(p => p.id === bob.id).holeCards), bobCards, 'Bob kept all five cards');
+            assert.ok(host.logEntries().some(e => e.includes('Bob ran out of time')));
+            assertZeroSum(host.game.players, 'after the timed hand');
+        }
+    },
+
+    {
+        name: 'edge: a dropped player keeps every card, then loses the seat once the grace period is over',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages, 1);
+            const bobId = bob.id;
+            const bobCards = plain(host.game.players.find(p => p.id === bobId).holeCards);
+
+            bob.close();
+            await drawRound(sim, host, [host, carol], [[0], []]);
+            assert.deepStrictEqual(plain(host.game.players.find(p => p.id === bobId).holeCards), bobCards, 'Bob kept all five cards');
+            assert.ok(carol.logEntries().some(e => e.includes('Bob is away - they keep every card')));
+            assertZeroSum(host.game.players, 'after the hand Bob missed');
+
+            // Nobody comes back with Bob's token: after five minutes the seat is given up
+            await sim.waitFor(() => !host.game.players.some(p => p.id === bobId), 'Bob\'s seat to be given up', 6 * 60 * 1000);
+            await sim.settle();
+            assert.ok(!host.multiplayer.disconnectedPlayers.has(bobId));
+            assert.ok(!carol.multiplayer.getPlayer(bobId), 'Carol no longer knows Bob');
+            assert.ok(!host.multiplayer.playerOrder.includes(bobId));
+        }
+    },
+
+    {
+        name: 'edge: offline, a solo hand against the bank runs on this device',
+        async run(sim) {
+            const host = sim.open('Alice');
+            host.window.navigator.onLine = false;
+            host.multiplayer.transportOptions = { type: 'peerjs' };
+            host.fill('#player-name', 'Alice');
+            host.click('#start-join-btn');
+            await sim.waitFor(() => host.controller.currentScreen === 'lobby', 'Alice to open an offline room');
+            assert.ok(host.multiplayer.offline, 'the room lives on this device');
+
+            await deal(sim, host, [host], 2);
+            await drawRound(sim, host, [host], [[0, 1]]);
+            await drawRound(sim, host, [host], [[]]);
+            assert.equal(host.state.phase, 'results');
+            assert.equal(Math.abs(host.game.players[0].pnl), 1, 'solo play wins or loses the bet against the bank');
+
+            assertPrecached(host, 'edge-the-dealer');
+        }
+    },
+
+    {
+        name: 'edge: sound cues follow the hand and the settings survive a reload',
+        async run(sim) {
+            let host = await sim.host('Alice');
+            const heard = listenForSound(host);
+            host.click('#sound-toggle-btn');
+            assert.equal(host.$('#sound-toggle-btn').textContent, '🔊');
+
+            await deal(sim, host, [host], 2);
+            await drawRound(sim, host, [host], [[0]]);
+            assert.deepEqual(heard, ['deal', 'discard', 'confirm', 'round']);
+
+            // Mute discards and turn the volume down from the settings
+            host.click('#sound-settings-btn');
+            const discardCue = host.$('#sound-events [data-sound-event="discard"]');
+            assert.ok(discardCue.checked, 'every cue starts on');
+            discardCue.checked = false;
+            discardCue.dispatchEvent({ type: 'change' });
+            host.$('#sound-volume').value = '30';
+            host.$('#sound-volume').dispatchEvent({ type: 'change' });
+            host.click('#close-sound');
+
+            heard.length = 0;
+            await drawRound(sim, host, [host], [[1]]);
+            assert.equal(heard[0], 'confirm', 'a muted cue is silent');
+            const myResult = host.state.results[0];
+            assert.equal(heard[1], myResult.beatsDealer ? 'qualify' : 'foul');
+            assert.equal(heard.includes('win'), myResult.isWinner);
+
+            host = host.reload();
+            await sim.settle();
+            assert.equal(host.$('#sound-toggle-btn').textContent, '🔊', 'sound stays on after a reload');
+            assert.ok(host.controller.sound.isMuted('discard'));
+            assert.equal(host.controller.sound.settings.volume, 0.3);
+            host.click('#sound-settings-btn');
+            assert.equal(host.$('#sound-events [data-sound-event="discard"]').checked, false);
+            assert.equal(host.$('#sound-unavailable').classList.contains('hidden'), false, 'no Web Audio here, and the settings say so');
+        }
+    },
+
+    {
+        name: 'edge: bots draw on their own and the new host keeps running them',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            for (const level of ['basic', 'optimal']) {
+                host.$('#bot-level').value = level;
+                host.click('#add-bot-btn');
+            }
+            await sim.settle();
+            assert.equal(carol.$('#player-count').textContent, '(5/9)', 'bots count toward the seats');
+
+            await deal(sim, host, pages, 1);
+            assert.equal(host.game.players.length, 5, 'bots are dealt in');
+
+            // Alice confirms, then her tab goes away before either bot has drawn
+            await discard(sim, host, [0]);
+            host.close();
+            await sim.waitFor(() => bob.multiplayer.isHost && bob.game.deck.length > 0, 'Bob to take over', 60000);
+            assert.ok(bob.game.players.filter(p => p.id.startsWith('bot-')).every(p => !p.hasConfirmed), 'the bots were still to draw');
+            await sim.waitFor(() => carol.multiplayer.hostId === bob.id && carol.multiplayer.hostConnection?.open, 'Carol to follow Bob');
+            await sim.settle(200);
+
+            await discard(sim, bob, [1]);
+            await discard(sim, carol, []);
+            await sim.waitFor(() => [bob, carol].every(p => p.state?.phase === 'results'), 'Bob to run the bots to the showdown');
+            assert.match(carol.$('#players-area').textContent, /Bot 2/);
+            assertUniqueCards(allDealtCards(bob.game), 'hands with bots');
+            assertZeroSum(bob.game.players, 'after the hand with bots');
+        }
+    },
+
+    {
+        name: 'edge: host migration mid-draw keeps the deck and discards',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages, 2);
+            await drawRound(sim, host, pages, [[0, 1], [2], [3, 4]]);
+
+            // Alice confirms the last draw, then her tab goes away
+            await discard(sim, host, [0]);
+            const before = plain(host.game.serialize());
+            host.close();
+
+            await sim.waitFor(() => bob.multiplayer.isHost && bob.game.deck.length > 0, 'Bob to take over', 60000);
+            const after = plain(bob.game.serialize());
+            for (const key of ['players', 'deck', 'discardPile', 'dealerCards', 'currentDrawRound']) {
+                assert.deepStrictEqual(after[key], before[key], `migrated ${key}`);
+            }
+            await sim.waitFor(() => carol.multiplayer.hostId === bob.id && carol.multiplayer.hostConnection?.open, 'Carol to follow Bob');
+            await sim.settle(200);
+
+            // The draw needs the migrated deck: every discard is replaced from it
+            await discard(sim, bob, [1, 2]);
+            await discard(sim, carol, [0, 1, 2]);
+            await sim.waitFor(() => [bob, carol].every(p => p.state?.phase === 'results'), 'the showdown after migration');
+            assertUniqueCards(allDealtCards(bob.game), 'hands after migration');
+            assert.ok(bob.game.players.every(p => p.holeCards.length === 5 && p.holeCards.every(Boolean)), 'every discard was replaced');
+            assertZeroSum(bob.game.players, 'after the hand');
+        }
+    }
+];
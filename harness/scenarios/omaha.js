@@ -0,0 +1,1221 @@
+/**
+ * Headless harness - Ultimate Omaha scenarios
+ */
+
+const assert = require('assert/strict');
+const { plain, assertUniqueCards, assertZeroSum, assertSerializeRoundTrip, assertShuffleVerified, assertPrecached, listenForSound } = require('../helpers');
+
+// ============ DRIVERS ============
+
+async function seatTable(sim, names) {
+    const host = await sim.host(names[0]);
+    const clients = [];
+    for (const name of names.slice(1)) {
+        clients.push(await sim.join(name, host));
+    }
+    return [host, ...clients];
+}
+
+/**
+ * Host clicks Start Game (first hand) or Next Hand; wait until every page sees the new deal
+ */
+async function deal(sim, host, pages) {
+    const previous = host.game.shuffleId;
+    host.click(host.controller.gameStarted ? '#next-hand-btn' : '#start-game-btn');
+    await sim.waitFor(
+        () => pages.every(p => p.state && p.state.phase === 'preflop' && p.state.shuffleId && p.state.shuffleId !== previous),
+        'the hand to be dealt'
+    );
+}
+
+/**
+ * Each page presses one button ('check' or 'double'); actions[i] belongs to pages[i]
+ */
+async function act(sim, pages, actions) {
+    for (let i = 0; i < pages.length; i++) {
+        pages[i].click(`#${actions[i] || 'check'}-btn`);
+        await sim.settle();
+    }
+}
+
+async function playOut(sim, host, pages, actions = []) {
+    await act(sim, pages, actions);
+    await sim.waitFor(() => host.game.phase === 'flop', 'the flop');
+    await act(sim, pages, []);
+    await sim.waitFor(() => pages.every(p => p.state && p.state.phase === 'results'), 'the showdown');
+    await sim.settle(200);
+}
+
+function allDealtCards(game) {
+    return [...game.players.flatMap(p => p.holeCards), ...game.board1, ...game.board2];
+}
+
+// ============ SCENARIOS ============
+
+module.exports = [
+    {
+        name: 'omaha: three players play two hands that settle to zero',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob] = pages;
+
+            await deal(sim, host, pages);
+            assertUniqueCards(allDealtCards(host.game), 'first deal');
+            for (const page of pages) {
+                const me = page.state.players.find(p => p.id === page.id);
+                assert.equal(me.holeCards.length, 4, `${page.name} has four hole cards`);
+                const others = page.state.players.filter(p => p.id !== page.id);
+                assert.ok(others.every(p => p.holeCards.every(c => c.faceDown)), `${page.name} cannot see other hands before showdown`);
+            }
+
+            await playOut(sim, host, pages, ['double', 'check', 'double']);
+            assertZeroSum(host.game.players, 'after hand 1');
+            assertShuffleVerified(pages);
+            const hostResults = plain(host.state.results);
+            for (const page of pages.slice(1)) {
+                assert.deepStrictEqual(plain(page.state.results), hostResults, `${page.name} sees the host's results`);
+            }
+
+            const history = plain(bob.controller.getNamedHandHistory(bob.state));
+            assert.deepStrictEqual(history.players.map(p => p.name), ['Alice', 'Bob', 'Carol'], 'history seats');
+            assert.deepStrictEqual(history.actions.map(a => a.action), ['double', 'check', 'double', 'check', 'check', 'check']);
+            assert.deepStrictEqual(history.boards, plain([host.game.board1, host.game.board2]), 'history boards');
+            const text = bob.evaluate(`HandHistory.formatHand(${JSON.stringify(history)})`);
+            assert.match(text, /^Ultimate Omaha Hand #\S+: Double Board \(\$1\.00 base bet\)/);
+            assert.match(text, /Alice: doubles to \$2\.00/);
+            assert.ok(text.includes('*** SUMMARY ***'), 'history text has a summary');
+
+            // Bob replays the hand street by street; the next deal closes the replay
+            bob.click('#replay-hand-btn');
+            assert.ok(bob.$('#game-screen').classList.contains('replaying'), 'replay opens on the game screen');
+            assert.match(bob.$('#replay-step').textContent, /^Preflop \(1\/3\)/);
+            assert.ok(bob.$('#board-1 .card-slot .card').classList.contains('face-down'), 'no board cards preflop');
+            assert.equal(bob.$('#replay-back').disabled, true);
+            bob.click('#replay-forward');
+            assert.match(bob.$('#replay-step').textContent, /^Flop/);
+            assert.ok(!bob.$('#board-1 .card-slot .card').classList.contains('face-down'), 'the flop is showing');
+            bob.click('#replay-forward');
+            assert.match(bob.$('#replay-step').textContent, /^Showdown/);
+            assert.equal(bob.$('#replay-forward').disabled, true, 'no step after the showdown');
+            assert.equal(bob.document.querySelectorAll('#players-area .player-box.showdown').length, 3);
+
+            await deal(sim, host, pages);
+            assert.equal(bob.controller.replay, null, 'a new hand closes the replay');
+            assert.ok(!bob.$('#game-screen').classList.contains('replaying'));
+            await playOut(sim, host, pages, ['check', 'double', 'check']);
+            assertZeroSum(host.game.players, 'after hand 2');
+            assertSerializeRoundTrip(host, 'UltimateOmahaGame');
+        }
+    },
+
+    {
+        name: 'omaha: host rejects replayed and spoofed actions',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages);
+
+            bob.click('#check-btn');
+            await sim.settle();
+            const bobBefore = plain(host.game.players.find(p => p.id === bob.id));
+
+            // Same sequence number again, now asking to double
+            bob.multiplayer.sendToHost({
+                type: 'action',
+                action: 'double',
+                seq: bob.multiplayer.messageSequence,
+                phaseTag: bob.multiplayer.lastPhaseTag
+            });
+            // Bob acting in Carol's name
+            bob.multiplayer.sendPlayerMessage({ type: 'action', action: 'double', playerId: carol.id });
+            await sim.settle();
+
+            assert.deepStrictEqual(plain(host.game.players.find(p => p.id === bob.id)), bobBefore, 'replay changed Bob');
+            assert.equal(host.game.players.find(p => p.id === carol.id).hasActed, false, 'spoof acted for Carol');
+            const rejected = host.logEntries().filter(e => e.includes('Rejected message from Bob'));
+            assert.equal(rejected.length, 2, 'host logs both rejections');
+
+            // The real players can still finish the hand
+            host.click('#check-btn');
+            carol.click('#check-btn');
+            await sim.waitFor(() => host.game.phase === 'flop', 'the flop');
+            await act(sim, pages, []);
+            await sim.waitFor(() => host.game.phase === 'results', 'the showdown');
+            assertZeroSum(host.game.players, 'after the hand');
+        }
+    },
+
+    {
+        name: 'omaha: each player joins under their own key and forged or tampered actions are rejected',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+
+            const identities = pages.map(page => page.multiplayer.identity.id);
+            assert.equal(new Set(identities).size, 3, 'every browser has its own key');
+            for (const page of pages) {
+                assert.equal(host.multiplayer.players.get(page.id).identity, page.multiplayer.identity.id, `host verified ${page.name}`);
+            }
+            const badges = bob.document.querySelectorAll('#lobby-players .identity-badge').map(badge => badge.textContent);
+            assert.deepStrictEqual(badges, identities.map(id => `#${id.slice(0, 6)}`), 'the lobby shows each fingerprint');
+
+            await deal(sim, host, pages);
+            const actionText = bob.evaluate('Identity.actionText');
+            const message = { type: 'action', action: 'check', seq: bob.multiplayer.messageSequence + 1, phaseTag: bob.multiplayer.lastPhaseTag };
+
+            // Bob signs a check, then changes it to a double
+            const signature = await bob.multiplayer.identity.sign(actionText(bob.multiplayer.roomCode, bob.id, message));
+            bob.multiplayer.sendToHost({ ...message, action: 'double', signature });
+            // Carol's key signing for Bob's seat
+            const forged = await carol.multiplayer.identity.sign(actionText(bob.multiplayer.roomCode, bob.id, message));
+            bob.multiplayer.sendToHost({ ...message, signature: forged });
+            await sim.settle();
+
+            assert.equal(host.game.players.find(p => p.id === bob.id).hasActed, false, 'no forged action counted');
+            const rejected = host.logEntries().filter(e => e.includes('Rejected message from Bob'));
+            assert.equal(rejected.length, 2, 'host logs both rejections');
+            assert.ok(rejected.every(e => e.includes('not signed with the player\'s key')), rejected.join('; '));
+
+            // Bob's own signed actions still go through
+            await act(sim, pages, ['check', 'check', 'check']);
+            await sim.waitFor(() => host.game.phase === 'flop', 'the flop');
+        }
+    },
+
+    {
+        name: 'omaha: a private room checks the password, lets in only who the host approves and keeps banned players out',
+        async run(sim) {
+            const host = await sim.host('Alice');
+            const pick = (id, value) => {
+                const el = host.$(`#${id}`);
+                el.value = value;
+                el.dispatchEvent({ type: 'change' });
+            };
+            pick('room-password', 'hunter2');
+            pick('join-approval', 'knock');
+
+            // No password, then the wrong one: turned away before they can knock
+            const nobody = await sim.join('Mallory', host, { admitted: false });
+            const guesser = await sim.join('Trudy', host, { password: 'hunter3', admitted: false });
+            for (const page of [nobody, guesser]) {
+                assert.equal(page.controller.currentScreen, 'menu', `${page.name} is back on the menu`);
+                assert.equal(page.multiplayer.peer, null, `${page.name} left the room`);
+            }
+            assert.equal(host.multiplayer.knocking.size, 0);
+            assert.deepStrictEqual(Array.from(host.multiplayer.players.keys()), [host.id], 'nobody got in');
+
+            // The right password only gets them as far as the door
+            const bob = await sim.join('Bob', host, { password: 'hunter2', admitted: false });
+            const carol = await sim.join('Carol', host, { password: 'hunter2', admitted: false });
+            assert.deepStrictEqual(Array.from(host.multiplayer.knocking.keys()), [bob.id, carol.id]);
+            assert.match(host.$('.join-request').textContent, /Bob #\w{6} wants to join/);
+            host.click(`[data-approve-join="${bob.id}"]`);
+            host.click(`[data-deny-join="${carol.id}"]`);
+            await sim.settle();
+            assert.ok(host.multiplayer.players.has(bob.id), 'Bob is let in');
+            assert.equal(bob.multiplayer.players.size, 2, 'Bob sees the room');
+            assert.equal(carol.controller.currentScreen, 'menu', 'Carol is sent away');
+            assert.ok(host.$('.join-requests').classList.contains('hidden'), 'nobody is left knocking');
+
+            // Banned, Bob is shown out and his key can't get back in from a new tab
+            host.click(`[data-ban="${bob.id}"]`);
+            await sim.settle(6000);
+            assert.equal(bob.controller.currentScreen, 'menu', 'Bob is shown out');
+            assert.equal(bob.multiplayer.isHost, false, 'Bob does not take over the room he was shown out of');
+            assert.ok(!host.multiplayer.players.has(bob.id));
+            assert.match(host.$('#banned-list').textContent, /Banned: Bob/);
+            const bobAgain = await sim.join('Bob', host, { password: 'hunter2', admitted: false });
+            assert.equal(host.multiplayer.knocking.size, 0, 'a banned player never gets to knock');
+            assert.equal(bobAgain.controller.currentScreen, 'menu');
+            for (const page of [host, bob, carol, guesser]) {
+                assert.ok(!page.logs.some(line => /hunter[23]/.test(line)), `${page.name}'s console never shows a password`);
+            }
+            assert.ok(!host.logs.some(line => line.includes(host.multiplayer.backupKey)), 'nor the backup key');
+        }
+    },
+
+    {
+        name: 'omaha: a room turns away players from the other game or another version, and a stale session is ignored',
+        async run(sim) {
+            const host = await sim.host('Alice');
+            assert.equal(host.id, `ultimateomaha-${host.multiplayer.roomCode}`);
+
+            // Tabs that share the peer-id prefix but not the game (or the protocol version)
+            const knock = async (name, fields) => {
+                const page = sim.open(name);
+                Object.assign(page.multiplayer, fields);
+                page.fill('#player-name', name);
+                page.fill('#room-code-input', host.multiplayer.roomCode);
+                page.click('#start-join-btn');
+                await sim.waitFor(() => page.id, `${name} to reach the room`);
+                await sim.settle();
+                return page;
+            };
+            const edge = await knock('Bob', { game: 'edge-the-dealer' });
+            const stale = await knock('Carol', { protocolVersion: host.multiplayer.protocolVersion - 1 });
+            const ahead = await knock('Dave', { protocolVersion: host.multiplayer.protocolVersion + 1 });
+            const toasts = page => page.document.querySelectorAll('.toast').map(toast => toast.textContent).join(' ');
+            for (const page of [edge, stale, ahead]) {
+                assert.equal(page.controller.currentScreen, 'menu', `${page.name} is back on the menu`);
+                assert.equal(page.multiplayer.peer, null, `${page.name} left the room`);
+            }
+            assert.match(toasts(edge), /That room plays Ultimate Omaha, not Edge the Dealer/);
+            assert.match(toasts(stale), /newer version of the game - reload this page/);
+            assert.match(toasts(ahead), /older version of the game/);
+            assert.deepStrictEqual(Array.from(host.multiplayer.players.keys()), [host.id], 'nobody got in');
+
+            // The host's own session names its game; one from the other game is dropped, not restored
+            const session = JSON.parse(host.sessionStorage.getItem(host.multiplayer.sessionKey));
+            assert.equal(session.game, 'ultimate-omaha');
+            host.sessionStorage.setItem(host.multiplayer.sessionKey, JSON.stringify({ ...session, game: 'edge-the-dealer' }));
+            assert.equal(host.multiplayer.loadSession(), null);
+            assert.equal(host.sessionStorage.getItem(host.multiplayer.sessionKey), null, 'the stale session is cleared');
+        }
+    },
+
+    {
+        name: 'omaha: the odds panel prices check against double',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob] = pages;
+            await deal(sim, host, pages);
+
+            bob.click('#equity-toggle-btn');
+            await sim.waitFor(() => bob.controller.equity && bob.controller.equity.odds, 'the preflop odds');
+            const preflop = plain(bob.controller.equity.odds);
+            assert.equal(preflop.exact, false, 'preflop runouts are sampled');
+            assert.equal(preflop.runouts, 2000);
+            assert.ok(preflop.qualifyChance > 0 && preflop.qualifyChance <= 1);
+            assert.match(bob.$('#equity-summary').textContent, /^Qualify \d+\.\d%/);
+            const ev = plain(bob.evaluate(`Equity.decisionEV(${JSON.stringify(preflop)}, { currentBet: 1, totalBet: 1, playerCount: 3 })`));
+            assert.equal(ev.check.ev, 2 * preflop.edge, 'checking risks $1 against each of two opponents');
+            assert.equal(ev.double.ev, 2 * ev.check.ev);
+            assert.equal(ev.best, preflop.edge > 0 ? 'double' : 'check');
+
+            await act(sim, pages, ['check', 'double', 'check']);
+            await sim.waitFor(() => bob.state.phase === 'flop' && bob.controller.equity.key.endsWith(':flop') && bob.controller.equity.odds, 'the flop odds');
+            const flop = plain(bob.controller.equity.odds);
+            assert.equal(flop.exact, true, 'flop runouts are counted exactly');
+            assert.equal(flop.runouts, 861 * 780, 'every turn and river pair on both boards');
+            assert.match(bob.$('#equity-check').textContent, /^Check \$2: EV /, 'Bob doubled preflop, so checking keeps $2 in');
+            assert.match(bob.$('#equity-double').textContent, /^Double \$4: EV /);
+
+            // Known result: two aces in hand and one on each flop always qualify
+            const odds = plain(bob.evaluate(`Equity.analyzeRunouts(
+                [{ rank: 'A', suit: 's' }, { rank: 'A', suit: 'd' }, { rank: 'K', suit: 'h' }, { rank: 'Q', suit: 'h' }],
+                [[{ rank: 'A', suit: 'c' }, { rank: '7', suit: 'h' }, { rank: '2', suit: 'c' }],
+                 [{ rank: 'A', suit: 'h' }, { rank: '5', suit: 'd' }, { rank: '5', suit: 's' }]]
+            )`));
+            assert.equal(odds.qualifyChance, 1);
+            assert.ok(odds.expectedMultiplier >= 1);
+
+            bob.click('#check-btn');
+            await sim.settle();
+            assert.ok(bob.$('#equity-options').classList.contains('hidden'), 'no choice left once Bob has acted');
+        }
+    },
+
+    {
+        name: 'omaha: the host\'s rules profile reaches every player and settles the showdown',
+        async run(sim) {
+            const [host, bob] = await seatTable(sim, ['Alice', 'Bob']);
+            const rules = { qualifier: 'any', paytable: 'split-flush', combine: 'add' };
+            for (const [key, value] of Object.entries(rules)) {
+                host.$(`#rules-${key}-select`).value = value;
+                host.$(`#rules-${key}-select`).dispatchEvent({ type: 'change' });
+            }
+            await sim.settle();
+            assert.deepEqual(plain(bob.controller.rules), rules);
+
+            // Someone joining later is told the rules too
+            const carol = await sim.join('Carol', host);
+            await sim.settle();
+            assert.match(carol.$('#lobby-rules').textContent, /Any pair to qualify · Split straight\/flush paytable · boards add/);
+            assert.equal(carol.$('#rules-qualifier').textContent, 'Any pair or better');
+            assert.equal(carol.$('#rules-example').textContent, 'Example: Flush (3×) + Boat (3×) = 6× payout!');
+
+            const pages = [host, bob, carol];
+            await deal(sim, host, pages);
+            await playOut(sim, host, pages, ['double', 'check', 'check']);
+            assertZeroSum(host.game.players, 'under house rules');
+
+            // Every result is what the profile says, not the standard rules
+            const Poker = host.window.Poker;
+            for (const result of host.state.results) {
+                const player = host.game.players.find(p => p.id === result.playerId);
+                const hands = [host.game.board1, host.game.board2].map(board => Poker.evaluateOmahaHand(player.holeCards, board));
+                const qualifies = hands.every(hand => Poker.doesHandQualify(hand, rules));
+                assert.equal(result.qualifies, qualifies);
+                assert.equal(result.totalMultiplier, qualifies ? Poker.getMultiplier(hands[0], rules) + Poker.getMultiplier(hands[1], rules) : 0);
+            }
+            assert.deepEqual(plain(carol.state.rules), rules, 'the game state carries the rules');
+            assert.deepEqual(plain(host.state.handHistory.rules), rules, 'the hand history records them');
+
+            // A new host keeps playing by the same rules
+            host.close();
+            await sim.waitFor(() => bob.multiplayer.isHost && bob.game.phase === 'results', 'Bob to take over', 60000);
+            assert.deepEqual(plain(bob.game.rules), rules);
+        }
+    },
+
+    {
+        name: 'omaha: a player joining mid-hand is queued for the next one',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host] = pages;
+            await deal(sim, host, pages);
+
+            const dave = await sim.join('Dave', host);
+            await sim.waitFor(() => host.game.queuedPlayers.includes(dave.id), 'Dave to be queued');
+            assert.ok(!host.game.players.some(p => p.id === dave.id), 'Dave is not dealt into the running hand');
+            assert.equal(dave.state.phase, 'preflop', 'Dave sees the hand in progress');
+
+            await playOut(sim, host, pages);
+            const everyone = [...pages, dave];
+            await deal(sim, host, everyone);
+            assert.ok(host.game.players.some(p => p.id === dave.id), 'Dave is dealt in');
+            assert.equal(dave.state.players.find(p => p.id === dave.id).holeCards.length, 4);
+            assertUniqueCards(allDealtCards(host.game), 'deal with Dave');
+
+            await playOut(sim, host, everyone);
+            assertZeroSum(host.game.players, 'after Dave\'s first hand');
+            assertShuffleVerified(everyone);
+        }
+    },
+
+    {
+        name: 'omaha: bots take seats from the lobby and act on their own',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            host.multiplayer.maxSeats = 4;
+            for (const level of ['optimal', 'basic', 'random']) {
+                host.$('#bot-level').value = level;
+                host.click('#add-bot-btn');
+            }
+            await sim.settle();
+            assert.equal(host.multiplayer.getBots().length, 2, 'the third bot found the table full');
+            assert.match(host.$('#toast-container').textContent, /The table is full/);
+            assert.ok(!host.multiplayer.playerOrder.some(id => id.startsWith('bot-')), 'bots are never elected host');
+            assert.deepStrictEqual(plain(bob.multiplayer.getBots().map(b => [b.name, b.botLevel])), [['Bot 1', 'optimal'], ['Bot 2', 'basic']]);
+            assert.match(bob.$('#lobby-players').textContent, /optimal bot/);
+
+            // Bot 2 leaves; the next bot takes its name
+            host.click(`[data-remove-bot="${host.multiplayer.getBots()[1].id}"]`);
+            host.$('#bot-level').value = 'random';
+            host.click('#add-bot-btn');
+            await sim.settle();
+            assert.deepStrictEqual(plain(bob.multiplayer.getBots().map(b => [b.name, b.botLevel])), [['Bot 1', 'optimal'], ['Bot 2', 'random']]);
+
+            await deal(sim, host, pages);
+            assert.equal(host.game.players.length, 4, 'bots are dealt in');
+            assert.match(bob.$('#players-area').textContent, /Bot 1/);
+            await act(sim, pages, ['check', 'double']);
+            await sim.waitFor(() => host.game.phase === 'flop', 'the bots to act preflop');
+            await act(sim, pages, []);
+            await sim.waitFor(() => pages.every(p => p.state?.phase === 'results'), 'the bots to act on the flop');
+            await sim.settle(200);
+            assertZeroSum(host.game.players, 'after the hand with bots');
+            assertShuffleVerified(pages);
+        }
+    },
+
+    {
+        name: 'omaha: a tournament raises the ante each level, knocks out busted stacks and ends with standings',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            host.$('#bot-level').value = 'random';
+            host.click('#add-bot-btn');
+            const pick = (id, value) => {
+                const el = host.$(`#${id}`);
+                el.value = value;
+                el.dispatchEvent({ type: 'change' });
+            };
+            pick('format-select', 'tournament');
+            assert.equal(host.$('#base-bet-label').textContent, 'Starting Ante:');
+            assert.ok(!host.$('#starting-stack').closest('label').classList.contains('hidden'), 'the tournament settings show');
+            host.$('#starting-stack').value = '3';
+            host.$('#base-bet').value = '1';
+            host.$('#level-length').value = '1';
+            await sim.settle();
+
+            await deal(sim, host, pages);
+            assert.equal(bob.$('#tournament-bar').textContent, 'Level 1 · Ante $1 · Next $1.50 from hand 2 · 3 left');
+            assert.equal(bob.$('#my-pnl-label').textContent, 'Stack: ');
+            assert.match(bob.$('#players-area').textContent, /Stack: \$3/);
+
+            // Seats stay closed while the tournament runs
+            const carol = await sim.join('Carol', host);
+            await sim.waitFor(() => host.multiplayer.isSpectator(carol.id), 'Carol to be seated as a spectator');
+            assert.ok(!host.game.queuedPlayers.includes(carol.id), 'Carol is not queued for a seat');
+            carol.click('#spectator-controls .take-seat-btn');
+            await sim.settle();
+            assert.ok(carol.multiplayer.spectating, 'Carol may not take a seat mid-tournament');
+
+            const everyone = [...pages, carol];
+            const eliminated = [];
+            for (let hand = 1; hand <= 20 && !host.state.tournament.over; hand++) {
+                if (hand > 1) {
+                    await deal(sim, host, everyone);
+                    assert.ok(host.game.players.every(p => !eliminated.includes(p.id)), 'knocked-out players are not dealt in');
+                    assert.ok(eliminated.every(id => host.multiplayer.isSpectator(id)), 'knocked-out players watch');
+                }
+                const tournament = host.game.tournament;
+                assert.equal(host.game.baseBet, tournament.anteFor(Math.min(hand - 1, 12)), `hand ${hand} antes at level ${hand}`);
+                const seated = pages.filter(p => host.game.players.some(player => player.id === p.id));
+                await act(sim, seated, seated.map(() => 'double'));
+                await sim.waitFor(() => everyone.every(p => p.state?.phase === 'flop'), 'the flop');
+                await act(sim, seated, []);
+                await sim.waitFor(() => everyone.every(p => p.state?.phase === 'results'), 'the showdown');
+                await sim.settle(200);
+                // Knocked-out players leave the table, so count chips over the standings
+                const chips = host.state.tournament.standings.reduce((sum, e) => sum + e.stack, 0);
+                assert.ok(Math.abs(chips - 9) < 0.001, `after tournament hand ${hand}: ${chips} chips, not 9`);
+                assert.ok(host.state.tournament.standings.every(e => e.stack >= 0), `after tournament hand ${hand}: nobody loses chips they never had`);
+                eliminated.push(...host.state.tournament.standings.filter(e => e.outInHand === hand).map(e => e.id));
+            }
+
+            const final = host.state.tournament;
+            assert.ok(final.over, 'one player is left');
+            assert.equal(final.standings.length, 3);
+            assert.ok(final.standings.slice(1).every(e => e.stack === 0 && e.outInHand !== null), 'everyone else busted with nothing left');
+            for (const page of everyone) {
+                assert.ok(!page.$('#standings-modal').classList.contains('hidden'), `${page.name} sees the standings`);
+                assert.equal(page.document.querySelectorAll('#standings-list li').length, 3);
+            }
+            assert.ok(host.$('#host-showdown-controls').classList.contains('hidden'), 'there is no next hand');
+            assert.ok(bob.logEntries().some(e => e.includes('wins the tournament')));
+            assertSerializeRoundTrip(host, 'UltimateOmahaGame');
+
+            // A foul against two straights owes far more than a stack of 3: it pays what it has, which knocks it out
+            const capped = host.evaluate(`(() => {
+                const game = new UltimateOmahaGame();
+                game.setTournament({ startingStack: 3, startingAnte: 1 });
+                game.initGame(['a', 'b', 'c'], 1);
+                game.startHand();
+                const cards = text => text.split(' ').map(card => ({ rank: card[0], suit: card[1] }));
+                game.players[0].holeCards = cards('4c 5d 6h 7s');
+                game.players[1].holeCards = cards('As Ks 2d 2h');
+                game.players[2].holeCards = cards('Ah Kc 3d 3h');
+                game.board1 = cards('9s Tc Jd Kh Qs');
+                game.board2 = cards('9h Td Jc Kd Qc');
+                const results = game.resolveShowdown();
+                return {
+                    nets: results.map(r => r.netResult),
+                    stacks: game.players.map(p => game.tournament.stackOf(p)),
+                    eliminated: game.tournament.eliminated.map(entry => entry.id)
+                };
+            })()`);
+            assert.deepStrictEqual(plain(capped), { nets: [-3, 1.5, 1.5], stacks: [0, 4.5, 4.5], eliminated: ['a'] });
+        }
+    },
+
+    {
+        name: 'omaha: buy-ins cap losses at the stack, a busted player rebuys with the host\'s approval and a stop-loss sits a player out',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            const format = host.$('#format-select');
+            format.value = 'buy-in';
+            format.dispatchEvent({ type: 'change' });
+            assert.ok(!host.$('#buy-in').closest('label').classList.contains('hidden'), 'the buy-in settings show');
+            host.$('#buy-in').value = '5';
+            host.$('#buy-in-cap').value = '10';
+
+            await deal(sim, host, pages);
+            assert.equal(bob.$('#my-pnl-label').textContent, 'Stack: ');
+            assert.equal(bob.$('#my-pnl').textContent, '$5');
+            await playOut(sim, host, pages, ['double', 'double']);
+            assertZeroSum(host.game.players, 'after the first buy-in hand');
+            assert.ok(host.game.players.every(p => p.pnl >= -5), 'nobody loses more than the buy-in');
+
+            // Table stakes: a short stack pays each winner the same share of what it owes
+            const nets = plain(host.evaluate(`Bankroll.applyTableStakes(
+                [{ from: 'a', to: 'b', amount: 30 }, { from: 'a', to: 'c', amount: 10 }, { from: 'c', to: 'b', amount: 12 }],
+                { a: 10, b: 5, c: 5 })`));
+            assert.deepStrictEqual(nets, { a: -10, b: 15, c: -5 }, 'a pays a quarter of each debt, which leaves c short in turn');
+
+            // However the payments chain, nobody ends a hand below their stack and the table stays zero-sum
+            let seed = 20261019;
+            const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+            const cents = max => Math.floor(random() * max * 100) / 100;
+            for (let round = 0; round < 500; round++) {
+                const ids = Array.from({ length: 2 + Math.floor(random() * 6) }, (_, i) => `p${i}`);
+                const stacks = Object.fromEntries(ids.map(id => [id, (Math.floor(random() * 20000) + 1) / 100]));
+                const transfers = [];
+                for (const from of ids) {
+                    for (const to of ids) {
+                        if (from !== to && random() < 0.6) transfers.push({ from, to, amount: cents(300) });
+                    }
+                }
+                const fuzzNets = host.window.Bankroll.applyTableStakes(transfers, stacks);
+                for (const id of ids) {
+                    assert.ok(fuzzNets[id] >= -stacks[id], `round ${round}: ${id} nets ${fuzzNets[id]} on a ${stacks[id]} stack`);
+                }
+                const total = ids.reduce((sum, id) => sum + fuzzNets[id], 0);
+                assert.ok(Math.abs(total) < 0.005, `round ${round}: nets sum to ${total}`);
+            }
+
+            // Bob goes broke: he sits out at the next deal and can't sit down again until a rebuy
+            const bobPlayer = host.game.players.find(p => p.id === bob.id);
+            const alicePlayer = host.game.players.find(p => p.id === host.id);
+            alicePlayer.pnl += bobPlayer.pnl + 4.5;
+            bobPlayer.pnl = -4.5;
+            await deal(sim, host, pages);
+            assert.ok(host.multiplayer.isSpectator(bob.id), 'Bob watches');
+            assert.deepStrictEqual(plain(host.game.players.map(p => p.id)), [host.id], 'Alice plays alone');
+            assert.ok(bob.logEntries().some(e => e.includes('Bob can\'t cover the bet and sits out')));
+            bob.click('#spectator-controls .take-seat-btn');
+            await sim.settle();
+            assert.ok(bob.multiplayer.spectating, 'no seat without a rebuy');
+            assert.match(bob.$('#toast-container').textContent, /rebuy first/);
+
+            assert.ok(!bob.$('#spectator-controls .rebuy-btn').classList.contains('hidden'), 'Bob can rebuy');
+            bob.click('#spectator-controls .rebuy-btn');
+            await sim.waitFor(() => host.document.querySelector(`[data-approve-rebuy="${bob.id}"]`), 'the host to see the request');
+            assert.match(host.$('#rebuy-requests').textContent, /Bob asks to rebuy for \$5/);
+            host.click(`[data-approve-rebuy="${bob.id}"]`);
+            await sim.waitFor(() => bob.state.bankroll.accounts[bob.id].stack === 5.5, 'the rebuy to reach Bob');
+            assert.equal(bob.state.bankroll.accounts[bob.id].rebuy, 0, 'the cap leaves no more rebuys');
+            assert.ok(host.$('#rebuy-requests').classList.contains('hidden'));
+
+            bob.click('#spectator-controls .take-seat-btn');
+            await sim.waitFor(() => host.game.queuedPlayers.includes(bob.id), 'Bob to be seated for the next hand');
+            await act(sim, [host], ['check']);
+            await sim.waitFor(() => host.game.phase === 'flop', 'the flop');
+            await act(sim, [host], []);
+            await sim.waitFor(() => pages.every(p => p.state?.phase === 'results'), 'Alice\'s solo showdown');
+
+            // Bob is back where he left off, then stops at his stop-loss or stop-win
+            for (const id of ['stop-loss', 'stop-win']) {
+                const input = bob.$(`#${id}`);
+                input.value = '0.01';
+                input.dispatchEvent({ type: 'change' });
+            }
+            host.game.bankroll.boughtIn[host.id] = 100; // Alice is deep enough that only Bob's limits end the hands below
+            await deal(sim, host, pages);
+            assert.equal(host.game.players.find(p => p.id === bob.id).pnl, -4.5, 'Bob keeps his PnL');
+            for (let hand = 1; hand <= 10 && !host.game.players.find(p => p.id === bob.id)?.sittingOut; hand++) {
+                if (hand > 1) await deal(sim, host, pages);
+                await playOut(sim, host, pages, ['double', 'double']);
+                // Alice's solo hand against the bank left the PnL uneven, so check this hand's results
+                const net = host.state.results.reduce((sum, r) => sum + r.netResult, 0);
+                assert.ok(Math.abs(net) < 0.001, `buy-in hand ${hand} settles to zero, not ${net}`);
+            }
+            assert.ok(host.game.players.find(p => p.id === bob.id).sittingOut, 'Bob reached a limit');
+            assert.ok(bob.logEntries().some(e => /Bob sits out at their stop-(loss|win)/.test(e)));
+            assert.ok(bob.$('#stop-loss').value === '' || bob.$('#stop-win').value === '', 'the limit is spent');
+            await deal(sim, host, pages);
+            assert.ok(host.multiplayer.isSpectator(bob.id), 'Bob sits out from the next hand');
+            assertSerializeRoundTrip(host, 'UltimateOmahaGame');
+
+            // A stack of 3 covers one double of a 1 bet, not two; alone against the bank it still loses no more than the stack
+            const result = host.evaluate(`(() => {
+                const game = new UltimateOmahaGame();
+                game.initGame(['solo'], 1);
+                game.setBankroll({ buyIn: 3 });
+                game.startHand();
+                const cards = text => text.split(' ').map(card => ({ rank: card[0], suit: card[1] }));
+                const solo = game.players[0];
+                solo.holeCards = cards('2c 3d 4h 7s');
+                game.board1 = cards('9s Tc Jd Kh Qs');
+                game.board2 = cards('9h Td Jc Kd Qc');
+                const first = game.processAction('solo', 'double');
+                const second = game.processAction('solo', 'double');
+                solo.pnl = -2; // Down to a stack of 1 mid-hand
+                game.processAction('solo', 'check');
+                return { first: first.success, second, result: game.lastResults[0], pnl: solo.pnl };
+            })()`);
+            assert.ok(result.first, 'the first double is covered');
+            assert.deepStrictEqual(plain(result.second), { success: false, error: 'Your stack can\'t cover a double' });
+            assert.equal(result.result.netResult, -1, 'the foul costs the stack, not the whole bet');
+            assert.ok(result.result.tableStakes);
+            assert.equal(result.pnl, -3);
+        }
+    },
+
+    {
+        name: 'omaha: the shot clock counts down, runs into the time bank and checks for an idle player',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            host.$('#shot-clock').value = '15';
+            host.$('#time-bank').value = '30';
+            await deal(sim, host, pages);
+            assert.equal(bob.$('#my-shot-clock').textContent, '⏱ 15s');
+
+            // Alice checks; Bob walks away and his time bank starts after 15 seconds
+            host.click('#check-btn');
+            await sim.settle(16000);
+            assert.equal(host.game.phase, 'preflop', 'the table still waits for Bob');
+            assert.match(host.$(`#players-area [data-clock-player="${bob.id}"]`).textContent, /^⏱ 29s \(time bank\)$/);
+            await sim.waitFor(() => bob.state.phase === 'flop', 'Bob to run out of time', 30000);
+            assert.ok(bob.logEntries().some(e => e.includes('Bob ran out of time')), 'everyone sees the timeout');
+            assert.equal(host.game.players.find(p => p.id === bob.id).totalBet, host.game.baseBet, 'Bob checked');
+            assert.equal(host.game.shotClock.bankOf(bob.id), 0, 'the time bank is spent');
+
+            // On the flop Bob has only the shot clock left
+            assert.deepStrictEqual(plain(bob.state.shotClock.timeBanks), { [host.id]: 30, [bob.id]: 0 });
+            await act(sim, pages, []);
+            await sim.waitFor(() => pages.every(p => p.state?.phase === 'results'), 'the showdown');
+            assert.ok(bob.$('#my-shot-clock').classList.contains('hidden'), 'no clock at the showdown');
+            assertZeroSum(host.game.players, 'after the timed hand');
+            assertSerializeRoundTrip(host, 'UltimateOmahaGame');
+        }
+    },
+
+    {
+        name: 'omaha: offline, the host plays bots on this device and nobody can join',
+        async run(sim) {
+            // As on the live site: PeerJS by default, but the browser has no network
+            const host = sim.open('Alice');
+            host.window.navigator.onLine = false;
+            host.multiplayer.transportOptions = { type: 'peerjs' };
+            host.fill('#player-name', 'Alice');
+            host.click('#start-join-btn');
+            await sim.waitFor(() => host.controller.currentScreen === 'lobby', 'Alice to open an offline room');
+            assert.ok(host.multiplayer.offline, 'the room lives on this device');
+            assert.match(host.$('#toast-container').textContent, /Offline: play solo or add bots/);
+            assert.equal(JSON.parse(host.sessionStorage.getItem('ultimateomaha_session')).offline, true, 'a refresh stays offline');
+
+            const heard = listenForSound(host);
+            host.click('#sound-toggle-btn');
+            host.$('#bot-level').value = 'optimal';
+            host.click('#add-bot-btn');
+            await deal(sim, host, [host]);
+            host.click('#double-btn');
+            await sim.waitFor(() => host.game.phase === 'flop', 'the bot to act preflop');
+            host.click('#check-btn');
+            await sim.waitFor(() => host.state?.phase === 'results', 'the showdown against the bot');
+            assertZeroSum(host.game.players, 'offline hand against a bot');
+            assert.deepEqual(heard.slice(0, 4), ['deal', 'confirm', 'round', 'confirm']);
+            assert.ok(['qualify', 'foul'].includes(heard[4]), `the showdown has a cue: ${heard}`);
+
+            const bob = sim.open('Bob');
+            bob.window.navigator.onLine = false;
+            bob.multiplayer.transportOptions = { type: 'peerjs' };
+            bob.fill('#player-name', 'Bob');
+            bob.fill('#room-code-input', host.multiplayer.roomCode);
+            bob.click('#start-join-btn');
+            await sim.settle();
+            assert.match(bob.$('#toast-container').textContent, /You are offline/);
+            assert.equal(bob.controller.currentScreen, 'menu');
+
+            assertPrecached(host, 'ultimate-omaha');
+        }
+    },
+
+    {
+        name: 'omaha: a spectator watches without hole cards, then takes a seat',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host] = pages;
+            await deal(sim, host, pages);
+
+            const sam = await sim.join('Sam', host, { spectate: true });
+            await sim.waitFor(() => sam.state?.phase === 'preflop', 'Sam to see the hand in progress');
+            assert.ok(host.multiplayer.isSpectator(sam.id), 'Sam is a spectator');
+            assert.ok(!host.multiplayer.playerOrder.includes(sam.id), 'Sam is not in the host election order');
+            assert.ok(!host.game.queuedPlayers.includes(sam.id), 'Sam is not queued for a seat');
+            assert.ok(sam.state.players.every(p => p.holeCards.every(c => c.faceDown)), 'Sam sees no hole cards');
+            assert.ok(sam.$('#player-hand-area').classList.contains('hidden'), 'Sam has no hand area');
+
+            // Spectators cannot act, and hold no share of the host's backup
+            sam.multiplayer.sendPlayerMessage({ type: 'action', action: 'double' });
+            await sim.settle();
+            assert.ok(host.logEntries().some(e => e.includes('Rejected message from Sam: spectators cannot act')));
+            await act(sim, pages, ['double', 'check']);
+            await sim.waitFor(() => host.game.phase === 'flop', 'the flop');
+            assert.equal(sam.multiplayer.backupShare, null, 'Sam holds no backup share');
+
+            await act(sim, pages, []);
+            await sim.waitFor(() => sam.state?.phase === 'results', 'Sam to see the showdown');
+            assert.ok(sam.state.players.every(p => p.holeCards.every(c => !c.faceDown)), 'Sam sees every hand at results');
+
+            sam.click('#spectator-controls .take-seat-btn');
+            await sim.waitFor(
+                () => host.game.queuedPlayers.includes(sam.id) && !sam.multiplayer.spectating,
+                'Sam to be seated for the next hand'
+            );
+            assert.ok(!sam.$('#player-hand-area').classList.contains('hidden'), 'Sam has a hand area again');
+            assert.ok(sam.multiplayer.playerOrder.includes(sam.id), 'Sam is now in the host election order');
+
+            const everyone = [...pages, sam];
+            await deal(sim, host, everyone);
+            assert.equal(sam.state.players.find(p => p.id === sam.id).holeCards.length, 4, 'Sam is dealt in');
+            await playOut(sim, host, everyone);
+            assertZeroSum(host.game.players, 'after Sam\'s first hand');
+            assertShuffleVerified(everyone);
+        }
+    },
+
+    {
+        name: 'omaha: a client refreshing mid-hand keeps its seat and cards',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages);
+            const bobId = bob.id;
+            const bobCards = plain(host.game.players.find(p => p.id === bobId).holeCards);
+
+            const bob2 = bob.reload();
+            await sim.waitFor(
+                () => bob2.id === bobId && host.multiplayer.players.has(bobId) && bob2.state && bob2.state.phase === 'preflop',
+                'Bob to reconnect'
+            );
+            assert.deepStrictEqual(plain(bob2.state.players.find(p => p.id === bobId).holeCards), bobCards, 'Bob gets his cards back');
+
+            await playOut(sim, host, [host, bob2, carol], ['check', 'double', 'check']);
+            assertZeroSum(host.game.players, 'after the hand');
+        }
+    },
+
+    {
+        name: 'omaha: a dropped player is played for, then takes the seat and PnL back from a new tab',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages);
+            await playOut(sim, host, pages, ['double', 'double', 'check']);
+            await deal(sim, host, pages);
+            const bobId = bob.id;
+            const bobBefore = plain(host.game.players.find(p => p.id === bobId));
+
+            // Bob's browser goes away mid-hand; his seat stays in the hand and the table checks for him
+            bob.close();
+            await sim.settle(1000);
+            assert.ok(host.game.players.some(p => p.id === bobId), 'Bob keeps his seat');
+            assert.ok(carol.logEntries().some(e => e.includes('Bob dropped - their seat is held for 5 minutes')));
+            await act(sim, [host, carol], ['double', 'check']);
+            await sim.waitFor(() => carol.state.phase === 'flop', 'the table to play for Bob', 15000);
+            assert.ok(carol.logEntries().some(e => e.includes('Bob is away - the table checks for them')));
+            assert.ok(carol.logEntries().some(e => e.includes('Bob checks')), 'the log still knows Bob by name');
+
+            // Back in a new tab with a new peer id: the same browser's identity key reclaims the seat
+            const bob2 = await sim.join('Bob', host);
+            assert.notEqual(bob2.id, bobId, 'Bob has a new peer id');
+            await sim.waitFor(() => bob2.state?.phase === 'flop', 'Bob to see the hand in progress');
+            const bobAfter = plain(host.game.players.find(p => p.id === bob2.id));
+            assert.deepStrictEqual(bobAfter.holeCards, bobBefore.holeCards, 'Bob gets his cards back');
+            assert.equal(bobAfter.pnl, bobBefore.pnl, 'Bob gets his PnL back');
+            assert.ok(!host.game.players.some(p => p.id === bobId), 'the old peer id is gone');
+            assert.ok(!host.game.queuedPlayers.includes(bob2.id), 'Bob is not queued');
+            assert.deepEqual(plain(carol.multiplayer.playerOrder), [host.id, bob2.id, carol.id], 'Bob keeps his place in the host election order');
+            assert.ok(bob2.state.players.find(p => p.id === bob2.id).holeCards.every(c => !c.faceDown), 'Bob sees his own cards');
+            assert.ok(carol.logEntries().some(e => e.includes('Bob is back in their seat')));
+
+            // The table already checked the flop for Bob
+            await act(sim, [host, carol], []);
+            await sim.waitFor(() => [host, bob2, carol].every(p => p.state?.phase === 'results'), 'the showdown');
+            assertZeroSum(host.game.players, 'after the reclaimed hand');
+        }
+    },
+
+    {
+        name: 'omaha: a refreshed host rebuilds the hand from client backup shares',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages);
+            await act(sim, pages, ['double', 'check', 'check']);
+            await sim.waitFor(() => host.game.phase === 'flop', 'the flop');
+            const before = plain(host.game.serialize());
+
+            const host2 = host.reload();
+            await sim.waitFor(() => host2.multiplayer.isHost && host2.game.phase === 'flop', 'the host to restore the hand');
+            const after = plain(host2.game.serialize());
+            for (const key of ['players', 'deck', 'board1', 'board2', 'baseBet', 'shuffleId', 'dealOrder']) {
+                assert.deepStrictEqual(after[key], before[key], `restored ${key}`);
+            }
+
+            await sim.waitFor(() => [bob, carol].every(p => p.multiplayer.hostConnection?.open), 'clients to reconnect');
+            await sim.settle(200);
+            await act(sim, [host2, bob, carol], []);
+            await sim.waitFor(() => [host2, bob, carol].every(p => p.state?.phase === 'results'), 'the showdown');
+            assertZeroSum(host2.game.players, 'after the hand');
+        }
+    },
+
+    {
+        name: 'omaha: heads-up, the client\'s backup share reads nothing alone and a refreshed host rebuilds with its own',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host, bob] = pages;
+            await deal(sim, host, pages);
+            await sim.settle();
+            const before = plain(host.game.serialize());
+
+            const share = plain(bob.multiplayer.backupShare);
+            assert.equal(share.threshold, 2, 'one client never holds enough shares on their own');
+            let alone = null;
+            try {
+                alone = bob.window.SecretSharing.combineToString([share]);
+            } catch (err) {
+                // Not even valid text
+            }
+            assert.notEqual(alone && bob.window.FairShuffle.sha256Hex(alone), share.digest, 'Bob\'s share alone does not rebuild the hand');
+            assert.ok(JSON.parse(host.sessionStorage.getItem(host.multiplayer.sessionKey)).hostBackupShare, 'the host keeps the other share');
+
+            const host2 = host.reload();
+            await sim.waitFor(() => host2.multiplayer.isHost && host2.game.phase === 'preflop', 'the host to restore the hand');
+            assert.deepStrictEqual(plain(host2.game.serialize()).deck, before.deck, 'restored deck');
+        }
+    },
+
+    {
+        name: 'omaha: a refreshed private host lets its own players straight back in, and nobody else',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            host.multiplayer.setRoomAccess('hunter2', true);
+            await deal(sim, host, pages);
+            await sim.settle(); // Every backup share delivered
+
+            // While the host waits for backup shares, a stranger claims to be reconnecting
+            const host2 = host.reload();
+            const mallory = sim.open('Mallory');
+            const connectToRoom = mallory.multiplayer.connectToRoom;
+            mallory.multiplayer.connectToRoom = () => connectToRoom.call(mallory.multiplayer, true);
+            mallory.fill('#player-name', 'Mallory');
+            mallory.fill('#room-code-input', host.multiplayer.roomCode);
+            mallory.click('#start-join-btn');
+            await sim.waitFor(() => mallory.id && host2.multiplayer.restoringBackup, 'Mallory to reach the restoring host');
+            await sim.settle();
+            assert.equal(mallory.controller.currentScreen, 'menu', 'Mallory is turned away for the password');
+            assert.ok(!host2.multiplayer.players.has(mallory.id));
+
+            // The players the host let in before its refresh skip the password and the knock
+            await sim.waitFor(() => host2.game.phase === 'preflop', 'the host to restore the hand');
+            await sim.waitFor(() => [bob, carol].every(p => host2.multiplayer.players.has(p.id)), 'Bob and Carol to be back');
+            assert.equal(host2.multiplayer.knocking.size, 0);
+        }
+    },
+
+    {
+        name: 'omaha: a stranger claiming to reconnect still meets the seat limit',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob']);
+            const [host] = pages;
+            host.multiplayer.maxSeats = 2;
+            await deal(sim, host, pages);
+
+            const mallory = sim.open('Mallory');
+            const connectToRoom = mallory.multiplayer.connectToRoom;
+            mallory.multiplayer.connectToRoom = () => connectToRoom.call(mallory.multiplayer, true);
+            mallory.fill('#player-name', 'Mallory');
+            mallory.fill('#room-code-input', host.multiplayer.roomCode);
+            mallory.click('#start-join-btn');
+            await sim.waitFor(() => mallory.id && host.multiplayer.players.has(mallory.id), 'Mallory to be let in');
+            await sim.settle();
+            assert.ok(host.multiplayer.isSpectator(mallory.id), 'Mallory only watches');
+            assert.ok(!host.multiplayer.playerOrder.includes(mallory.id), 'Mallory takes no seat');
+            assert.equal(host.multiplayer.getSeatedPlayerIds().length, 2);
+        }
+    },
+
+    {
+        name: 'omaha: when the host leaves, the next player takes over the hand',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages);
+            host.click('#double-btn');
+            await sim.settle();
+            const before = plain(host.game.serialize());
+
+            host.close();
+            await sim.waitFor(() => bob.multiplayer.isHost && bob.game.phase === 'preflop' && bob.game.deck.length > 0, 'Bob to take over', 60000);
+            const after = plain(bob.game.serialize());
+            for (const key of ['players', 'deck', 'board1', 'board2', 'actedThisRound']) {
+                assert.deepStrictEqual(after[key], before[key], `migrated ${key}`);
+            }
+            await sim.waitFor(() => carol.multiplayer.hostId === bob.id && carol.multiplayer.hostConnection?.open, 'Carol to follow Bob');
+            await sim.settle(200);
+
+            // Alice already acted this round, so Bob and Carol can move the hand on
+            await act(sim, [bob, carol], ['check', 'double']);
+            await sim.waitFor(() => [bob, carol].every(p => p.state?.phase === 'flop'), 'the flop after migration');
+            assert.deepStrictEqual(plain(bob.game.board1), before.board1, 'the board survives migration');
+            assertUniqueCards(allDealtCards(bob.game), 'migrated hand');
+        }
+    },
+
+    {
+        name: 'omaha: a new host ignores a forged backup share that claims its own digest and threshold',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            await deal(sim, host, pages);
+            await sim.settle();
+
+            // Carol answers the new host with a one-share backup of a state that pays her
+            const forged = plain(host.game.serialize());
+            forged.players.find(p => p.id === carol.id).pnl = 9999;
+            const serialized = JSON.stringify(forged);
+            const [part] = carol.window.SecretSharing.splitString(serialized, 1, 1);
+            const real = carol.multiplayer.backupShare;
+            const forgedShare = {
+                backupId: real.backupId,
+                digest: carol.window.FairShuffle.sha256Hex(serialized),
+                mac: real.mac,
+                threshold: 1,
+                index: part.index,
+                data: part.data
+            };
+            const send = carol.multiplayer.sendToPeer.bind(carol.multiplayer);
+            carol.multiplayer.sendToPeer = (peerId, message) =>
+                send(peerId, message.type === 'backup_share' ? { ...message, share: forgedShare } : message);
+
+            host.close();
+            await sim.waitFor(() => bob.multiplayer.isHost, 'Bob to take over', 60000);
+            await sim.settle(6000);
+            assert.ok(!bob.game.players.some(p => p.pnl === 9999), 'the forged state is never restored');
+            assert.ok(bob.logs.some(line => line.includes('backup share is from a different game state')),
+                'Bob turns the forged share away');
+            assert.equal(bob.multiplayer.expectedBackup, null, 'the rebuild gave up without enough real shares');
+        }
+    },
+
+    {
+        name: 'omaha: a pot-limit omaha table moves the button, sizes raises to the pot and hides folded hands',
+        async run(sim) {
+            const pages = await seatTable(sim, ['Alice', 'Bob', 'Carol']);
+            const [host, bob, carol] = pages;
+            host.$('#game-mode-select').value = 'pot-limit-omaha';
+            host.$('#game-mode-select').dispatchEvent({ type: 'change' });
+            await sim.settle();
+            assert.equal(bob.controller.gameMode, 'pot-limit-omaha', 'the table\'s game reaches the lobby');
+            assert.match(carol.$('#lobby-rules').textContent, /Pot-Limit Omaha · 100 big blind buy-in/);
+            assert.ok(bob.document.body.classList.contains('plo-mode'), 'one board and the betting controls');
+
+            // Alice has the button, Bob posts the small blind and Carol the big blind
+            await deal(sim, host, pages);
+            assert.ok(host.game instanceof host.window.PotLimitOmahaGame);
+            assert.equal(bob.state.buttonId, host.id);
+            assert.deepStrictEqual(plain(host.game.players.map(p => p.bet)), [0, 0.5, 1]);
+            assert.equal(bob.state.toAct, host.id, 'first to act preflop is left of the big blind');
+            assert.equal(bob.$('#call-btn').disabled, true, 'Bob waits for his turn');
+            assert.equal(host.$('#call-btn').textContent, 'Call $1');
+            assert.deepStrictEqual(plain(host.state.raiseLimits), { min: 2, max: 3.5 });
+
+            host.click('#pot-btn');
+            host.click('#raise-btn');
+            await sim.settle();
+            assert.equal(host.game.currentBet, 3.5, 'a pot-size raise');
+            assert.ok(carol.logEntries().some(e => /Alice raises to \$3\.50/.test(e)));
+
+            // Stale or out-of-turn actions are refused
+            carol.click('#call-btn');
+            await sim.settle();
+            assert.equal(host.game.players[2].bet, 1, 'Carol cannot act before Bob');
+            bob.click('#fold-btn');
+            await sim.settle();
+            assert.equal(carol.$('#call-btn').textContent, 'Call $2.50');
+            carol.click('#call-btn');
+            await sim.waitFor(() => pages.every(p => p.state?.phase === 'flop'), 'the flop');
+            assert.equal(host.state.toAct, carol.id, 'after the flop the first player left of the button acts');
+            assert.equal(host.state.board.filter(c => !c.faceDown).length, 3);
+
+            for (const street of ['turn', 'river', 'results']) {
+                carol.click('#call-btn');
+                await sim.settle();
+                host.click('#call-btn');
+                await sim.waitFor(() => pages.every(p => p.state?.phase === street), `the ${street}`);
+            }
+            await sim.settle(200);
+            assertZeroSum(host.game.players, 'after the first hand');
+            assertShuffleVerified(pages);
+            assert.equal(host.state.results.find(r => r.playerId === bob.id).netResult, -0.5, 'Bob lost his small blind');
+            assert.equal(host.game.pots[0].amount, 7.5);
+
+            // Bob's folded hand stays his own
+            const folded = host.state.players.find(p => p.id === bob.id);
+            assert.ok(folded.holeCards.every(c => c.faceDown), 'nobody else sees a folded hand');
+            assert.equal(carol.state.handHistory.players.find(p => p.id === bob.id).holeCards, null);
+            assert.ok(bob.state.players.find(p => p.id === bob.id).holeCards.every(c => !c.faceDown));
+            assert.ok(carol.state.players.find(p => p.id === host.id).holeCards.every(c => !c.faceDown), 'shown hands are seen');
+
+            const history = plain(bob.controller.getNamedHandHistory(bob.state));
+            const text = bob.evaluate(`HandHistory.formatHand(${JSON.stringify(history)})`);
+            assert.match(text, /^Pot-Limit Omaha Hand #\S+: Pot Limit \(\$0\.50\/\$1\.00\)/);
+            assert.match(text, /Bob: posts small blind \$0\.50/);
+            assert.match(text, /Alice: raises to \$3\.50/);
+            assert.match(text, /\*\*\* RIVER \*\*\* \[\S+ \S+ \S+ \S+\] \[\S+\]/);
+            assert.match(text, /collected \$7\.50 from main pot/);
+
+            bob.click('#replay-hand-btn');
+            assert.match(bob.$('#replay-step').textContent, /^Preflop \(1\/5\)/);
+            assert.match(bob.$('#replay-notes').textContent, /Bob: folds/);
+            for (let i = 0; i < 4; i++) bob.click('#replay-forward');
+            assert.match(bob.$('#replay-step').textContent, /^Result/);
+            bob.click('#replay-close');
+
+            // The button moves on: Bob deals, Carol and Alice post the blinds
+            await deal(sim, host, pages);
+            assert.equal(carol.state.buttonId, bob.id);
+            assert.deepStrictEqual(plain(host.game.players.map(p => p.bet)), [1, 0, 0.5]);
+            assert.equal(host.state.toAct, bob.id);
+            bob.click('#fold-btn');
+            await sim.settle();
+            carol.click('#fold-btn');
+            await sim.waitFor(() => pages.every(p => p.state?.phase === 'results'), 'the blinds to go uncontested');
+            assert.ok(host.state.board.every(c => c.faceDown), 'no board is dealt for an uncontested pot');
+            assert.equal(carol.state.results.find(r => r.playerId === host.id).holeCards, null, 'the winner need not show');
+            assertZeroSum(host.game.players, 'after the second hand');
+            assertSerializeRoundTrip(host, 'PotLimitOmahaGame');
+
+            // Mid-hand, the next host carries on with the same kind of table
+            await deal(sim, host, pages);
+            await sim.settle();
+            host.close();
+            await sim.waitFor(() => bob.multiplayer.isHost && bob.game.phase === 'preflop', 'Bob to take over', 60000);
+            assert.ok(bob.game instanceof bob.window.PotLimitOmahaGame, 'the migrated game is pot-limit omaha');
+        }
+    },
+
+    {
+        name: 'omaha: pot-limit omaha splits all-in pots into side pots and a bot plays heads-up',
+        async run(sim) {
+            const host = await sim.host('Alice');
+            host.$('#game-mode-select').value = 'pot-limit-omaha';
+            host.$('#game-mode-select').dispatchEvent({ type: 'change' });
+            host.click('#start-game-btn');
+            await sim.settle();
+            assert.match(host.$('#toast-container').textContent, /needs at least two players/);
+            assert.equal(host.controller.gameStarted, false);
+
+            // Three stacks of 100, 10 and 30 all in preflop; the short stack has the best hand
+            const game = host.evaluate('new PotLimitOmahaGame()');
+            const cards = text => text.split(' ').map(card => ({ rank: card[0], suit: card[1] }));
+            game.initGame(['a', 'b', 'c'], 1);
+            game.players[1].stack = game.players[1].boughtIn = 10;
+            game.players[2].stack = game.players[2].boughtIn = 30;
+            game.startHand();
+            game.players[0].holeCards = cards('3h 4s 5c 6h');
+            game.players[1].holeCards = cards('Kh Ks 2d 3d');
+            game.players[2].holeCards = cards('Jh Jd 4c 4d');
+            game.board = cards('2c 7d 9h Js Kd');
+
+            assert.equal(game.processAction('a', 'raise', 4).success, false, 'no raise beyond the pot');
+            assert.equal(game.processAction('b', 'call').success, false, 'no acting out of turn');
+            assert.ok(game.processAction('a', 'raise', 3.5).success);
+            assert.ok(game.processAction('b', 'raise', 10).success, 'b is all in');
+            assert.deepStrictEqual(plain(game.getRaiseLimits(game.players[2])), { min: 16.5, max: 30 });
+            assert.ok(game.processAction('c', 'raise', 30).success, 'c is all in');
+            assert.ok(game.processAction('a', 'call').success);
+
+            assert.equal(game.phase, 'results', 'with nobody left to bet the board runs out');
+            assert.deepStrictEqual(plain(game.pots.map(pot => [pot.amount, pot.winners])), [[30, ['b']], [40, ['c']]]);
+            assert.deepStrictEqual(plain(game.lastResults.map(r => r.netResult)), [-30, 20, 10]);
+            assertZeroSum(game.players, 'side pots');
+
+            // A basic bot takes the other seat; Alice checks and calls it down
+            host.$('#bot-level').value = 'basic';
+            host.click('#add-bot-btn');
+            await deal(sim, host, [host]);
+            assert.equal(host.state.buttonId, host.id, 'heads-up the button posts the small blind');
+            assert.deepStrictEqual(plain(host.game.players.map(p => p.bet)), [0.5, 1]);
+            while (host.game.phase !== 'results') {
+                await sim.waitFor(() => host.game.toAct === host.id || host.game.phase === 'results', 'Alice\'s turn');
+                if (host.game.phase !== 'results') host.click('#call-btn');
+                await sim.settle();
+            }
+            const bot = host.game.players[1].id;
+            assert.ok(host.game.handHistory.actions.some(a => a.playerId === bot && !a.action.endsWith('_blind')), 'the bot acted');
+            assertZeroSum(host.game.players, 'heads-up against the bot');
+        }
+    },
+
+    {
+        name: 'omaha: backup shares of a large hand encode and combine with every script loaded',
+        async run(sim) {
+            const page = sim.open('Alice');
+            const SecretSharing = page.window.SecretSharing;
+
+            // identity.js loads after secret-sharing.js; its helpers must not replace the chunked base64 ones
+            const text = JSON.stringify({ deck: 'x'.repeat(160 * 1024) });
+            const shares = SecretSharing.splitString(text, 3, 2);
+            assert.ok(shares[0].data.length > 200 * 1024, 'each share is over 150 KB');
+            assert.equal(SecretSharing.combineToString(shares.slice(1)), text);
+        }
+    },
+
+    {
+        name: 'omaha: transport settings from the URL fall back to the PeerJS cloud when they can\'t be used',
+        async run(sim) {
+            const page = sim.open('Alice');
+            const fromUrl = search => plain(page.window.Transports.getOptionsFromUrl(search));
+
+            assert.deepStrictEqual(fromUrl('?transport=peerserver&server=https://lan-box:9000/myapp'), {
+                type: 'peerserver', host: 'lan-box', port: 9000, path: '/myapp', secure: true, key: 'peerjs'
+            });
+            assert.deepStrictEqual(fromUrl('?transport=peerserver&server=not a url'), { type: 'peerjs' }, 'a malformed server');
+            assert.deepStrictEqual(fromUrl('?transport=peerserver'), { type: 'peerjs' }, 'no server');
+            assert.deepStrictEqual(fromUrl('?transport=websocket'), { type: 'peerjs' }, 'no relay');
+        }
+    },
+
+    {
+        name: 'omaha: the ledger nets hands per player and settles up in the fewest payments, rounding leftovers included',
+        async run(sim) {
+            const page = sim.open('Alice');
+            const Ledger = page.window.Ledger;
+            const settle = balances => plain(Ledger.settleUp(balances));
+
+            assert.deepStrictEqual(settle([{ name: 'a', net: 10 }, { name: 'b', net: -9.99 }]),
+                [{ from: 'b', to: 'a', amount: 9.99 }], 'a stray cent does not drop the payment');
+            assert.deepStrictEqual(settle([{ name: 'a', net: -10 }, { name: 'b', net: 9.99 }]),
+                [{ from: 'a', to: 'b', amount: 10 }], 'the leftover cent goes to the biggest creditor');
+
+            // Two pairs that cancel out settle in two payments, not three
+            const payments = settle([
+                { name: 'a', net: 5 }, { name: 'b', net: 7 }, { name: 'c', net: -5 }, { name: 'd', net: -7 }
+            ]);
+            assert.equal(payments.length, 2);
+            assert.deepStrictEqual(payments.map(p => `${p.from}>${p.to}:${p.amount}`).sort(), ['c>a:5', 'd>b:7']);
+
+            // A 10.00 pot split three ways pays 3.33 each; the cent left over doesn't block settling
+            const hands = [
+                { results: [{ name: 'Bob', net: 3.33 }, { name: 'Carol', net: 3.33 }, { name: 'Dave', net: 3.33 }, { name: 'Erin', net: -10 }] },
+                { results: [{ name: 'Bob', identity: 'ab'.repeat(32), net: -1 }, { name: 'Erin', net: 1 }] },
+                { results: [{ name: 'Bobby', identity: 'ab'.repeat(32), net: 2 }, { name: 'Erin', net: -2 }] }
+            ];
+            const balances = plain(Ledger.computeBalances(hands));
+            assert.deepStrictEqual(balances.map(b => [b.name, b.net, b.hands]), [
+                ['Bob', 3.33, 1], ['Carol', 3.33, 1], ['Dave', 3.33, 1], ['Bobby', 1, 2], ['Erin', -11, 3]
+            ], 'one balance per identity under its latest name, one per name without');
+            const report = plain(Ledger.buildReport(hands));
+            assert.equal(report.payments.length, 4);
+            assert.ok(report.payments.every(p => p.from === 'Erin'));
+            assert.equal(report.payments.reduce((total, p) => total + Math.round(p.amount * 100), 0), 1100, 'Erin pays everything she lost');
+        }
+    },
+
+    {
+        name: 'omaha: the hi-lo evaluator finds eight-or-better lows with exactly two hole cards',
+        async run(sim) {
+            const page = sim.open('Alice');
+            const Poker = page.window.Poker;
+            const cards = text => text.split(' ').map(card => ({ rank: card[0], suit: card[1] }));
+
+            assert.equal(Poker.evaluate5CardLow(cards('5s 4s 3s 2s As')).name, '5-4-3-2-A', 'a straight flush is still the best low');
+            assert.equal(Poker.evaluate5CardLow(cards('9s 4s 3s 2s As')), null, 'nine high does not qualify');
+            assert.equal(Poker.evaluate5CardLow(cards('8s 4s 4d 2s As')), null, 'a pair spoils the low');
+            assert.ok(Poker.compareLowHands(Poker.evaluate5CardLow(cards('8s 6s 4s 2s As')),
+                Poker.evaluate5CardLow(cards('8d 7d 3d 2d Ad'))) > 0, '8-6 beats 8-7');
+            assert.ok(Poker.compareLowHands(Poker.evaluate5CardLow(cards('8s 7s 3s 2s As')), null) > 0, 'any low beats none');
+            assert.equal(Poker.evaluateBestLow(cards('Kh 2d 3c 4c 9s 6h 7h')).name, '7-6-4-3-2');
+
+            // High and low may use different hole cards
+            const split = Poker.evaluateOmahaHiLo(cards('Ah 2d Kc Ks'), cards('3c 7h 8d Kd Qs'));
+            assert.equal(split.high.name, 'Trips');
+            assert.equal(split.low.name, '8-7-3-2-A');
+            assert.deepStrictEqual(plain(split.low.holeCardsUsed), cards('Ah 2d'));
+
+            // Three low cards on the board need two more from the hand
+            assert.equal(Poker.evaluateOmahaHiLo(cards('Ah Kd Kc Ks'), cards('3c 4h 5d 7d Qs')).low, null, 'one low hole card');
+            assert.equal(Poker.evaluateOmahaHiLo(cards('Ah 2d Kc Ks'), cards('3c 4h Td Jd Qs')).low, null, 'two low board cards');
+        }
+    }
+];
@@ -0,0 +1,340 @@
+/**
+ * Headless harness - Simulated peers
+ * Each Page is one browser tab: the game's index.html parsed into a mini DOM,
+ * its real scripts run in their own vm context, and its MultiplayerManager
+ * talking to the other tabs over an in-memory loopback transport.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createDocument } = require('./mini-dom');
+const { VirtualClock } = require('./virtual-clock');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const GAMES = {
+    omaha: { dir: 'ultimate-omaha', controller: 'GameController' },
+    edge: { dir: 'edge-the-dealer', controller: 'EdgeTheDealerController' }
+};
+
+class StorageStub {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+}
+
+class Page {
+    /**
+     * @param {Simulation} simulation
+     * @param {string} name - label used in failure output
+     * @param {StorageStub} sessionStorage - survives reloads of the same tab
+     */
+    constructor(simulation, name, sessionStorage = new StorageStub()) {
+        this.simulation = simulation;
+        this.name = name;
+        this.sessionStorage = sessionStorage;
+        this.timers = new Set();
+        this.logs = [];
+        this.closed = false;
+        this.load();
+    }
+
+    load() {
+        const game = GAMES[this.simulation.game];
+        const pageDir = path.join(ROOT, game.dir);
+        const html = fs.readFileSync(path.join(pageDir, 'index.html'), 'utf8');
+        const document = createDocument(html);
+        this.document = document;
+
+        const context = this.createGlobals(document);
+        this.window = context;
+        vm.createContext(context);
+
+        // Run the page's own scripts in order; vendored PeerJS is not needed on loopback
+        for (const script of document.querySelectorAll('script[src]')) {
+            const src = script.getAttribute('src');
+            if (/^https?:|\/vendor\//.test(src)) continue;
+            const file = path.join(pageDir, src);
+            vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+        }
+
+        // Every tab joins the simulation's network, whatever the page URL says
+        const transports = context.Transports;
+        const createPeer = transports.createPeer;
+        transports.createPeer = (id, options) => createPeer(id, { ...options, type: 'loopback', hub: this.simulation.hub });
+
+        document.dispatchEvent({ type: 'DOMContentLoaded' });
+        this.controller = context.gameController;
+        if (!this.controller || this.controller.constructor.name !== game.controller) {
+            throw new Error(`${this.name}: ${game.controller} did not start`);
+        }
+    }
+
+    createGlobals(document) {
+        const page = this;
+        const clock = this.simulation.clock;
+        const record = level => (...args) => {
+            page.logs.push(`[${clock.now}ms] ${level}: ${args.map(formatLogArg).join(' ')}`);
+        };
+
+        // Timers belong to the tab, so closing it stops them like a real browser would
+        const timers = clock.globals();
+        const track = create => (...args) => {
+            const id = create(...args);
+            page.timers.add(id);
+            return id;
+        };
+
+        const window = {
+            document,
+            console: { log: record('log'), info: record('info'), debug: record('debug'), warn: record('warn'), error: record('error') },
+            setTimeout: track(timers.setTimeout),
+            setInterval: track(timers.setInterval),
+            clearTimeout: timers.clearTimeout,
+            clearInterval: timers.clearInterval,
+            requestAnimationFrame: track(timers.requestAnimationFrame),
+            cancelAnimationFrame: timers.cancelAnimationFrame,
+            Date: clock.dateClass(),
+            crypto: trackedCrypto(clock),
+            TextEncoder,
+            TextDecoder,
+            atob,
+            btoa,
+            URL,
+            URLSearchParams,
+            sessionStorage: this.sessionStorage,
+            localStorage: this.simulation.localStorageFor(this.name),
+            navigator: {
+                userAgent: 'headless-harness',
+                clipboard: { writeText: () => Promise.resolve() },
+                vibrate: () => true
+            },
+            location: {
+                search: '?transport=loopback',
+                pathname: `/${GAMES[this.simulation.game].dir}/index.html`,
+                replace: () => page.close()
+            },
+            confirm: () => true,
+            alert: () => {},
+            addEventListener: (type, handler) => document.addEventListener(type, handler),
+            removeEventListener: (type, handler) => document.removeEventListener(type, handler),
+            matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} }),
+            innerWidth: 1280,
+            innerHeight: 800
+        };
+        window.window = window;
+        window.self = window;
+        return window;
+    }
+
+    get multiplayer() {
+        return this.controller.multiplayer;
+    }
+
+    get game() {
+        return this.controller.game;
+    }
+
+    /**
+     * The state this tab last rendered
+     */
+    get state() {
+        return this.controller.currentState;
+    }
+
+    get id() {
+        return this.multiplayer.myId;
+    }
+
+    /**
+     * Run code in the page's global scope, e.g. to reach its classes
+     */
+    evaluate(code) {
+        return vm.runInContext(code, this.window);
+    }
+
+    $(selector) {
+        const element = this.document.querySelector(selector);
+        if (!element) throw new Error(`${this.name}: no element matches ${selector}`);
+        return element;
+    }
+
+    click(selector) {
+        this.$(selector).click();
+    }
+
+    fill(selector, value) {
+        const input = this.$(selector);
+        input.value = String(value);
+        input.dispatchEvent({ type: 'input' });
+    }
+
+    /**
+     * Text of every game log entry, oldest first
+     */
+    logEntries() {
+        return this.document.querySelectorAll('#game-log .log-entry').map(entry => entry.textContent.replace(/\s+/g, ' ').trim());
+    }
+
+    /**
+     * Close the tab without leaving the room: the peer drops off the network
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.timers.forEach(id => this.simulation.clock.clearTimer(id));
+        this.timers.clear();
+        const peer = this.multiplayer.peer;
+        if (peer) {
+            // A closed tab runs nothing; only the other ends hear its connections drop
+            peer.connections.forEach(conn => conn.listeners.clear());
+            peer.listeners.clear();
+            peer.destroy();
+        }
+    }
+
+    /**
+     * Refresh the tab: same sessionStorage, fresh scripts and state
+     */
+    reload() {
+        this.close();
+        return this.simulation.replacePage(this, new Page(this.simulation, this.name, this.sessionStorage));
+    }
+}
+
+/**
+ * WebCrypto for one page, with every call tracked so the clock waits for it
+ */
+function trackedCrypto(clock) {
+    const { subtle } = globalThis.crypto;
+    const tracked = {};
+    for (const method of ['generateKey', 'importKey', 'exportKey', 'sign', 'verify', 'digest']) {
+        tracked[method] = (...args) => clock.track(subtle[method](...args));
+    }
+    return {
+        subtle: tracked,
+        getRandomValues: array => globalThis.crypto.getRandomValues(array),
+        randomUUID: () => globalThis.crypto.randomUUID()
+    };
+}
+
+function formatLogArg(arg) {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error || (arg && typeof arg.message === 'string' && typeof arg.stack === 'string')) return arg.message;
+    try {
+        return JSON.stringify(arg);
+    } catch (err) {
+        return String(arg);
+    }
+}
+
+/**
+ * A table of tabs playing one game on one virtual network and clock
+ */
+class Simulation {
+    constructor(game) {
+        if (!GAMES[game]) throw new Error(`Unknown game: ${game}`);
+        this.game = game;
+        this.clock = new VirtualClock();
+        this.hub = { peers: new Map() }; // Same shape as Transports.LoopbackHub
+        this.browsers = new Map(); // name -> localStorage; every tab opened under one name is the same browser
+        this.pages = [];
+    }
+
+    localStorageFor(name) {
+        if (!this.browsers.has(name)) this.browsers.set(name, new StorageStub());
+        return this.browsers.get(name);
+    }
+
+    open(name) {
+        const page = new Page(this, name);
+        this.pages.push(page);
+        return page;
+    }
+
+    replacePage(oldPage, newPage) {
+        this.pages[this.pages.indexOf(oldPage)] = newPage;
+        return newPage;
+    }
+
+    /**
+     * Open a tab and create a room from the menu
+     */
+    async host(name) {
+        const page = this.open(name);
+        page.fill('#player-name', name);
+        page.click('#start-join-btn');
+        await this.clock.waitFor(() => page.multiplayer.roomCode && page.controller.currentScreen === 'lobby', `${name} to create a room`);
+        return page;
+    }
+
+    /**
+     * Open a tab and join `hostPage`'s room from the menu, optionally as a spectator
+     * or with a room password. With `admitted: false` it only waits for the host's
+     * answer (a knock, a refusal), not for a seat
+     */
+    async join(name, hostPage, { spectate = false, password = '', admitted = true } = {}) {
+        const page = this.open(name);
+        page.fill('#player-name', name);
+        page.fill('#room-code-input', hostPage.multiplayer.roomCode);
+        page.fill('#room-password-input', password);
+        page.$('#spectate-checkbox').checked = spectate;
+        page.click('#start-join-btn');
+        if (admitted) {
+            await this.clock.waitFor(() => page.id && hostPage.multiplayer.players.has(page.id), `${name} to join`);
+        } else {
+            await this.clock.waitFor(() => page.id, `${name} to reach the room`);
+        }
+        await this.settle();
+        return page;
+    }
+
+    /**
+     * Deliver everything in flight (messages are zero-delay timers)
+     */
+    async settle(ms = 50) {
+        await this.clock.advance(ms);
+    }
+
+    waitFor(predicate, description, timeout) {
+        return this.clock.waitFor(predicate, description, timeout);
+    }
+
+    /**
+     * Close every tab and drop all pending timers
+     */
+    dispose() {
+        this.pages.forEach(page => page.close());
+        this.clock.timers.clear();
+    }
+
+    /**
+     * Recent console output of every tab, for failure reports
+     */
+    dumpLogs(lines = 40) {
+        return this.pages.map(page => `--- ${page.name} ---\n${page.logs.slice(-lines).join('\n')}`).join('\n');
+    }
+}
+
+module.exports = { Simulation, Page, StorageStub };
@@ -0,0 +1,148 @@
+/**
+ * Headless harness - Virtual clock
+ * One fake timeline shared by every simulated peer, so reconnect windows,
+ * shuffle timeouts and host migration run instantly and in a repeatable order.
+ */
+
+// Let every pending promise callback (in any vm context) run
+function flushMicrotasks() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+class VirtualClock {
+    constructor() {
+        this.epoch = Date.now(); // Wall-clock time at virtual 0
+        this.now = 0;
+        this.timers = new Map(); // id -> { at, seq, fn, args, interval }
+        this.nextId = 1;
+        this.seq = 0;
+        this.pending = new Set(); // Work running off the clock, e.g. WebCrypto
+    }
+
+    /**
+     * Let the clock wait for work that finishes outside the event loop's
+     * microtasks (WebCrypto runs on a thread pool)
+     */
+    track(promise) {
+        this.pending.add(promise);
+        const settle = () => this.pending.delete(promise);
+        promise.then(settle, settle);
+        return promise;
+    }
+
+    /**
+     * Run pending promise callbacks until no tracked work is left
+     */
+    async flush() {
+        await flushMicrotasks();
+        while (this.pending.size > 0) {
+            await Promise.allSettled([...this.pending]);
+            await flushMicrotasks();
+        }
+    }
+
+    setTimeout(fn, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.set(id, { at: this.now + Math.max(0, Number(delay) || 0), seq: this.seq++, fn, args, interval: null });
+        return id;
+    }
+
+    setInterval(fn, delay = 0, ...args) {
+        const interval = Math.max(1, Number(delay) || 0);
+        const id = this.nextId++;
+        this.timers.set(id, { at: this.now + interval, seq: this.seq++, fn, args, interval });
+        return id;
+    }
+
+    clearTimer(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Timer functions for one page's global object
+     */
+    globals() {
+        return {
+            setTimeout: (fn, delay, ...args) => this.setTimeout(fn, delay, ...args),
+            setInterval: (fn, delay, ...args) => this.setInterval(fn, delay, ...args),
+            clearTimeout: id => this.clearTimer(id),
+            clearInterval: id => this.clearTimer(id),
+            requestAnimationFrame: fn => this.setTimeout(() => fn(this.now), 16),
+            cancelAnimationFrame: id => this.clearTimer(id)
+        };
+    }
+
+    /**
+     * A Date for one page's global object whose current time follows the virtual clock
+     */
+    dateClass() {
+        const clock = this;
+        return class VirtualDate extends Date {
+            constructor(...args) {
+                super(...(args.length > 0 ? args : [clock.epoch + clock.now]));
+            }
+
+            static now() {
+                return clock.epoch + clock.now;
+            }
+        };
+    }
+
+    nextTimer() {
+        let next = null;
+        for (const [id, timer] of this.timers) {
+            if (!next || timer.at < next.timer.at || (timer.at === next.timer.at && timer.seq < next.timer.seq)) {
+                next = { id, timer };
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Fire the earliest timer at or before `limit`; false when there is none
+     */
+    async step(limit = Infinity) {
+        await this.flush();
+        const next = this.nextTimer();
+        if (!next || next.timer.at > limit) return false;
+
+        const { id, timer } = next;
+        this.now = timer.at;
+        if (timer.interval) {
+            timer.at += timer.interval;
+            timer.seq = this.seq++;
+        } else {
+            this.timers.delete(id);
+        }
+        timer.fn(...timer.args);
+        await this.flush();
+        return true;
+    }
+
+    /**
+     * Move time forward by `ms`, firing everything that falls due on the way
+     */
+    async advance(ms) {
+        const end = this.now + ms;
+        while (await this.step(end)) {
+            // keep firing
+        }
+        this.now = end;
+        await this.flush();
+    }
+
+    /**
+     * Run timers until `predicate()` holds; fails after `timeout` virtual ms
+     */
+    async waitFor(predicate, description, timeout = 30000) {
+        const deadline = this.now + timeout;
+        await this.flush();
+        while (!predicate()) {
+            if (!(await this.step(deadline))) {
+                throw new Error(`Timed out after ${timeout}ms waiting for ${description}`);
+            }
+        }
+    }
+}
+
+module.exports = { VirtualClock, flushMicrotasks };
@@ -0,0 +1,155 @@
+/**
+ * Ultimate Omaha - Bankroll
+ * Buy-ins for a cash game of Ultimate Omaha or Edge the Dealer: every player
+ * buys in for the same amount, rebuys (approved by the host) up to a cap, and
+ * plays table stakes, so nobody loses more in a hand than the stack they
+ * brought to it. Also the stop-loss and stop-win check each player runs on
+ * their own PnL.
+ */
+
+const DEFAULT_BANKROLL = {
+    buyIn: 100,
+    buyInCap: 300 // Most a player can buy in for in total, the first buy-in included
+};
+
+function roundStack(amount) {
+    return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+class Bankroll {
+    /**
+     * config: { buyIn, buyInCap }; anything missing or out of range falls back
+     * to DEFAULT_BANKROLL, and the cap is never below one buy-in
+     */
+    constructor(config = {}) {
+        this.config = Bankroll.normalizeConfig(config);
+        this.boughtIn = {}; // playerId -> total bought in
+    }
+
+    static normalizeConfig(config = {}) {
+        const positive = (value, fallback) => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) && number > 0 ? roundStack(number) : fallback;
+        };
+        const buyIn = positive(config.buyIn, DEFAULT_BANKROLL.buyIn);
+        return {
+            buyIn,
+            buyInCap: Math.max(buyIn, positive(config.buyInCap, DEFAULT_BANKROLL.buyInCap))
+        };
+    }
+
+    /**
+     * Which limit a PnL has reached: 'stop-loss', 'stop-win' or null
+     * limits: { stopLoss, stopWin }, each a positive amount or null for none
+     */
+    static limitReached(pnl, limits = {}) {
+        if (limits.stopLoss > 0 && pnl <= -limits.stopLoss) return 'stop-loss';
+        if (limits.stopWin > 0 && pnl >= limits.stopWin) return 'stop-win';
+        return null;
+    }
+
+    /**
+     * A player sitting down for the first time buys in once
+     */
+    seat(playerId) {
+        if (this.boughtIn[playerId] === undefined) {
+            this.boughtIn[playerId] = this.config.buyIn;
+        }
+    }
+
+    stackOf(player) {
+        return roundStack((this.boughtIn[player.id] ?? this.config.buyIn) + player.pnl);
+    }
+
+    canCover(player, bet) {
+        return this.stackOf(player) >= bet;
+    }
+
+    /**
+     * What a rebuy would add: a buy-in, or what is left under the cap
+     */
+    rebuyAmount(playerId) {
+        const boughtIn = this.boughtIn[playerId] ?? this.config.buyIn;
+        return roundStack(Math.max(0, Math.min(this.config.buyIn, this.config.buyInCap - boughtIn)));
+    }
+
+    /**
+     * Add a rebuy to a player's stack; returns the amount (0 once the cap is reached)
+     */
+    rebuy(playerId) {
+        this.seat(playerId);
+        const amount = this.rebuyAmount(playerId);
+        this.boughtIn[playerId] = roundStack(this.boughtIn[playerId] + amount);
+        return amount;
+    }
+
+    /**
+     * Table stakes: cut each player's payments so nobody loses more than their
+     * stack at the start of the hand. A loser who can't cover everyone pays each
+     * winner the same share of what they were owed.
+     * transfers: [{ from, to, amount }], changed in place; stacks: playerId -> stack
+     * Returns the net result per player id. Static, as tournament stacks are capped the same way
+     */
+    static applyTableStakes(transfers, stacks) {
+        const ids = Object.keys(stacks);
+        const totals = id => transfers.reduce((sum, t) => sum + (t.to === id ? t.amount : 0) - (t.from === id ? t.amount : 0), 0);
+
+        // Cutting one player's payments leaves others less to pay with, so repeat until nobody is short.
+        // Payments only ever shrink (rounded down to the cent), so this ends
+        let cut = true;
+        while (cut) {
+            cut = false;
+            for (const id of ids) {
+                const paying = transfers.filter(t => t.from === id && t.amount > 0);
+                const owed = paying.reduce((sum, t) => sum + t.amount, 0);
+                const net = totals(id);
+                if (net >= -stacks[id] - 0.005 || owed === 0) continue;
+
+                const share = Math.max(0, (owed + net + stacks[id]) / owed);
+                for (const transfer of paying) {
+                    transfer.amount = Math.floor(transfer.amount * share * 100) / 100;
+                }
+                cut = true;
+            }
+        }
+
+        const nets = {};
+        for (const id of ids) {
+            nets[id] = roundStack(totals(id));
+        }
+        return nets;
+    }
+
+    /**
+     * What the table shows: the buy-in, the cap, and each player's bought-in
+     * total, stack and what a rebuy would add
+     */
+    getState(players) {
+        const accounts = {};
+        for (const player of players) {
+            accounts[player.id] = {
+                boughtIn: this.boughtIn[player.id] ?? this.config.buyIn,
+                stack: this.stackOf(player),
+                rebuy: this.rebuyAmount(player.id)
+            };
+        }
+        return { ...this.config, accounts };
+    }
+
+    serialize() {
+        return {
+            config: { ...this.config },
+            boughtIn: { ...this.boughtIn }
+        };
+    }
+
+    static deserialize(data) {
+        const bankroll = new Bankroll(data.config);
+        bankroll.boughtIn = { ...(data.boughtIn || {}) };
+        return bankroll;
+    }
+}
+
+// Export for use in other modules
+window.Bankroll = Bankroll;
+window.DEFAULT_BANKROLL = DEFAULT_BANKROLL;
@@ -0,0 +1,115 @@
+/**
+ * Ultimate Omaha - Bots
+ * Check or double for a computer player the host runs, or fold, call and raise
+ * at a Pot-Limit Omaha table. A bot sees what a player in its seat would: its
+ * own hole cards and the face-up board cards.
+ */
+
+// Showdowns sampled per decision for the optimal Pot-Limit Omaha bot
+const PLO_BOT_SAMPLES = 300;
+
+/**
+ * Pick an action for one bot
+ * level: 'random' | 'basic' | 'optimal'
+ * boards: [board1, board2], the face-up cards only
+ * table: { currentBet, totalBet, playerCount }, as for Equity.decisionEV
+ * options: { random, rules } - random for the coin flip and the preflop samples,
+ * rules for the table's rules profile (standard by default)
+ */
+function chooseAction(level, holeCards, boards, table, options = {}) {
+    const random = options.random || Math.random;
+    const rules = options.rules || Poker.DEFAULT_RULES;
+
+    switch (level) {
+        case 'random':
+            return random() < 0.5 ? 'double' : 'check';
+
+        case 'basic':
+            return qualifiesAlready(holeCards, boards, rules) ? 'double' : 'check';
+
+        case 'optimal':
+            return Equity.decisionEV(Equity.analyzeRunouts(holeCards, boards, { random, rules }), table).best;
+
+        default:
+            throw new Error(`Unknown bot level: ${level}`);
+    }
+}
+
+/**
+ * The rule of thumb: double once the hand is sure to qualify on both boards.
+ * Preflop only a qualifying pair in hand is (two hole cards make that pair with any
+ * board): a pair of aces under the standard rules, none when it takes two pair
+ */
+function qualifiesAlready(holeCards, boards, rules) {
+    if (boards.every(board => board.length === 0)) {
+        return holeCards.some((card, i) => holeCards.slice(i + 1).some(other => other.rank === card.rank) &&
+            Poker.doesHandQualify({ rank: Poker.HAND_RANKS.PAIR, value: [Poker.getRankValue(card.rank)] }, rules));
+    }
+    return boards.every(board => Poker.doesHandQualify(Poker.evaluateOmahaHand(holeCards, board), rules));
+}
+
+/**
+ * Pick a Pot-Limit Omaha action for one bot, in its turn
+ * view: { holeCards, board (face-up cards), toCall, pot, bigBlind, raiseLimits, opponents },
+ * where raiseLimits is { min, max } or null when the bot may not raise
+ * options: { random }
+ * Returns { action, amount }, amount being the bet to raise to
+ */
+function choosePotLimitAction(level, view, options = {}) {
+    const random = options.random || Math.random;
+    // Never fold when checking is free
+    const fold = view.toCall > 0 ? { action: 'fold' } : { action: 'check' };
+    const call = view.toCall > 0 ? { action: 'call' } : { action: 'check' };
+    const raise = fraction => (view.raiseLimits ? {
+        action: 'raise',
+        amount: Math.round((view.raiseLimits.min + (view.raiseLimits.max - view.raiseLimits.min) * fraction) * 100) / 100
+    } : call);
+
+    switch (level) {
+        case 'random': {
+            const roll = random();
+            if (roll < 0.15) return fold;
+            return roll < 0.85 ? call : raise(random());
+        }
+
+        case 'basic': {
+            const strength = madeHandStrength(view.holeCards, view.board);
+            if (strength >= 2) return raise(1);
+            if (strength === 1 || view.toCall <= view.bigBlind) return call;
+            return fold;
+        }
+
+        case 'optimal': {
+            const equity = Equity.showdownEquity(view.holeCards, view.board, Math.max(view.opponents, 1),
+                { samples: PLO_BOT_SAMPLES, random });
+            // Bet for value well ahead of a fair share; otherwise call when the price is right
+            if (equity > 1.5 / (view.opponents + 1)) return raise(equity > 0.75 ? 1 : 0.5);
+            const price = view.toCall / (view.pot + view.toCall);
+            return equity >= price ? call : fold;
+        }
+
+        default:
+            throw new Error(`Unknown bot level: ${level}`);
+    }
+}
+
+/**
+ * The rule of thumb: 2 for two pair or better on the board (or aces in hand
+ * preflop), 1 for a pair (or any pocket pair preflop), 0 otherwise
+ */
+function madeHandStrength(holeCards, board) {
+    if (board.length === 0) {
+        const pairs = holeCards.filter((card, i) => holeCards.slice(i + 1).some(other => other.rank === card.rank));
+        if (pairs.some(card => card.rank === 'A')) return 2;
+        return pairs.length > 0 ? 1 : 0;
+    }
+    const { rank } = Poker.evaluateOmahaHand(holeCards, board);
+    if (rank >= Poker.HAND_RANKS.TWO_PAIR) return 2;
+    return rank === Poker.HAND_RANKS.PAIR ? 1 : 0;
+}
+
+// Export for use in other modules
+window.OmahaBot = {
+    chooseAction,
+    choosePotLimitAction
+};
@@ -0,0 +1,173 @@
+/**
+ * Ultimate Omaha - Equity
+ * Odds for the check/double decision: how often your hand qualifies on both
+ * boards, the multiplier it pays, and the EV of checking versus doubling under
+ * the pairwise payout rules.
+ */
+
+// Preflop the boards are unknown, too many runouts to count, so sample them
+const EQUITY_SAMPLES = 2000;
+
+function cardsOut(known) {
+    const used = new Set(known.map(Poker.getCardId));
+    return Poker.createDeck().filter(card => !used.has(Poker.getCardId(card)));
+}
+
+/**
+ * One board's best hand and whether it qualifies
+ */
+function scoreBoard(holeCards, boardCards, rules) {
+    const hand = Poker.evaluateOmahaHand(holeCards, boardCards);
+    return { hand, qualifies: Poker.doesHandQualify(hand, rules) };
+}
+
+/**
+ * Both boards settled the way resolveShowdown settles them
+ */
+function scoreRunout(board1, board2, rules) {
+    const qualifies = board1.qualifies && board2.qualifies;
+    return {
+        qualifies,
+        multiplier: qualifies ? Poker.calculateTotalMultiplier(board1.hand, board2.hand, rules) : 0
+    };
+}
+
+function tally() {
+    return { runouts: 0, qualified: 0, multiplierSum: 0 };
+}
+
+function addRunout(totals, runout) {
+    totals.runouts++;
+    if (runout.qualifies) {
+        totals.qualified++;
+        totals.multiplierSum += runout.multiplier;
+    }
+}
+
+/**
+ * On the flop: every turn and river for both boards. Each board's 861 runouts
+ * are scored once, then paired up wherever they share no card
+ */
+function enumerateFlop(holeCards, flop1, flop2, rules) {
+    const deck = cardsOut([...holeCards, ...flop1, ...flop2]);
+    const pairs = [];
+    for (let i = 0; i < deck.length; i++) {
+        for (let j = i + 1; j < deck.length; j++) {
+            pairs.push([i, j]);
+        }
+    }
+    const boards1 = pairs.map(([i, j]) => scoreBoard(holeCards, [...flop1, deck[i], deck[j]], rules));
+    const boards2 = pairs.map(([i, j]) => scoreBoard(holeCards, [...flop2, deck[i], deck[j]], rules));
+
+    const totals = tally();
+    for (let a = 0; a < pairs.length; a++) {
+        const [i, j] = pairs[a];
+        for (let b = 0; b < pairs.length; b++) {
+            const [k, l] = pairs[b];
+            if (k === i || k === j || l === i || l === j) continue;
+            addRunout(totals, scoreRunout(boards1[a], boards2[b], rules));
+        }
+    }
+    return totals;
+}
+
+/**
+ * Deal the missing board cards at random, `samples` times
+ */
+function sampleRunouts(holeCards, known1, known2, samples, random, rules) {
+    const deck = cardsOut([...holeCards, ...known1, ...known2]);
+    const missing1 = 5 - known1.length;
+    const totals = tally();
+
+    for (let s = 0; s < samples; s++) {
+        const runout = Poker.shuffleDeck([...deck], random);
+        const board1 = [...known1, ...runout.slice(0, missing1)];
+        const board2 = [...known2, ...runout.slice(missing1, missing1 + 5 - known2.length)];
+        addRunout(totals, scoreRunout(scoreBoard(holeCards, board1, rules), scoreBoard(holeCards, board2, rules), rules));
+    }
+    return totals;
+}
+
+/**
+ * Odds of four hole cards against the boards seen so far
+ * boards: [board1, board2], the face-up cards only (none preflop, three on the flop)
+ * options: { samples, random, rules } - rules is the table's rules profile (standard by default)
+ * Returns { exact, runouts, qualifyChance, foulChance, expectedMultiplier, edge }
+ * edge is the average result of $1 against one opponent (or the bank):
+ * win the multiplier when qualifying, lose the $1 on a foul
+ */
+function analyzeRunouts(holeCards, boards, options = {}) {
+    const [known1, known2] = boards;
+    if (holeCards.length !== 4 || known1.length > 5 || known2.length > 5) {
+        throw new Error('Odds need four hole cards and at most five cards per board');
+    }
+
+    const rules = options.rules || Poker.DEFAULT_RULES;
+    const exact = known1.length === 3 && known2.length === 3;
+    const totals = exact
+        ? enumerateFlop(holeCards, known1, known2, rules)
+        : sampleRunouts(holeCards, known1, known2, options.samples || EQUITY_SAMPLES, options.random || Math.random, rules);
+
+    const qualifyChance = totals.qualified / totals.runouts;
+    return {
+        exact,
+        runouts: totals.runouts,
+        qualifyChance,
+        foulChance: 1 - qualifyChance,
+        expectedMultiplier: totals.qualified ? totals.multiplierSum / totals.qualified : 0,
+        edge: totals.multiplierSum / totals.runouts - (1 - qualifyChance)
+    };
+}
+
+/**
+ * EV of each action from analyzeRunouts odds
+ * Only your own win or foul depends on what you do: you collect bet × multiplier
+ * from (or pay your bet to) each other player. What they win or pay you is the
+ * same either way, so it is left out. Preflop figures assume you check the flop.
+ * table: { currentBet, totalBet, playerCount }
+ */
+function decisionEV(odds, table) {
+    const opponents = Math.max(table.playerCount - 1, 1);
+    const checkBet = table.totalBet;
+    const doubleBet = table.totalBet + table.currentBet;
+    return {
+        check: { bet: checkBet, ev: opponents * checkBet * odds.edge },
+        double: { bet: doubleBet, ev: opponents * doubleBet * odds.edge },
+        best: odds.edge > 0 ? 'double' : 'check'
+    };
+}
+
+/**
+ * Pot-Limit Omaha: how often four hole cards win at showdown against `opponents`
+ * random hands, dealing out the rest of the board at random `samples` times.
+ * A split pot counts as the share of it won
+ * options: { samples, random }
+ */
+function showdownEquity(holeCards, board, opponents, options = {}) {
+    const samples = options.samples || EQUITY_SAMPLES;
+    const random = options.random || Math.random;
+    const deck = cardsOut([...holeCards, ...board]);
+    let won = 0;
+
+    for (let s = 0; s < samples; s++) {
+        const cards = Poker.shuffleDeck([...deck], random);
+        const runout = [...board, ...cards.splice(0, 5 - board.length)];
+        const mine = Poker.evaluateOmahaHand(holeCards, runout);
+        let ties = 0;
+        let beaten = false;
+        for (let o = 0; o < opponents && !beaten; o++) {
+            const versus = Poker.compareHands(mine, Poker.evaluateOmahaHand(cards.splice(0, 4), runout));
+            if (versus < 0) beaten = true;
+            if (versus === 0) ties++;
+        }
+        if (!beaten) won += 1 / (ties + 1);
+    }
+    return won / samples;
+}
+
+// Export for use in other modules
+window.Equity = {
+    analyzeRunouts,
+    decisionEV,
+    showdownEquity
+};
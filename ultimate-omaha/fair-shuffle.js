@@ -0,0 +1,221 @@
+/**
+ * Ultimate Omaha - Provably Fair Shuffle
+ * Commit-reveal protocol: every peer commits to a random seed before the deal,
+ * the deck order is derived from all seeds combined, and the seeds are revealed
+ * at showdown so every client can check the deal.
+ *
+ * The host still sees the combined seed (it deals the cards), but it has to
+ * commit to its own seed before learning anyone else's, so it cannot steer
+ * the deck order.
+ */
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * SHA-256 of a UTF-8 string, as 32 bytes
+ * Synchronous so the deck can be derived inside startHand without awaiting WebCrypto
+ */
+function sha256Bytes(text) {
+    const message = new TextEncoder().encode(text);
+    const bitLength = message.length * 8;
+    const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(message);
+    padded[message.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    const hash = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+        0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const temp1 = (h + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+            const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (S0 + maj) >>> 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) >>> 0;
+        }
+
+        hash[0] = (hash[0] + a) >>> 0;
+        hash[1] = (hash[1] + b) >>> 0;
+        hash[2] = (hash[2] + c) >>> 0;
+        hash[3] = (hash[3] + d) >>> 0;
+        hash[4] = (hash[4] + e) >>> 0;
+        hash[5] = (hash[5] + f) >>> 0;
+        hash[6] = (hash[6] + g) >>> 0;
+        hash[7] = (hash[7] + h) >>> 0;
+    }
+
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    hash.forEach((word, i) => outView.setUint32(i * 4, word));
+    return out;
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function sha256Hex(text) {
+    return toHex(sha256Bytes(text));
+}
+
+/**
+ * Fresh 256-bit seed from the platform CSPRNG, as hex
+ */
+function generateSeed() {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    return toHex(bytes);
+}
+
+/**
+ * Commitment published before the deal; binds the peer to its seed
+ */
+function commitSeed(handId, seed) {
+    return sha256Hex(`commit|${handId}|${seed}`);
+}
+
+/**
+ * Check a revealed seed against its commitment
+ */
+function verifySeed(handId, seed, commitment) {
+    return typeof seed === 'string' && commitSeed(handId, seed) === commitment;
+}
+
+/**
+ * Combine every peer's seed into one, independent of message arrival order
+ * seeds: { peerId: seedHex }
+ */
+function combineSeeds(handId, seeds) {
+    const parts = Object.keys(seeds)
+        .sort()
+        .map(peerId => `${peerId}=${seeds[peerId]}`);
+    return sha256Hex(`deck|${handId}|${parts.join('|')}`);
+}
+
+/**
+ * Deterministic random() in [0, 1) from a combined seed
+ * Output is SHA-256 in counter mode, so it can be replayed by every client
+ */
+function createRandom(combinedSeed) {
+    let counter = 0;
+    let block = null;
+    let position = 8;
+
+    return function random() {
+        if (position >= 8) {
+            const bytes = sha256Bytes(`${combinedSeed}|${counter++}`);
+            block = new DataView(bytes.buffer);
+            position = 0;
+        }
+        const word = block.getUint32(position * 4);
+        position++;
+        return word / 0x100000000;
+    };
+}
+
+/**
+ * Build the shuffle handed to a game engine's startHand
+ */
+function createShuffle(handId, seeds, commitments) {
+    const combinedSeed = combineSeeds(handId, seeds);
+    return {
+        handId,
+        seeds: { ...seeds },
+        commitments: { ...commitments },
+        random: createRandom(combinedSeed)
+    };
+}
+
+/**
+ * Recompute the deck the host should have dealt from the revealed seeds
+ * deck: the unshuffled deck the game deals from (52 cards unless it adds jokers)
+ */
+function rebuildDeck(handId, seeds, deck = Poker.createDeck()) {
+    const random = createRandom(combineSeeds(handId, seeds));
+    return Poker.shuffleDeck(deck, random);
+}
+
+/**
+ * Check a reveal against the commitments this client saw before the deal
+ * excluded: peers the host left out of the deal (no reveal or a bad one)
+ * Returns a list of human-readable problems (empty when everything matches)
+ */
+function verifyReveal(handId, seeds, knownCommitments, excluded, mySeed, myId) {
+    const problems = [];
+    const revealedIds = Object.keys(seeds || {});
+    const committedIds = Object.keys(knownCommitments || {});
+
+    if (myId && mySeed && knownCommitments[myId] !== commitSeed(handId, mySeed)) {
+        problems.push('our commitment was replaced before the deal');
+    }
+
+    for (const peerId of committedIds) {
+        if (excluded.includes(peerId)) {
+            problems.push(`seed for ${peerId} was left out of the deal`);
+        } else if (!revealedIds.includes(peerId)) {
+            problems.push(`seed for ${peerId} was not revealed`);
+        } else if (!verifySeed(handId, seeds[peerId], knownCommitments[peerId])) {
+            problems.push(`seed for ${peerId} does not match its commitment`);
+        }
+    }
+
+    for (const peerId of revealedIds) {
+        if (!committedIds.includes(peerId)) {
+            problems.push(`seed for ${peerId} was never committed`);
+        }
+    }
+
+    return problems;
+}
+
+// Export for use in other modules
+window.FairShuffle = {
+    sha256Hex,
+    generateSeed,
+    commitSeed,
+    verifySeed,
+    combineSeeds,
+    createRandom,
+    createShuffle,
+    rebuildDeck,
+    verifyReveal
+};
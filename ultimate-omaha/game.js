@@ -21,8 +21,17 @@ class UltimateOmahaGame {
         this.board2 = [];
         this.phase = 'waiting'; // waiting, preflop, flop, results
         this.baseBet = 1.00;
+        this.rules = { ...Poker.DEFAULT_RULES }; // Qualifier, paytable and how the boards combine
+        this.tournament = null; // TournamentClock in a tournament; it sets each hand's ante
+        this.bankroll = null; // Bankroll at a cash table with buy-ins; nobody loses more than their stack
+        this.sittingOut = {}; // playerId -> PnL kept while the player sits out
+        this.shotClock = null; // ShotClock when the host set one; the host checks anyone who runs out of time
         this.actedThisRound = new Set();
         this.lastResults = null;
+        this.shuffleId = null; // Hand id of the commit-reveal shuffle used for the deal
+        this.dealOrder = []; // Player ids in the order cards were dealt
+        this.handRecord = null; // { startedAt, actions } - what happened in the hand being played
+        this.handHistory = null; // History entry of the last completed hand
     }
 
     /**
@@ -40,12 +49,19 @@ class UltimateOmahaGame {
             hasActed: false
         }));
         this.queuedPlayers = [];
+        this.sittingOut = {};
     }
 
     /**
      * Add a player to the queue (for mid-game joins)
      */
     queuePlayer(playerId) {
+        // Back before the next deal: the seat was never given up
+        const seated = this.players.find(p => p.id === playerId);
+        if (seated?.sittingOut) {
+            seated.sittingOut = false;
+            return true;
+        }
         if (!this.queuedPlayers.includes(playerId) &&
             !this.players.find(p => p.id === playerId)) {
             this.queuedPlayers.push(playerId);
@@ -59,10 +75,13 @@ class UltimateOmahaGame {
      */
     addQueuedPlayers() {
         for (const playerId of this.queuedPlayers) {
+            // A player back from sitting out picks up their PnL where they left it
+            const pnl = this.sittingOut[playerId] ?? 0;
+            delete this.sittingOut[playerId];
             this.players.push({
                 id: playerId,
-                pnl: 0, // Start at 0 PnL
-                startingPnl: 0,
+                pnl,
+                startingPnl: pnl,
                 holeCards: [],
                 currentBet: 0,
                 totalBet: 0,
@@ -79,28 +98,120 @@ class UltimateOmahaGame {
         this.baseBet = parseFloat(amount) || 1.00;
     }
 
+    /**
+     * Set the rules profile used at the showdown; unknown options fall back to the standard rules
+     */
+    setRules(rules) {
+        this.rules = Poker.normalizeRules(rules);
+    }
+
+    /**
+     * Play a tournament (config as for TournamentClock) instead of a cash game; null for a cash game
+     */
+    setTournament(config) {
+        this.tournament = config ? new TournamentClock(config) : null;
+    }
+
+    /**
+     * Play with buy-ins (config as for Bankroll), or null for unlimited PnL
+     */
+    setBankroll(config) {
+        this.bankroll = config ? new Bankroll(config) : null;
+    }
+
+    /**
+     * Time each betting round (config as for ShotClock), or null for no clock
+     */
+    setShotClock(config) {
+        this.shotClock = config ? new ShotClock(config) : null;
+    }
+
+    /**
+     * The decision the table is waiting on, for the shot clock: { key, playerIds }, or null
+     */
+    getDecision() {
+        if (this.phase !== 'preflop' && this.phase !== 'flop') return null;
+        return {
+            key: `${this.shuffleId}:${this.phase}`,
+            playerIds: this.players.filter(p => !p.hasActed).map(p => p.id)
+        };
+    }
+
+    /**
+     * Sit a player out from the next hand on; their PnL waits for them to come back
+     */
+    sitOut(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (player) {
+            player.sittingOut = true;
+        }
+    }
+
+    /**
+     * Whether a seated player misses the next hand: sitting out, or unable to cover the bet
+     */
+    willSitOut(player) {
+        return Boolean(player.sittingOut) || Boolean(this.bankroll && !this.bankroll.canCover(player, this.baseBet));
+    }
+
+    /**
+     * Whether a player's stack covers doubling their bet (always, without buy-ins)
+     */
+    canDouble(player) {
+        return !this.bankroll || this.bankroll.canCover(player, player.totalBet + player.currentBet);
+    }
+
+    /**
+     * Add a rebuy to a player's stack; returns the amount (0 without buy-ins or once the cap is reached)
+     */
+    rebuy(playerId) {
+        return this.bankroll ? this.bankroll.rebuy(playerId) : 0;
+    }
+
     /**
      * Start a new hand
+     * shuffle: optional FairShuffle result ({ handId, random }); falls back to Math.random
      */
-    startHand() {
+    startHand(shuffle = null) {
         // Add any queued players first
         this.addQueuedPlayers();
 
+        // In a tournament the clock sets the ante, and eliminated players are out
+        if (this.tournament) {
+            this.players = this.players.filter(p => !this.tournament.isEliminated(p.id));
+            this.baseBet = this.tournament.nextHand();
+        }
+
+        for (const player of this.players.filter(p => this.willSitOut(p))) {
+            this.sittingOut[player.id] = player.pnl;
+        }
+        this.players = this.players.filter(p => this.sittingOut[p.id] === undefined);
+        if (this.bankroll) {
+            this.players.forEach(p => this.bankroll.seat(p.id));
+        }
+
         // Reset player states - save current PnL as starting PnL for display
         for (const player of this.players) {
+            const bet = this.tournament ? this.tournament.betFor(player) : this.baseBet;
             player.startingPnl = player.pnl; // Save for display during hand
             player.holeCards = [];
-            player.currentBet = this.baseBet; // Track bet but don't deduct yet
-            player.totalBet = this.baseBet;
+            player.currentBet = bet; // Track bet but don't deduct yet
+            player.totalBet = bet;
             player.hasActed = false;
         }
 
         // Shuffle and create new deck
-        this.deck = Poker.shuffleDeck(Poker.createDeck());
+        this.deck = shuffle
+            ? Poker.shuffleDeck(Poker.createDeck(), shuffle.random)
+            : Poker.shuffleDeck(Poker.createDeck());
+        this.shuffleId = shuffle ? shuffle.handId : null;
+        this.dealOrder = this.players.map(p => p.id);
         this.board1 = [];
         this.board2 = [];
         this.actedThisRound = new Set();
         this.lastResults = null;
+        this.handRecord = { startedAt: Date.now(), actions: [] };
+        this.handHistory = null;
 
         // Deal hole cards
         for (const player of this.players) {
@@ -145,6 +256,9 @@ class UltimateOmahaGame {
                 break;
 
             case 'double':
+                if (!this.canDouble(player)) {
+                    return { success: false, error: 'Your stack can\'t cover a double' };
+                }
                 // Track the doubled bet (PnL only updated at showdown)
                 const doubleAmount = player.currentBet;
                 player.currentBet *= 2;
@@ -156,6 +270,11 @@ class UltimateOmahaGame {
             default:
                 return { success: false, error: 'Invalid action' };
         }
+        this.shotClock?.charge(playerId);
+
+        if (this.handRecord) {
+            this.handRecord.actions.push({ street: this.phase, playerId, action, totalBet: player.totalBet });
+        }
 
         // Check if ALL players have acted
         const allActed = this.players.every(p => this.actedThisRound.has(p.id));
@@ -204,12 +323,12 @@ class UltimateOmahaGame {
             const hand1 = Poker.evaluateOmahaHand(player.holeCards, this.board1);
             const hand2 = Poker.evaluateOmahaHand(player.holeCards, this.board2);
 
-            const qualifies1 = Poker.doesHandQualify(hand1);
-            const qualifies2 = Poker.doesHandQualify(hand2);
+            const qualifies1 = Poker.doesHandQualify(hand1, this.rules);
+            const qualifies2 = Poker.doesHandQualify(hand2, this.rules);
             const qualifies = qualifies1 && qualifies2;
 
             const totalMultiplier = qualifies
-                ? Poker.calculateTotalMultiplier(hand1, hand2)
+                ? Poker.calculateTotalMultiplier(hand1, hand2, this.rules)
                 : 0;
 
             return {
@@ -219,13 +338,13 @@ class UltimateOmahaGame {
                     name: hand1.name,
                     rank: hand1.rank,
                     qualifies: qualifies1,
-                    multiplier: Poker.getMultiplier(hand1)
+                    multiplier: Poker.getMultiplier(hand1, this.rules)
                 },
                 hand2: {
                     name: hand2.name,
                     rank: hand2.rank,
                     qualifies: qualifies2,
-                    multiplier: Poker.getMultiplier(hand2)
+                    multiplier: Poker.getMultiplier(hand2, this.rules)
                 },
                 qualifies,
                 totalMultiplier,
@@ -245,8 +364,16 @@ class UltimateOmahaGame {
                 // Foul: lose bet to the bank
                 player.netResult = -player.totalBet;
             }
+            // Table stakes hold against the bank too
+            const stakes = this.bankroll || this.tournament;
+            if (stakes) {
+                const stack = stakes.stackOf(this.players.find(p => p.id === player.playerId));
+                player.tableStakes = player.netResult < -stack;
+                player.netResult = Math.max(player.netResult, -stack);
+            }
         } else {
             // Multiplayer: pairwise transactions between all players
+            const transfers = []; // { from, to, amount }, for table stakes
             for (let i = 0; i < results.length; i++) {
                 for (let j = i + 1; j < results.length; j++) {
                     const pi = results[i];
@@ -278,6 +405,22 @@ class UltimateOmahaGame {
                     // Apply the net flow
                     pi.netResult += flowToI;
                     pj.netResult -= flowToI;
+                    if (flowToI !== 0) {
+                        transfers.push(flowToI > 0
+                            ? { from: pj.playerId, to: pi.playerId, amount: flowToI }
+                            : { from: pi.playerId, to: pj.playerId, amount: -flowToI });
+                    }
+                }
+            }
+
+            // With buy-ins or in a tournament, a stack that can't cover its losses pays what it has
+            const stakes = this.bankroll || this.tournament;
+            if (stakes) {
+                const stacks = Object.fromEntries(this.players.map(p => [p.id, stakes.stackOf(p)]));
+                const nets = Bankroll.applyTableStakes(transfers, stacks);
+                for (const result of results) {
+                    result.tableStakes = Math.abs(nets[result.playerId] - result.netResult) > 0.005;
+                    result.netResult = nets[result.playerId];
                 }
             }
         }
@@ -307,10 +450,64 @@ class UltimateOmahaGame {
             }
         }
 
+        if (this.tournament) {
+            this.tournament.recordEliminations(this.players);
+        }
+
         this.lastResults = results;
+        this.handHistory = this.buildHandHistory(results);
         return results;
     }
 
+    /**
+     * Structured record of the finished hand, for hand history export
+     * Players are listed in seat (deal) order and identified by id; the app adds names
+     */
+    buildHandHistory(results) {
+        const record = this.handRecord || { startedAt: Date.now(), actions: [] };
+        const seats = this.dealOrder.filter(id => results.some(r => r.playerId === id));
+
+        return {
+            game: 'ultimate-omaha',
+            handId: this.shuffleId,
+            startedAt: record.startedAt,
+            endedAt: Date.now(),
+            baseBet: this.baseBet,
+            rules: { ...this.rules },
+            players: seats.map((id, index) => {
+                const player = this.players.find(p => p.id === id);
+                const result = results.find(r => r.playerId === id);
+                return {
+                    id,
+                    seat: index + 1,
+                    startingPnl: player.startingPnl,
+                    holeCards: [...result.holeCards],
+                    totalBet: result.totalBet,
+                    hands: [result.hand1, result.hand2].map(hand => ({
+                        name: hand.name,
+                        qualifies: hand.qualifies,
+                        multiplier: hand.multiplier
+                    })),
+                    qualifies: result.qualifies,
+                    multiplier: result.totalMultiplier,
+                    netResult: result.netResult
+                };
+            }),
+            boards: [[...this.board1], [...this.board2]],
+            actions: record.actions.map(a => ({ ...a }))
+        };
+    }
+
+    /**
+     * Everyone with a stack: the players at the table and those sitting out
+     */
+    getBankrollPlayers() {
+        return [
+            ...this.players,
+            ...Object.entries(this.sittingOut).map(([id, pnl]) => ({ id, pnl }))
+        ];
+    }
+
     /**
      * Get current game state (for broadcasting)
      */
@@ -318,6 +515,10 @@ class UltimateOmahaGame {
         return {
             phase: this.phase,
             baseBet: this.baseBet,
+            rules: { ...this.rules },
+            tournament: this.tournament ? this.tournament.getState(this.players) : null,
+            bankroll: this.bankroll ? this.bankroll.getState(this.getBankrollPlayers()) : null,
+            shotClock: this.shotClock ? this.shotClock.getState(this.getDecision()) : null,
             players: this.players.map(p => ({
                 id: p.id,
                 pnl: p.startingPnl, // Show starting PnL during hand
@@ -325,16 +526,50 @@ class UltimateOmahaGame {
                 currentBet: p.currentBet,
                 totalBet: p.totalBet,
                 hasActed: p.hasActed,
-                holeCards: p.holeCards
+                holeCards: p.holeCards,
+                sittingOut: Boolean(p.sittingOut)
             })),
             queuedPlayers: this.queuedPlayers,
             board1: this.getBoardState(1),
             board2: this.getBoardState(2),
             totalPot: this.getTotalPot(),
-            results: this.lastResults
+            results: this.lastResults,
+            handHistory: this.handHistory,
+            shuffleId: this.shuffleId,
+            dealOrder: [...this.dealOrder]
         };
     }
 
+    /**
+     * Compare the cards in a results state with the order of a rebuilt deck
+     * Mirrors the dealing order in startHand; returns a list of mismatches
+     */
+    checkDeal(deck, gameState) {
+        const problems = [];
+        const sameCards = (a, b) => a.length === b.length &&
+            a.every((card, i) => b[i] && card.rank === b[i].rank && card.suit === b[i].suit);
+
+        const dealOrder = gameState.dealOrder || gameState.players.map(p => p.id);
+        let position = 0;
+        for (const playerId of dealOrder) {
+            const player = gameState.players.find(p => p.id === playerId);
+            // Players who left mid-hand are skipped, but their cards still came off the deck
+            if (player && !sameCards(player.holeCards || [], deck.slice(position, position + 4))) {
+                problems.push(`hole cards for ${playerId}`);
+            }
+            position += 4;
+        }
+        if (!sameCards(gameState.board1 || [], deck.slice(position, position + 5))) {
+            problems.push('board 1');
+        }
+        position += 5;
+        if (!sameCards(gameState.board2 || [], deck.slice(position, position + 5))) {
+            problems.push('board 2');
+        }
+
+        return problems;
+    }
+
     /**
      * Get board state based on current phase
      */
@@ -371,6 +606,9 @@ class UltimateOmahaGame {
     removePlayer(playerId) {
         const index = this.players.findIndex(p => p.id === playerId);
         if (index !== -1) {
+            if (this.tournament) {
+                this.tournament.withdraw(this.players[index]);
+            }
             this.players.splice(index, 1);
         }
         // Also remove from queue if there
@@ -392,8 +630,17 @@ class UltimateOmahaGame {
             board2: this.board2,
             phase: this.phase,
             baseBet: this.baseBet,
+            rules: this.rules,
+            tournament: this.tournament ? this.tournament.serialize() : null,
+            bankroll: this.bankroll ? this.bankroll.serialize() : null,
+            sittingOut: { ...this.sittingOut },
+            shotClock: this.shotClock ? this.shotClock.serialize() : null,
             actedThisRound: Array.from(this.actedThisRound),
-            lastResults: this.lastResults
+            lastResults: this.lastResults,
+            shuffleId: this.shuffleId,
+            dealOrder: [...this.dealOrder],
+            handRecord: this.handRecord,
+            handHistory: this.handHistory
         };
     }
 
@@ -408,8 +655,17 @@ class UltimateOmahaGame {
         this.board2 = data.board2;
         this.phase = data.phase;
         this.baseBet = data.baseBet;
+        this.rules = Poker.normalizeRules(data.rules);
+        this.tournament = data.tournament ? TournamentClock.deserialize(data.tournament) : null;
+        this.bankroll = data.bankroll ? Bankroll.deserialize(data.bankroll) : null;
+        this.sittingOut = { ...(data.sittingOut || {}) };
+        this.shotClock = data.shotClock ? ShotClock.deserialize(data.shotClock) : null;
         this.actedThisRound = new Set(data.actedThisRound);
         this.lastResults = data.lastResults;
+        this.shuffleId = data.shuffleId || null;
+        this.dealOrder = data.dealOrder || [];
+        this.handRecord = data.handRecord || null;
+        this.handHistory = data.handHistory || null;
     }
 }
 
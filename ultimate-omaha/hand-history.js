@@ -0,0 +1,522 @@
+/**
+ * Ultimate Omaha - Hand History
+ * Writes finished hands (the engines' `handHistory` entries, with player names
+ * added by the app) as PokerStars-style text, and breaks them into steps for
+ * the replayer. Shared by Ultimate Omaha, Pot-Limit Omaha and Edge the Dealer.
+ */
+
+const HISTORY_GAME_TITLES = {
+    'ultimate-omaha': 'Ultimate Omaha',
+    'pot-limit-omaha': 'Pot-Limit Omaha',
+    'edge-the-dealer': 'Edge the Dealer'
+};
+
+// Pot-Limit Omaha streets and the board cards face up on each
+const HISTORY_STREETS = [
+    { street: 'preflop', label: 'Preflop', showing: 0 },
+    { street: 'flop', label: 'Flop', showing: 3 },
+    { street: 'turn', label: 'Turn', showing: 4 },
+    { street: 'river', label: 'River', showing: 5 }
+];
+
+const DRAW_NAMES = { 1: 'Single Draw', 2: 'Double Draw', 3: 'Triple Draw', 4: 'Quadruple Draw' };
+
+const RESOLUTION_NAMES = {
+    lowest_beating_dealer: 'lowest hand that beats the dealer wins',
+    highest_when_no_one_beats_dealer: 'nobody beat the dealer, highest hand wins'
+};
+
+function historyCards(cards) {
+    return `[${(cards || []).filter(Boolean).map(card => `${card.rank}${card.suit}`).join(' ')}]`;
+}
+
+function historyMoney(amount, forceSign = false) {
+    const sign = amount < 0 ? '-' : (forceSign && amount > 0 ? '+' : '');
+    return `${sign}$${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * "2026/10/19 21:04:05", local time like the client that played the hand
+ */
+function historyTimestamp(time) {
+    const date = new Date(time);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function historyHeader(entry, variant) {
+    const title = HISTORY_GAME_TITLES[entry.game] || entry.game;
+    const lines = [
+        `${title} Hand #${entry.handId || 'unverified'}: ${variant} (${historyMoney(entry.baseBet)} base bet) - ${historyTimestamp(entry.startedAt)}`
+    ];
+    if (entry.roomCode) {
+        lines.push(`Room '${entry.roomCode}'`);
+    }
+    for (const player of entry.players) {
+        lines.push(`Seat ${player.seat}: ${player.name} (${historyMoney(player.startingPnl, true)} PnL)`);
+    }
+    return lines;
+}
+
+function historySummary(entry, extra = []) {
+    const pot = entry.players.reduce((sum, p) => sum + p.totalBet, 0);
+    const lines = ['*** SUMMARY ***', `Total bets ${historyMoney(pot)}`, ...extra];
+    for (const player of entry.players) {
+        const verb = player.netResult > 0 ? 'won' : (player.netResult < 0 ? 'lost' : 'broke even');
+        const amount = player.netResult === 0 ? '' : ` ${historyMoney(Math.abs(player.netResult))}`;
+        lines.push(`Seat ${player.seat}: ${player.name} ${verb}${amount}`);
+    }
+    return lines;
+}
+
+function omahaActionLine(action, nameOf) {
+    return action.action === 'double'
+        ? `${nameOf(action.playerId)}: doubles to ${historyMoney(action.totalBet)}`
+        : `${nameOf(action.playerId)}: checks`;
+}
+
+function omahaOutcome(player) {
+    const [hand1, hand2] = player.hands;
+    return player.qualifies
+        ? `${hand1.name} + ${hand2.name} (${player.multiplier}x)`
+        : `${hand1.name} + ${hand2.name} - FOUL`;
+}
+
+function formatOmahaHand(entry) {
+    const [board1, board2] = entry.boards;
+    const nameOf = id => (entry.players.find(p => p.id === id) || {}).name || 'Player';
+    const lines = historyHeader(entry, 'Double Board');
+    const rules = Poker.normalizeRules(entry.rules);
+    if (JSON.stringify(rules) !== JSON.stringify(Poker.DEFAULT_RULES)) {
+        lines.push(`Rules: ${Poker.describeRules(rules)}`);
+    }
+
+    lines.push('*** HOLE CARDS ***');
+    for (const player of entry.players) {
+        lines.push(`Dealt to ${player.name} ${historyCards(player.holeCards)}`);
+    }
+
+    const streets = [
+        { street: 'preflop', title: '*** PREFLOP ***' },
+        { street: 'flop', title: `*** FLOP *** Board 1 ${historyCards(board1.slice(0, 3))} Board 2 ${historyCards(board2.slice(0, 3))}` }
+    ];
+    for (const { street, title } of streets) {
+        lines.push(title);
+        for (const action of entry.actions.filter(a => a.street === street)) {
+            lines.push(omahaActionLine(action, nameOf));
+        }
+    }
+
+    lines.push(`*** TURN & RIVER *** Board 1 ${historyCards(board1)} Board 2 ${historyCards(board2)}`);
+    lines.push('*** SHOW DOWN ***');
+    for (const player of entry.players) {
+        lines.push(`${player.name}: shows ${historyCards(player.holeCards)} ${omahaOutcome(player)}`);
+    }
+
+    return [...lines, ...historySummary(entry)];
+}
+
+function potLimitActionLine(action, nameOf) {
+    const name = nameOf(action.playerId);
+    const allIn = action.allIn ? ' and is all-in' : '';
+    switch (action.action) {
+        case 'rebuy': return `${name}: rebuys for ${historyMoney(action.amount)}`;
+        case 'small_blind': return `${name}: posts small blind ${historyMoney(action.amount)}${allIn}`;
+        case 'big_blind': return `${name}: posts big blind ${historyMoney(action.amount)}${allIn}`;
+        case 'fold': return `${name}: folds`;
+        case 'check': return `${name}: checks`;
+        case 'call': return `${name}: calls ${historyMoney(action.amount)}${allIn}`;
+        case 'raise': return `${name}: raises to ${historyMoney(action.bet)}${allIn}`;
+        case 'uncalled': return `Uncalled bet (${historyMoney(action.amount)}) returned to ${name}`;
+        default: return `${name}: ${action.action}`;
+    }
+}
+
+function potName(index) {
+    return index === 0 ? 'main pot' : `side pot ${index}`;
+}
+
+function formatPotLimitHand(entry) {
+    const nameOf = id => (entry.players.find(p => p.id === id) || {}).name || 'Player';
+    const title = HISTORY_GAME_TITLES[entry.game];
+    const lines = [
+        `${title} Hand #${entry.handId || 'unverified'}: Pot Limit ` +
+        `(${historyMoney(entry.smallBlind)}/${historyMoney(entry.baseBet)}) - ${historyTimestamp(entry.startedAt)}`
+    ];
+    if (entry.roomCode) {
+        lines.push(`Room '${entry.roomCode}'`);
+    }
+    const button = entry.players.find(p => p.id === entry.buttonId);
+    if (button) {
+        lines.push(`Seat #${button.seat} is the button`);
+    }
+    for (const player of entry.players) {
+        lines.push(`Seat ${player.seat}: ${player.name} (${historyMoney(player.startingStack)} in chips)`);
+    }
+
+    for (const { street, showing } of HISTORY_STREETS) {
+        const actions = entry.actions.filter(a => a.street === street);
+        if (street === 'preflop') {
+            const posts = actions.filter(a => ['rebuy', 'small_blind', 'big_blind'].includes(a.action));
+            lines.push(...posts.map(action => potLimitActionLine(action, nameOf)));
+            lines.push('*** HOLE CARDS ***');
+            for (const player of entry.players) {
+                if (player.holeCards) lines.push(`Dealt to ${player.name} ${historyCards(player.holeCards)}`);
+            }
+            lines.push(...actions.filter(a => !posts.includes(a)).map(action => potLimitActionLine(action, nameOf)));
+            continue;
+        }
+        if (entry.board.length < showing) break;
+        const earlier = showing === 3 ? '' : `${historyCards(entry.board.slice(0, showing - 1))} `;
+        lines.push(`*** ${street.toUpperCase()} *** ${earlier}${historyCards(entry.board.slice(showing === 3 ? 0 : showing - 1, showing))}`);
+        lines.push(...actions.map(action => potLimitActionLine(action, nameOf)));
+    }
+
+    const shown = entry.players.filter(p => p.shown);
+    if (shown.length > 0) {
+        lines.push('*** SHOW DOWN ***');
+        for (const player of shown) {
+            lines.push(`${player.name}: shows ${historyCards(player.holeCards)} (${player.hand})`);
+        }
+    }
+    entry.pots.forEach((pot, i) => {
+        lines.push(`${pot.winners.map(nameOf).join(' and ')} collected ${historyMoney(pot.amount)} from ${potName(i)}`);
+    });
+
+    return [...lines, ...historySummary(entry, entry.board.length > 0 ? [`Board ${historyCards(entry.board)}`] : [])];
+}
+
+/**
+ * One player's part of a draw round; other players' cards may be redacted to a count
+ */
+function edgeDrawLines(draw, name) {
+    const cards = `${draw.discardCount} card${draw.discardCount === 1 ? '' : 's'}`;
+    if (draw.discardCount === 0) return [`${name}: stands pat`];
+    if (!draw.discarded) return [`${name}: discards ${cards}`];
+    return [`${name}: discards ${cards} ${historyCards(draw.discarded)}`, `Dealt to ${name} ${historyCards(draw.drawn)}`];
+}
+
+function edgeOutcome(player) {
+    return `${player.hand} - ${player.beatsDealer ? 'beats the dealer' : 'does not beat the dealer'}`;
+}
+
+function formatEdgeHand(entry) {
+    const nameOf = id => (entry.players.find(p => p.id === id) || {}).name || 'Player';
+    const lines = historyHeader(entry, DRAW_NAMES[entry.drawCount] || `${entry.drawCount} Draws`);
+    const variant = Poker.normalizeVariant(entry.variant);
+    if (JSON.stringify(variant) !== JSON.stringify(Poker.DEFAULT_VARIANT)) {
+        lines.push(`Variant: ${Poker.describeVariant(variant)}`);
+    }
+
+    lines.push(`*** DEALER *** ${historyCards(entry.dealerCards)}${entry.dealerHand ? ` - ${entry.dealerHand}` : ''}`);
+    lines.push('*** DEALING HANDS ***');
+    for (const player of entry.players) {
+        if (player.openingHand) {
+            lines.push(`Dealt to ${player.name} ${historyCards(player.openingHand)}`);
+        }
+    }
+
+    for (const draw of entry.draws) {
+        lines.push(`*** DRAW ${draw.round} ***`);
+        for (const p of draw.players) {
+            lines.push(...edgeDrawLines(p, nameOf(p.playerId)));
+        }
+    }
+
+    lines.push('*** SHOW DOWN ***');
+    for (const player of entry.players) {
+        lines.push(`${player.name}: shows ${historyCards(player.holeCards)} ${edgeOutcome(player)}`);
+    }
+
+    const resolution = RESOLUTION_NAMES[entry.resolutionType];
+    return [...lines, ...historySummary(entry, resolution ? [`Resolution: ${resolution}`] : [])];
+}
+
+/**
+ * One hand as PokerStars-style text
+ */
+function formatHand(entry) {
+    const formatters = { 'edge-the-dealer': formatEdgeHand, 'pot-limit-omaha': formatPotLimitHand };
+    return (formatters[entry.game] || formatOmahaHand)(entry).join('\n');
+}
+
+/**
+ * Several hands, oldest first, separated like a PokerStars history file
+ */
+function formatHands(entries) {
+    return entries.map(formatHand).join('\n\n\n') + '\n';
+}
+
+function handsToJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+}
+
+// ============ REPLAY ============
+
+const cardKey = card => `${card.rank}${card.suit}`;
+
+function replayResultLines(entry, outcome) {
+    return entry.players.map(player =>
+        `${player.name}: ${outcome(player)}, ${historyMoney(player.netResult, true)}`);
+}
+
+/**
+ * Preflop, flop and showdown. Each step carries the table as it stood at the
+ * end of that street, in the shape of a live game state
+ */
+function omahaReplaySteps(entry) {
+    const nameOf = id => (entry.players.find(p => p.id === id) || {}).name || 'Player';
+    const bets = new Map(entry.players.map(p => [p.id, entry.baseBet]));
+    const boardsShowing = count => entry.boards.map(board =>
+        board.map((card, i) => (i < count ? card : { faceDown: true })));
+
+    const streets = [
+        { street: 'preflop', label: 'Preflop', showing: 0 },
+        { street: 'flop', label: 'Flop', showing: 3 }
+    ];
+    const steps = streets.map(({ street, label, showing }) => {
+        const actions = entry.actions.filter(a => a.street === street);
+        const acted = new Set();
+        for (const action of actions) {
+            bets.set(action.playerId, action.totalBet);
+            acted.add(action.playerId);
+        }
+        const [board1, board2] = boardsShowing(showing);
+        return {
+            label,
+            notes: actions.map(action => omahaActionLine(action, nameOf)),
+            state: {
+                phase: street,
+                baseBet: entry.baseBet,
+                rules: entry.rules,
+                board1,
+                board2,
+                players: entry.players.map(p => ({
+                    id: p.id,
+                    name: p.name,
+                    pnl: p.startingPnl,
+                    actualPnl: p.startingPnl,
+                    totalBet: bets.get(p.id),
+                    hasActed: acted.has(p.id),
+                    holeCards: p.holeCards
+                })),
+                results: null
+            }
+        };
+    });
+
+    steps.push({
+        label: 'Showdown',
+        notes: replayResultLines(entry, omahaOutcome),
+        state: {
+            phase: 'results',
+            baseBet: entry.baseBet,
+            rules: entry.rules,
+            board1: entry.boards[0],
+            board2: entry.boards[1],
+            players: entry.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                pnl: p.startingPnl,
+                actualPnl: p.startingPnl + p.netResult,
+                totalBet: p.totalBet,
+                hasActed: true,
+                holeCards: p.holeCards
+            })),
+            results: entry.players.map(p => ({
+                playerId: p.id,
+                holeCards: p.holeCards,
+                hand1: p.hands[0],
+                hand2: p.hands[1],
+                qualifies: p.qualifies,
+                totalMultiplier: p.multiplier,
+                totalBet: p.totalBet,
+                netResult: p.netResult
+            }))
+        }
+    });
+    return steps;
+}
+
+/**
+ * Each street that was reached, then the result. Stacks and bets are followed
+ * through the recorded actions; hands nobody saw stay face down
+ */
+function potLimitReplaySteps(entry) {
+    const nameOf = id => (entry.players.find(p => p.id === id) || {}).name || 'Player';
+    const seats = new Map(entry.players.map(p => [p.id, {
+        stack: p.startingStack, bet: 0, totalBet: 0, folded: false, allIn: false, hasActed: false
+    }]));
+    const unseen = [0, 1, 2, 3].map(() => ({ faceDown: true }));
+    const tableState = (phase, showing, playerFields = () => ({})) => ({
+        game: entry.game,
+        phase,
+        baseBet: entry.baseBet,
+        smallBlind: entry.smallBlind,
+        board: [0, 1, 2, 3, 4].map(i => (i < showing && entry.board[i]) || { faceDown: true }),
+        buttonId: entry.buttonId,
+        toAct: null,
+        totalPot: Math.round([...seats.values()].reduce((sum, seat) => sum + seat.totalBet, 0) * 100) / 100,
+        players: entry.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            pnl: p.startingPnl,
+            actualPnl: p.startingPnl,
+            ...seats.get(p.id),
+            holeCards: p.holeCards || unseen,
+            ...playerFields(p)
+        })),
+        results: null
+    });
+
+    const steps = [];
+    for (const { street, label, showing } of HISTORY_STREETS) {
+        if (entry.board.length < showing) break;
+        for (const seat of seats.values()) {
+            seat.bet = 0;
+            seat.hasActed = false;
+        }
+        const actions = entry.actions.filter(a => a.street === street);
+        for (const action of actions) {
+            const seat = seats.get(action.playerId);
+            if (!seat || action.action === 'rebuy') continue;
+            if (action.action === 'fold') seat.folded = true;
+            if (action.stack !== undefined) {
+                Object.assign(seat, { stack: action.stack, bet: action.bet, totalBet: action.totalBet, allIn: action.allIn });
+            }
+            seat.hasActed = !action.action.endsWith('_blind');
+        }
+        steps.push({
+            label,
+            notes: actions.map(action => potLimitActionLine(action, nameOf)),
+            state: tableState(street, showing)
+        });
+    }
+
+    const showdown = tableState('results', entry.board.length, p => ({
+        bet: 0,
+        stack: seats.get(p.id).stack + p.won,
+        actualPnl: p.startingPnl + p.netResult
+    }));
+    showdown.pots = entry.pots;
+    showdown.results = entry.players.map(p => ({
+        playerId: p.id,
+        holeCards: p.holeCards,
+        folded: p.folded,
+        shown: p.shown,
+        hand: p.hand ? { name: p.hand } : null,
+        totalBet: p.totalBet,
+        won: p.won,
+        netResult: p.netResult
+    }));
+    steps.push({
+        label: 'Result',
+        notes: [
+            ...entry.pots.map((pot, i) =>
+                `${pot.winners.map(nameOf).join(' and ')} won the ${potName(i)} (${historyMoney(pot.amount)})`),
+            ...replayResultLines(entry, p => (p.shown ? p.hand : (p.folded ? 'folded' : 'did not show')))
+        ],
+        state: showdown
+    });
+    return steps;
+}
+
+/**
+ * The deal, each draw round and the showdown. A player's cards are followed
+ * through the draws when the entry has them (your own hand); everyone else's
+ * stay unknown until the showdown
+ */
+function edgeReplaySteps(entry) {
+    const nameOf = id => (entry.players.find(p => p.id === id) || {}).name || 'Player';
+    const hands = new Map(entry.players.map(p => [p.id, p.openingHand]));
+    const tableState = (phase, round, playerFields) => ({
+        phase,
+        baseBet: entry.baseBet,
+        drawCount: entry.drawCount,
+        variant: entry.variant,
+        currentDrawRound: round,
+        dealerCards: entry.dealerCards,
+        resolutionType: phase === 'results' ? entry.resolutionType : null,
+        players: entry.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            pnl: p.startingPnl,
+            actualPnl: p.startingPnl,
+            totalBet: p.totalBet,
+            hasConfirmed: false,
+            discardCount: 0,
+            holeCards: hands.get(p.id),
+            ...playerFields(p)
+        })),
+        results: null
+    });
+
+    const steps = [{
+        label: 'Deal',
+        notes: [`Dealer ${historyCards(entry.dealerCards)}${entry.dealerHand ? ` - ${entry.dealerHand}` : ''}`],
+        state: tableState('draw', 1, () => ({}))
+    }];
+
+    for (const draw of entry.draws) {
+        for (const p of draw.players) {
+            const hand = hands.get(p.playerId);
+            if (!hand || !p.discarded) {
+                hands.set(p.playerId, null);
+                continue;
+            }
+            const thrown = new Set(p.discarded.map(cardKey));
+            hands.set(p.playerId, [...hand.filter(card => !thrown.has(cardKey(card))), ...p.drawn]);
+        }
+        steps.push({
+            label: `Draw ${draw.round} of ${entry.drawCount}`,
+            notes: draw.players.flatMap(p => edgeDrawLines(p, nameOf(p.playerId))),
+            state: tableState('draw', draw.round, p => {
+                const mine = draw.players.find(d => d.playerId === p.id);
+                return { hasConfirmed: true, discardCount: mine ? mine.discardCount : 0 };
+            })
+        });
+    }
+
+    const resolution = RESOLUTION_NAMES[entry.resolutionType];
+    const showdown = tableState('results', entry.drawCount, p => ({
+        hasConfirmed: true,
+        actualPnl: p.startingPnl + p.netResult,
+        holeCards: p.holeCards
+    }));
+    showdown.results = entry.players.map(p => ({
+        playerId: p.id,
+        holeCards: p.holeCards,
+        hand: { name: p.hand },
+        beatsDealer: p.beatsDealer,
+        isWinner: p.isWinner,
+        totalBet: p.totalBet,
+        netResult: p.netResult
+    }));
+    steps.push({
+        label: 'Showdown',
+        notes: [
+            ...replayResultLines(entry, edgeOutcome),
+            ...(resolution ? [`Resolution: ${resolution}`] : [])
+        ],
+        state: showdown
+    });
+    return steps;
+}
+
+/**
+ * A hand as replay steps: [{ label, notes, state }], where state is shaped
+ * like the game's live state so the app can draw it with its usual renderers
+ */
+function buildReplay(entry) {
+    const builders = { 'edge-the-dealer': edgeReplaySteps, 'pot-limit-omaha': potLimitReplaySteps };
+    return (builders[entry.game] || omahaReplaySteps)(entry);
+}
+
+// Export for use in other modules
+window.HandHistory = {
+    formatHand,
+    formatHands,
+    handsToJSON,
+    buildReplay
+};
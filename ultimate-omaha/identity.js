@@ -0,0 +1,198 @@
+/**
+ * Ultimate Omaha - Player Identity
+ * Each browser's ECDSA P-256 key pair, made with WebCrypto and kept in
+ * IndexedDB, where the private key can't be read back out. The fingerprint of
+ * the public key is the player's stable identity: it outlives the session,
+ * the tab and the peer id, and unlike a name nobody else can claim it. The
+ * host challenges every joining player to sign with their key, and checks
+ * the signature on each of their actions.
+ * Shared by Ultimate Omaha and Edge the Dealer.
+ */
+
+const IDENTITY_DB_NAME = 'card-games-identity';
+const IDENTITY_DB_VERSION = 1;
+const IDENTITY_STORE = 'keys';
+const IDENTITY_RECORD = 'self';
+
+// localStorage key for browsers without IndexedDB (the key pair is exportable there)
+const IDENTITY_FALLBACK_KEY = 'card-games-identity';
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+function identityRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Named apart from secret-sharing.js's chunked base64 helpers: both files share the page's global scope
+function signatureToBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function signatureFromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * JSON with object keys sorted, so a message signs the same however the
+ * transport ordered its fields
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => item === undefined ? 'null' : canonicalJson(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * A player's stable id: the hash of their public key's curve point
+ */
+function fingerprint(publicKey) {
+    return FairShuffle.sha256Hex(`${publicKey.crv}|${publicKey.x}|${publicKey.y}`);
+}
+
+/**
+ * The few characters of a fingerprint the table shows next to a name
+ */
+function shortFingerprint(identity) {
+    return identity ? identity.slice(0, 6) : '';
+}
+
+/**
+ * What a joining player signs: the host's fresh nonce, bound to the room and their peer id
+ */
+function joinText(roomCode, peerId, nonce) {
+    return `join|${roomCode}|${peerId}|${nonce}`;
+}
+
+/**
+ * What a player signs for an action: the whole message (its signature aside),
+ * bound to the room and their peer id so it can't be replayed elsewhere
+ */
+function actionText(roomCode, peerId, message) {
+    const { signature, ...fields } = message;
+    return `action|${roomCode}|${peerId}|${canonicalJson(fields)}`;
+}
+
+/**
+ * Check a signature against a public key (JWK); false for anything malformed
+ */
+async function verifySignature(publicKey, text, signature, subtle = globalThis.crypto?.subtle) {
+    if (!subtle || !publicKey || typeof signature !== 'string') return false;
+    try {
+        const key = await subtle.importKey('jwk', publicKey, KEY_ALGORITHM, false, ['verify']);
+        return await subtle.verify(SIGN_ALGORITHM, key, signatureFromBase64(signature), new TextEncoder().encode(text));
+    } catch (err) {
+        return false;
+    }
+}
+
+class PlayerIdentity {
+    /**
+     * factory: an IndexedDB factory; storage: the localStorage fallback;
+     * subtle: WebCrypto (missing outside secure contexts, where players stay unverified)
+     */
+    constructor(
+        factory = typeof indexedDB !== 'undefined' ? indexedDB : null,
+        storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        subtle = globalThis.crypto?.subtle || null
+    ) {
+        this.factory = factory;
+        this.storage = storage;
+        this.subtle = subtle;
+        this.keys = null; // { privateKey, publicKey } CryptoKeys once loaded
+        this.publicKey = null; // Public key as a JWK, sent to the host
+        this.id = null; // Fingerprint of the public key
+        this.loading = null;
+    }
+
+    get available() {
+        return Boolean(this.subtle);
+    }
+
+    /**
+     * Load this browser's key pair, making one on first use. Never rejects:
+     * without a key the player joins unverified
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = (this.available ? this.loadKeys() : Promise.reject(new Error('WebCrypto is not available')))
+                .then(async keys => {
+                    this.keys = keys;
+                    const { crv, kty, x, y } = await this.subtle.exportKey('jwk', keys.publicKey);
+                    this.publicKey = { crv, kty, x, y };
+                    this.id = fingerprint(this.publicKey);
+                    return this;
+                })
+                .catch(err => {
+                    console.warn('Playing without a verified identity:', err);
+                    return this;
+                });
+        }
+        return this.loading;
+    }
+
+    async loadKeys() {
+        if (this.factory) {
+            const db = await this.openDatabase();
+            const saved = await identityRequest(db.transaction(IDENTITY_STORE).objectStore(IDENTITY_STORE).get(IDENTITY_RECORD));
+            if (saved) return saved;
+            const keys = await this.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+            const record = { id: IDENTITY_RECORD, privateKey: keys.privateKey, publicKey: keys.publicKey };
+            await identityRequest(db.transaction(IDENTITY_STORE, 'readwrite').objectStore(IDENTITY_STORE).put(record));
+            return record;
+        }
+
+        // No IndexedDB (e.g. some private windows): keep an exportable pair in localStorage instead
+        const saved = JSON.parse(this.storage?.getItem(IDENTITY_FALLBACK_KEY) || 'null');
+        if (saved) {
+            return {
+                privateKey: await this.subtle.importKey('jwk', saved.privateKey, KEY_ALGORITHM, false, ['sign']),
+                publicKey: await this.subtle.importKey('jwk', saved.publicKey, KEY_ALGORITHM, true, ['verify'])
+            };
+        }
+        const keys = await this.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+        this.storage?.setItem(IDENTITY_FALLBACK_KEY, JSON.stringify({
+            privateKey: await this.subtle.exportKey('jwk', keys.privateKey),
+            publicKey: await this.subtle.exportKey('jwk', keys.publicKey)
+        }));
+        return keys;
+    }
+
+    openDatabase() {
+        const request = this.factory.open(IDENTITY_DB_NAME, IDENTITY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(IDENTITY_STORE, { keyPath: 'id' });
+        };
+        return identityRequest(request);
+    }
+
+    /**
+     * Sign text with our private key (base64), or null without a key
+     */
+    async sign(text) {
+        if (!this.keys) return null;
+        const signature = await this.subtle.sign(SIGN_ALGORITHM, this.keys.privateKey, new TextEncoder().encode(text));
+        return signatureToBase64(signature);
+    }
+}
+
+// Export for use in other modules
+window.PlayerIdentity = PlayerIdentity;
+window.Identity = {
+    canonicalJson,
+    fingerprint,
+    shortFingerprint,
+    joinText,
+    actionText,
+    verifySignature
+};
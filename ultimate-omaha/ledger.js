@@ -0,0 +1,334 @@
+/**
+ * Ultimate Omaha - Ledger
+ * Keeps every finished hand's net result per player in IndexedDB, across
+ * sessions and rooms, and works out the payments that settle everyone up.
+ * Players are told apart by their identity key (identity.js) where they have
+ * one, so a renamed player keeps one balance and two players sharing a name don't.
+ * Shared by Ultimate Omaha and Edge the Dealer.
+ */
+
+const LEDGER_DB_NAME = 'card-games-ledger';
+const LEDGER_DB_VERSION = 1;
+const LEDGER_STORE = 'hands';
+
+// Single-player hands are played against the bank; it settles like any other name
+const BANK_NAME = 'Bank';
+
+// Above this many open balances the exact search gets slow, so settle greedily instead
+const MAX_EXACT_SETTLE = 15;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+class HandLedger {
+    /**
+     * factory: an IndexedDB factory; defaults to the browser's (the ledger is
+     * disabled where there is none, e.g. private windows or the headless harness)
+     */
+    constructor(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+        this.factory = factory;
+        this.dbPromise = null;
+    }
+
+    get available() {
+        return Boolean(this.factory);
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.available) {
+            return Promise.reject(new Error('This browser cannot store the ledger'));
+        }
+        if (!this.dbPromise) {
+            const request = this.factory.open(LEDGER_DB_NAME, LEDGER_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(LEDGER_STORE, { keyPath: 'id' });
+                store.createIndex('timestamp', 'timestamp');
+            };
+            this.dbPromise = requestToPromise(request).catch(err => {
+                this.dbPromise = null;
+                throw err;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, run) {
+        const db = await this.open();
+        const tx = db.transaction(LEDGER_STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const result = await run(tx.objectStore(LEDGER_STORE));
+        await done;
+        return result;
+    }
+
+    /**
+     * Store one finished hand
+     * hand: { game, roomCode, handId, results: [{ name, identity?, net }], history? }
+     * history is the hand's HandHistory entry, kept for export
+     * The id is game:room:hand, so recording the same hand twice (another tab on
+     * this device, a refresh at showdown, a host migration) keeps one entry.
+     */
+    async recordHand(hand) {
+        const results = hand.results
+            .filter(r => Number.isFinite(r.net))
+            .map(r => ({ name: r.name, identity: r.identity || null, net: toCents(r.net) / 100 }));
+        const total = results.reduce((sum, r) => sum + toCents(r.net), 0);
+        if (total !== 0) {
+            results.push({ name: BANK_NAME, net: -total / 100 });
+        }
+
+        const entry = {
+            id: `${hand.game}:${hand.roomCode}:${hand.handId}`,
+            game: hand.game,
+            roomCode: hand.roomCode,
+            handId: hand.handId,
+            timestamp: Date.now(),
+            results,
+            history: hand.history || null
+        };
+        await this.transaction('readwrite', store => requestToPromise(store.put(entry)));
+        return entry;
+    }
+
+    /**
+     * Every recorded hand, oldest first
+     */
+    getHands() {
+        return this.transaction('readonly', store => requestToPromise(store.index('timestamp').getAll()));
+    }
+
+    /**
+     * Delete every recorded hand
+     */
+    clear() {
+        return this.transaction('readwrite', store => requestToPromise(store.clear()));
+    }
+
+    /**
+     * Balances and settle-up payments for everything recorded
+     */
+    async getReport() {
+        return buildReport(await this.getHands());
+    }
+}
+
+// ============ SETTLE UP ============
+
+/**
+ * Net result per player over a list of hands, biggest winner first
+ * A player with an identity is one balance under the latest name they used;
+ * names shared by different players get the identity's short fingerprint
+ * Returns [{ name, identity, net, hands }]
+ */
+function computeBalances(hands) {
+    const byPlayer = new Map();
+    for (const hand of hands) {
+        for (const result of hand.results) {
+            const key = result.identity ? `id:${result.identity}` : `name:${result.name}`;
+            const balance = byPlayer.get(key) || { identity: result.identity || null, cents: 0, hands: 0 };
+            balance.name = result.name;
+            balance.cents += toCents(result.net);
+            balance.hands++;
+            byPlayer.set(key, balance);
+        }
+    }
+
+    const balances = Array.from(byPlayer.values());
+    const nameCounts = new Map();
+    for (const b of balances) {
+        nameCounts.set(b.name, (nameCounts.get(b.name) || 0) + 1);
+    }
+    for (const b of balances) {
+        if (nameCounts.get(b.name) > 1 && b.identity) {
+            b.name = `${b.name} #${Identity.shortFingerprint(b.identity)}`;
+        }
+    }
+    return balances
+        .sort((a, b) => b.cents - a.cents || a.name.localeCompare(b.name))
+        .map(b => ({ name: b.name, identity: b.identity, net: b.cents / 100, hands: b.hands }));
+}
+
+/**
+ * Pay off one group of balances that sums to zero: the biggest debtor pays the
+ * biggest creditor until everyone is even. Each payment clears at least one
+ * person, so a group of n needs at most n - 1 payments.
+ */
+function settleGroup(group) {
+    const debtors = group.filter(b => b.cents < 0).map(b => ({ ...b, cents: -b.cents }));
+    const creditors = group.filter(b => b.cents > 0).map(b => ({ ...b }));
+    const payments = [];
+
+    while (debtors.length > 0 && creditors.length > 0) {
+        debtors.sort((a, b) => b.cents - a.cents);
+        creditors.sort((a, b) => b.cents - a.cents);
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const cents = Math.min(debtor.cents, creditor.cents);
+
+        payments.push({ from: debtor.name, to: creditor.name, amount: cents / 100 });
+        debtor.cents -= cents;
+        creditor.cents -= cents;
+        if (debtor.cents === 0) debtors.shift();
+        if (creditor.cents === 0) creditors.shift();
+    }
+    return payments;
+}
+
+/**
+ * Split balances into as many zero-sum groups as possible. Settling each group
+ * separately takes (people - groups) payments, which is the fewest possible.
+ * Exact search over subsets: best[mask] is the most zero-sum groups the people
+ * in `mask` can be cut into.
+ */
+function splitIntoZeroSumGroups(balances) {
+    const n = balances.length;
+    const full = (1 << n) - 1;
+    const sum = new Int32Array(full + 1);
+    const best = new Int8Array(full + 1);
+
+    for (let mask = 1; mask <= full; mask++) {
+        const low = mask & -mask;
+        sum[mask] = sum[mask ^ low] + balances[31 - Math.clz32(low)].cents;
+        let most = 0;
+        for (let i = 0; i < n; i++) {
+            if (mask & (1 << i)) most = Math.max(most, best[mask ^ (1 << i)]);
+        }
+        best[mask] = most + (sum[mask] === 0 ? 1 : 0);
+    }
+
+    // Walk back from everyone, removing one person at a time along an optimal path
+    const order = [];
+    let mask = full;
+    while (mask) {
+        const bonus = sum[mask] === 0 ? 1 : 0;
+        for (let i = 0; i < n; i++) {
+            const bit = 1 << i;
+            if ((mask & bit) && best[mask ^ bit] + bonus === best[mask]) {
+                order.push(i);
+                mask ^= bit;
+                break;
+            }
+        }
+    }
+
+    // Adding people back in reverse, every zero running total closes a group
+    const groups = [];
+    let current = [];
+    let running = 0;
+    for (const i of order.reverse()) {
+        current.push(balances[i]);
+        running += balances[i].cents;
+        if (running === 0) {
+            groups.push(current);
+            current = [];
+        }
+    }
+    return groups;
+}
+
+/**
+ * Fewest payments that bring every balance to zero
+ * balances: [{ name, net }] summing to zero, give or take the odd cent a split
+ * pot rounded away; returns [{ from, to, amount }]
+ */
+function settleUp(balances) {
+    let open = balances
+        .map(b => ({ name: b.name, cents: toCents(b.net) }))
+        .filter(b => b.cents !== 0);
+
+    // Rounding leftovers go on the biggest creditor (or debtor), so every group can close
+    const leftover = open.reduce((total, b) => total + b.cents, 0);
+    if (leftover !== 0) {
+        const creditors = open.filter(b => b.cents > 0);
+        const absorber = (creditors.length > 0 ? creditors : open)
+            .reduce((most, b) => Math.abs(b.cents) > Math.abs(most.cents) ? b : most);
+        absorber.cents -= leftover;
+        open = open.filter(b => b.cents !== 0);
+    }
+    if (open.length === 0) return [];
+
+    const groups = open.length <= MAX_EXACT_SETTLE ? splitIntoZeroSumGroups(open) : [open];
+    return groups.flatMap(settleGroup);
+}
+
+/**
+ * Balances, payments and the hands they came from
+ */
+function buildReport(hands) {
+    const balances = computeBalances(hands);
+    return {
+        generatedAt: new Date().toISOString(),
+        handCount: hands.length,
+        balances,
+        payments: settleUp(balances),
+        hands
+    };
+}
+
+// ============ EXPORT ============
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report as CSV: the balances table, a blank line, then the payments table
+ */
+function reportToCSV(report) {
+    const lines = [['Player', 'Hands', 'Net'].join(',')];
+    for (const b of report.balances) {
+        lines.push([csvField(b.name), b.hands, b.net.toFixed(2)].join(','));
+    }
+    lines.push('');
+    lines.push(['From', 'To', 'Amount'].join(','));
+    for (const p of report.payments) {
+        lines.push([csvField(p.from), csvField(p.to), p.amount.toFixed(2)].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function reportToJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Save text as a file through the browser's download prompt
+ */
+function downloadText(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export for use in other modules
+window.Ledger = {
+    HandLedger,
+    computeBalances,
+    settleUp,
+    buildReport,
+    reportToCSV,
+    reportToJSON,
+    downloadText,
+    BANK_NAME
+};
@@ -3,13 +3,38 @@
  * Handles UI, screen transitions, and ties everything together
  */
 
+// Pause before a bot acts, in ms
+const BOT_TURN_DELAY = 800;
+
+// The games a table can play, by the id their states and hand histories carry
+const GAME_ENGINES = {
+    'ultimate-omaha': UltimateOmahaGame,
+    'pot-limit-omaha': PotLimitOmahaGame
+};
+
 class GameController {
     constructor() {
-        this.multiplayer = new MultiplayerManager();
+        this.multiplayer = new MultiplayerManager('ultimate-omaha');
         this.game = new UltimateOmahaGame();
         this.currentScreen = 'menu';
         this.myPlayerId = null;
         this.gameStarted = false;
+        this.currentState = null;
+        this.dealInProgress = false; // Host is running the shuffle protocol
+        this.ledger = new Ledger.HandLedger();
+        this.ledgerReport = null; // Report shown in the ledger modal, for export
+        this.replay = null; // { entry, steps, index, returnScreen } while a recorded hand is shown
+        this.showEquity = false; // Odds panel turned on
+        this.equity = null; // { key, odds } - odds for the street on the table
+        this.botTimer = null; // Host: the next bot turn, while one is pending
+        this.sound = new SoundEngine(); // Sound cues, with settings saved on this device
+        this.rules = { ...Poker.DEFAULT_RULES }; // The table's rules profile, as the host last set it
+        this.gameMode = 'ultimate-omaha'; // The table's game, as the host last set it
+        this.limits = { stopLoss: null, stopWin: null }; // Our own stop-loss and stop-win, from the lobby
+        this.rebuyRequests = []; // Host: player ids waiting for a rebuy to be approved
+        this.shotClockTimer = null; // Host: fires when the first player still to act runs out of time
+        this.clockDeadlines = {}; // playerId -> { deadline, bankFrom } on our own clock, for the countdown
+        this.clockTicker = null; // Redraws the countdown every second while it runs
         
         // Game log and chat
         this.handNumber = 0;
@@ -18,6 +43,9 @@ class GameController {
         this.setupEventListeners();
         this.setupMultiplayerCallbacks();
         this.setupLogAndChat();
+        this.setupRulesSelects();
+        this.renderGameMode();
+        this.updateSoundButton();
         
         // Check for session to reconnect
         this.checkForReconnection();
@@ -47,6 +75,8 @@ class GameController {
                 document.getElementById('start-game-btn').classList.remove('hidden');
                 document.getElementById('host-controls').style.display = 'flex';
                 document.getElementById('waiting-message').classList.add('hidden');
+                // The password, join approval and bans came back with the session
+                this.showRoomAccess();
                 
                 // If game was in progress, go to game screen
                 // Check both session and multiplayer for gameInProgress
@@ -112,18 +142,127 @@ class GameController {
         document.getElementById('copy-code-btn').addEventListener('click', () => this.copyRoomCode());
         document.getElementById('start-game-btn').addEventListener('click', () => this.startGame());
         document.getElementById('leave-lobby-btn').addEventListener('click', () => this.leaveLobby());
+        document.querySelectorAll('.take-seat-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.requestSeat());
+        });
+        document.getElementById('add-bot-btn').addEventListener('click', () => this.addBot());
+        document.getElementById('lobby-players').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove-bot]');
+            const kick = e.target.closest('[data-kick]');
+            const ban = e.target.closest('[data-ban]');
+            if (btn) this.multiplayer.removeBot(btn.dataset.removeBot);
+            if (kick) this.kickPlayer(kick.dataset.kick, false);
+            if (ban) this.kickPlayer(ban.dataset.ban, true);
+        });
+        ['room-password', 'join-approval'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.readRoomAccess());
+        });
+        document.querySelectorAll('.join-requests').forEach(container => {
+            container.addEventListener('click', (e) => {
+                const approve = e.target.closest('[data-approve-join]');
+                const deny = e.target.closest('[data-deny-join]');
+                if (approve) this.multiplayer.approveJoin(approve.dataset.approveJoin);
+                if (deny) this.multiplayer.denyJoin(deny.dataset.denyJoin);
+            });
+        });
+        document.getElementById('banned-list').addEventListener('click', (e) => {
+            const unban = e.target.closest('[data-unban]');
+            if (!unban) return;
+            this.multiplayer.unban(unban.dataset.unban);
+            this.renderBannedList();
+        });
+        ['stop-loss', 'stop-win'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.readLimits());
+        });
+        document.querySelectorAll('.rebuy-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.requestRebuy());
+        });
+        document.getElementById('rebuy-requests').addEventListener('click', (e) => {
+            const approve = e.target.closest('[data-approve-rebuy]');
+            const deny = e.target.closest('[data-deny-rebuy]');
+            if (approve) this.approveRebuy(approve.dataset.approveRebuy);
+            if (deny) this.denyRebuy(deny.dataset.denyRebuy);
+        });
 
         // Game screen
         document.getElementById('check-btn').addEventListener('click', () => this.sendAction('check'));
         document.getElementById('double-btn').addEventListener('click', () => this.sendAction('double'));
+        document.getElementById('fold-btn').addEventListener('click', () => this.sendAction('fold'));
+        document.getElementById('call-btn').addEventListener('click', (e) => this.sendAction(e.currentTarget.dataset.action));
+        document.getElementById('raise-btn').addEventListener('click', () => {
+            this.sendAction('raise', parseFloat(document.getElementById('raise-amount').value));
+        });
+        document.getElementById('pot-btn').addEventListener('click', () => {
+            const limits = this.currentState?.raiseLimits;
+            if (limits) document.getElementById('raise-amount').value = limits.max.toFixed(2);
+        });
+        document.getElementById('game-mode-select').addEventListener('change', () => this.changeGameMode());
+        document.getElementById('format-select').addEventListener('change', () => this.renderGameMode());
         document.getElementById('rules-btn').addEventListener('click', () => this.showRules());
         document.getElementById('close-rules').addEventListener('click', () => this.hideRules());
         document.getElementById('next-hand-btn').addEventListener('click', () => this.startNextHand());
+        ['rules-qualifier-select', 'rules-paytable-select', 'rules-combine-select'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.changeRules());
+        });
 
         // Close modal on outside click
         document.getElementById('rules-modal').addEventListener('click', (e) => {
             if (e.target.id === 'rules-modal') this.hideRules();
         });
+        document.getElementById('close-standings').addEventListener('click', () => this.hideStandings());
+        document.getElementById('standings-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'standings-modal') this.hideStandings();
+        });
+
+        // Ledger
+        document.querySelectorAll('.open-ledger-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showLedger());
+        });
+        document.getElementById('close-ledger').addEventListener('click', () => this.hideLedger());
+        document.getElementById('export-ledger-csv').addEventListener('click', () => this.exportLedger('csv'));
+        document.getElementById('export-ledger-json').addEventListener('click', () => this.exportLedger('json'));
+        document.getElementById('export-history-txt').addEventListener('click', () => this.exportHandHistory('txt'));
+        document.getElementById('export-history-json').addEventListener('click', () => this.exportHandHistory('json'));
+        document.getElementById('clear-ledger').addEventListener('click', () => this.clearLedger());
+        document.getElementById('ledger-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'ledger-modal') this.hideLedger();
+        });
+        document.getElementById('ledger-history-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-hand-id]');
+            if (btn) this.replayLedgerHand(btn.dataset.handId);
+        });
+
+        document.getElementById('equity-toggle-btn').addEventListener('click', () => this.toggleEquity());
+
+        // Sound
+        document.getElementById('sound-toggle-btn').addEventListener('click', () => this.toggleSound());
+        document.getElementById('sound-settings-btn').addEventListener('click', () => this.showSoundSettings());
+        document.getElementById('close-sound').addEventListener('click', () => this.hideSoundSettings());
+        document.getElementById('sound-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'sound-modal') this.hideSoundSettings();
+        });
+        document.getElementById('sound-enabled-checkbox').addEventListener('change', (e) => {
+            this.sound.setEnabled(e.target.checked);
+            this.updateSoundButton();
+        });
+        document.getElementById('sound-volume').addEventListener('change', (e) => {
+            this.sound.setVolume(e.target.value / 100);
+            this.sound.play('confirm');
+        });
+        document.getElementById('sound-events').addEventListener('change', (e) => {
+            const event = e.target.dataset.soundEvent;
+            if (!event) return;
+            this.sound.setMuted(event, !e.target.checked);
+            if (e.target.checked) this.sound.play(event);
+        });
+
+        // Replay
+        document.getElementById('replay-hand-btn').addEventListener('click', () => {
+            this.startReplay(this.getNamedHandHistory(this.currentState));
+        });
+        document.getElementById('replay-back').addEventListener('click', () => this.stepReplay(-1));
+        document.getElementById('replay-forward').addEventListener('click', () => this.stepReplay(1));
+        document.getElementById('replay-close').addEventListener('click', () => this.stopReplay());
     }
 
     updateStartJoinButton() {
@@ -155,8 +294,16 @@ class GameController {
     }
 
     setupMultiplayerCallbacks() {
+        this.multiplayer.seatCheck = (peerId) => this.seatRefusal(peerId);
+
         this.multiplayer.onPlayerJoin = (players) => {
             this.updateLobbyPlayers(players);
+            this.updateSpectatorUI();
+
+            // Everyone, newcomers included, sees the game and rules before the first deal
+            if (this.multiplayer.isHost) {
+                this.multiplayer.broadcast({ type: 'table_rules', rules: this.rules, game: this.gameMode });
+            }
             
             // If game already started and this is host, check for new players to queue
             if (this.gameStarted && this.multiplayer.isHost) {
@@ -172,12 +319,36 @@ class GameController {
             }
             this.updateLobbyPlayers(this.multiplayer.getAllPlayers());
 
-            // Don't remove player from game immediately if they may reconnect
+            // Don't remove player from game immediately if they may reconnect: the seat is held for them
+            if (mayReconnect && this.multiplayer.isHost && this.gameStarted) {
+                this.holdSeat(playerId);
+            }
             if (this.currentScreen === 'game' && !mayReconnect) {
                 this.game.removePlayer(playerId);
+                // At a Pot-Limit Omaha table a player leaving can pass the turn or end the hand
+                if (this.multiplayer.isHost && this.gameStarted) {
+                    this.multiplayer.broadcastGameState(this.game.getGameState());
+                }
             }
         };
 
+        this.multiplayer.onSeatReclaimed = (oldId, newId) => {
+            this.reclaimSeat(oldId, newId);
+        };
+
+        this.multiplayer.onKnock = () => {
+            this.renderJoinRequests();
+        };
+
+        this.multiplayer.onKnockWaiting = () => {
+            this.showToast('Knocked - waiting for the host to let you in', 'info');
+        };
+
+        this.multiplayer.onTurnedAway = (message) => {
+            this.leaveLobby();
+            this.showToast(message || 'The host turned you away', 'error');
+        };
+
         this.multiplayer.onReconnected = (playerId) => {
             this.showToast(`A player reconnected!`, 'success');
             this.updateLobbyPlayers(this.multiplayer.getAllPlayers());
@@ -189,7 +360,25 @@ class GameController {
         };
 
         this.multiplayer.onGameStateUpdate = (state) => {
+            this.currentState = state;
+            this.scheduleBotTurn();
+            this.scheduleShotClock();
+            // A new hand for this player ends the replay; otherwise it stays on the table
+            if (this.replay && this.isPlayingHand()) {
+                this.stopReplay();
+                this.showToast('New hand dealt - replay closed', 'info');
+                return;
+            }
             this.updateGameUI(state);
+            if (this.replay) this.renderReplayStep();
+        };
+
+        this.multiplayer.onShuffleVerified = (result) => {
+            this.logShuffleCheck(result);
+        };
+
+        this.multiplayer.onRejected = (peerId, reason) => {
+            this.logRejectedMessage(peerId, reason);
         };
 
         this.multiplayer.onConnected = (data) => {
@@ -202,11 +391,14 @@ class GameController {
             // If game is in progress, show game screen and notify player they're queued
             if (data.gameInProgress) {
                 this.gameStarted = true;
-                if (!data.reconnected) {
+                if (data.spectator) {
+                    this.showToast('Game in progress - you are watching', 'info');
+                } else if (!data.reconnected) {
                     this.showToast('Game in progress - you\'ll join next hand', 'info');
                 }
                 this.showScreen('game');
             }
+            this.updateSpectatorUI();
         };
 
         this.multiplayer.onError = (message) => {
@@ -220,6 +412,13 @@ class GameController {
         this.multiplayer.onBecomeHost = (gameState) => {
             this.handleBecomeHost(gameState);
         };
+
+        // Bots ride along in the backup so a refreshed host can seat them again
+        this.multiplayer.getBackupState = () => ({ ...this.game.serialize(), bots: this.multiplayer.getBots() });
+
+        // Pot-Limit Omaha keeps folded hands hidden at the showdown
+        this.multiplayer.redactStateForPlayer = (state, playerId) =>
+            (state.game === 'pot-limit-omaha' ? PotLimitOmahaGame.redactState(state, playerId) : state);
     }
 
     // ============ GAME LOG & CHAT ============
@@ -297,16 +496,22 @@ class GameController {
         logContainer.scrollTop = logContainer.scrollHeight;
     }
 
-    logHandStart(baseBet, players) {
+    /**
+     * level: the tournament level the hand is played at, if any
+     */
+    logHandStart(baseBet, players, level = null) {
         this.handNumber++;
         const playerNames = players.map(p => {
             const info = this.multiplayer.getPlayer(p.id);
             return info?.name || 'Player';
         }).join(', ');
+        const stakes = this.gameMode === 'pot-limit-omaha'
+            ? `Blinds: ${this.formatCurrency(baseBet / 2)}/${this.formatCurrency(baseBet)}`
+            : `Bet: ${this.formatCurrency(baseBet)}`;
         
         this.addLogEntry('hand-start', 
             `<strong>═══ Hand #${this.handNumber} ═══</strong><br>` +
-            `Bet: ${this.formatCurrency(baseBet)} • Players: ${playerNames}`
+            `${level ? `Level ${level} • ` : ''}${stakes} • Players: ${playerNames}`
         );
     }
 
@@ -315,8 +520,15 @@ class GameController {
         const name = playerInfo?.name || 'Player';
         const isMe = playerId === this.myPlayerId;
         
-        const actionClass = action === 'double' ? 'double' : '';
-        const actionText = action === 'check' ? 'checks' : `doubles to ${this.formatCurrency(amount)}`;
+        const actionClass = action === 'double' || action === 'raise' ? 'double' : '';
+        const actionTexts = {
+            check: 'checks',
+            double: `doubles to ${this.formatCurrency(amount)}`,
+            fold: 'folds',
+            call: `calls ${this.formatCurrency(amount)}`,
+            raise: `raises to ${this.formatCurrency(amount)}`
+        };
+        const actionText = actionTexts[action] || action;
         
         this.addLogEntry('action', 
             `<span class="player-name">${name}${isMe ? ' (you)' : ''}</span> ` +
@@ -386,6 +598,38 @@ class GameController {
         });
     }
 
+    logShuffleCheck({ handId, deck, problems }) {
+        const state = this.currentState;
+        const allProblems = [...problems];
+        if (!state || state.shuffleId !== handId) {
+            allProblems.push('no finished hand to compare the deck with');
+        } else {
+            allProblems.push(...this.game.checkDeal(deck, state));
+        }
+
+        if (allProblems.length === 0) {
+            this.addLogEntry('result', '✓ Shuffle verified: the deal matches everyone\'s committed seeds', 'win');
+            return;
+        }
+
+        // Problems name peers by id; show player names instead
+        let text = allProblems.join('; ');
+        for (const player of this.multiplayer.getAllPlayers()) {
+            text = text.split(player.id).join(player.name || 'Player');
+        }
+        this.addLogEntry('result', `⚠ Shuffle check failed: ${this.escapeHtml(text)}`, 'lose');
+        this.showToast('Shuffle check failed - see game log', 'error');
+    }
+
+    logRejectedMessage(peerId, reason) {
+        const name = this.multiplayer.getPlayer(peerId)?.name || 'Unknown peer';
+        this.addLogEntry('result',
+            `⚠ Rejected message from <span class="player-name">${this.escapeHtml(name)}</span>: ` +
+            `${this.escapeHtml(reason)}`,
+            'lose'
+        );
+    }
+
     // ============ CHAT ============
 
     sendChatMessage() {
@@ -480,9 +724,13 @@ class GameController {
         
         // Restore game state if available
         if (gameState) {
-            this.game.deserialize(this.convertGameStateToInternal(gameState));
+            this.applyGameMode(gameState.game);
+            // Backups carry the engine's serialized state; older ones only the broadcast view
+            this.game.deserialize(Array.isArray(gameState.deck) ? gameState : this.convertGameStateToInternal(gameState));
             this.gameStarted = gameState.phase !== 'waiting';
             this.multiplayer.setGameInProgress(this.gameStarted);
+            this.multiplayer.restoreBots(gameState.bots);
+            this.multiplayer.seatsClosed = Boolean(this.game.tournament);
         }
         
         // Update UI to show host controls
@@ -580,10 +828,16 @@ class GameController {
             document.getElementById('start-game-btn').classList.remove('hidden');
             document.getElementById('host-controls').style.display = 'flex';
             document.getElementById('waiting-message').classList.add('hidden');
+            this.readRoomAccess();
+            this.renderBannedList();
 
             this.updateLobbyPlayers(this.multiplayer.getAllPlayers());
             this.showScreen('lobby');
-            this.showToast(`Room created: ${this.multiplayer.roomCode}`, 'success');
+            if (result.offline) {
+                this.showToast('Offline: play solo or add bots - nobody else can join', 'info');
+            } else {
+                this.showToast(`Room created: ${this.multiplayer.roomCode}`, 'success');
+            }
         } catch (err) {
             this.showToast(err.message, 'error');
         } finally {
@@ -601,6 +855,8 @@ class GameController {
         }
 
         this.multiplayer.myName = name;
+        this.multiplayer.spectating = document.getElementById('spectate-checkbox').checked;
+        this.multiplayer.joinPassword = document.getElementById('room-password-input').value;
 
         const btn = document.getElementById('start-join-btn');
         this.setButtonLoading(btn, true);
@@ -634,16 +890,22 @@ class GameController {
         players.forEach(player => {
             const isQueued = player.queued;
             const div = document.createElement('div');
-            div.className = `lobby-player ${player.isHost ? 'host' : ''} ${isQueued ? 'queued' : ''}`;
+            div.className = `lobby-player ${player.isHost ? 'host' : ''} ${isQueued ? 'queued' : ''} ${player.spectator ? 'spectator' : ''}`;
             div.innerHTML = `
                 <div class="player-name">${this.escapeHtml(player.name)}</div>
+                ${this.identityBadge(player)}
                 ${player.isHost ? '<div class="host-badge">Host</div>' : ''}
                 ${isQueued ? '<div class="queued-badge">Joining next hand</div>' : ''}
+                ${player.spectator ? '<div class="spectator-badge">Spectator</div>' : ''}
+                ${player.bot ? `<div class="bot-badge">🤖 ${this.escapeHtml(player.botLevel)} bot</div>` : ''}
+                ${player.bot && this.multiplayer.isHost ? `<button class="remove-bot-btn" data-remove-bot="${player.id}" title="Remove bot">✕</button>` : ''}
+                ${this.canKick(player) ? `<div class="kick-controls"><button data-kick="${player.id}" title="Remove from the room">Kick</button><button data-ban="${player.id}" title="Remove and keep out">Ban</button></div>` : ''}
             `;
             container.appendChild(div);
         });
 
-        document.getElementById('player-count').textContent = `(${players.length}/10)`;
+        const seated = players.filter(p => !p.spectator).length;
+        document.getElementById('player-count').textContent = `(${seated}/${this.multiplayer.maxSeats})`;
 
         const startBtn = document.getElementById('start-game-btn');
         if (this.multiplayer.isHost && players.length >= 1) {
@@ -651,37 +913,161 @@ class GameController {
         }
     }
 
+    /**
+     * Host: humans other than ourselves can be shown out of the room
+     */
+    canKick(player) {
+        return this.multiplayer.isHost && !player.bot && player.id !== this.multiplayer.myId;
+    }
+
+    /**
+     * Host: apply the lobby's password and join approval
+     */
+    readRoomAccess() {
+        this.multiplayer.setRoomAccess(
+            document.getElementById('room-password').value,
+            document.getElementById('join-approval').value === 'knock'
+        );
+    }
+
+    /**
+     * Host: put the room's access settings back in the lobby (after a refresh)
+     */
+    showRoomAccess() {
+        document.getElementById('room-password').value = this.multiplayer.roomPassword;
+        document.getElementById('join-approval').value = this.multiplayer.approveJoins ? 'knock' : 'open';
+        this.renderBannedList();
+    }
+
+    /**
+     * Host: the players waiting to be let in, over the lobby and the table
+     */
+    renderJoinRequests() {
+        const knocks = Array.from(this.multiplayer.knocking.entries());
+        document.querySelectorAll('.join-requests').forEach(container => {
+            container.classList.toggle('hidden', knocks.length === 0);
+            container.innerHTML = knocks.map(([id, knock]) => `
+                <div class="join-request">
+                    <span>${this.escapeHtml(knock.data.name || 'Player')} ${knock.identity ? `#${Identity.shortFingerprint(knock.identity)}` : '(unverified)'} wants to join</span>
+                    <button class="btn btn-primary" data-approve-join="${id}">Let In</button>
+                    <button class="btn btn-secondary" data-deny-join="${id}">Deny</button>
+                </div>
+            `).join('');
+        });
+    }
+
+    /**
+     * Host: players banned from this room, each with a way back in
+     */
+    renderBannedList() {
+        const container = document.getElementById('banned-list');
+        const banned = this.multiplayer.banned;
+        container.classList.toggle('hidden', banned.length === 0);
+        const entries = banned.map(entry =>
+            `${this.escapeHtml(entry.name)} <button data-unban="${this.escapeHtml(entry.identity || entry.peerId)}">Unban</button>`
+        );
+        container.innerHTML = banned.length === 0 ? '' : `Banned: ${entries.join(', ')}`;
+    }
+
+    kickPlayer(playerId, ban) {
+        const name = this.multiplayer.getPlayer(playerId)?.name || 'Player';
+        this.multiplayer.kickPlayer(playerId, ban);
+        this.renderBannedList();
+        this.announceToTable(ban ? `${name} was banned by the host` : `${name} was removed by the host`);
+    }
+
+    /**
+     * A player's key fingerprint, which nobody else can claim the way they can a name
+     */
+    identityBadge(player) {
+        if (player.bot) return '';
+        if (!player.identity) {
+            return '<div class="identity-badge unverified" title="This player has no identity key">Unverified</div>';
+        }
+        const identity = this.escapeHtml(player.identity);
+        return `<div class="identity-badge" title="Identity key ${identity}">#${Identity.shortFingerprint(identity)}</div>`;
+    }
+
     copyRoomCode() {
         navigator.clipboard.writeText(this.multiplayer.roomCode).then(() => {
             this.showToast('Room code copied!', 'success');
         });
     }
 
+    /**
+     * Spectators: ask the host for a seat
+     */
+    requestSeat() {
+        this.multiplayer.requestSeat();
+        this.showToast('Asked the host for a seat', 'info');
+    }
+
+    /**
+     * Show the seat button and hide our hand while we are only watching
+     */
+    updateSpectatorUI() {
+        const spectating = this.multiplayer.spectating;
+        this.updateRebuyButton();
+        document.querySelectorAll('.take-seat-btn').forEach(btn => btn.classList.toggle('hidden', !spectating));
+        document.getElementById('spectator-controls').classList.toggle('hidden', !spectating);
+        document.getElementById('player-hand-area').classList.toggle('hidden', spectating);
+    }
+
     leaveLobby() {
+        clearTimeout(this.botTimer);
+        this.botTimer = null;
+        clearTimeout(this.shotClockTimer);
+        this.shotClockTimer = null;
+        this.clockDeadlines = {};
+        this.renderShotClock();
         this.multiplayer.leave();
+        this.renderJoinRequests();
         this.showScreen('menu');
         this.gameStarted = false;
     }
 
     // ============ GAME ACTIONS ============
 
-    startGame() {
-        if (!this.multiplayer.isHost) return;
+    async startGame() {
+        if (!this.multiplayer.isHost || this.dealInProgress) return;
 
         const baseBet = parseFloat(document.getElementById('base-bet').value) || 1.00;
 
-        const playerIds = Array.from(this.multiplayer.players.keys());
+        const playerIds = this.multiplayer.getSeatedPlayerIds();
+        if (this.gameMode === 'pot-limit-omaha' && playerIds.length < 2) {
+            this.showToast('Pot-Limit Omaha needs at least two players - add a bot', 'error');
+            return;
+        }
+        const tournament = this.readTournament();
+        if (tournament && playerIds.length < 2) {
+            this.showToast('A tournament needs at least two players - add a bot', 'error');
+            return;
+        }
+        const bankroll = this.readBankroll();
+        if (bankroll && Bankroll.normalizeConfig(bankroll).buyIn < baseBet) {
+            this.showToast('The buy-in must cover the bet', 'error');
+            return;
+        }
 
+        this.game = new GAME_ENGINES[this.gameMode]();
         this.game.initGame(playerIds, baseBet);
-        this.game.startHand();
+        this.game.setRules(this.rules);
+        this.game.setTournament(tournament);
+        this.game.setBankroll(bankroll);
+        this.game.setShotClock(this.readShotClock());
+        // Nobody new sits down once a tournament is under way
+        this.multiplayer.seatsClosed = Boolean(tournament);
+        await this.dealHand();
         this.gameStarted = true;
         this.multiplayer.setGameInProgress(true);
 
         // Log hand start
-        this.logHandStart(baseBet, this.game.players);
+        const level = this.game.tournament ? this.game.tournament.level + 1 : null;
+        this.logHandStart(this.game.baseBet, this.game.players, level);
         this.multiplayer.broadcast({ 
             type: 'hand_start_log',
-            baseBet,
+            baseBet: this.game.baseBet,
+            level,
             players: this.game.players.map(p => ({ id: p.id }))
         });
 
@@ -719,7 +1105,20 @@ class GameController {
         }
         
         if (data.type === 'hand_start_log') {
-            this.logHandStart(data.baseBet, data.players);
+            this.logHandStart(data.baseBet, data.players, data.level);
+            return;
+        }
+
+        if (data.type === 'system_log') {
+            this.addLogEntry('board', this.escapeHtml(data.message));
+            return;
+        }
+
+        if (data.type === 'table_rules') {
+            if (!this.multiplayer.isHost) {
+                this.applyRules(data.rules);
+                this.applyGameMode(data.game);
+            }
             return;
         }
 
@@ -734,19 +1133,10 @@ class GameController {
         // Host handles game logic
         switch (data.type) {
             case 'action':
-                const result = this.game.processAction(data.playerId || fromPeerId, data.action);
+                // MultiplayerManager has already tied the action to the sending peer
+                const result = this.game.processAction(fromPeerId, data.action, data.amount);
                 if (result.success) {
-                    // Log the action
-                    const player = this.game.players.find(p => p.id === (data.playerId || fromPeerId));
-                    this.logAction(data.playerId || fromPeerId, data.action, player?.totalBet);
-                    // Broadcast action log to all
-                    this.multiplayer.broadcast({
-                        type: 'action_log',
-                        playerId: data.playerId || fromPeerId,
-                        action: data.action,
-                        amount: player?.totalBet
-                    });
-                    this.multiplayer.broadcastGameState(this.game.getGameState());
+                    this.announceAction(fromPeerId, data.action, result);
                 } else {
                     this.multiplayer.sendToPeer(fromPeerId, {
                         type: 'error',
@@ -758,6 +1148,14 @@ class GameController {
             case 'next_hand':
                 // Only host can start next hand
                 break;
+
+            case 'sit_out':
+                this.handleSitOut(fromPeerId, data.reason);
+                break;
+
+            case 'rebuy_request':
+                this.handleRebuyRequest(fromPeerId);
+                break;
                 
             case 'join':
                 // Player joining mid-game - queue them for next hand
@@ -775,61 +1173,124 @@ class GameController {
         }
     }
 
-    sendAction(action) {
+    /**
+     * amount: the bet to raise to, for a Pot-Limit Omaha raise
+     */
+    sendAction(action, amount) {
+        this.sound.play('confirm');
         if (this.multiplayer.isHost) {
-            const result = this.game.processAction(this.myPlayerId, action);
+            const result = this.game.processAction(this.myPlayerId, action, amount);
             if (result.success) {
-                // Log the action
-                const player = this.game.players.find(p => p.id === this.myPlayerId);
-                this.logAction(this.myPlayerId, action, player?.totalBet);
-                // Broadcast action log to all
-                this.multiplayer.broadcast({
-                    type: 'action_log',
-                    playerId: this.myPlayerId,
-                    action: action,
-                    amount: player?.totalBet
-                });
-                this.multiplayer.broadcastGameState(this.game.getGameState());
+                this.announceAction(this.myPlayerId, action, result);
             } else {
                 this.showToast(result.error, 'error');
             }
         } else {
-            this.multiplayer.sendAction(action);
+            this.multiplayer.sendAction(action, amount);
         }
     }
 
-    startNextHand() {
-        if (!this.multiplayer.isHost) return;
+    /**
+     * Host: log an action the engine took, tell everyone, and share the new state
+     * Pot-Limit Omaha reports the amount called or raised to; otherwise it is the player's total bet
+     */
+    announceAction(playerId, action, result) {
+        const player = this.game.players.find(p => p.id === playerId);
+        const amount = result.amount ?? player?.totalBet;
+        this.logAction(playerId, action, amount);
+        // Broadcast action log to all
+        this.multiplayer.broadcast({
+            type: 'action_log',
+            playerId,
+            action,
+            amount
+        });
+        this.multiplayer.broadcastGameState(this.game.getGameState());
+    }
+
+    async startNextHand() {
+        if (!this.multiplayer.isHost || this.dealInProgress) return;
         
-        // Get the new bet amount from host controls
-        const nextBetInput = document.getElementById('next-bet');
-        if (nextBetInput) {
-            const newBet = parseFloat(nextBetInput.value) || 1.00;
-            this.game.setBaseBet(newBet);
+        if (this.game.tournament) {
+            // The clock sets the ante; players knocked out last hand watch from now on
+            if (this.game.tournament.getState(this.game.players).over) return;
+            this.game.players
+                .filter(p => this.game.tournament.isEliminated(p.id))
+                .forEach(p => this.multiplayer.moveToSpectators(p.id));
+        } else {
+            // Get the new bet amount from host controls
+            const nextBetInput = document.getElementById('next-bet');
+            if (nextBetInput) {
+                const newBet = parseFloat(nextBetInput.value) || 1.00;
+                this.game.setBaseBet(newBet);
+            }
+            this.sitOutPlayers();
+        }
+
+        if (!this.game.players.some(p => !this.game.willSitOut(p)) && this.game.queuedPlayers.length === 0) {
+            this.showToast('Nobody at the table can play the next hand', 'error');
+            return;
         }
         
+        if (this.gameMode === 'pot-limit-omaha' &&
+            this.game.players.filter(p => !p.leaving).length + this.game.queuedPlayers.length < 2) {
+            this.showToast('Pot-Limit Omaha needs at least two players - add a bot', 'error');
+            return;
+        }
+
         // Clear queued status for players joining this hand
         this.multiplayer.clearQueuedStatus();
         
-        this.game.startHand();
+        await this.dealHand();
         
         // Log hand start
-        this.logHandStart(this.game.baseBet, this.game.players);
+        const level = this.game.tournament ? this.game.tournament.level + 1 : null;
+        this.logHandStart(this.game.baseBet, this.game.players, level);
         this.multiplayer.broadcast({ 
             type: 'hand_start_log',
             baseBet: this.game.baseBet,
+            level,
             players: this.game.players.map(p => ({ id: p.id }))
         });
         
         this.multiplayer.broadcastGameState(this.game.getGameState());
     }
 
+    /**
+     * Shuffle with everyone who will be dealt in, then start the hand (host only)
+     */
+    async dealHand() {
+        this.dealInProgress = true;
+        try {
+            const participantIds = [
+                ...this.game.players
+                    .filter(p => !this.game.tournament?.isEliminated(p.id) && !this.game.willSitOut(p))
+                    .map(p => p.id),
+                ...this.game.queuedPlayers
+            ];
+            const shuffle = await this.multiplayer.negotiateShuffle(participantIds);
+            this.game.startHand(shuffle);
+        } finally {
+            this.dealInProgress = false;
+        }
+    }
+
     // ============ UI UPDATES ============
 
     updateGameUI(state) {
+        this.applyGameMode(state.game);
+        if (state.game === 'pot-limit-omaha') {
+            this.updatePotLimitUI(state);
+            return;
+        }
+        if (state.rules) this.applyRules(state.rules);
+
         // Log phase transitions
         if (state.phase !== this.lastPhase) {
-            if (state.phase === 'flop') {
+            if (state.phase === 'preflop') {
+                this.sound.play('deal');
+            } else if (state.phase === 'flop') {
+                this.sound.play('round');
                 // Log flop cards
                 this.logBoardCards(1, state.board1, 'flop');
                 this.logBoardCards(2, state.board2, 'flop');
@@ -841,9 +1302,14 @@ class GameController {
                 if (state.results) {
                     this.logShowdown(state.results);
                     this.logPnLSummary(state.players);
+                    this.recordLedgerHand(state);
+                    this.playResultSound(state);
+                    if (state.tournament) this.logEliminations(state.tournament);
+                    if (state.tournament?.over) this.showStandings(state.tournament);
                 }
             }
             this.lastPhase = state.phase;
+            if (state.phase === 'results' && state.results && !state.tournament) this.checkLimits(state);
         }
 
         // Update boards
@@ -854,17 +1320,21 @@ class GameController {
         const myPlayer = state.players.find(p => p.id === this.myPlayerId);
 
         // Update my hole cards
+        const stacks = this.getStacks(state);
+        document.getElementById('my-pnl-label').textContent = stacks ? 'Stack: ' : 'PnL: ';
         if (myPlayer) {
             this.updateHoleCards(myPlayer.holeCards);
-            // Show starting PnL during hand, actual PnL at results
+            // Show starting PnL during hand, actual PnL at results (a tournament or buy-ins show the stack)
             const displayPnl = state.phase === 'results' ? myPlayer.actualPnl : myPlayer.pnl;
-            document.getElementById('my-pnl').textContent = this.formatCurrency(displayPnl);
+            document.getElementById('my-pnl').textContent = this.formatCurrency(stacks ? stacks[myPlayer.id] : displayPnl);
             document.getElementById('my-pnl').style.color = displayPnl >= 0 ? 'var(--gold-light)' : 'var(--danger)';
             document.getElementById('current-bet').textContent = this.formatCurrency(myPlayer.totalBet);
         }
+        this.updateTournamentBar(state.tournament);
+        this.updateRebuyButton();
 
         // Update other players - pass results for showdown and queued players
-        this.updatePlayersArea(state.players, state.phase, state.results, state.queuedPlayers);
+        this.updatePlayersArea(state.players, state.phase, state.results, state.queuedPlayers, stacks);
 
         // Update action buttons
         this.updateActionButtons(state, myPlayer);
@@ -873,13 +1343,12 @@ class GameController {
         if (state.phase === 'results' && state.results) {
             this.updateBoardResults(state, myPlayer);
         } else {
-            document.getElementById('board-1-result').textContent = '';
-            document.getElementById('board-2-result').textContent = '';
-            // Clear my hand results when not at showdown
-            const resultsDiv = document.querySelector('.my-hand-results');
-            if (resultsDiv) resultsDiv.remove();
+            this.clearBoardResults();
         }
 
+        document.getElementById('replay-hand-btn').classList.toggle('hidden', !(state.phase === 'results' && state.handHistory));
+        this.updateEquityPanel(state, myPlayer);
+
         // Hide "Your Bet:" at showdown
         const currentBetInfo = document.querySelector('.current-bet-info');
         if (currentBetInfo) {
@@ -889,6 +1358,15 @@ class GameController {
                 currentBetInfo.classList.remove('hidden');
             }
         }
+        this.updateShotClock(state);
+    }
+
+    clearBoardResults() {
+        document.getElementById('board-1-result').textContent = '';
+        document.getElementById('board-2-result').textContent = '';
+        // Clear my hand results when not at showdown
+        const resultsDiv = document.querySelector('.my-hand-results');
+        if (resultsDiv) resultsDiv.remove();
     }
 
     formatPhase(phase) {
@@ -896,6 +1374,8 @@ class GameController {
             'waiting': 'Waiting',
             'preflop': 'Preflop',
             'flop': 'Flop',
+            'turn': 'Turn',
+            'river': 'River',
             'results': 'Showdown'
         };
         return phaseNames[phase] || phase;
@@ -965,18 +1445,24 @@ class GameController {
         return card;
     }
 
-    updatePlayersArea(players, phase, results = null, queuedPlayerIds = []) {
+    /**
+     * stacks: playerId -> stack, shown instead of PnL in a tournament or with buy-ins
+     */
+    updatePlayersArea(players, phase, results = null, queuedPlayerIds = [], stacks = null) {
         const container = document.getElementById('players-area');
         container.innerHTML = '';
 
+        // A replayed hand is seen through the eyes of whoever recorded it
+        const viewerId = this.replay ? this.replay.entry.heroId : this.myPlayerId;
+
         players.forEach((player, index) => {
             const playerInfo = this.multiplayer.getPlayer(player.id);
-            const isMe = player.id === this.myPlayerId;
+            const isMe = player.id === viewerId;
 
             const div = document.createElement('div');
             div.className = `player-box ${player.hasActed ? 'acted' : ''} ${phase === 'results' ? 'showdown' : ''}`;
 
-            const name = playerInfo ? playerInfo.name : (isMe ? 'You' : `Player ${index + 1}`);
+            const name = player.name || (playerInfo ? playerInfo.name : (isMe ? 'You' : `Player ${index + 1}`));
 
             // Show starting PnL during hand, actual PnL at results
             const displayPnl = phase === 'results' ? player.actualPnl : player.pnl;
@@ -1024,22 +1510,32 @@ class GameController {
                         ${handsHtml}
                         <div class="payout-equation ${playerResult.qualifies ? 'win' : 'lose'}">${equationText}</div>
                         <div class="payout ${payoutClass}">PnL this hand: ${this.formatCurrency(playerResult.netResult, true)}</div>
+                        ${playerResult.tableStakes ? '<div class="table-stakes">Table stakes: capped at the stack</div>' : ''}
                     `;
                 }
             }
 
             div.innerHTML = `
                 <div class="name">${this.escapeHtml(name)}${isMe ? ' (You)' : ''}</div>
-                <div class="pnl" style="color: ${displayPnl >= 0 ? 'var(--gold-light)' : 'var(--danger)'}">PnL: ${this.formatCurrency(displayPnl)}</div>
+                <div class="pnl" style="color: ${displayPnl >= 0 ? 'var(--gold-light)' : 'var(--danger)'}">${stacks
+                    ? `Stack: ${this.formatCurrency(stacks[player.id])}`
+                    : `PnL: ${this.formatCurrency(displayPnl)}`}</div>
                 <div class="bet-amount">Bet: ${this.formatCurrency(player.totalBet)}</div>
                 ${phase !== 'results' ? `<div class="status ${player.hasActed ? '' : 'waiting'}">${player.hasActed ? '✓' : '...'}</div>` : ''}
+                <div class="shot-clock hidden" data-clock-player="${player.id}"></div>
                 ${resultHtml}
             `;
 
             container.appendChild(div);
         });
 
-        // Show queued players (waiting for next hand)
+        this.appendQueuedPlayers(container, players, queuedPlayerIds);
+    }
+
+    /**
+     * Show queued players (waiting for next hand)
+     */
+    appendQueuedPlayers(container, players, queuedPlayerIds) {
         if (queuedPlayerIds && queuedPlayerIds.length > 0) {
             queuedPlayerIds.forEach(playerId => {
                 // Don't show if they're already in the active players list
@@ -1064,16 +1560,34 @@ class GameController {
 
     updateActionButtons(state, myPlayer) {
         const actionButtons = document.getElementById('action-buttons');
+        const potLimitButtons = document.getElementById('plo-action-buttons');
         const hostControls = document.getElementById('host-showdown-controls');
         const waitingMsg = document.getElementById('waiting-next');
         const checkBtn = document.getElementById('check-btn');
         const doubleBtn = document.getElementById('double-btn');
 
+        // Once a tournament is over there is no next hand
+        const over = Boolean(state.tournament?.over);
+
+        this.updateSpectatorUI();
+        if (this.multiplayer.spectating) {
+            actionButtons.classList.add('hidden');
+            potLimitButtons.classList.add('hidden');
+            // A host knocked out of a tournament still deals the next hand
+            hostControls.classList.toggle('hidden', !(this.multiplayer.isHost && state.phase === 'results' && !over));
+            waitingMsg.classList.add('hidden');
+            return;
+        }
+
         if (state.phase === 'results') {
             // Hide action buttons, show host controls or waiting message
             actionButtons.classList.add('hidden');
+            potLimitButtons.classList.add('hidden');
             
-            if (this.multiplayer.isHost) {
+            if (over) {
+                hostControls.classList.add('hidden');
+                waitingMsg.classList.add('hidden');
+            } else if (this.multiplayer.isHost) {
                 hostControls.classList.remove('hidden');
                 waitingMsg.classList.add('hidden');
                 
@@ -1090,14 +1604,23 @@ class GameController {
         }
 
         // Normal play - show action buttons
-        actionButtons.classList.remove('hidden');
         hostControls.classList.add('hidden');
         waitingMsg.classList.add('hidden');
+        if (state.game === 'pot-limit-omaha') {
+            actionButtons.classList.add('hidden');
+            this.updatePotLimitActions(state, myPlayer);
+            return;
+        }
+        actionButtons.classList.remove('hidden');
+        potLimitButtons.classList.add('hidden');
 
         const canAct = myPlayer && !myPlayer.hasActed;
+        // With buy-ins, only a stack that covers the doubled bet can double
+        const account = myPlayer && state.bankroll?.accounts[myPlayer.id];
+        const canDouble = !account || account.stack >= myPlayer.totalBet + myPlayer.currentBet;
 
         checkBtn.disabled = !canAct;
-        doubleBtn.disabled = !canAct;
+        doubleBtn.disabled = !canAct || !canDouble;
     }
 
     updateBoardResults(state, myPlayer) {
@@ -1117,11 +1640,13 @@ class GameController {
         const result1 = document.getElementById('board-1-result');
         const result2 = document.getElementById('board-2-result');
 
-        const qualifies1 = Poker.doesHandQualify(hand1);
-        const qualifies2 = Poker.doesHandQualify(hand2);
+        // The rules the hand was played under (hands recorded before rules profiles used the standard rules)
+        const rules = Poker.normalizeRules(state.rules);
+        const qualifies1 = Poker.doesHandQualify(hand1, rules);
+        const qualifies2 = Poker.doesHandQualify(hand2, rules);
 
-        const mult1 = Poker.getMultiplier(hand1);
-        const mult2 = Poker.getMultiplier(hand2);
+        const mult1 = Poker.getMultiplier(hand1, rules);
+        const mult2 = Poker.getMultiplier(hand2, rules);
         const hand1Pnl = qualifies1 ? myPlayer.totalBet * mult1 : -myPlayer.totalBet;
         const hand2Pnl = qualifies2 ? myPlayer.totalBet * mult2 : -myPlayer.totalBet;
 
@@ -1146,8 +1671,9 @@ class GameController {
             handArea.appendChild(resultsDiv);
         }
 
-        const mult1 = Poker.getMultiplier(hand1);
-        const mult2 = Poker.getMultiplier(hand2);
+        const rules = Poker.normalizeRules(state.rules);
+        const mult1 = Poker.getMultiplier(hand1, rules);
+        const mult2 = Poker.getMultiplier(hand2, rules);
         const hand1Pnl = qualifies1 ? myPlayer.totalBet * mult1 : -myPlayer.totalBet;
         const hand2Pnl = qualifies2 ? myPlayer.totalBet * mult2 : -myPlayer.totalBet;
 
@@ -1156,7 +1682,7 @@ class GameController {
         const netPnl = myResult ? myResult.netResult : 0;
         const netClass = netPnl >= 0 ? 'win' : 'lose';
 
-        const totalMult = (qualifies1 && qualifies2) ? mult1 * mult2 : 0;
+        const totalMult = (qualifies1 && qualifies2) ? Poker.calculateTotalMultiplier(hand1, hand2, rules) : 0;
         const handPayout = (qualifies1 && qualifies2) 
             ? myPlayer.totalBet * totalMult 
             : -myPlayer.totalBet;
@@ -1173,39 +1699,1201 @@ class GameController {
         `;
     }
 
-    // ============ RULES MODAL ============
+    // ============ POT-LIMIT OMAHA ============
 
-    showRules() {
-        document.getElementById('rules-modal').classList.remove('hidden');
-    }
+    /**
+     * The table for a Pot-Limit Omaha state: one board, the pot, stacks and whose turn it is
+     */
+    updatePotLimitUI(state) {
+        // Log each street as it comes out
+        if (state.phase !== this.lastPhase) {
+            if (state.phase === 'preflop') {
+                this.sound.play('deal');
+            } else if (state.phase === 'results') {
+                if (state.results) {
+                    this.logPotLimitShowdown(state);
+                    this.logPnLSummary(state.players);
+                    this.recordLedgerHand(state);
+                    this.playResultSound(state);
+                }
+            } else if (state.phase !== 'waiting') {
+                this.sound.play('round');
+                this.logPotLimitBoard(this.formatPhase(state.phase), state.board);
+            }
+            this.lastPhase = state.phase;
+        }
 
-    hideRules() {
-        document.getElementById('rules-modal').classList.add('hidden');
+        this.updateBoard('board-1', state.board);
+        document.getElementById('pot-display').textContent = `Pot: ${this.formatCurrency(state.totalPot)}`;
+
+        const myPlayer = state.players.find(p => p.id === this.myPlayerId);
+        if (myPlayer) {
+            this.updateHoleCards(myPlayer.holeCards);
+            // Show starting PnL during hand, actual PnL at results
+            const displayPnl = state.phase === 'results' ? myPlayer.actualPnl : myPlayer.pnl;
+            document.getElementById('my-pnl').textContent = this.formatCurrency(displayPnl);
+            document.getElementById('my-pnl').style.color = displayPnl >= 0 ? 'var(--gold-light)' : 'var(--danger)';
+            document.getElementById('current-bet').textContent = this.formatCurrency(myPlayer.totalBet);
+        }
+
+        this.updatePotLimitPlayers(state, this.myPlayerId);
+        this.updateActionButtons(state, myPlayer);
+        this.updatePotLimitResult(state, myPlayer);
+
+        document.getElementById('replay-hand-btn').classList.toggle('hidden', !(state.phase === 'results' && state.handHistory));
+        document.getElementById('equity-panel').classList.add('hidden');
+        document.querySelector('.current-bet-info').classList.toggle('hidden', state.phase === 'results');
+        this.updateShotClock(state);
     }
 
-    // ============ UTILITIES ============
+    /**
+     * Player boxes with stacks, this street's bets, the button and the player to act
+     * viewerId: whose seat is "(You)" - the recording player in a replay
+     */
+    updatePotLimitPlayers(state, viewerId) {
+        const container = document.getElementById('players-area');
+        container.innerHTML = '';
+        const atResults = state.phase === 'results';
 
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toast-container');
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.textContent = message;
-        container.appendChild(toast);
+        state.players.forEach((player, index) => {
+            const playerInfo = this.multiplayer.getPlayer(player.id);
+            const isMe = player.id === viewerId;
+            const name = player.name || (playerInfo ? playerInfo.name : (isMe ? 'You' : `Player ${index + 1}`));
+            const toAct = state.toAct === player.id;
+            const displayPnl = atResults ? player.actualPnl : player.pnl;
 
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
+            let status = player.hasActed ? '✓' : '';
+            if (player.folded) status = 'Folded';
+            else if (player.allIn) status = 'All in';
+            else if (toAct) status = '...';
+
+            let resultHtml = '';
+            const result = atResults && state.results ? state.results.find(r => r.playerId === player.id) : null;
+            if (result) {
+                const cardsHtml = result.holeCards ? `<div class="player-cards">${result.holeCards.map(card => {
+                    const formatted = Poker.formatCard(card);
+                    return `<div class="mini-card ${formatted.isRed ? 'red' : 'black'}">
+                        <span class="rank">${formatted.rank}</span>
+                        <span class="suit">${formatted.suit}</span>
+                    </div>`;
+                }).join('')}</div>` : '';
+                const handName = result.hand ? result.hand.name : (result.folded ? 'Folded' : 'No showdown');
+                const payoutClass = result.netResult >= 0 ? 'win' : 'lose';
+                resultHtml = `
+                    ${cardsHtml}
+                    <div class="player-hands"><div class="hand-result ${result.won > 0 ? 'qualified' : ''}">${handName}</div></div>
+                    <div class="payout ${payoutClass}">PnL this hand: ${this.formatCurrency(result.netResult, true)}</div>
+                `;
+            }
+
+            const div = document.createElement('div');
+            div.className = `player-box ${atResults ? 'showdown' : ''} ${toAct ? 'to-act' : ''} ${player.folded ? 'folded' : ''}`;
+            div.innerHTML = `
+                <div class="name">${this.escapeHtml(name)}${isMe ? ' (You)' : ''}${state.buttonId === player.id ? '<span class="dealer-button" title="Dealer button">D</span>' : ''}</div>
+                <div class="stack">Stack: ${this.formatCurrency(player.stack)}</div>
+                <div class="pnl" style="color: ${displayPnl >= 0 ? 'var(--gold-light)' : 'var(--danger)'}">PnL: ${this.formatCurrency(displayPnl)}</div>
+                ${!atResults && player.bet > 0 ? `<div class="bet-amount">Bet: ${this.formatCurrency(player.bet)}</div>` : ''}
+                ${!atResults ? `<div class="status ${toAct ? 'waiting' : ''}">${status}</div>` : ''}
+                <div class="shot-clock hidden" data-clock-player="${player.id}"></div>
+                ${resultHtml}
+            `;
+            container.appendChild(div);
+        });
+
+        this.appendQueuedPlayers(container, state.players, state.queuedPlayers);
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    /**
+     * Fold, check or call, and raise within the pot limit - only on your turn
+     */
+    updatePotLimitActions(state, myPlayer) {
+        document.getElementById('plo-action-buttons').classList.remove('hidden');
+        const myTurn = Boolean(myPlayer) && state.toAct === myPlayer.id;
+        const toCall = myPlayer ? Math.round(Math.min(state.currentBet - myPlayer.bet, myPlayer.stack) * 100) / 100 : 0;
+
+        const callBtn = document.getElementById('call-btn');
+        callBtn.dataset.action = toCall > 0 ? 'call' : 'check';
+        callBtn.textContent = toCall > 0 ? `Call ${this.formatCurrency(toCall)}` : 'Check';
+        callBtn.disabled = !myTurn;
+        document.getElementById('fold-btn').disabled = !myTurn;
+
+        const limits = myTurn ? state.raiseLimits : null;
+        const raiseInput = document.getElementById('raise-amount');
+        const raiseBtn = document.getElementById('raise-btn');
+        raiseInput.disabled = !limits;
+        raiseBtn.disabled = !limits;
+        document.getElementById('pot-btn').disabled = !limits;
+        raiseBtn.textContent = state.currentBet > 0 ? 'Raise' : 'Bet';
+        if (limits) {
+            raiseInput.min = limits.min;
+            raiseInput.max = limits.max;
+            // Start each turn at the smallest raise
+            const turnKey = `${state.shuffleId}:${state.turn}`;
+            if (this.raiseTurn !== turnKey) {
+                this.raiseTurn = turnKey;
+                raiseInput.value = limits.min.toFixed(2);
+            }
+        }
     }
-}
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    window.gameController = new GameController();
+    /**
+     * Your hand and what it won, under the board at the end of the hand
+     */
+    updatePotLimitResult(state, myPlayer) {
+        const result = myPlayer && state.results ? state.results.find(r => r.playerId === myPlayer.id) : null;
+        if (!result) {
+            this.clearBoardResults();
+            return;
+        }
+        const handName = result.hand ? result.hand.name : (result.folded ? 'Folded' : 'No showdown');
+        const el = document.getElementById('board-1-result');
+        el.textContent = `${handName} · ${this.formatCurrency(result.netResult, true)}`;
+        el.className = `board-result ${result.netResult >= 0 ? 'qualified' : 'fouled'}`;
+    }
+
+    cardTextsHtml(cards) {
+        return cards.filter(card => !card.faceDown).map(card => {
+            const formatted = Poker.formatCard(card);
+            const colorClass = formatted.isRed ? 'red' : 'black';
+            return `<span class="card-text ${colorClass}">${formatted.rank}${formatted.suit}</span>`;
+        }).join(' ');
+    }
+
+    logPotLimitBoard(label, cards) {
+        this.addLogEntry('board', `${label}: ${this.cardTextsHtml(cards)}`);
+    }
+
+    logPotLimitShowdown(state) {
+        if (state.board.some(card => !card.faceDown)) {
+            this.logPotLimitBoard('Board', state.board);
+        }
+        this.addLogEntry('showdown', '<strong>─── Showdown ───</strong>');
+
+        const nameOf = id => this.escapeHtml(this.multiplayer.getPlayer(id)?.name || 'Player');
+        state.results.forEach(result => {
+            const isMe = result.playerId === this.myPlayerId;
+            const shown = result.hand && result.holeCards
+                ? `${this.cardTextsHtml(result.holeCards)} ${result.hand.name}`
+                : (result.folded ? 'folded' : 'no showdown');
+            this.addLogEntry('showdown',
+                `<span class="player-name">${nameOf(result.playerId)}${isMe ? ' (you)' : ''}</span>: ${shown}`
+            );
+            const resultClass = result.netResult > 0 ? 'win' : (result.netResult < 0 ? 'lose' : 'push');
+            this.addLogEntry('result', `  → ${this.formatCurrency(result.netResult, true)}`, resultClass);
+        });
+
+        (state.pots || []).forEach((pot, i) => {
+            this.addLogEntry('result',
+                `${i === 0 ? 'Main pot' : `Side pot ${i}`} ${this.formatCurrency(pot.amount)} → ${pot.winners.map(nameOf).join(' & ')}`,
+                'win'
+            );
+        });
+    }
+
+    // ============ SOUND ============
+
+    toggleSound() {
+        this.sound.setEnabled(!this.sound.enabled);
+        this.updateSoundButton();
+    }
+
+    updateSoundButton() {
+        const btn = document.getElementById('sound-toggle-btn');
+        btn.textContent = this.sound.enabled ? '🔊' : '🔇';
+        btn.classList.toggle('active', this.sound.enabled);
+    }
+
+    showSoundSettings() {
+        const settings = this.sound.settings;
+        document.getElementById('sound-unavailable').classList.toggle('hidden', this.sound.available);
+        document.getElementById('sound-enabled-checkbox').checked = settings.enabled;
+        document.getElementById('sound-volume').value = Math.round(settings.volume * 100);
+        document.getElementById('sound-events').innerHTML = Object.entries(SOUND_EVENTS).map(([event, label]) => `
+            <label class="spectate-toggle">
+                <input type="checkbox" data-sound-event="${event}" ${this.sound.isMuted(event) ? '' : 'checked'}>
+                <span>${this.escapeHtml(label)}</span>
+            </label>
+        `).join('');
+        document.getElementById('sound-modal').classList.remove('hidden');
+    }
+
+    hideSoundSettings() {
+        document.getElementById('sound-modal').classList.add('hidden');
+    }
+
+    /**
+     * Showdown cue from your seat: both boards qualified or not, then a win on top
+     */
+    playResultSound(state) {
+        const myResult = state.results.find(r => r.playerId === this.myPlayerId);
+        if (!myResult) return;
+        // Pot-Limit Omaha has nothing to qualify for, only pots to win
+        if (state.game === 'pot-limit-omaha') {
+            if (myResult.netResult > 0) this.sound.play('win');
+            return;
+        }
+        this.sound.play(myResult.qualifies ? 'qualify' : 'foul');
+        if (myResult.netResult > 0) this.sound.play('win', 0.35);
+    }
+
+    // ============ ODDS ============
+
+    toggleEquity() {
+        this.showEquity = !this.showEquity;
+        document.getElementById('equity-toggle-btn').classList.toggle('active', this.showEquity);
+        if (this.currentState) {
+            this.updateEquityPanel(this.currentState, this.currentState.players.find(p => p.id === this.myPlayerId));
+        }
+    }
+
+    /**
+     * Odds for the street on the table, worked out once per street
+     */
+    updateEquityPanel(state, myPlayer) {
+        const panel = document.getElementById('equity-panel');
+        const deciding = state.game !== 'pot-limit-omaha' && (state.phase === 'preflop' || state.phase === 'flop');
+        if (!this.showEquity || !deciding || !myPlayer || myPlayer.holeCards.some(c => c.faceDown)) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        const key = `${state.shuffleId}:${state.phase}`;
+        if (this.equity?.key === key) {
+            if (this.equity.odds) this.renderEquity(this.equity.odds, state, myPlayer);
+            return;
+        }
+
+        this.equity = { key, odds: null };
+        document.getElementById('equity-summary').textContent = 'Working out the odds...';
+        document.getElementById('equity-options').classList.add('hidden');
+        document.getElementById('equity-note').textContent = '';
+
+        // Let the panel paint first; counting every flop runout takes a moment
+        setTimeout(() => {
+            if (this.equity?.key !== key) return;
+            const boards = [state.board1, state.board2].map(board => board.filter(c => !c.faceDown));
+            this.equity.odds = Equity.analyzeRunouts(myPlayer.holeCards, boards, { rules: Poker.normalizeRules(state.rules) });
+            if (this.currentState) {
+                this.updateEquityPanel(this.currentState, this.currentState.players.find(p => p.id === this.myPlayerId));
+            }
+        }, 50);
+    }
+
+    renderEquity(odds, state, myPlayer) {
+        const ev = Equity.decisionEV(odds, {
+            currentBet: myPlayer.currentBet,
+            totalBet: myPlayer.totalBet,
+            playerCount: state.players.length
+        });
+
+        document.getElementById('equity-summary').textContent =
+            `Qualify ${(odds.qualifyChance * 100).toFixed(1)}%` +
+            (odds.qualifyChance > 0 ? ` · ${odds.expectedMultiplier.toFixed(2)}× when you do` : '');
+
+        // Once you have acted there is nothing left to choose
+        document.getElementById('equity-options').classList.toggle('hidden', myPlayer.hasActed);
+        for (const action of ['check', 'double']) {
+            const el = document.getElementById(`equity-${action}`);
+            const label = action === 'check' ? 'Check' : 'Double';
+            el.textContent = `${label} ${this.formatCurrency(ev[action].bet)}: EV ${this.formatCurrency(ev[action].ev, true)}`;
+            el.classList.toggle('best', ev.best === action);
+        }
+
+        document.getElementById('equity-note').textContent = odds.exact
+            ? `Every turn and river (${odds.runouts.toLocaleString()} runouts)`
+            : `${odds.runouts.toLocaleString()} sampled runouts, checking the flop`;
+    }
+
+    // ============ BOTS ============
+
+    /**
+     * Host: seat a bot at the level picked in the lobby
+     */
+    addBot() {
+        const level = document.getElementById('bot-level').value;
+        const bot = this.multiplayer.addBot(level);
+        if (!bot) {
+            this.showToast('The table is full', 'error');
+            return;
+        }
+        this.showToast(`${bot.name} (${level}) joined`, 'success');
+    }
+
+    /**
+     * Host: give the next bot that still has to act its turn after a short pause,
+     * so everyone sees the bots act one at a time
+     */
+    scheduleBotTurn() {
+        if (!this.multiplayer.isHost || this.botTimer) return;
+        this.botTimer = setTimeout(() => {
+            this.botTimer = null;
+            this.playBotTurn();
+        }, BOT_TURN_DELAY);
+    }
+
+    /**
+     * Host: one bot acts through the same path as a client's action
+     */
+    playBotTurn() {
+        if (!this.multiplayer.isHost || this.dealInProgress) return;
+        if (this.game instanceof PotLimitOmahaGame) {
+            this.playPotLimitBotTurn();
+            return;
+        }
+        if (this.game.phase !== 'preflop' && this.game.phase !== 'flop') return;
+        const bot = this.game.players.find(p => !p.hasActed && this.multiplayer.isBot(p.id));
+        if (!bot) return;
+
+        // Decide from the bot's seat, not from the deck the host holds
+        const state = this.multiplayer.filterStateForPlayer(this.game.getGameState(), bot.id);
+        const seat = state.players.find(p => p.id === bot.id);
+        const choice = OmahaBot.chooseAction(
+            this.multiplayer.getPlayer(bot.id).botLevel,
+            seat.holeCards,
+            [state.board1, state.board2].map(board => board.filter(c => !c.faceDown)),
+            { currentBet: seat.currentBet, totalBet: seat.totalBet, playerCount: state.players.length },
+            { rules: this.game.rules }
+        );
+        // A short stack checks instead
+        const action = choice === 'double' && !this.game.canDouble(bot) ? 'check' : choice;
+        this.handleGameMessage(bot.id, { type: 'action', action });
+    }
+
+    /**
+     * Host: the bot whose turn it is at a Pot-Limit Omaha table acts
+     */
+    playPotLimitBotTurn() {
+        const botId = this.game.toAct;
+        if (!botId || !this.multiplayer.isBot(botId)) return;
+
+        const state = this.multiplayer.filterStateForPlayer(this.game.getGameState(), botId);
+        const seat = state.players.find(p => p.id === botId);
+        const { action, amount } = OmahaBot.choosePotLimitAction(this.multiplayer.getPlayer(botId).botLevel, {
+            holeCards: seat.holeCards,
+            board: state.board.filter(c => !c.faceDown),
+            toCall: Math.min(state.currentBet - seat.bet, seat.stack),
+            pot: state.totalPot,
+            bigBlind: state.baseBet,
+            raiseLimits: state.raiseLimits,
+            opponents: state.players.filter(p => p.id !== botId && !p.folded).length
+        });
+        this.handleGameMessage(botId, { type: 'action', action, amount });
+    }
+
+    // ============ RULES MODAL ============
+
+    showRules() {
+        document.getElementById('rules-modal').classList.remove('hidden');
+    }
+
+    hideRules() {
+        document.getElementById('rules-modal').classList.add('hidden');
+    }
+
+    /**
+     * Fill the lobby's rules pickers with every option poker.js offers
+     */
+    setupRulesSelects() {
+        const fill = (id, options) => {
+            document.getElementById(id).innerHTML = Object.entries(options)
+                .map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`)
+                .join('');
+        };
+        fill('rules-qualifier-select', Poker.QUALIFIERS);
+        fill('rules-paytable-select', Object.fromEntries(
+            Object.entries(Poker.PAYTABLES).map(([key, paytable]) => [key, paytable.name])));
+        fill('rules-combine-select', Poker.COMBINE_MODES);
+        this.renderRules();
+    }
+
+    /**
+     * Host: take the rules profile from the lobby pickers and tell the table
+     */
+    changeRules() {
+        if (!this.multiplayer.isHost) return;
+        this.game.setRules({
+            qualifier: document.getElementById('rules-qualifier-select').value,
+            paytable: document.getElementById('rules-paytable-select').value,
+            combine: document.getElementById('rules-combine-select').value
+        });
+        this.applyRules(this.game.rules);
+        this.multiplayer.broadcast({ type: 'table_rules', rules: this.rules, game: this.gameMode });
+    }
+
+    /**
+     * Host: switch the table between Ultimate Omaha and Pot-Limit Omaha from the lobby
+     */
+    changeGameMode() {
+        if (!this.multiplayer.isHost) return;
+        this.applyGameMode(document.getElementById('game-mode-select').value);
+        this.multiplayer.broadcast({ type: 'table_rules', rules: this.rules, game: this.gameMode });
+    }
+
+    /**
+     * Take the table's game from the host or a game state
+     */
+    applyGameMode(game) {
+        const mode = GAME_ENGINES[game] ? game : 'ultimate-omaha';
+        if (mode === this.gameMode) return;
+        this.gameMode = mode;
+        // Every client checks deals and restores backups with the table's own engine
+        this.game = new GAME_ENGINES[mode]();
+        this.renderGameMode();
+    }
+
+    /**
+     * Show the table's game in the lobby and lay the table out for it
+     */
+    renderGameMode() {
+        const plo = this.gameMode === 'pot-limit-omaha';
+        document.getElementById('game-mode-select').value = this.gameMode;
+        const tournament = !plo && document.getElementById('format-select').value === 'tournament';
+        document.getElementById('base-bet-label').textContent = plo ? 'Big Blind:' : (tournament ? 'Starting Ante:' : 'Bet Amount:');
+        document.querySelectorAll('.tournament-only').forEach(el => el.classList.toggle('hidden', !tournament));
+        const buyIns = !plo && document.getElementById('format-select').value === 'buy-in';
+        document.querySelectorAll('.buy-in-only').forEach(el => el.classList.toggle('hidden', !buyIns));
+        document.getElementById('next-bet-label').textContent = plo ? 'Big Blind: $' : 'Next Bet: $';
+        this.showGameLayout(this.gameMode);
+        this.renderRules();
+    }
+
+    /**
+     * One board and the Pot-Limit Omaha controls, or Ultimate Omaha's two boards
+     */
+    showGameLayout(game) {
+        document.body.classList.toggle('plo-mode', game === 'pot-limit-omaha');
+    }
+
+    /**
+     * Take the table's rules profile from the host or a game state
+     */
+    applyRules(rules) {
+        const normalized = Poker.normalizeRules(rules);
+        if (JSON.stringify(normalized) === JSON.stringify(this.rules)) return;
+        this.rules = normalized;
+        this.renderRules();
+    }
+
+    /**
+     * Show the rules profile in the lobby (pickers and summary) and the rules modal
+     */
+    renderRules() {
+        const rules = this.rules;
+        const { PAIR, STRAIGHT, FLUSH, FULL_HOUSE, ROYAL_FLUSH } = Poker.HAND_RANKS;
+        const multiplier = rank => Poker.getMultiplier({ rank }, rules);
+
+        document.getElementById('rules-qualifier-select').value = rules.qualifier;
+        document.getElementById('rules-paytable-select').value = rules.paytable;
+        document.getElementById('rules-combine-select').value = rules.combine;
+        document.getElementById('lobby-rules').textContent = this.gameMode === 'pot-limit-omaha'
+            ? `Rules: Pot-Limit Omaha · ${PLO_BUY_IN_BLINDS} big blind buy-in, rebuy when busted`
+            : `Rules: ${Poker.describeRules(rules)}`;
+        document.getElementById('rules-qualifier').textContent = `${Poker.QUALIFIERS[rules.qualifier]} or better`;
+
+        // Made hands below a straight share a row while they pay the same
+        const rows = [];
+        for (let rank = PAIR; rank <= ROYAL_FLUSH; rank++) {
+            const last = rows[rows.length - 1];
+            if (rank < STRAIGHT && last && last.multiplier === multiplier(rank)) {
+                last.names.push(Poker.HAND_NAMES[rank]);
+            } else {
+                rows.push({ names: [Poker.HAND_NAMES[rank]], multiplier: multiplier(rank) });
+            }
+        }
+        document.getElementById('rules-multipliers').innerHTML = rows
+            .map(row => `<tr><td>${row.names.join(' / ')}</td><td>${row.multiplier}×</td></tr>`)
+            .join('');
+
+        const adds = rules.combine === 'add';
+        const example = Poker.calculateTotalMultiplier({ rank: FLUSH }, { rank: FULL_HOUSE }, rules);
+        document.getElementById('rules-combine-note').innerHTML =
+            `Multipliers from both boards <strong>${adds ? 'add up' : 'multiply together'}!</strong>`;
+        document.getElementById('rules-example').textContent =
+            `Example: Flush (${multiplier(FLUSH)}×) + Boat (${multiplier(FULL_HOUSE)}×) = ${example}× payout!`;
+    }
+
+    // ============ TOURNAMENT ============
+
+    /**
+     * The tournament the host set up in the lobby, or null for a cash game
+     * (Pot-Limit Omaha is always a cash game)
+     */
+    readTournament() {
+        if (this.gameMode !== 'ultimate-omaha' || document.getElementById('format-select').value !== 'tournament') {
+            return null;
+        }
+        return {
+            startingStack: document.getElementById('starting-stack').value,
+            startingAnte: document.getElementById('base-bet').value,
+            levelLength: document.getElementById('level-length').value,
+            levelUnit: document.getElementById('level-unit').value
+        };
+    }
+
+    /**
+     * Level, ante, the next level and players left over the table; the clock sets the next bet
+     */
+    updateTournamentBar(tournament) {
+        const bar = document.getElementById('tournament-bar');
+        bar.classList.toggle('hidden', !tournament);
+        document.getElementById('next-bet-field').classList.toggle('hidden', Boolean(tournament));
+        if (!tournament) return;
+
+        const parts = [`Level ${tournament.level}`, `Ante ${this.formatCurrency(tournament.ante)}`];
+        if (tournament.nextLevelAt) {
+            const when = tournament.nextLevelAt.hand
+                ? `hand ${tournament.nextLevelAt.hand}`
+                : new Date(tournament.nextLevelAt.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            parts.push(`Next ${this.formatCurrency(tournament.nextAnte)} from ${when}`);
+        }
+        parts.push(`${tournament.playersLeft} left`);
+        bar.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Log who went out in the hand just finished, and the winner once it is over
+     */
+    logEliminations(tournament) {
+        const nameOf = id => this.escapeHtml(this.multiplayer.getPlayer(id)?.name || 'Player');
+        for (const entry of tournament.standings) {
+            if (entry.outInHand === tournament.handsPlayed) {
+                this.addLogEntry('result', `${nameOf(entry.id)} is out in place ${entry.place}`, 'lose');
+            }
+        }
+        if (tournament.over && tournament.standings.length > 0) {
+            this.addLogEntry('result', `🏆 ${nameOf(tournament.standings[0].id)} wins the tournament`, 'win');
+        }
+    }
+
+    showStandings(tournament) {
+        document.getElementById('standings-list').innerHTML = tournament.standings.map(entry => {
+            const name = this.escapeHtml(this.multiplayer.getPlayer(entry.id)?.name || 'Player');
+            const detail = entry.outInHand === null
+                ? this.formatCurrency(entry.stack)
+                : `out in hand ${entry.outInHand}`;
+            return `<li class="${entry.place === 1 ? 'winner' : ''}"><span>${entry.place}. ${name}</span><span>${detail}</span></li>`;
+        }).join('');
+        document.getElementById('standings-modal').classList.remove('hidden');
+    }
+
+    hideStandings() {
+        document.getElementById('standings-modal').classList.add('hidden');
+    }
+
+    // ============ SHOT CLOCK ============
+
+    /**
+     * The shot clock the host set up in the lobby, or null for none
+     */
+    readShotClock() {
+        const seconds = parseInt(document.getElementById('shot-clock').value, 10);
+        if (!(seconds > 0)) return null;
+        return { seconds, timeBank: document.getElementById('time-bank').value };
+    }
+
+    /**
+     * Host: wake up when the first player still to act runs out of time, or when
+     * the table should play for one who dropped
+     */
+    scheduleShotClock() {
+        clearTimeout(this.shotClockTimer);
+        this.shotClockTimer = null;
+        const decision = this.multiplayer.isHost && this.game.getDecision();
+        if (!decision) return;
+        const clock = this.game.shotClock;
+        const waits = decision.playerIds.flatMap(id => [
+            clock ? clock.remaining(id) : null,
+            this.multiplayer.autoPlayWait(id)
+        ]).filter(wait => wait !== null);
+        if (waits.length === 0) return;
+        this.shotClockTimer = setTimeout(() => this.expireShotClock(), Math.min(...waits));
+    }
+
+    /**
+     * Host: everyone out of time, or away from the table, gets the default action,
+     * through the same path as their own
+     */
+    expireShotClock() {
+        this.shotClockTimer = null;
+        if (!this.multiplayer.isHost || this.dealInProgress) return;
+        const decision = this.game.getDecision();
+        if (!decision) return;
+        const expired = this.game.shotClock ? this.game.shotClock.expired(decision.playerIds) : [];
+        const away = decision.playerIds.filter(id => this.multiplayer.autoPlayWait(id) === 0);
+        const due = decision.playerIds.filter(id => expired.includes(id) || away.includes(id));
+        for (const playerId of due) {
+            this.timeOut(playerId, away.includes(playerId));
+        }
+        // Nobody's time was up yet (the timer fired early): wait for the rest
+        if (due.length === 0) this.scheduleShotClock();
+    }
+
+    /**
+     * Host: a player ran out of time, or is away - they check, or at a Pot-Limit Omaha table fold to a bet
+     */
+    timeOut(playerId, away = false) {
+        const player = this.game.players.find(p => p.id === playerId);
+        if (!player) return;
+        const facingBet = this.game instanceof PotLimitOmahaGame && this.game.currentBet > player.bet;
+        const action = facingBet ? 'fold' : 'check';
+        const name = this.multiplayer.getPlayer(playerId)?.name || 'Player';
+        this.announceToTable(away ? `${name} is away - the table ${action}s for them` : `${name} ran out of time`);
+        this.handleGameMessage(playerId, { type: 'action', action });
+    }
+
+    /**
+     * Turn the state's clock into deadlines on our own clock, and keep the countdown running
+     */
+    updateShotClock(state) {
+        const now = Date.now();
+        const clock = state.shotClock;
+        this.clockDeadlines = {};
+        for (const [id, remaining] of Object.entries(clock?.remaining || {})) {
+            const deadline = now + remaining;
+            this.clockDeadlines[id] = { deadline, bankFrom: deadline - clock.timeBanks[id] * 1000 };
+        }
+        this.renderShotClock();
+        if (Object.keys(this.clockDeadlines).length > 0 && !this.clockTicker) {
+            this.clockTicker = setInterval(() => this.renderShotClock(), 1000);
+        }
+    }
+
+    /**
+     * Seconds left for us and for each player box; the ticker stops once every clock is out
+     */
+    renderShotClock() {
+        const now = Date.now();
+        let running = false;
+        const render = (el, playerId) => {
+            const clock = this.clockDeadlines[playerId];
+            el.classList.toggle('hidden', !clock || Boolean(this.replay));
+            if (!clock) return;
+            // The shot clock counts down first, then the time bank
+            const inBank = now >= clock.bankFrom && clock.deadline > clock.bankFrom;
+            const seconds = Math.max(0, Math.ceil(((inBank ? clock.deadline : clock.bankFrom) - now) / 1000));
+            el.textContent = `⏱ ${seconds}s${inBank ? ' (time bank)' : ''}`;
+            el.classList.toggle('time-bank', inBank);
+            el.classList.toggle('low', seconds <= 5);
+            if (clock.deadline > now) running = true;
+        };
+        render(document.getElementById('my-shot-clock'), this.myPlayerId);
+        document.querySelectorAll('#players-area [data-clock-player]').forEach(el => render(el, el.dataset.clockPlayer));
+        if (!running) {
+            clearInterval(this.clockTicker);
+            this.clockTicker = null;
+        }
+    }
+
+    // ============ HELD SEATS ============
+
+    /**
+     * Host: a seated player dropped mid-game - their seat waits for them, and
+     * the table plays for them until they're back
+     */
+    holdSeat(playerId) {
+        if (!this.game.players.some(p => p.id === playerId)) return;
+        this.announceToTable(`${this.multiplayer.getPlayer(playerId)?.name || 'Player'} dropped - their seat is held for ${SEAT_GRACE_MS / 60000} minutes`);
+        this.scheduleShotClock();
+    }
+
+    /**
+     * Host: a dropped player is back under a new peer id (a new tab or browser
+     * restart) - their seat, cards and PnL move over to it
+     */
+    reclaimSeat(oldId, newId) {
+        const clock = this.game.shotClock;
+        const renamed = JSON.stringify(this.game.serialize()).split(JSON.stringify(oldId)).join(JSON.stringify(newId));
+        this.game.deserialize(JSON.parse(renamed));
+        // The decision under way keeps running rather than starting afresh
+        if (clock && this.game.shotClock) {
+            this.game.shotClock.decision = clock.decision;
+            this.game.shotClock.startedAt = clock.startedAt;
+        }
+        this.rebuyRequests = this.rebuyRequests.map(id => id === oldId ? newId : id);
+        this.announceToTable(`${this.multiplayer.getPlayer(newId)?.name || 'Player'} is back in their seat`);
+    }
+
+    // ============ BUY-INS & LIMITS ============
+
+    /**
+     * The buy-ins the host set up in the lobby, or null for unlimited PnL
+     * (Pot-Limit Omaha buys in for its own stacks)
+     */
+    readBankroll() {
+        if (this.gameMode !== 'ultimate-omaha' || document.getElementById('format-select').value !== 'buy-in') {
+            return null;
+        }
+        return {
+            buyIn: document.getElementById('buy-in').value,
+            buyInCap: document.getElementById('buy-in-cap').value
+        };
+    }
+
+    /**
+     * Each player's stack in a tournament or with buy-ins (playerId -> amount), or null where only PnL counts
+     */
+    getStacks(state) {
+        if (!state.tournament && !state.bankroll) return null;
+        const stacks = {};
+        for (const player of state.players) {
+            const pnl = state.phase === 'results' ? player.actualPnl : player.pnl;
+            const base = state.tournament
+                ? state.tournament.startingStack
+                : (state.bankroll.accounts[player.id]?.boughtIn ?? state.bankroll.buyIn);
+            stacks[player.id] = base + pnl;
+        }
+        return stacks;
+    }
+
+    /**
+     * Our own stop-loss and stop-win from the lobby (blank for none)
+     */
+    readLimits() {
+        const amount = id => {
+            const value = parseFloat(document.getElementById(id).value);
+            return value > 0 ? value : null;
+        };
+        this.limits = { stopLoss: amount('stop-loss'), stopWin: amount('stop-win') };
+    }
+
+    /**
+     * After a showdown: once our PnL reaches a limit, we sit out and the limit is spent,
+     * so taking a seat again plays on without it
+     */
+    checkLimits(state) {
+        const me = state.players.find(p => p.id === this.myPlayerId);
+        if (!me || this.multiplayer.spectating) return;
+        const reason = Bankroll.limitReached(me.actualPnl, this.limits);
+        if (!reason) return;
+
+        const stopLoss = reason === 'stop-loss';
+        this.limits[stopLoss ? 'stopLoss' : 'stopWin'] = null;
+        document.getElementById(reason).value = '';
+        this.showToast(`${stopLoss ? 'Stop-loss' : 'Stop-win'} reached - you sit out from the next hand`, 'info');
+        if (this.multiplayer.isHost) {
+            this.handleSitOut(this.myPlayerId, reason);
+        } else {
+            this.multiplayer.sendToHost({ type: 'sit_out', reason });
+        }
+    }
+
+    /**
+     * Host: a player sits out from the next hand on; they watch from then until they take a seat again
+     */
+    handleSitOut(playerId, reason) {
+        const player = this.game.players.find(p => p.id === playerId);
+        if (!player || player.sittingOut || this.game.tournament || this.gameMode !== 'ultimate-omaha') return;
+        this.game.sitOut(playerId);
+        const limit = { 'stop-loss': ' at their stop-loss', 'stop-win': ' at their stop-win' }[reason] || '';
+        this.announceToTable(`${this.multiplayer.getPlayer(playerId)?.name || 'Player'} sits out${limit}`);
+    }
+
+    /**
+     * Host, before a cash-game deal: bots that can't cover the bet rebuy, and
+     * everyone sitting out, or still short, moves to the spectators
+     */
+    sitOutPlayers() {
+        for (const player of this.game.players) {
+            const name = this.multiplayer.getPlayer(player.id)?.name || 'Player';
+            if (!player.sittingOut && this.multiplayer.isBot(player.id) && this.game.willSitOut(player)) {
+                const amount = this.game.rebuy(player.id);
+                if (amount > 0) this.announceToTable(`${name} rebuys for ${this.formatCurrency(amount)}`);
+            }
+            if (!this.game.willSitOut(player)) continue;
+            if (!player.sittingOut) {
+                this.announceToTable(`${name} can't cover the bet and sits out`);
+            }
+            this.multiplayer.moveToSpectators(player.id);
+        }
+    }
+
+    /**
+     * Host: a spectator whose stack can't cover the bet has to rebuy before sitting down
+     */
+    seatRefusal(peerId) {
+        if (!this.gameStarted || !this.game.bankroll) return null;
+        const player = this.game.getBankrollPlayers().find(p => p.id === peerId);
+        if (player && !this.game.bankroll.canCover(player, this.game.baseBet)) {
+            return 'Your stack can\'t cover the bet - rebuy first';
+        }
+        return null;
+    }
+
+    /**
+     * Ask the host for a rebuy (the host rebuys straight away)
+     */
+    requestRebuy() {
+        if (this.multiplayer.isHost) {
+            this.approveRebuy(this.myPlayerId);
+            return;
+        }
+        this.multiplayer.sendToHost({ type: 'rebuy_request' });
+        this.showToast('Rebuy requested - waiting for the host', 'info');
+    }
+
+    /**
+     * Host: why a player may not rebuy, or null. A rebuy tops up a stack below one buy-in
+     */
+    rebuyRefusal(playerId) {
+        if (!this.gameStarted || !this.game.bankroll) return 'There are no buy-ins at this table';
+        const player = this.game.getBankrollPlayers().find(p => p.id === playerId);
+        if (!player) return 'Take a seat to buy in first';
+        if (this.game.bankroll.stackOf(player) >= this.game.bankroll.config.buyIn) return 'Your stack is still a full buy-in';
+        if (this.game.bankroll.rebuyAmount(playerId) === 0) return 'No rebuys left under the buy-in cap';
+        return null;
+    }
+
+    /**
+     * Host: queue a player's rebuy for approval
+     */
+    handleRebuyRequest(playerId) {
+        const refusal = this.rebuyRefusal(playerId);
+        if (refusal) {
+            this.multiplayer.sendToPeer(playerId, { type: 'error', message: refusal });
+            return;
+        }
+        if (this.rebuyRequests.includes(playerId)) return;
+        this.rebuyRequests.push(playerId);
+        this.renderRebuyRequests();
+        this.showToast(`${this.multiplayer.getPlayer(playerId)?.name || 'A player'} asks to rebuy`, 'info');
+    }
+
+    approveRebuy(playerId) {
+        this.rebuyRequests = this.rebuyRequests.filter(id => id !== playerId);
+        this.renderRebuyRequests();
+        const refusal = this.rebuyRefusal(playerId);
+        if (refusal) {
+            this.showToast(refusal, 'error');
+            return;
+        }
+        const amount = this.game.rebuy(playerId);
+        this.announceToTable(`${this.multiplayer.getPlayer(playerId)?.name || 'Player'} rebuys for ${this.formatCurrency(amount)}`);
+        this.multiplayer.broadcastGameState(this.game.getGameState());
+    }
+
+    denyRebuy(playerId) {
+        this.rebuyRequests = this.rebuyRequests.filter(id => id !== playerId);
+        this.renderRebuyRequests();
+        this.multiplayer.sendToPeer(playerId, { type: 'error', message: 'The host turned down your rebuy' });
+    }
+
+    /**
+     * Host: the rebuys waiting for an answer, over the table
+     */
+    renderRebuyRequests() {
+        const container = document.getElementById('rebuy-requests');
+        // Players who left meanwhile drop off the list
+        this.rebuyRequests = this.rebuyRequests.filter(id => this.multiplayer.getPlayer(id));
+        container.classList.toggle('hidden', this.rebuyRequests.length === 0);
+        container.innerHTML = this.rebuyRequests.map(id => `
+            <div class="rebuy-request">
+                <span>${this.escapeHtml(this.multiplayer.getPlayer(id).name)} asks to rebuy for ${this.formatCurrency(this.game.bankroll.rebuyAmount(id))}</span>
+                <button class="btn btn-primary" data-approve-rebuy="${id}">Approve</button>
+                <button class="btn btn-secondary" data-deny-rebuy="${id}">Deny</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Rebuy shows for a spectator with a stack below one buy-in and a rebuy left under the cap
+     */
+    updateRebuyButton() {
+        const bankroll = this.currentState?.bankroll;
+        const account = bankroll?.accounts[this.myPlayerId];
+        const canRebuy = Boolean(account) && this.multiplayer.spectating && account.rebuy > 0 && account.stack < bankroll.buyIn;
+        document.querySelectorAll('.rebuy-btn').forEach(btn => btn.classList.toggle('hidden', !canRebuy));
+    }
+
+    /**
+     * Host: write a line to everyone's game log
+     */
+    announceToTable(message) {
+        this.addLogEntry('board', this.escapeHtml(message));
+        this.multiplayer.broadcast({ type: 'system_log', message });
+    }
+
+    // ============ LEDGER ============
+
+    /**
+     * Add a finished hand to this device's ledger (every tab records what it saw;
+     * the same hand from two tabs is stored once)
+     */
+    recordLedgerHand(state) {
+        if (!this.ledger.available || !state.shuffleId || !this.multiplayer.roomCode) return;
+        // Tournament chips are not money, so there is nothing to settle
+        if (state.tournament) return;
+
+        this.ledger.recordHand({
+            game: state.game || 'ultimate-omaha',
+            roomCode: this.multiplayer.roomCode,
+            handId: state.shuffleId,
+            results: state.results.map(result => ({
+                name: this.multiplayer.getPlayer(result.playerId)?.name || 'Player',
+                identity: this.multiplayer.getPlayer(result.playerId)?.identity || null,
+                net: result.netResult
+            })),
+            history: this.getNamedHandHistory(state)
+        }).catch(err => console.warn('Could not record hand in the ledger:', err));
+    }
+
+    /**
+     * The finished hand's history entry as this tab saw it, with player names
+     */
+    getNamedHandHistory(state) {
+        if (!state.handHistory) return null;
+        return {
+            ...state.handHistory,
+            roomCode: this.multiplayer.roomCode,
+            heroId: this.myPlayerId,
+            players: state.handHistory.players.map(p => ({
+                ...p,
+                name: this.multiplayer.getPlayer(p.id)?.name || 'Player'
+            }))
+        };
+    }
+
+    async showLedger() {
+        if (!this.ledger.available) {
+            this.showToast('This browser cannot store the ledger', 'error');
+            return;
+        }
+
+        try {
+            this.ledgerReport = await this.ledger.getReport();
+        } catch (err) {
+            this.showToast(`Could not open the ledger: ${err.message}`, 'error');
+            return;
+        }
+        this.renderLedger(this.ledgerReport);
+        document.getElementById('ledger-modal').classList.remove('hidden');
+    }
+
+    hideLedger() {
+        document.getElementById('ledger-modal').classList.add('hidden');
+    }
+
+    renderLedger(report) {
+        document.getElementById('ledger-summary').textContent = report.handCount === 0
+            ? 'No hands recorded yet'
+            : `${report.handCount} hand${report.handCount === 1 ? '' : 's'} recorded on this device`;
+
+        const balances = document.getElementById('ledger-balances');
+        balances.innerHTML = '<tr><th>Player</th><th>Hands</th><th>Net</th></tr>' +
+            report.balances.map(b => `
+                <tr>
+                    <td>${this.escapeHtml(b.name)}</td>
+                    <td>${b.hands}</td>
+                    <td class="${b.net > 0 ? 'win' : (b.net < 0 ? 'lose' : '')}">${this.formatCurrency(b.net, true)}</td>
+                </tr>
+            `).join('');
+
+        const histories = report.hands.filter(h => h.history).length;
+        document.getElementById('ledger-history-count').textContent =
+            `${histories} hand${histories === 1 ? '' : 's'} with a full history`;
+
+        // The 20 most recent hands of this game can be replayed
+        const replayable = report.hands.filter(h => h.history && GAME_ENGINES[h.game]).slice(-20).reverse();
+        document.getElementById('ledger-history-list').innerHTML = replayable.map(h => `
+            <li>
+                <span>${new Date(h.timestamp).toLocaleString()} · Room ${this.escapeHtml(h.roomCode)}</span>
+                <button class="btn btn-secondary" data-hand-id="${this.escapeHtml(h.id)}">Replay</button>
+            </li>
+        `).join('');
+
+        const payments = document.getElementById('ledger-payments');
+        payments.innerHTML = report.payments.length === 0
+            ? '<li>Everyone is even</li>'
+            : report.payments.map(p =>
+                `<li><strong>${this.escapeHtml(p.from)}</strong> pays <strong>${this.escapeHtml(p.to)}</strong> ${this.formatCurrency(p.amount)}</li>`
+            ).join('');
+    }
+
+    exportLedger(format) {
+        if (!this.ledgerReport) return;
+
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            Ledger.downloadText(`ledger-${date}.csv`, Ledger.reportToCSV(this.ledgerReport), 'text/csv');
+        } else {
+            Ledger.downloadText(`ledger-${date}.json`, Ledger.reportToJSON(this.ledgerReport), 'application/json');
+        }
+    }
+
+    /**
+     * Export the recorded hands as PokerStars-style text or JSON
+     */
+    exportHandHistory(format) {
+        const entries = (this.ledgerReport?.hands || []).map(h => h.history).filter(Boolean);
+        if (entries.length === 0) {
+            this.showToast('No hand histories recorded yet', 'info');
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'txt') {
+            Ledger.downloadText(`hand-history-${date}.txt`, HandHistory.formatHands(entries), 'text/plain');
+        } else {
+            Ledger.downloadText(`hand-history-${date}.json`, HandHistory.handsToJSON(entries), 'application/json');
+        }
+    }
+
+    replayLedgerHand(handId) {
+        const hand = (this.ledgerReport?.hands || []).find(h => h.id === handId);
+        if (hand) this.startReplay(hand.history);
+    }
+
+    async clearLedger() {
+        if (!window.confirm('Delete every hand in the ledger on this device?')) return;
+
+        try {
+            await this.ledger.clear();
+            this.ledgerReport = await this.ledger.getReport();
+            this.renderLedger(this.ledgerReport);
+            this.showToast('Ledger cleared', 'info');
+        } catch (err) {
+            this.showToast(`Could not clear the ledger: ${err.message}`, 'error');
+        }
+    }
+
+    // ============ REPLAY ============
+
+    /**
+     * Whether this player has a hand in progress (replays wait until it is over)
+     */
+    isPlayingHand() {
+        const state = this.currentState;
+        return Boolean(this.gameStarted && state && state.phase !== 'results' &&
+            state.players.some(p => p.id === this.myPlayerId));
+    }
+
+    /**
+     * Show a recorded hand on the game screen, one street at a time
+     */
+    startReplay(entry) {
+        if (!entry) return;
+        if (this.isPlayingHand()) {
+            this.showToast('Finish the current hand before replaying', 'info');
+            return;
+        }
+
+        const returnScreen = this.replay ? this.replay.returnScreen : this.currentScreen;
+        this.replay = { entry, steps: HandHistory.buildReplay(entry), index: 0, returnScreen };
+        this.hideLedger();
+        this.showScreen('game');
+        document.getElementById('game-room-code').textContent = entry.roomCode || '';
+        document.getElementById('game-screen').classList.add('replaying');
+        document.getElementById('replay-controls').classList.remove('hidden');
+        this.showGameLayout(entry.game);
+        this.renderReplayStep();
+    }
+
+    stepReplay(delta) {
+        if (!this.replay) return;
+        const index = this.replay.index + delta;
+        if (index < 0 || index >= this.replay.steps.length) return;
+        this.replay.index = index;
+        this.renderReplayStep();
+    }
+
+    /**
+     * Draw the current replay step with the same renderers as live play
+     */
+    renderReplayStep() {
+        const { entry, steps, index } = this.replay;
+        const step = steps[index];
+        const state = step.state;
+        const hero = state.players.find(p => p.id === entry.heroId);
+
+        if (state.game === 'pot-limit-omaha') {
+            this.updateBoard('board-1', state.board);
+        } else {
+            this.updateBoard('board-1', state.board1);
+            this.updateBoard('board-2', state.board2);
+        }
+
+        // Spectators recorded no hand of their own
+        const handArea = document.getElementById('player-hand-area');
+        handArea.classList.toggle('hidden', !hero);
+        if (hero) {
+            handArea.querySelector('.hand-label').textContent = `${hero.name}'s Hand`;
+            this.updateHoleCards(hero.holeCards);
+            const displayPnl = state.phase === 'results' ? hero.actualPnl : hero.pnl;
+            document.getElementById('my-pnl').textContent = this.formatCurrency(displayPnl);
+            document.getElementById('my-pnl').style.color = displayPnl >= 0 ? 'var(--gold-light)' : 'var(--danger)';
+            document.getElementById('current-bet').textContent = this.formatCurrency(hero.totalBet);
+        }
+        document.querySelector('.current-bet-info').classList.toggle('hidden', !hero || state.phase === 'results');
+
+        if (state.game === 'pot-limit-omaha') {
+            this.updatePotLimitPlayers(state, entry.heroId);
+            this.updatePotLimitResult(state, hero);
+        } else {
+            this.updatePlayersArea(state.players, state.phase, state.results);
+            if (state.results && hero) {
+                this.updateBoardResults(state, hero);
+            } else {
+                this.clearBoardResults();
+            }
+        }
+
+        document.getElementById('replay-step').textContent = `${step.label} (${index + 1}/${steps.length})`;
+        document.getElementById('replay-notes').innerHTML = step.notes
+            .map(note => `<li>${this.escapeHtml(note)}</li>`).join('');
+        document.getElementById('replay-back').disabled = index === 0;
+        document.getElementById('replay-forward').disabled = index === steps.length - 1;
+    }
+
+    /**
+     * Leave the replay for the live table, or wherever it was opened from
+     */
+    stopReplay() {
+        if (!this.replay) return;
+        const { returnScreen } = this.replay;
+        this.replay = null;
+
+        document.getElementById('game-screen').classList.remove('replaying');
+        document.getElementById('replay-controls').classList.add('hidden');
+        document.getElementById('player-hand-area').classList.remove('hidden');
+        document.querySelector('#player-hand-area .hand-label').textContent = 'Your Hand';
+        this.showGameLayout(this.gameMode);
+
+        if (this.gameStarted && this.currentState) {
+            this.showScreen('game');
+            this.updateGameUI(this.currentState);
+        } else {
+            this.showScreen(returnScreen);
+        }
+    }
+
+    // ============ UTILITIES ============
+
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toast-container');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        setTimeout(() => {
+            toast.style.opacity = '0';
+            setTimeout(() => toast.remove(), 300);
+        }, 3000);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.gameController = new GameController();
+
+    // Cache the game for offline play and installing as an app
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker not registered:', err));
+    }
 });
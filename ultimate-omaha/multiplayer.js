@@ -1,10 +1,74 @@
 /**
- * Ultimate Omaha - Multiplayer System using PeerJS
+ * Ultimate Omaha - Multiplayer System
  * Handles peer-to-peer connections, room management, and state sync
+ * Connections go through a pluggable transport (transports.js); PeerJS by default
  */
 
+// Version of the messages peers exchange; a room only takes joiners on the same version
+const PROTOCOL_VERSION = 2;
+
+// Games that share this file, for telling a joiner they opened the wrong one
+const GAME_NAMES = {
+    'ultimate-omaha': 'Ultimate Omaha',
+    'edge-the-dealer': 'Edge the Dealer'
+};
+
+// Messages a client only accepts from its current host
+const HOST_ONLY_MESSAGES = new Set([
+    'join_accepted', 'player_list', 'player_joined', 'player_left', 'player_disconnected',
+    'player_reconnected', 'game_state', 'game_state_backup_share', 'request_connection',
+    'start_game', 'chat', 'error', 'action_log', 'hand_start_log', 'discard_log', 'system_log',
+    'role_changed', 'table_rules', 'join_challenge', 'knock_waiting', 'turned_away'
+]);
+
+// Messages that change the game; the host ties them to the sender and checks sequence and phase
+const PLAYER_ACTION_MESSAGES = new Set(['action', 'confirm_discards']);
+
+// Spectators don't take seats, but a room still needs a limit
+const MAX_SPECTATORS = 20;
+
+// How long a dropped player's seat is held (and played for them) before it is given up
+const SEAT_GRACE_MS = 5 * 60 * 1000;
+
+// How long the table waits for a dropped player (long enough for a refresh) before playing for them
+const AUTO_PLAY_DELAY_MS = 10 * 1000;
+
+// How long a turned-away peer gets to read why before the host hangs up
+const TURN_AWAY_CLOSE_MS = 1000;
+
+/**
+ * Why a peer can't play in a room, or null: the room's game and protocol
+ * version against the peer's own (older peers sent neither)
+ */
+function roomMismatch(roomGame, roomProtocol, ownGame, ownProtocol) {
+    if (roomProtocol !== ownProtocol) {
+        return (roomProtocol || 0) > (ownProtocol || 0)
+            ? 'That room runs a newer version of the game - reload this page'
+            : 'That room runs an older version of the game - the host needs to reload';
+    }
+    if (roomGame !== ownGame) {
+        return `That room plays ${GAME_NAMES[roomGame] || roomGame}, not ${GAME_NAMES[ownGame] || ownGame}`;
+    }
+    return null;
+}
+
+// PeerJS errors meaning the signaling server can't be reached (as opposed to a bad room code)
+const OFFLINE_ERRORS = new Set(['network', 'server-error', 'socket-error', 'browser-incompatible']);
+
+// How hard a bot plays: a coin flip, a rule of thumb, or the best EV the game's odds give
+const BOT_LEVELS = ['random', 'basic', 'optimal'];
+
 class MultiplayerManager {
-    constructor() {
+    /**
+     * game: the page's game id; room peer ids and the session are scoped to it
+     * transportOptions: see Transports.createPeer; defaults to the page URL's ?transport= settings
+     */
+    constructor(game = 'ultimate-omaha', transportOptions = null) {
+        this.game = game;
+        this.protocolVersion = PROTOCOL_VERSION;
+        this.peerPrefix = game.replace(/[^a-z0-9]/gi, '').toLowerCase(); // 'ultimateomaha', 'edgethedealer'
+        this.transportOptions = transportOptions ||
+            Transports.getOptionsFromUrl(typeof location !== 'undefined' ? location.search : '');
         this.peer = null;
         this.connections = new Map(); // peerId -> connection
         this.players = new Map(); // peerId -> player info
@@ -15,12 +79,49 @@ class MultiplayerManager {
         this.myName = '';
         this.roomCode = '';
         this.disconnectedPlayers = new Map(); // peerId -> player info (for reconnection)
+        this.seatHoldTimers = new Map(); // Host: peerId -> timer that gives up a dropped player's seat
+        this.identity = new PlayerIdentity(); // This browser's key pair (identity.js)
+        this.pendingJoins = new Map(); // Host: peerId -> { data, nonce } while a joiner proves their key
+        this.signatureChecks = new Map(); // Host: peerId -> the last action signature check in flight
+        this.outgoingActions = Promise.resolve(); // Client: actions being signed, sent in order
+        
+        // Private rooms
+        this.roomPassword = ''; // Host: joiners must prove they know it ('' = open room); kept in the session
+        this.approveJoins = false; // Host: each newcomer knocks and waits for the host; kept in the session
+        this.knocking = new Map(); // Host: peerId -> { data, identity } waiting to be let in
+        this.banned = []; // Host: [{ peerId, identity, name }] kept out for the room's lifetime; kept in the session
+        this.joinPassword = ''; // Client: the password we join with; kept in the session for reconnects
+        this.maxSeats = 10; // Seated players; later joiners spectate
+        this.spectating = false; // Client: we watch instead of play
+        this.seatsClosed = false; // Host: newcomers only watch (a tournament is under way)
+        this.seatCheck = null; // Host: peerId => why that spectator can't sit down yet (e.g. no chips), or null
+        this.offline = false; // Host: no signaling server, so the room lives on this device only (loopback transport)
         
         // Host migration
-        this.lastFullGameState = null; // Clients store full game state for migration
+        this.lastFullGameState = null; // Host's own copy, or the state rebuilt from backup shares
+        this.backupShare = null; // Clients hold one share of the host's game state backup
+        this.hostBackupShare = null; // Host: the second share of a heads-up backup, kept in the session for a refresh
+        this.collectedShares = new Map(); // backupId -> Map(shareIndex -> share), while rebuilding
+        this.backupSequence = 0;
+        this.backupRestoreTimeout = null;
+        this.restoringBackup = false; // Refreshed host: clients hold the only copy of the game until their shares arrive
         this.hostReconnectTimeout = null;
         this.hostReconnectInterval = null;
         this.playerOrder = []; // Track join order for host election
+        this.roster = []; // Host: [{ peerId, identity }] of everyone let in, kept in the session so a refreshed host knows who is coming back
+        
+        // Provably fair shuffle (commit-reveal)
+        this.currentShuffle = null; // Host: seeds and commitments of the hand being played
+        this.pendingShuffleReplies = null; // Host: commits/reveals being collected
+        this.shuffleRound = null; // Client: our seed and the commitments the host published
+        
+        // Message validation
+        this.backupKey = null; // Host secret that tags backup shares; kept in the session across refreshes
+        this.expectedBackup = null; // New host: backupId, digest, threshold and mac of our own share
+        this.lastSequenceByPeer = new Map(); // Host: peerId -> last accepted action sequence number
+        this.currentPhaseTag = null; // Host: phase of the last broadcast state
+        this.messageSequence = 0; // Client: sequence number of our last action
+        this.lastPhaseTag = null; // Client: phase of the last state we received
         
         this.onPlayerJoin = null;
         this.onPlayerLeave = null;
@@ -30,6 +131,15 @@ class MultiplayerManager {
         this.onConnected = null;
         this.onReconnected = null;
         this.onBecomeHost = null; // Called when this client becomes the new host
+        this.onShuffleVerified = null; // Called with { handId, deck, problems } after a reveal
+        this.onRejected = null; // Host: called with (peerId, reason) when a message is refused
+        this.onSeatReclaimed = null; // Host: called with (oldId, newId) when a dropped player is back under a new peer id
+        this.onKnock = null; // Host: called when someone starts or stops waiting to be let in
+        this.onKnockWaiting = null; // Client: called when the host has to let us in first
+        this.onTurnedAway = null; // Client: called with the reason when the host refuses or removes us
+        this.getBackupState = null; // Host: returns the engine's full state (deck included) for backup shares
+        this.redactStateForPlayer = null; // Host: game-specific hiding on top of filterStateForPlayer, (state, playerId) => state
+        this.createDeck = null; // The unshuffled deck the game deals from, when not the standard 52 cards
     }
 
     // ============ SESSION PERSISTENCE ============
@@ -43,18 +153,31 @@ class MultiplayerManager {
             roomCode: this.roomCode,
             playerName: this.myName,
             isHost: this.isHost,
+            spectator: this.spectating,
+            backupKey: this.isHost ? this.backupKey : null,
+            hostBackupShare: this.isHost ? this.hostBackupShare : null,
+            roomPassword: this.isHost ? this.roomPassword : '',
+            approveJoins: this.isHost && this.approveJoins,
+            banned: this.isHost ? this.banned : [],
+            roster: this.isHost ? this.roster : [],
+            joinPassword: this.isHost ? '' : this.joinPassword,
             gameInProgress: this.gameInProgress || false,
+            offline: this.offline,
+            game: this.game,
+            protocol: this.protocolVersion,
             timestamp: Date.now()
         };
-        sessionStorage.setItem('ultimateomaha_session', JSON.stringify(session));
-        console.log('Session saved:', session);
+        sessionStorage.setItem(this.sessionKey, JSON.stringify(session));
+        // Never log the room password, the join password or the backup key and share
+        const { roomPassword, joinPassword, backupKey, hostBackupShare, ...loggable } = session;
+        console.log('Session saved:', loggable);
     }
 
     /**
      * Load session from sessionStorage
      */
     loadSession() {
-        const sessionData = sessionStorage.getItem('ultimateomaha_session');
+        const sessionData = sessionStorage.getItem(this.sessionKey);
         if (!sessionData) return null;
         
         try {
@@ -64,6 +187,11 @@ class MultiplayerManager {
                 this.clearSession();
                 return null;
             }
+            // A session from another game or an older version can't reconnect
+            if (session.game !== this.game || session.protocol !== this.protocolVersion) {
+                this.clearSession();
+                return null;
+            }
             return session;
         } catch (e) {
             this.clearSession();
@@ -75,7 +203,21 @@ class MultiplayerManager {
      * Clear stored session
      */
     clearSession() {
-        sessionStorage.removeItem('ultimateomaha_session');
+        sessionStorage.removeItem(this.sessionKey);
+    }
+
+    /**
+     * Where this game's sessions are kept, so the other game's page never picks one up
+     */
+    get sessionKey() {
+        return `${this.peerPrefix}_session`;
+    }
+
+    /**
+     * The host's peer id for a room code, e.g. ultimateomaha-ABCDE
+     */
+    roomPeerId(roomCode) {
+        return `${this.peerPrefix}-${roomCode}`;
     }
 
     /**
@@ -97,18 +239,24 @@ class MultiplayerManager {
         this.myName = session.playerName;
         this.roomCode = session.roomCode;
         this.isHost = session.isHost;
+        this.spectating = session.spectator || false;
+        this.backupKey = session.backupKey || null;
+        this.hostBackupShare = session.hostBackupShare || null;
+        this.roomPassword = session.roomPassword || '';
+        this.approveJoins = Boolean(session.approveJoins);
+        this.banned = session.banned || [];
+        this.roster = session.roster || [];
+        this.joinPassword = session.joinPassword || '';
+        this.offline = Boolean(session.offline);
+        await this.identity.load();
 
         return new Promise((resolve, reject) => {
             if (session.isHost) {
                 // Host reconnects with same room code peer ID
-                this.peer = new Peer('ultimateomaha-' + session.roomCode, {
-                    debug: 1
-                });
+                this.peer = this.createPeer(this.roomPeerId(session.roomCode));
             } else {
                 // Client reconnects with same peer ID to be recognized
-                this.peer = new Peer(session.peerId, {
-                    debug: 1
-                });
+                this.peer = this.createPeer(session.peerId);
             }
 
             const timeout = setTimeout(() => {
@@ -125,12 +273,25 @@ class MultiplayerManager {
                     this.players.set(id, {
                         id,
                         name: this.myName,
-                        isHost: true
+                        isHost: true,
+                        ...this.getOwnIdentity()
                     });
                     // Restore playerOrder with host first
                     this.playerOrder = [id];
                     // Restore gameInProgress from session
                     this.gameInProgress = session.gameInProgress || false;
+                    // Don't broadcast (and re-share) an empty game before the clients' shares rebuild it
+                    if (this.gameInProgress) {
+                        this.restoringBackup = true;
+                        // Heads-up, our own share and the client's rebuild the game between them
+                        this.collectedShares.clear();
+                        this.collectBackupShare(this.hostBackupShare, id);
+                        this.backupRestoreTimeout = setTimeout(() => {
+                            console.warn('Not enough backup shares arrived, continuing without game state');
+                            this.backupRestoreTimeout = null;
+                            this.restoringBackup = false;
+                        }, 10000);
+                    }
                     // Host is reconnected, will receive incoming connections
                     this.saveSession();
                     resolve({ peerId: id, roomCode: this.roomCode, isHost: true });
@@ -182,24 +343,57 @@ class MultiplayerManager {
     }
 
     /**
-     * Initialize PeerJS connection
+     * Create a peer on the configured transport
+     */
+    createPeer(id) {
+        return Transports.createPeer(id, this.offline ? { type: 'loopback' } : this.transportOptions);
+    }
+
+    /**
+     * Whether the browser says there is no network
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Initialize the peer connection
+     * Without a network (or when the PeerJS broker can't be reached) a host
+     * falls back to an offline room on this device
      */
     async initPeer(isHost, roomCode = null) {
+        await this.identity.load();
+        const onPeerJS = this.transportOptions.type === 'peerjs';
+        if (onPeerJS && this.isOffline()) {
+            if (!isHost) {
+                throw new Error('You are offline. Start a game to play solo.');
+            }
+            this.offline = true;
+        }
+
+        try {
+            return await this.openPeer(isHost, roomCode);
+        } catch (err) {
+            if (!isHost || !onPeerJS || this.offline || !OFFLINE_ERRORS.has(err.type)) throw err;
+            console.warn('Signaling server unreachable, hosting offline:', err);
+            if (this.peer) this.peer.destroy();
+            this.offline = true;
+            return this.openPeer(isHost, roomCode);
+        }
+    }
+
+    openPeer(isHost, roomCode) {
         return new Promise((resolve, reject) => {
             this.isHost = isHost;
             
             if (isHost) {
                 this.roomCode = this.generateRoomCode();
                 // Host uses room code as peer ID
-                this.peer = new Peer('ultimateomaha-' + this.roomCode, {
-                    debug: 1
-                });
+                this.peer = this.createPeer(this.roomPeerId(this.roomCode));
             } else {
                 this.roomCode = roomCode.toUpperCase();
                 // Client uses random ID
-                this.peer = new Peer(undefined, {
-                    debug: 1
-                });
+                this.peer = this.createPeer(undefined);
             }
 
             this.peer.on('open', (id) => {
@@ -208,10 +402,12 @@ class MultiplayerManager {
                 
                 if (isHost) {
                     this.hostId = id;
+                    this.backupKey = FairShuffle.generateSeed();
                     this.players.set(id, {
                         id,
                         name: this.myName,
-                        isHost: true
+                        isHost: true,
+                        ...this.getOwnIdentity()
                     });
                     // Add host to playerOrder first
                     this.playerOrder = [id];
@@ -222,7 +418,8 @@ class MultiplayerManager {
                 
                 resolve({
                     peerId: id,
-                    roomCode: this.roomCode
+                    roomCode: this.roomCode,
+                    offline: this.offline
                 });
             });
 
@@ -279,7 +476,7 @@ class MultiplayerManager {
      */
     async connectToRoom(isReconnecting = false) {
         return new Promise((resolve, reject) => {
-            const hostPeerId = 'ultimateomaha-' + this.roomCode;
+            const hostPeerId = this.roomPeerId(this.roomCode);
             console.log('Connecting to host:', hostPeerId, isReconnecting ? '(reconnecting)' : '');
             
             const conn = this.peer.connect(hostPeerId, {
@@ -301,12 +498,16 @@ class MultiplayerManager {
                     type: 'join',
                     name: this.myName,
                     peerId: this.myId,
-                    reconnecting: isReconnecting
+                    reconnecting: isReconnecting,
+                    spectate: this.spectating,
+                    publicKey: this.identity.publicKey,
+                    game: this.game,
+                    protocol: this.protocolVersion
                 };
                 
-                // Include game state backup if reconnecting
-                if (isReconnecting && this.lastFullGameState) {
-                    joinMessage.gameStateBackup = this.lastFullGameState;
+                // Include our backup share if reconnecting
+                if (isReconnecting && this.backupShare) {
+                    joinMessage.backupShare = this.backupShare;
                     joinMessage.playerOrder = this.playerOrder;
                 }
                 
@@ -339,19 +540,61 @@ class MultiplayerManager {
     /**
      * Handle messages from peers
      */
-    handleMessage(fromPeerId, data) {
-        console.log('Message from', fromPeerId, ':', data.type);
+    handleMessage(fromPeerId, data, signatureChecked = false) {
+        console.log('Message from', fromPeerId, ':', data?.type);
+        
+        // A player with a key signs every action; the host checks that before anything else
+        if (!signatureChecked && this.isHost && PLAYER_ACTION_MESSAGES.has(data?.type) &&
+            this.players.get(fromPeerId)?.publicKey) {
+            this.checkActionSignature(fromPeerId, data);
+            return;
+        }
+        
+        if (!this.validateMessage(fromPeerId, data)) return;
         
         switch (data.type) {
-            case 'join':
-                // Host receives join request
+            case 'join': {
+                // Host receives join request; a joiner playing the same game and version answers a challenge first
+                if (!this.isHost) break;
+                const mismatch = roomMismatch(this.game, this.protocolVersion, data.game, data.protocol);
+                if (mismatch) {
+                    this.turnAway(fromPeerId, mismatch);
+                } else {
+                    this.challengeJoin(fromPeerId, data);
+                }
+                break;
+            }
+                
+            case 'join_challenge':
+                this.answerChallenge(data);
+                break;
+                
+            case 'join_proof':
                 if (this.isHost) {
-                    this.handleJoinRequest(fromPeerId, data);
+                    this.checkJoinProof(fromPeerId, data);
+                }
+                break;
+                
+            case 'knock_waiting':
+                if (this.onKnockWaiting) {
+                    this.onKnockWaiting();
+                }
+                break;
+                
+            case 'turned_away':
+                // The host refused us or showed us out: leave for good, no reconnecting
+                if (!this.isHost) {
+                    this.leave();
+                    if (this.onTurnedAway) {
+                        this.onTurnedAway(data.message);
+                    }
                 }
                 break;
                 
             case 'join_accepted':
-                // Client receives acceptance
+                // Client receives acceptance; the host decides whether we sit or watch
+                this.spectating = Boolean(data.spectator);
+                this.saveSession();
                 if (this.onConnected) {
                     this.onConnected(data);
                 }
@@ -380,13 +623,20 @@ class MultiplayerManager {
                 
             case 'player_left':
                 this.players.delete(data.playerId);
+                this.disconnectedPlayers.delete(data.playerId);
                 if (this.onPlayerLeave) {
                     this.onPlayerLeave(data.playerId, false);
                 }
                 break;
                 
             case 'player_disconnected':
-                // Player disconnected but may reconnect
+                // Player disconnected but may reconnect; keep their info until we know
+                if (this.players.has(data.playerId)) {
+                    this.disconnectedPlayers.set(data.playerId, {
+                        ...this.players.get(data.playerId),
+                        disconnectedAt: Date.now()
+                    });
+                }
                 this.players.delete(data.playerId);
                 if (this.onPlayerLeave) {
                     this.onPlayerLeave(data.playerId, data.mayReconnect);
@@ -395,26 +645,80 @@ class MultiplayerManager {
                 
             case 'player_reconnected':
                 this.players.set(data.player.id, data.player);
+                this.disconnectedPlayers.delete(data.player.id);
+                this.disconnectedPlayers.delete(data.replaces);
+                if (data.playerOrder) {
+                    this.playerOrder = data.playerOrder;
+                }
+                if (this.onPlayerJoin) {
+                    this.onPlayerJoin(Array.from(this.players.values()));
+                }
+                break;
+                
+            case 'role_changed':
+                // A spectator took a seat, or a player lost theirs
+                this.players.set(data.player.id, data.player);
+                if (data.playerOrder) {
+                    this.playerOrder = data.playerOrder;
+                }
+                if (data.player.id === this.myId) {
+                    this.spectating = Boolean(data.player.spectator);
+                    this.saveSession();
+                }
                 if (this.onPlayerJoin) {
                     this.onPlayerJoin(Array.from(this.players.values()));
                 }
                 break;
                 
+            case 'seat_request':
+                if (this.isHost) {
+                    this.handleSeatRequest(fromPeerId);
+                }
+                break;
+                
             case 'game_state':
+                this.lastPhaseTag = this.getPhaseTag(data.state);
                 if (this.onGameStateUpdate) {
                     this.onGameStateUpdate(data.state);
                 }
                 break;
             
-            case 'full_game_state_backup':
-                // Store full game state for potential host migration
-                this.lastFullGameState = data.state;
+            case 'game_state_backup_share':
+                // Store our share of the host's state for potential host migration
+                this.backupShare = data.share;
                 this.playerOrder = data.playerOrder || [];
                 break;
                 
+            case 'backup_share':
+                // New host collects shares from peers to rebuild the game state
+                if (this.isHost) {
+                    this.handleBackupShare(fromPeerId, data.share);
+                }
+                break;
+                
             case 'new_host_announcement':
                 // A new host has been elected
-                this.handleNewHostAnnouncement(data);
+                if (this.isValidHostAnnouncement(fromPeerId, data)) {
+                    this.handleNewHostAnnouncement(fromPeerId, data);
+                } else {
+                    console.warn('Ignoring host announcement from', fromPeerId);
+                }
+                break;
+                
+            case 'shuffle_commit_request':
+            case 'shuffle_commitments':
+            case 'shuffle_reveal_all':
+                // Only the host drives the shuffle protocol
+                if (!this.isHost && fromPeerId === this.hostId) {
+                    this.handleShuffleMessage(data);
+                }
+                break;
+                
+            case 'shuffle_commit':
+            case 'shuffle_reveal':
+                if (this.isHost) {
+                    this.handleShuffleReply(fromPeerId, data);
+                }
                 break;
                 
             case 'request_connection':
@@ -456,21 +760,22 @@ class MultiplayerManager {
 
     /**
      * Handle join request (host only)
+     * identity: the fingerprint of the key the joiner proved they hold, or null
      */
-    handleJoinRequest(fromPeerId, data) {
+    handleJoinRequest(fromPeerId, data, identity = null) {
         const isReconnecting = data.reconnecting || false;
         
-        // If client is reconnecting and has game state backup, and we don't have one, use theirs
-        if (isReconnecting && data.gameStateBackup && !this.lastFullGameState) {
-            console.log('Restoring game state from reconnecting client');
-            this.lastFullGameState = data.gameStateBackup;
-            this.gameInProgress = true;
-            
+        // A (re)joining client starts counting its actions from scratch
+        this.lastSequenceByPeer.delete(fromPeerId);
+        
+        // If client is reconnecting with a backup share and we have no state, collect it.
+        // The state is only rebuilt once enough reconnecting clients have sent their shares.
+        if (isReconnecting && data.backupShare && this.restoringBackup) {
             // Restore playerOrder from client
             if (data.playerOrder && data.playerOrder.length > 0) {
                 // Make sure host is first, then merge client's order
                 const hostFirst = [this.myId];
-                data.playerOrder.forEach(id => {
+                this.playerOrder.concat(data.playerOrder).forEach(id => {
                     if (id !== this.myId && !hostFirst.includes(id)) {
                         hostFirst.push(id);
                     }
@@ -478,30 +783,59 @@ class MultiplayerManager {
                 this.playerOrder = hostFirst;
             }
             
-            // Notify main.js to restore game state
-            if (this.onBecomeHost) {
-                this.onBecomeHost(this.lastFullGameState);
+            // Only shares we issued count towards rebuilding our own game
+            let restoredState = null;
+            if (this.isOwnBackupShare(data.backupShare)) {
+                restoredState = this.collectBackupShare(data.backupShare, fromPeerId);
+            } else {
+                this.rejectMessage(fromPeerId, 'backup share was not issued by this host', false);
+            }
+            if (restoredState) {
+                console.log('Restored game state from reconnecting clients\' shares');
+                clearTimeout(this.backupRestoreTimeout);
+                this.backupRestoreTimeout = null;
+                this.restoringBackup = false;
+                this.lastFullGameState = restoredState;
+                this.gameInProgress = true;
+                
+                // Notify main.js to restore game state
+                if (this.onBecomeHost) {
+                    this.onBecomeHost(this.lastFullGameState);
+                }
             }
         }
         
-        // Check if this is a reconnecting player
+        // A dropped player back under a new peer id (a new tab, a restarted browser) proved their key
+        const heldId = this.disconnectedPlayers.has(fromPeerId) ? null : this.findHeldSeat(identity);
+        if (heldId) {
+            this.transferHeldSeat(heldId, fromPeerId);
+        }
+        
+        // Check if this is a reconnecting player. The client's say-so alone isn't enough:
+        // a stranger claiming to reconnect takes the seat and spectator limits like anyone else
         const wasDisconnected = this.disconnectedPlayers.has(fromPeerId);
+        const returning = wasDisconnected || (isReconnecting && this.inRoster(fromPeerId, identity));
         
-        if (isReconnecting || wasDisconnected) {
+        if (returning) {
             // Restore reconnecting player
             const oldInfo = this.disconnectedPlayers.get(fromPeerId) || {};
             this.disconnectedPlayers.delete(fromPeerId);
+            this.endSeatHold(fromPeerId);
             
             const playerInfo = {
                 id: fromPeerId,
                 name: data.name || oldInfo.name || 'Player',
                 isHost: false,
-                queued: false // They're back, not queued
+                queued: false, // They're back, not queued
+                spectator: Boolean(oldInfo.spectator || data.spectate),
+                identity: identity || oldInfo.identity || null,
+                publicKey: identity ? data.publicKey : (oldInfo.publicKey || null)
             };
             this.players.set(fromPeerId, playerInfo);
+            this.addToRoster(fromPeerId, playerInfo.identity);
             
-            // Make sure they're in playerOrder
-            if (!this.playerOrder.includes(fromPeerId)) {
+            // Make sure seated players are in playerOrder
+            if (!playerInfo.spectator && !this.playerOrder.includes(fromPeerId)) {
                 this.playerOrder.push(fromPeerId);
             }
             
@@ -513,7 +847,8 @@ class MultiplayerManager {
                 playerId: fromPeerId,
                 roomCode: this.roomCode,
                 gameInProgress: this.gameInProgress || false,
-                reconnected: true
+                reconnected: true,
+                spectator: playerInfo.spectator
             });
             
             // Send current player list with playerOrder
@@ -523,10 +858,12 @@ class MultiplayerManager {
                 playerOrder: this.playerOrder
             });
             
-            // Broadcast player reconnected to all others
+            // Broadcast player reconnected to all others (a reclaimed seat changes playerOrder)
             this.broadcast({
                 type: 'player_reconnected',
-                player: playerInfo
+                player: playerInfo,
+                playerOrder: this.playerOrder,
+                replaces: heldId
             }, fromPeerId);
             
             if (this.onPlayerJoin) {
@@ -541,29 +878,34 @@ class MultiplayerManager {
             return;
         }
         
-        // Check if room is full (max 10 players)
-        if (this.players.size >= 10) {
+        // Asked to watch, no seat left, or seats closed: join as a spectator
+        const isSpectator = Boolean(data.spectate) || this.seatsClosed || this.getSeatedPlayerIds().length >= this.maxSeats;
+        if (isSpectator && this.getSpectators().length >= MAX_SPECTATORS) {
             this.sendToPeer(fromPeerId, {
                 type: 'error',
-                message: 'Room is full (max 10 players)'
+                message: `Room is full (max ${this.maxSeats} players and ${MAX_SPECTATORS} spectators)`
             });
             return;
         }
         
-        // Check if game is in progress - player will be queued
-        const isQueued = this.gameInProgress || false;
+        // Check if game is in progress - a seated player will be queued
+        const isQueued = !isSpectator && (this.gameInProgress || false);
         
         // Add player
         const playerInfo = {
             id: fromPeerId,
             name: data.name || 'Player',
             isHost: false,
-            queued: isQueued
+            queued: isQueued,
+            spectator: isSpectator,
+            identity,
+            publicKey: identity ? data.publicKey : null
         };
         this.players.set(fromPeerId, playerInfo);
+        this.addToRoster(fromPeerId, identity);
         
-        // Track player order for host election
-        if (!this.playerOrder.includes(fromPeerId)) {
+        // Track player order for host election (spectators are never elected)
+        if (!isSpectator && !this.playerOrder.includes(fromPeerId)) {
             this.playerOrder.push(fromPeerId);
         }
         
@@ -572,7 +914,8 @@ class MultiplayerManager {
             type: 'join_accepted',
             playerId: fromPeerId,
             roomCode: this.roomCode,
-            gameInProgress: isQueued
+            gameInProgress: this.gameInProgress || false,
+            spectator: isSpectator
         });
         
         // Send current player list to new player with playerOrder
@@ -601,6 +944,137 @@ class MultiplayerManager {
                 queued: true 
             });
         }
+        
+        // A spectator arriving mid-hand watches from the current state
+        if (isSpectator && this.gameInProgress && this.lastFullGameState) {
+            this.sendToPeer(fromPeerId, {
+                type: 'game_state',
+                state: this.filterStateForPlayer(this.lastFullGameState, fromPeerId)
+            });
+        }
+    }
+    
+    /**
+     * Host: seat a spectator (the host itself included) if the table has room
+     */
+    handleSeatRequest(fromPeerId) {
+        const playerInfo = this.players.get(fromPeerId);
+        if (!playerInfo || !playerInfo.spectator) return;
+        
+        const refuse = message => {
+            if (fromPeerId === this.myId) {
+                if (this.onError) this.onError(message);
+            } else {
+                this.sendToPeer(fromPeerId, { type: 'error', message });
+            }
+        };
+        
+        if (this.seatsClosed) {
+            refuse('No new seats until the tournament is over - you are still spectating');
+            return;
+        }
+        
+        if (this.getSeatedPlayerIds().length >= this.maxSeats) {
+            refuse('The table is full - you are still spectating');
+            return;
+        }
+        
+        const reason = this.seatCheck ? this.seatCheck(fromPeerId) : null;
+        if (reason) {
+            refuse(`${reason} - you are still spectating`);
+            return;
+        }
+        
+        playerInfo.spectator = false;
+        playerInfo.queued = this.gameInProgress || false;
+        if (fromPeerId === this.myId) {
+            this.spectating = false;
+            this.saveSession();
+        }
+        if (!this.playerOrder.includes(fromPeerId)) {
+            this.playerOrder.push(fromPeerId);
+        }
+        
+        this.broadcast({
+            type: 'role_changed',
+            player: playerInfo,
+            playerOrder: this.playerOrder
+        });
+        
+        if (this.onPlayerJoin) {
+            this.onPlayerJoin(Array.from(this.players.values()));
+        }
+        
+        // Mid-game the new player waits for the next hand like any late joiner
+        if (playerInfo.queued && this.onMessage) {
+            this.onMessage(fromPeerId, {
+                type: 'join',
+                name: playerInfo.name,
+                queued: true
+            });
+        }
+    }
+    
+    /**
+     * Host: move a seated player (or bot) to the spectators, e.g. once knocked out of a tournament
+     */
+    moveToSpectators(peerId) {
+        const playerInfo = this.players.get(peerId);
+        if (!this.isHost || !playerInfo || playerInfo.spectator) return;
+        
+        playerInfo.spectator = true;
+        playerInfo.queued = false;
+        if (peerId === this.myId) {
+            this.spectating = true;
+            this.saveSession();
+        } else {
+            // Spectators are never elected host
+            this.playerOrder = this.playerOrder.filter(id => id !== peerId);
+        }
+        
+        this.broadcast({
+            type: 'role_changed',
+            player: playerInfo,
+            playerOrder: this.playerOrder
+        });
+        
+        if (this.onPlayerJoin) {
+            this.onPlayerJoin(Array.from(this.players.values()));
+        }
+    }
+    
+    /**
+     * Ask the host for a seat (a host sitting out seats itself)
+     */
+    requestSeat() {
+        if (!this.spectating) return;
+        if (this.isHost) {
+            this.handleSeatRequest(this.myId);
+            return;
+        }
+        this.sendToHost({ type: 'seat_request' });
+    }
+    
+    /**
+     * Check whether a peer is watching rather than playing
+     */
+    isSpectator(peerId) {
+        const playerInfo = this.players.get(peerId);
+        return Boolean(playerInfo && playerInfo.spectator);
+    }
+    
+    /**
+     * Get players who are watching
+     */
+    getSpectators() {
+        return Array.from(this.players.values()).filter(p => p.spectator);
+    }
+    
+    /**
+     * Get ids of players who hold a seat (host included)
+     */
+    getSeatedPlayerIds() {
+        return Array.from(this.players.values()).filter(p => !p.spectator).map(p => p.id);
     }
     
     /**
@@ -627,29 +1101,29 @@ class MultiplayerManager {
 
     /**
      * Handle disconnection
-     * Store player info for potential reconnection
+     * Store player info for potential reconnection; the seat is held for SEAT_GRACE_MS
      */
     handleDisconnection(peerId) {
         console.log('Peer disconnected:', peerId);
         
-        // Store player info for potential reconnection (expires after 5 minutes)
+        this.connections.delete(peerId);
+        this.pendingJoins.delete(peerId);
+        
+        // Someone never let in (still proving themselves, knocking or turned away) has no seat to hold
         const playerInfo = this.players.get(peerId);
-        if (playerInfo) {
-            this.disconnectedPlayers.set(peerId, {
-                ...playerInfo,
-                disconnectedAt: Date.now()
-            });
-            
-            // Clear old disconnected players (older than 5 minutes)
-            const now = Date.now();
-            for (const [id, info] of this.disconnectedPlayers) {
-                if (now - info.disconnectedAt > 5 * 60 * 1000) {
-                    this.disconnectedPlayers.delete(id);
-                }
+        if (!playerInfo) {
+            if (this.knocking.delete(peerId) && this.onKnock) {
+                this.onKnock();
             }
+            return;
         }
         
-        this.connections.delete(peerId);
+        // Store player info for potential reconnection
+        this.disconnectedPlayers.set(peerId, {
+            ...playerInfo,
+            disconnectedAt: Date.now()
+        });
+        this.holdSeat(peerId);
         this.players.delete(peerId);
         
         // Broadcast to remaining players (they might reconnect)
@@ -664,99 +1138,932 @@ class MultiplayerManager {
         }
     }
 
+    // ============ IDENTITY ============
+
     /**
-     * Send message to a specific peer
+     * What our own player info carries about our key (nothing without WebCrypto)
      */
-    sendToPeer(peerId, data) {
-        const conn = this.connections.get(peerId);
-        if (conn && conn.open) {
-            conn.send(data);
-        }
+    getOwnIdentity() {
+        return { identity: this.identity.id, publicKey: this.identity.publicKey };
     }
 
     /**
-     * Send message to host (client only)
+     * Host: send a joiner a fresh nonce to sign with the key they sent (and to
+     * hash with the room password, if there is one), and our game and version
      */
-    sendToHost(data) {
-        if (this.hostConnection && this.hostConnection.open) {
-            this.hostConnection.send(data);
-        }
+    challengeJoin(fromPeerId, data) {
+        const nonce = FairShuffle.generateSeed();
+        this.pendingJoins.set(fromPeerId, { data, nonce });
+        this.sendToPeer(fromPeerId, {
+            type: 'join_challenge',
+            nonce,
+            password: Boolean(this.roomPassword),
+            game: this.game,
+            protocol: this.protocolVersion
+        });
     }
 
     /**
-     * Broadcast message to all connected peers (host only)
+     * Client: prove to the host that we hold our key and know the password
      */
-    broadcast(data, excludePeerId = null) {
-        for (const [peerId, conn] of this.connections) {
-            if (peerId !== excludePeerId && conn.open) {
-                conn.send(data);
+    async answerChallenge(challenge) {
+        if (typeof challenge.nonce !== 'string') return;
+        // The host checked our game and version; we check theirs
+        const mismatch = roomMismatch(challenge.game, challenge.protocol, this.game, this.protocolVersion);
+        if (mismatch) {
+            this.leave();
+            if (this.onTurnedAway) {
+                this.onTurnedAway(mismatch);
             }
+            return;
         }
+        const signature = await this.identity.sign(Identity.joinText(this.roomCode, this.myId, challenge.nonce));
+        const passwordProof = challenge.password && this.joinPassword
+            ? this.provePassword(this.joinPassword, this.myId, challenge.nonce)
+            : null;
+        this.sendToHost({ type: 'join_proof', signature, passwordProof });
     }
 
     /**
-     * Broadcast game state (host only)
-     * Filters sensitive information per player
-     * Also sends full state for host migration backup
+     * Host: a joiner whose signature checks out joins under their key's fingerprint
      */
-    broadcastGameState(gameState) {
-        for (const [peerId, conn] of this.connections) {
-            if (conn.open) {
-                // Create filtered state for this player
-                const filteredState = this.filterStateForPlayer(gameState, peerId);
-                conn.send({
-                    type: 'game_state',
-                    state: filteredState
-                });
-                
-                // Also send full state for host migration backup
-                conn.send({
-                    type: 'full_game_state_backup',
-                    state: gameState,
-                    playerOrder: this.playerOrder
-                });
+    async checkJoinProof(fromPeerId, proof) {
+        const pending = this.pendingJoins.get(fromPeerId);
+        if (!pending) return;
+        this.pendingJoins.delete(fromPeerId);
+        const { data, nonce } = pending;
+        let identity = null;
+        if (data.publicKey) {
+            const valid = await Identity.verifySignature(data.publicKey, Identity.joinText(this.roomCode, fromPeerId, nonce), proof.signature);
+            if (!this.connections.has(fromPeerId)) return;
+            if (!valid) {
+                this.rejectMessage(fromPeerId, 'could not prove it holds its identity key');
+                return;
             }
+            identity = Identity.fingerprint(data.publicKey);
         }
-        
-        // Also update local state for host
-        if (this.onGameStateUpdate) {
-            const filteredState = this.filterStateForPlayer(gameState, this.myId);
-            this.onGameStateUpdate(filteredState);
-        }
+        this.admitJoin(fromPeerId, data, identity, this.passwordRefusal(fromPeerId, nonce, proof.passwordProof));
     }
 
     /**
-     * Filter game state to hide other players' hole cards
+     * Host: check an action's signature against the sender's key, then handle it.
+     * Checks run one after another per sender, so actions keep their order
      */
-    filterStateForPlayer(gameState, playerId) {
-        const filtered = { ...gameState };
-        filtered.players = gameState.players.map(p => {
-            const playerCopy = { ...p };
-            // Only show hole cards to the player themselves
-            if (p.id !== playerId && gameState.phase !== 'results') {
-                playerCopy.holeCards = p.holeCards.map(() => ({ faceDown: true }));
-            }
-            return playerCopy;
-        });
-        return filtered;
+    checkActionSignature(fromPeerId, data) {
+        const publicKey = this.players.get(fromPeerId).publicKey;
+        const previous = this.signatureChecks.get(fromPeerId) || Promise.resolve();
+        const check = previous
+            .then(() => Identity.verifySignature(publicKey, Identity.actionText(this.roomCode, fromPeerId, data), data.signature))
+            .then(valid => {
+                if (this.signatureChecks.get(fromPeerId) === check) {
+                    this.signatureChecks.delete(fromPeerId);
+                }
+                if (valid) {
+                    this.handleMessage(fromPeerId, data, true);
+                } else {
+                    this.rejectMessage(fromPeerId, 'action is not signed with the player\'s key');
+                }
+            });
+        this.signatureChecks.set(fromPeerId, check);
     }
 
+    // ============ PRIVATE ROOMS ============
+
     /**
-     * Send action to host (client only)
+     * Host: set the room password ('' for none) and whether newcomers knock
      */
-    sendAction(action) {
-        if (this.isHost) {
-            // Host handles action locally
-            if (this.onMessage) {
-                this.onMessage(this.myId, { type: 'action', action });
+    setRoomAccess(password, approveJoins) {
+        this.roomPassword = password || '';
+        this.approveJoins = Boolean(approveJoins);
+        this.saveSession();
+    }
+
+    /**
+     * What proves knowledge of the password for one challenge; the password itself never leaves the browser
+     */
+    provePassword(password, peerId, nonce) {
+        return FairShuffle.sha256Hex(`password|${this.roomCode}|${peerId}|${nonce}|${password}`);
+    }
+
+    /**
+     * Host: why a joiner's password proof fails, or null
+     */
+    passwordRefusal(peerId, nonce, passwordProof) {
+        if (!this.roomPassword) return null;
+        if (typeof passwordProof !== 'string') return 'This room needs a password';
+        if (passwordProof !== this.provePassword(this.roomPassword, peerId, nonce)) return 'Wrong room password';
+        return null;
+    }
+
+    /**
+     * Host: the door a proven joiner still has to pass. Banned players are kept
+     * out; anyone not coming back to their seat needs the password and, when the
+     * host approves joins, the host's go-ahead
+     */
+    admitJoin(fromPeerId, data, identity, passwordRefusal) {
+        if (this.isBanned(fromPeerId, identity)) {
+            this.turnAway(fromPeerId, 'You are banned from this room');
+            return;
+        }
+        
+        const returning = this.disconnectedPlayers.has(fromPeerId) || Boolean(this.findHeldSeat(identity)) ||
+            Boolean(data.reconnecting && this.inRoster(fromPeerId, identity));
+        if (!returning && passwordRefusal) {
+            this.turnAway(fromPeerId, passwordRefusal);
+            return;
+        }
+        if (!returning && this.approveJoins) {
+            this.knocking.set(fromPeerId, { data, identity });
+            this.sendToPeer(fromPeerId, { type: 'knock_waiting' });
+            if (this.onKnock) {
+                this.onKnock();
             }
-        } else {
-            this.sendToHost({
-                type: 'action',
-                action,
-                playerId: this.myId
+            return;
+        }
+        
+        this.handleJoinRequest(fromPeerId, data, identity);
+    }
+
+    /**
+     * Host: remember a player we let in, by peer id and proven identity
+     */
+    addToRoster(peerId, identity) {
+        if (this.inRoster(peerId, identity)) return;
+        this.roster.push({ peerId, identity: identity || null });
+        this.saveSession();
+    }
+
+    /**
+     * Host: whether a peer id or proven identity was let into this room before,
+     * here or (from the session) before a refresh
+     */
+    inRoster(peerId, identity) {
+        return this.roster.some(entry => entry.peerId === peerId || Boolean(identity && entry.identity === identity));
+    }
+
+    /**
+     * Host: let a knocking player in
+     */
+    approveJoin(peerId) {
+        const knock = this.knocking.get(peerId);
+        if (!this.isHost || !knock) return;
+        this.knocking.delete(peerId);
+        if (this.onKnock) {
+            this.onKnock();
+        }
+        this.handleJoinRequest(peerId, knock.data, knock.identity);
+    }
+
+    /**
+     * Host: send a knocking player away
+     */
+    denyJoin(peerId) {
+        if (!this.isHost || !this.knocking.has(peerId)) return;
+        this.turnAway(peerId, 'The host did not let you in');
+        if (this.onKnock) {
+            this.onKnock();
+        }
+    }
+
+    /**
+     * Host: remove a player from the room; a ban keeps their identity (or, without
+     * one, their peer id) out until the room closes
+     */
+    kickPlayer(peerId, ban = false) {
+        const playerInfo = this.players.get(peerId);
+        if (!this.isHost || !playerInfo || peerId === this.myId || playerInfo.bot) return;
+        
+        if (ban) {
+            this.banned.push({ peerId, identity: playerInfo.identity || null, name: playerInfo.name });
+        }
+        this.turnAway(peerId, ban ? 'The host banned you from this room' : 'The host removed you from the room');
+        
+        this.players.delete(peerId);
+        this.playerOrder = this.playerOrder.filter(id => id !== peerId);
+        this.roster = this.roster.filter(entry => entry.peerId !== peerId); // Back again, they're a newcomer
+        this.saveSession();
+        this.lastSequenceByPeer.delete(peerId);
+        this.broadcast({ type: 'player_left', playerId: peerId });
+        if (this.onPlayerLeave) {
+            this.onPlayerLeave(peerId, false);
+        }
+    }
+
+    /**
+     * Host: lift a ban (by identity, or peer id for a player without one)
+     */
+    unban(key) {
+        this.banned = this.banned.filter(entry => (entry.identity || entry.peerId) !== key);
+        this.saveSession();
+    }
+
+    isBanned(peerId, identity) {
+        return this.banned.some(entry => entry.peerId === peerId || (identity && entry.identity === identity));
+    }
+
+    /**
+     * Host: tell a peer why they can't stay, stop sending them anything and hang up
+     */
+    turnAway(peerId, message) {
+        const conn = this.connections.get(peerId);
+        this.sendToPeer(peerId, { type: 'turned_away', message });
+        this.connections.delete(peerId);
+        this.pendingJoins.delete(peerId);
+        this.knocking.delete(peerId);
+        if (conn) {
+            setTimeout(() => conn.close(), TURN_AWAY_CLOSE_MS);
+        }
+    }
+
+    // ============ HELD SEATS ============
+
+    /**
+     * Host: keep a dropped player's seat until the grace period runs out
+     */
+    holdSeat(peerId) {
+        this.endSeatHold(peerId);
+        this.seatHoldTimers.set(peerId, setTimeout(() => this.giveUpSeat(peerId), SEAT_GRACE_MS));
+    }
+
+    endSeatHold(peerId) {
+        clearTimeout(this.seatHoldTimers.get(peerId));
+        this.seatHoldTimers.delete(peerId);
+    }
+
+    /**
+     * Host: nobody came back for the seat - the player leaves for good
+     */
+    giveUpSeat(peerId) {
+        this.seatHoldTimers.delete(peerId);
+        if (!this.disconnectedPlayers.delete(peerId)) return;
+        this.playerOrder = this.playerOrder.filter(id => id !== peerId);
+        this.broadcast({ type: 'player_left', playerId: peerId });
+        if (this.onPlayerLeave) {
+            this.onPlayerLeave(peerId, false);
+        }
+    }
+
+    /**
+     * Host: the dropped player with this identity, or null
+     */
+    findHeldSeat(identity) {
+        if (!identity) return null;
+        for (const [id, info] of this.disconnectedPlayers) {
+            if (info.identity === identity) return id;
+        }
+        return null;
+    }
+
+    /**
+     * Host: hand a held seat to the same player under their new peer id
+     */
+    transferHeldSeat(oldId, newId) {
+        const info = this.disconnectedPlayers.get(oldId);
+        this.endSeatHold(oldId);
+        this.disconnectedPlayers.delete(oldId);
+        this.disconnectedPlayers.set(newId, { ...info, id: newId });
+        this.playerOrder = this.playerOrder.map(id => id === oldId ? newId : id);
+        this.lastSequenceByPeer.delete(oldId);
+        console.log('Seat reclaimed:', oldId, '->', newId);
+        if (this.onSeatReclaimed) {
+            this.onSeatReclaimed(oldId, newId);
+        }
+    }
+
+    /**
+     * Host: milliseconds until the table plays for a player who dropped, or null
+     * while they're connected
+     */
+    autoPlayWait(peerId, now = Date.now()) {
+        const info = this.disconnectedPlayers.get(peerId);
+        return info ? Math.max(0, info.disconnectedAt + AUTO_PLAY_DELAY_MS - now) : null;
+    }
+
+    /**
+     * Send message to a specific peer
+     */
+    sendToPeer(peerId, data) {
+        const conn = this.connections.get(peerId);
+        if (conn && conn.open) {
+            conn.send(data);
+        }
+    }
+
+    /**
+     * Send message to host (client only)
+     */
+    sendToHost(data) {
+        if (this.hostConnection && this.hostConnection.open) {
+            this.hostConnection.send(data);
+        }
+    }
+
+    /**
+     * Broadcast message to all connected peers (host only)
+     */
+    broadcast(data, excludePeerId = null) {
+        for (const [peerId, conn] of this.connections) {
+            if (peerId !== excludePeerId && conn.open) {
+                conn.send(data);
+            }
+        }
+    }
+
+    /**
+     * Broadcast game state (host only)
+     * Filters sensitive information per player
+     * Also sends each client one share of the full state for host migration
+     */
+    broadcastGameState(gameState) {
+        if (this.restoringBackup) {
+            console.log('Holding game state until the backup is restored');
+            return;
+        }
+        this.lastFullGameState = gameState;
+        // The broadcast state hides the deck, so back up the engine's own state when we can
+        const shares = this.createBackupShares(this.getBackupState ? this.getBackupState() : gameState);
+        
+        for (const [peerId, conn] of this.connections) {
+            if (conn.open) {
+                // Create filtered state for this player
+                const filteredState = this.filterStateForPlayer(gameState, peerId);
+                conn.send({
+                    type: 'game_state',
+                    state: filteredState
+                });
+                
+                // Also send this client's share of the host migration backup
+                const share = shares.get(peerId);
+                if (share) {
+                    conn.send({
+                        type: 'game_state_backup_share',
+                        share,
+                        playerOrder: this.playerOrder
+                    });
+                }
+            }
+        }
+        
+        this.currentPhaseTag = this.getPhaseTag(gameState);
+        
+        // Once the hand is over, reveal the seeds so every client can check the deal
+        if (this.currentShuffle && !this.currentShuffle.revealed &&
+            gameState.phase === 'results' && gameState.shuffleId === this.currentShuffle.handId) {
+            this.currentShuffle.revealed = true;
+            this.broadcast({
+                type: 'shuffle_reveal_all',
+                handId: this.currentShuffle.handId,
+                seeds: this.currentShuffle.seeds,
+                excluded: this.currentShuffle.excluded
             });
         }
+        
+        // Also update local state for host
+        if (this.onGameStateUpdate) {
+            const filteredState = this.filterStateForPlayer(gameState, this.myId);
+            this.onGameStateUpdate(filteredState);
+        }
+    }
+
+    // ============ BOTS ============
+
+    /**
+     * Host: seat a computer player. Bots live in the player list like anyone
+     * else, so every peer knows their names and whoever hosts can run them,
+     * but they hold no connection, backup share or place in the host election.
+     * Returns the bot's player info, or null if the table is full
+     */
+    addBot(level) {
+        if (!this.isHost || !BOT_LEVELS.includes(level) || this.seatsClosed) return null;
+        if (this.getSeatedPlayerIds().length >= this.maxSeats) return null;
+        
+        const names = new Set(this.getAllPlayers().map(p => p.name));
+        let number = 1;
+        while (names.has(`Bot ${number}`)) number++;
+        
+        const playerInfo = {
+            id: `bot-${FairShuffle.generateSeed().slice(0, 12)}`,
+            name: `Bot ${number}`,
+            isHost: false,
+            queued: this.gameInProgress || false,
+            spectator: false,
+            bot: true,
+            botLevel: level
+        };
+        this.seatBot(playerInfo);
+        return playerInfo;
+    }
+    
+    /**
+     * Host: take a bot off the table
+     */
+    removeBot(botId) {
+        if (!this.isHost || !this.isBot(botId)) return;
+        
+        this.players.delete(botId);
+        this.broadcast({ type: 'player_left', playerId: botId });
+        if (this.onPlayerLeave) {
+            this.onPlayerLeave(botId, false);
+        }
+    }
+    
+    /**
+     * Host: put back bots a restored game still seats but our player list lost
+     * (a refreshed host only hears from the humans who reconnect)
+     */
+    restoreBots(bots) {
+        if (!this.isHost) return;
+        for (const bot of bots || []) {
+            if (!this.players.has(bot.id)) {
+                this.seatBot({ ...bot, queued: false });
+            }
+        }
+    }
+    
+    seatBot(playerInfo) {
+        this.players.set(playerInfo.id, playerInfo);
+        this.broadcast({
+            type: 'player_joined',
+            player: playerInfo,
+            playerOrder: this.playerOrder
+        });
+        
+        if (this.onPlayerJoin) {
+            this.onPlayerJoin(Array.from(this.players.values()));
+        }
+        
+        // Mid-game a bot waits for the next hand like any late joiner
+        if (playerInfo.queued && this.onMessage) {
+            this.onMessage(playerInfo.id, {
+                type: 'join',
+                name: playerInfo.name,
+                queued: true
+            });
+        }
+    }
+    
+    isBot(peerId) {
+        const playerInfo = this.players.get(peerId);
+        return Boolean(playerInfo && playerInfo.bot);
+    }
+    
+    /**
+     * Get the bots at the table
+     */
+    getBots() {
+        return Array.from(this.players.values()).filter(p => p.bot);
+    }
+
+    // ============ BACKUP SHARES ============
+
+    /**
+     * Number of shares needed to rebuild a backup split across `holderCount` clients:
+     * a majority, and never fewer than two, so no single client can read the deck.
+     * A lone client's share needs the one the host keeps
+     */
+    getBackupThreshold(holderCount) {
+        return Math.max(2, Math.ceil(holderCount / 2));
+    }
+
+    /**
+     * Split the full game state into one share per connected seated client (host only)
+     * Returns Map(peerId -> share)
+     */
+    createBackupShares(gameState) {
+        const sharesByPeer = new Map();
+        const holders = Array.from(this.connections.entries())
+            .filter(([peerId, conn]) => conn.open && !this.isSpectator(peerId))
+            .map(([peerId]) => peerId);
+        
+        if (holders.length === 0) return sharesByPeer;
+        
+        const threshold = this.getBackupThreshold(holders.length);
+        const backupId = `${this.myId}:${++this.backupSequence}`;
+        const serialized = JSON.stringify(gameState);
+        const digest = FairShuffle.sha256Hex(serialized);
+        const mac = this.tagBackup(backupId, digest);
+        const parts = SecretSharing.splitString(serialized, Math.max(holders.length, threshold), threshold);
+        const toShare = part => ({ backupId, digest, mac, threshold, index: part.index, data: part.data });
+        
+        holders.forEach((peerId, i) => {
+            sharesByPeer.set(peerId, toShare(parts[i]));
+        });
+        // Heads-up, the share no client holds stays with us
+        const spare = parts.length > holders.length ? toShare(parts[holders.length]) : null;
+        if (spare || this.hostBackupShare) {
+            this.hostBackupShare = spare;
+            this.saveSession();
+        }
+        return sharesByPeer;
+    }
+
+    /**
+     * Keyed tag binding a backup to the host that issued it
+     */
+    tagBackup(backupId, digest) {
+        return FairShuffle.sha256Hex(`backup|${this.backupKey}|${backupId}|${digest}`);
+    }
+
+    /**
+     * Check that a share handed back to a refreshed host was issued by it
+     */
+    isOwnBackupShare(share) {
+        return Boolean(this.backupKey && share && share.mac === this.tagBackup(share.backupId, share.digest));
+    }
+
+    /**
+     * Add a share to the pending rebuild, at most one per holder
+     * Returns the game state once enough matching shares are in and the result
+     * hashes to the digest they all carry, else null
+     */
+    collectBackupShare(share, holderId) {
+        if (!share || !share.backupId || !share.data || !share.digest) return null;
+        if (!Number.isInteger(share.threshold) || share.threshold < 1) return null;
+        
+        // Shares only combine with shares that agree on the backup, digest and threshold
+        const bucketKey = `${share.backupId}|${share.digest}|${share.threshold}`;
+        let bucket = this.collectedShares.get(bucketKey);
+        if (!bucket) {
+            bucket = new Map();
+            this.collectedShares.set(bucketKey, bucket);
+        }
+        const indexTaken = Array.from(bucket.values()).some(s => s.index === share.index);
+        if (bucket.has(holderId) || indexTaken) return null;
+        bucket.set(holderId, share);
+        
+        if (bucket.size < share.threshold) return null;
+        
+        try {
+            const serialized = SecretSharing.combineToString(Array.from(bucket.values()));
+            if (FairShuffle.sha256Hex(serialized) !== share.digest) {
+                this.collectedShares.delete(bucketKey);
+                this.rejectMessage(holderId, 'backup shares do not rebuild the expected state', false);
+                return null;
+            }
+            this.collectedShares.clear();
+            return JSON.parse(serialized);
+        } catch (err) {
+            console.error('Failed to rebuild game state from shares:', err);
+            this.collectedShares.delete(bucketKey);
+            return null;
+        }
+    }
+
+    /**
+     * Handle a share sent to us after we became the new host
+     */
+    handleBackupShare(fromPeerId, share) {
+        if (this.lastFullGameState) return; // Already rebuilt
+        
+        if (!this.playerOrder.includes(fromPeerId)) {
+            this.rejectMessage(fromPeerId, 'backup share from a peer outside the game', false);
+            return;
+        }
+        // Only shares of the backup our own share belongs to count, so nobody can
+        // pick the digest or threshold; without a share of our own we rebuild nothing
+        const expected = this.expectedBackup;
+        if (!expected) {
+            this.rejectMessage(fromPeerId, 'no backup to rebuild', false);
+            return;
+        }
+        if (!share || share.backupId !== expected.backupId || share.digest !== expected.digest ||
+            share.threshold !== expected.threshold || share.mac !== expected.mac) {
+            this.rejectMessage(fromPeerId, 'backup share is from a different game state', false);
+            return;
+        }
+        
+        const restoredState = this.collectBackupShare(share, fromPeerId);
+        if (restoredState) {
+            this.finishHostRestore(restoredState);
+        }
+    }
+
+    /**
+     * Hand the rebuilt (or missing) game state to the app as the new host
+     */
+    finishHostRestore(gameState) {
+        if (this.backupRestoreTimeout) {
+            clearTimeout(this.backupRestoreTimeout);
+            this.backupRestoreTimeout = null;
+        }
+        
+        this.lastFullGameState = gameState;
+        this.backupShare = null;
+        this.expectedBackup = null;
+        
+        if (this.onBecomeHost) {
+            this.onBecomeHost(gameState);
+        }
+    }
+
+    // ============ FAIR SHUFFLE ============
+
+    /**
+     * Run the commit-reveal protocol with the given players before a deal (host only)
+     * 1. Everyone commits to a fresh seed (the host commits first, locally)
+     * 2. The host publishes all commitments, then everyone reveals their seed to the host
+     * 3. Seeds that are missing or don't match their commitment are left out
+     * Resolves with a FairShuffle shuffle to pass to the game engine's startHand
+     */
+    async negotiateShuffle(participantIds) {
+        const handId = `${this.myId}:${FairShuffle.generateSeed().slice(0, 16)}`;
+        const mySeed = FairShuffle.generateSeed();
+        const commitments = { [this.myId]: FairShuffle.commitSeed(handId, mySeed) };
+        const seeds = { [this.myId]: mySeed };
+        const excluded = [];
+        
+        const remoteIds = participantIds.filter(id => {
+            const conn = this.connections.get(id);
+            return id !== this.myId && conn && conn.open;
+        });
+        
+        // Phase 1: collect commitments
+        const commits = await this.collectShuffleReplies('shuffle_commit', handId, remoteIds);
+        for (const peerId of remoteIds) {
+            const commitment = commits.get(peerId)?.commitment;
+            if (typeof commitment === 'string' && commitment.length === 64) {
+                commitments[peerId] = commitment;
+            }
+        }
+        
+        // Phase 2: publish commitments, then collect reveals
+        const committedIds = Object.keys(commitments).filter(id => id !== this.myId);
+        const reveals = await this.collectShuffleReplies('shuffle_reveal', handId, committedIds, commitments);
+        for (const peerId of committedIds) {
+            const seed = reveals.get(peerId)?.seed;
+            if (FairShuffle.verifySeed(handId, seed, commitments[peerId])) {
+                seeds[peerId] = seed;
+            } else {
+                console.warn('Leaving seed out of the shuffle for', peerId);
+                excluded.push(peerId);
+            }
+        }
+        
+        this.currentShuffle = { handId, seeds, commitments, excluded, revealed: false };
+        return FairShuffle.createShuffle(handId, seeds, commitments);
+    }
+
+    /**
+     * Send one round of shuffle requests and wait for the replies (host only)
+     * Resolves with Map(peerId -> reply) once everyone answered or after a timeout
+     */
+    collectShuffleReplies(replyType, handId, peerIds, commitments = null, timeoutMs = 4000) {
+        return new Promise(resolve => {
+            const replies = new Map();
+            if (peerIds.length === 0) {
+                resolve(replies);
+                return;
+            }
+            
+            const finish = () => {
+                clearTimeout(this.pendingShuffleReplies?.timer);
+                this.pendingShuffleReplies = null;
+                resolve(replies);
+            };
+            
+            this.pendingShuffleReplies = {
+                replyType,
+                handId,
+                expected: new Set(peerIds),
+                replies,
+                finish,
+                timer: setTimeout(finish, timeoutMs)
+            };
+            
+            const request = replyType === 'shuffle_commit'
+                ? { type: 'shuffle_commit_request', handId }
+                : { type: 'shuffle_commitments', handId, commitments };
+            for (const peerId of peerIds) {
+                this.sendToPeer(peerId, request);
+            }
+        });
+    }
+
+    /**
+     * Record a commit or reveal from a client (host only)
+     */
+    handleShuffleReply(fromPeerId, data) {
+        const pending = this.pendingShuffleReplies;
+        if (!pending || pending.replyType !== data.type || pending.handId !== data.handId) return;
+        if (!pending.expected.has(fromPeerId) || pending.replies.has(fromPeerId)) return;
+        
+        pending.replies.set(fromPeerId, data);
+        if (pending.replies.size === pending.expected.size) {
+            pending.finish();
+        }
+    }
+
+    /**
+     * Take part in the host's shuffle protocol and check the reveal (client only)
+     */
+    handleShuffleMessage(data) {
+        switch (data.type) {
+            case 'shuffle_commit_request': {
+                const seed = FairShuffle.generateSeed();
+                this.shuffleRound = { handId: data.handId, seed, commitments: null };
+                this.sendToHost({
+                    type: 'shuffle_commit',
+                    handId: data.handId,
+                    commitment: FairShuffle.commitSeed(data.handId, seed)
+                });
+                break;
+            }
+            
+            case 'shuffle_commitments': {
+                const round = this.shuffleRound;
+                // Reveal only once, and only against the set of commitments we keep for checking
+                if (!round || round.handId !== data.handId || round.commitments) return;
+                round.commitments = { ...(data.commitments || {}) };
+                this.sendToHost({
+                    type: 'shuffle_reveal',
+                    handId: data.handId,
+                    seed: round.seed
+                });
+                break;
+            }
+            
+            case 'shuffle_reveal_all': {
+                const round = this.shuffleRound;
+                if (!round || round.handId !== data.handId || !round.commitments) return;
+                
+                const seeds = data.seeds || {};
+                const problems = FairShuffle.verifyReveal(
+                    data.handId, seeds, round.commitments, data.excluded || [], round.seed, this.myId
+                );
+                const deck = FairShuffle.rebuildDeck(data.handId, seeds, this.createDeck ? this.createDeck() : undefined);
+                this.shuffleRound = null;
+                
+                if (this.onShuffleVerified) {
+                    this.onShuffleVerified({ handId: data.handId, deck, problems });
+                }
+                break;
+            }
+        }
+    }
+
+    // ============ MESSAGE VALIDATION ============
+
+    /**
+     * Identify the betting/draw phase a state belongs to
+     * Actions carry the tag of the state they answered so stale ones can be refused.
+     * Turn-based games also number their turns, so a street's earlier turns go stale too
+     */
+    getPhaseTag(state) {
+        if (!state) return null;
+        const tag = `${state.shuffleId || ''}:${state.phase}:${state.currentDrawRound || 0}`;
+        return state.turn === undefined ? tag : `${tag}:${state.turn}`;
+    }
+
+    /**
+     * Gatekeeper for every incoming message
+     * Clients only listen to their host; the host binds actions and chat to the sending peer
+     */
+    validateMessage(fromPeerId, data) {
+        if (!data || typeof data.type !== 'string') {
+            this.rejectMessage(fromPeerId, 'malformed message');
+            return false;
+        }
+        
+        if (!this.isHost) {
+            if (HOST_ONLY_MESSAGES.has(data.type) && fromPeerId !== this.hostId) {
+                console.warn(`Ignoring ${data.type} from non-host peer`, fromPeerId);
+                return false;
+            }
+            return true;
+        }
+        
+        if (PLAYER_ACTION_MESSAGES.has(data.type)) {
+            return this.validatePlayerAction(fromPeerId, data);
+        }
+        
+        if (data.type === 'chat') {
+            // The sender is whoever the connection belongs to, not what the message claims
+            data.senderId = fromPeerId;
+            data.senderName = this.players.get(fromPeerId)?.name || 'Player';
+        }
+        return true;
+    }
+
+    /**
+     * Check a game action from a client (host only)
+     * Rejects actions for other players, replays, and actions for a phase that is over
+     */
+    validatePlayerAction(fromPeerId, data) {
+        if (!this.players.has(fromPeerId)) {
+            this.rejectMessage(fromPeerId, 'sender is not in the room');
+            return false;
+        }
+        
+        if (this.isSpectator(fromPeerId)) {
+            this.rejectMessage(fromPeerId, 'spectators cannot act');
+            return false;
+        }
+        
+        if (data.playerId !== undefined && data.playerId !== fromPeerId) {
+            this.rejectMessage(fromPeerId, 'tried to act for another player');
+            return false;
+        }
+        
+        const lastSequence = this.lastSequenceByPeer.get(fromPeerId) || 0;
+        if (!Number.isInteger(data.seq) || data.seq <= lastSequence) {
+            this.rejectMessage(fromPeerId, 'replayed or out-of-order action');
+            return false;
+        }
+        
+        if (this.currentPhaseTag && data.phaseTag !== this.currentPhaseTag) {
+            this.rejectMessage(fromPeerId, 'action was sent for a phase that is over');
+            return false;
+        }
+        
+        this.lastSequenceByPeer.set(fromPeerId, data.seq);
+        data.playerId = fromPeerId;
+        return true;
+    }
+
+    /**
+     * Only accept a new host that announces itself, belongs to the game, and
+     * only once we have actually lost our current host
+     */
+    isValidHostAnnouncement(fromPeerId, data) {
+        if (this.isHost || data.newHostId !== fromPeerId) return false;
+        if (!this.playerOrder.includes(fromPeerId)) return false;
+        
+        const hostStillConnected = this.hostConnection && this.hostConnection.open &&
+            this.hostId !== fromPeerId;
+        return !hostStillConnected;
+    }
+
+    /**
+     * Refuse a message: tell the sender and report it to the host's app
+     */
+    rejectMessage(peerId, reason, notifySender = true) {
+        console.warn('Rejected message from', peerId, ':', reason);
+        
+        if (this.isHost) {
+            if (notifySender && peerId !== this.myId) {
+                this.sendToPeer(peerId, {
+                    type: 'error',
+                    message: `Rejected by host: ${reason}`
+                });
+            }
+            if (this.onRejected) {
+                this.onRejected(peerId, reason);
+            }
+        }
+    }
+
+    /**
+     * Filter game state to hide hole cards the viewer may not see.
+     * Seated players see only their own; spectators see none. Everyone sees every hand at results.
+     */
+    filterStateForPlayer(gameState, playerId) {
+        const spectator = this.isSpectator(playerId);
+        const filtered = { ...gameState };
+        filtered.players = gameState.players.map(p => {
+            const playerCopy = { ...p };
+            if (gameState.phase !== 'results' && (spectator || p.id !== playerId)) {
+                playerCopy.holeCards = p.holeCards.map(() => ({ faceDown: true }));
+            }
+            return playerCopy;
+        });
+        return this.redactStateForPlayer ? this.redactStateForPlayer(filtered, playerId) : filtered;
+    }
+
+    /**
+     * Send action to host (client only)
+     */
+    sendAction(action, amount) {
+        const data = amount === undefined ? { type: 'action', action } : { type: 'action', action, amount };
+        if (this.isHost) {
+            // Host handles action locally
+            if (this.onMessage) {
+                this.onMessage(this.myId, data);
+            }
+        } else {
+            this.sendPlayerMessage(data);
+        }
+    }
+
+    /**
+     * Send a game action to the host, numbered, tagged with the phase it answers
+     * and signed with our key. Signing waits its turn, so actions leave in order
+     */
+    sendPlayerMessage(data) {
+        const message = {
+            ...data,
+            seq: ++this.messageSequence,
+            phaseTag: this.lastPhaseTag
+        };
+        this.outgoingActions = this.outgoingActions.then(async () => {
+            try {
+                const signature = await this.identity.sign(Identity.actionText(this.roomCode, this.myId, message));
+                if (signature) message.signature = signature;
+            } catch (err) {
+                console.warn('Could not sign action:', err);
+            }
+            this.sendToHost(message);
+        });
+        return this.outgoingActions;
     }
 
     /**
@@ -790,14 +2097,43 @@ class MultiplayerManager {
         this.connections.clear();
         this.players.clear();
         this.disconnectedPlayers.clear();
+        this.seatHoldTimers.forEach(timer => clearTimeout(timer));
+        this.seatHoldTimers.clear();
+        this.collectedShares.clear();
+        this.lastFullGameState = null;
+        this.backupShare = null;
+        this.hostBackupShare = null;
+        clearTimeout(this.backupRestoreTimeout);
+        this.backupRestoreTimeout = null;
+        this.restoringBackup = false;
+        this.currentShuffle = null;
+        this.shuffleRound = null;
+        this.lastSequenceByPeer.clear();
+        this.pendingJoins.clear();
+        this.signatureChecks.clear();
+        this.knocking.clear();
+        this.roomPassword = '';
+        this.approveJoins = false;
+        this.banned = [];
+        this.roster = [];
+        this.joinPassword = '';
+        this.currentPhaseTag = null;
+        this.lastPhaseTag = null;
+        this.backupKey = null;
+        this.spectating = false;
+        this.seatsClosed = false;
+        this.offline = false;
+        if (this.pendingShuffleReplies) {
+            this.pendingShuffleReplies.finish();
+        }
         this.peer = null;
     }
 
     /**
-     * Get player info
+     * Get player info (a player who dropped keeps theirs while they may come back)
      */
     getPlayer(peerId) {
-        return this.players.get(peerId);
+        return this.players.get(peerId) || this.disconnectedPlayers.get(peerId);
     }
 
     /**
@@ -828,6 +2164,8 @@ class MultiplayerManager {
      * Attempt to reconnect to host, then elect new host if needed
      */
     handleHostDisconnection() {
+        // We left (or were shown out) ourselves: there is no one to reconnect to
+        if (!this.peer) return;
         console.log('Host disconnected, attempting to reconnect...');
         
         // Clear any existing timeout/interval
@@ -868,7 +2206,7 @@ class MultiplayerManager {
      */
     async attemptHostReconnect() {
         return new Promise((resolve) => {
-            const hostPeerId = 'ultimateomaha-' + this.roomCode;
+            const hostPeerId = this.roomPeerId(this.roomCode);
             
             try {
                 const conn = this.peer.connect(hostPeerId, { reliable: true });
@@ -894,12 +2232,16 @@ class MultiplayerManager {
                         this.handleHostDisconnection();
                     });
                     
-                    // Send reconnect message with game state backup
+                    // Send reconnect message with our backup share
                     conn.send({
                         type: 'join',
                         name: this.myName,
                         reconnecting: true,
-                        gameStateBackup: this.lastFullGameState,
+                        spectate: this.spectating,
+                        publicKey: this.identity.publicKey,
+                        game: this.game,
+                        protocol: this.protocolVersion,
+                        backupShare: this.backupShare,
                         playerOrder: this.playerOrder
                     });
                     
@@ -953,6 +2295,8 @@ class MultiplayerManager {
         
         this.isHost = true;
         this.hostId = this.myId;
+        this.backupKey = FairShuffle.generateSeed();
+        this.currentPhaseTag = this.lastPhaseTag;
         
         // Update our player info
         const myInfo = this.players.get(this.myId);
@@ -960,12 +2304,32 @@ class MultiplayerManager {
             myInfo.isHost = true;
             this.players.set(this.myId, myInfo);
         }
+        // Everyone at the table when the old host left counts as returning
+        this.roster = Array.from(this.players.values())
+            .filter(p => !p.bot && p.id !== this.myId)
+            .map(p => ({ peerId: p.id, identity: p.identity || null }));
         
         // Update session
         this.saveSession();
         
-        // Get list of other players to connect to
-        const otherPlayers = Array.from(this.players.keys()).filter(id => id !== this.myId);
+        // Players who dropped before the old host left keep their seats for a grace period of our own
+        for (const peerId of this.disconnectedPlayers.keys()) {
+            this.holdSeat(peerId);
+        }
+        
+        // Start rebuilding the game state; our own share may already be enough
+        this.lastFullGameState = null;
+        this.collectedShares.clear();
+        this.expectedBackup = this.backupShare ? {
+            backupId: this.backupShare.backupId,
+            digest: this.backupShare.digest,
+            threshold: this.backupShare.threshold,
+            mac: this.backupShare.mac
+        } : null;
+        const ownState = this.collectBackupShare(this.backupShare, this.myId);
+        
+        // Get list of other players to connect to (bots have no connection; we run them now)
+        const otherPlayers = Array.from(this.players.keys()).filter(id => id !== this.myId && !this.isBot(id));
         
         // Connect to each other player
         for (const peerId of otherPlayers) {
@@ -976,12 +2340,11 @@ class MultiplayerManager {
                     console.log('Connected to peer as new host:', peerId);
                     this.connections.set(peerId, conn);
                     
-                    // Tell them we're the new host
+                    // Tell them we're the new host; they reply with their backup share
                     conn.send({
                         type: 'new_host_announcement',
                         newHostId: this.myId,
                         roomCode: this.roomCode,
-                        gameState: this.lastFullGameState,
                         playerOrder: this.playerOrder
                     });
                     
@@ -1003,21 +2366,21 @@ class MultiplayerManager {
             }
         }
         
-        // Set up to receive incoming connections
-        this.peer.on('connection', (conn) => {
-            this.handleIncomingConnection(conn);
-        });
-        
-        // Notify the app that we're now the host
-        if (this.onBecomeHost) {
-            this.onBecomeHost(this.lastFullGameState);
+        // Notify the app once the state is rebuilt, or without it if too few shares arrive
+        if (ownState || !this.backupShare) {
+            this.finishHostRestore(ownState);
+        } else {
+            this.backupRestoreTimeout = setTimeout(() => {
+                console.warn('Not enough backup shares arrived, continuing without game state');
+                this.finishHostRestore(null);
+            }, 5000);
         }
     }
 
     /**
      * Handle new host announcement (when another player becomes host)
      */
-    handleNewHostAnnouncement(data) {
+    handleNewHostAnnouncement(fromPeerId, data) {
         console.log('New host announced:', data.newHostId);
         
         // Clear reconnection timeout
@@ -1026,17 +2389,19 @@ class MultiplayerManager {
             this.hostReconnectTimeout = null;
         }
         
-        // Update host info
+        // Update host info; the new host connected to us, so talk to it on that connection
         this.hostId = data.newHostId;
         this.isHost = false;
+        if (this.connections.has(fromPeerId)) {
+            this.hostConnection = this.connections.get(fromPeerId);
+        }
         
-        // Update game state if provided
-        if (data.gameState) {
-            this.lastFullGameState = data.gameState;
-            if (this.onGameStateUpdate) {
-                const filteredState = this.filterStateForPlayer(data.gameState, this.myId);
-                this.onGameStateUpdate(filteredState);
-            }
+        // Help the new host rebuild the game state; it broadcasts our view once done
+        if (this.backupShare) {
+            this.sendToPeer(fromPeerId, {
+                type: 'backup_share',
+                share: this.backupShare
+            });
         }
         
         // Update player order
@@ -0,0 +1,65 @@
+/**
+ * Ultimate Omaha - Offline Cache
+ * Service worker side of offline play, shared by both games' workers through
+ * importScripts. A worker only controls pages under its own folder, so each
+ * game registers its own sw.js that lists its files.
+ *
+ * Files are precached on install. Afterwards every request is answered from
+ * the cache while the network refreshes it (stale-while-revalidate), so the
+ * game starts without a connection and picks up new versions on the next visit.
+ */
+
+// Google Fonts are cached as pages use them; offline the page falls back to system fonts until then
+const RUNTIME_CACHE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Set up the worker: cacheName carries a version suffix (e.g. 'ultimate-omaha-v1');
+ * urls are relative to the worker script
+ */
+function registerOfflineCache(cacheName, urls) {
+    self.addEventListener('install', event => {
+        event.waitUntil(
+            caches.open(cacheName)
+                .then(cache => cache.addAll(urls))
+                .then(() => self.skipWaiting())
+        );
+    });
+
+    self.addEventListener('activate', event => {
+        // Drop older versions of this game's cache; the other game's cache is not ours
+        const prefix = cacheName.replace(/-v\d+$/, '-v');
+        event.waitUntil(
+            caches.keys()
+                .then(keys => Promise.all(keys
+                    .filter(key => key.startsWith(prefix) && key !== cacheName)
+                    .map(key => caches.delete(key))))
+                .then(() => self.clients.claim())
+        );
+    });
+
+    self.addEventListener('fetch', event => {
+        const request = event.request;
+        if (request.method !== 'GET') return;
+        const url = new URL(request.url);
+        if (url.origin !== self.location.origin && !RUNTIME_CACHE_HOSTS.includes(url.hostname)) return;
+        event.respondWith(staleWhileRevalidate(cacheName, event));
+    });
+}
+
+async function staleWhileRevalidate(cacheName, event) {
+    const cache = await caches.open(cacheName);
+    // The page URL may carry ?transport= settings; it is still the same page
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
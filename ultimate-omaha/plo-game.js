@@ -0,0 +1,752 @@
+/**
+ * Ultimate Omaha - Pot-Limit Omaha
+ * A classic PLO cash game on a single board: blinds, a rotating button and
+ * turn-based fold/check/call/raise with pot-limit sizing and side pots.
+ * Hosted by the same controller and multiplayer code as Ultimate Omaha.
+ *
+ * Money rules:
+ * - Everyone buys in for PLO_BUY_IN_BLINDS big blinds and rebuys the same when busted
+ * - PnL is the stack less everything bought in, so the table sums to zero
+ * - The base bet is the big blind; the small blind is half of it
+ */
+
+// Big blinds in a buy-in (and in a rebuy once a stack is gone)
+const PLO_BUY_IN_BLINDS = 100;
+
+// The betting rounds, and how many board cards are face up during each
+const PLO_STREETS = ['preflop', 'flop', 'turn', 'river'];
+const PLO_BOARD_SHOWING = { preflop: 0, flop: 3, turn: 4, river: 5 };
+
+class PotLimitOmahaGame {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.players = []; // In seat order
+        this.queuedPlayers = []; // Players waiting to join next hand
+        this.deck = [];
+        this.board = []; // All five cards, dealt with the hand
+        this.boardShowing = 0; // How many of them are face up
+        this.phase = 'waiting'; // waiting, preflop, flop, turn, river, results
+        this.baseBet = 1.00; // The big blind
+        this.button = -1; // Seat index of the dealer button
+        this.toAct = null; // Id of the player whose turn it is
+        this.currentBet = 0; // Highest bet on this street
+        this.lastRaise = 0; // Size of the last full raise on this street, the least a re-raise adds
+        this.turn = 0; // Counts actions, so an action sent for an earlier turn can be refused
+        this.shotClock = null; // ShotClock when the host set one; whoever runs out of time checks or folds
+        this.lastResults = null;
+        this.pots = null; // At results: [{ amount, eligible, winners }], main pot first
+        this.shuffleId = null; // Hand id of the commit-reveal shuffle used for the deal
+        this.dealOrder = []; // Player ids in the order cards were dealt
+        this.handRecord = null; // { startedAt, actions } - what happened in the hand being played
+        this.handHistory = null; // History entry of the last completed hand
+    }
+
+    roundMoney(amount) {
+        return Math.round((amount + Number.EPSILON) * 100) / 100;
+    }
+
+    get smallBlind() {
+        return this.roundMoney(this.baseBet / 2);
+    }
+
+    get buyIn() {
+        return this.roundMoney(this.baseBet * PLO_BUY_IN_BLINDS);
+    }
+
+    createPlayer(id) {
+        return {
+            id,
+            stack: this.buyIn,
+            boughtIn: this.buyIn,
+            startingStack: this.buyIn,
+            pnl: 0, // Stack less buy-ins, settled at the end of each hand
+            startingPnl: 0,
+            holeCards: [],
+            bet: 0, // On this street
+            totalBet: 0, // In the pot this hand
+            folded: false,
+            allIn: false,
+            hasActed: false,
+            leaving: false // Left mid-hand; folded, and gone before the next deal
+        };
+    }
+
+    /**
+     * Initialize a new game with players
+     * baseBet: the big blind
+     */
+    initGame(playerIds, baseBet) {
+        this.baseBet = this.roundMoney(parseFloat(baseBet) || 1.00);
+        this.players = playerIds.map(id => this.createPlayer(id));
+        this.queuedPlayers = [];
+        this.button = -1;
+    }
+
+    /**
+     * Add a player to the queue (for mid-game joins)
+     */
+    queuePlayer(playerId) {
+        if (!this.queuedPlayers.includes(playerId) &&
+            !this.players.find(p => p.id === playerId)) {
+            this.queuedPlayers.push(playerId);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Seat queued players (called at start of new hand)
+     */
+    addQueuedPlayers() {
+        for (const playerId of this.queuedPlayers) {
+            this.players.push(this.createPlayer(playerId));
+        }
+        this.queuedPlayers = [];
+    }
+
+    /**
+     * Set the big blind for the next hand
+     */
+    setBaseBet(amount) {
+        this.baseBet = this.roundMoney(parseFloat(amount) || 1.00);
+    }
+
+    /**
+     * PLO has no rules profiles; accepted so the controller can treat both games alike
+     */
+    setRules() {}
+
+    /**
+     * PLO is always a cash game (busted stacks rebuy); accepted for the same reason
+     */
+    setTournament() {}
+
+    /**
+     * PLO buys in for its own stacks, so there are no host buy-ins and nobody sits out
+     */
+    setBankroll() {}
+
+    willSitOut() {
+        return false;
+    }
+
+    /**
+     * Time each turn (config as for ShotClock), or null for no clock
+     */
+    setShotClock(config) {
+        this.shotClock = config ? new ShotClock(config) : null;
+    }
+
+    /**
+     * The decision the table is waiting on, for the shot clock: { key, playerIds }, or null
+     */
+    getDecision() {
+        if (!PLO_STREETS.includes(this.phase) || !this.toAct) return null;
+        return { key: `${this.shuffleId}:${this.turn}`, playerIds: [this.toAct] };
+    }
+
+    /**
+     * Start a new hand: move the button, post the blinds and deal
+     * shuffle: optional FairShuffle result ({ handId, random }); falls back to Math.random
+     */
+    startHand(shuffle = null) {
+        for (let i = this.players.length - 1; i >= 0; i--) {
+            if (this.players[i].leaving) this.dropSeat(i);
+        }
+        this.addQueuedPlayers();
+        if (this.players.length < 2) {
+            throw new Error('Pot-Limit Omaha needs at least two players');
+        }
+
+        this.handRecord = { startedAt: Date.now(), actions: [] };
+        for (const player of this.players) {
+            if (player.stack <= 0) {
+                player.stack = this.buyIn;
+                player.boughtIn = this.roundMoney(player.boughtIn + this.buyIn);
+                this.handRecord.actions.push({ street: 'preflop', playerId: player.id, action: 'rebuy', amount: this.buyIn });
+            }
+            player.startingStack = player.stack;
+            player.startingPnl = player.pnl; // Save for display during hand
+            player.holeCards = [];
+            player.bet = 0;
+            player.totalBet = 0;
+            player.folded = false;
+            player.allIn = false;
+            player.hasActed = false;
+        }
+
+        this.deck = shuffle
+            ? Poker.shuffleDeck(Poker.createDeck(), shuffle.random)
+            : Poker.shuffleDeck(Poker.createDeck());
+        this.shuffleId = shuffle ? shuffle.handId : null;
+        this.dealOrder = this.players.map(p => p.id);
+        for (const player of this.players) {
+            player.holeCards = this.deck.splice(0, 4);
+        }
+        this.board = this.deck.splice(0, 5);
+        this.boardShowing = 0;
+        this.lastResults = null;
+        this.pots = null;
+        this.handHistory = null;
+
+        this.button = (this.button + 1) % this.players.length;
+        this.phase = 'preflop';
+        this.turn++;
+
+        // Heads-up the button posts the small blind and acts first preflop
+        const count = this.players.length;
+        const smallBlindSeat = count === 2 ? this.button : (this.button + 1) % count;
+        const bigBlindSeat = (smallBlindSeat + 1) % count;
+        this.postBlind(this.players[smallBlindSeat], 'small_blind', this.smallBlind);
+        this.postBlind(this.players[bigBlindSeat], 'big_blind', this.baseBet);
+        this.currentBet = this.baseBet;
+        this.lastRaise = this.baseBet;
+
+        this.toAct = null;
+        this.advance(bigBlindSeat);
+
+        return this.getGameState();
+    }
+
+    postBlind(player, action, amount) {
+        const posted = this.commit(player, amount);
+        this.recordAction(player, action, posted);
+    }
+
+    /**
+     * Move chips from a stack into the pot; a player without enough goes all in
+     * Returns what was actually put in
+     */
+    commit(player, amount) {
+        const chips = Math.min(this.roundMoney(amount), player.stack);
+        player.stack = this.roundMoney(player.stack - chips);
+        player.bet = this.roundMoney(player.bet + chips);
+        player.totalBet = this.roundMoney(player.totalBet + chips);
+        if (player.stack === 0) player.allIn = true;
+        return chips;
+    }
+
+    recordAction(player, action, amount) {
+        if (!this.handRecord) return;
+        this.handRecord.actions.push({
+            street: this.phase,
+            playerId: player.id,
+            action,
+            amount,
+            bet: player.bet,
+            totalBet: player.totalBet,
+            stack: player.stack,
+            allIn: player.allIn
+        });
+    }
+
+    /**
+     * Get all players still in the hand
+     */
+    getActivePlayers() {
+        return this.players.filter(p => !p.folded);
+    }
+
+    /**
+     * Everything in the middle, this street's bets included
+     */
+    getTotalPot() {
+        return this.roundMoney(this.players.reduce((sum, p) => sum + p.totalBet, 0));
+    }
+
+    /**
+     * Smallest and largest raise-to amounts open to a player, or null if they may not raise
+     * Pot limit: call, then raise by at most the pot that call makes. A player who has
+     * acted may only raise again after a full raise reopens the betting
+     */
+    getRaiseLimits(player) {
+        if (!player || player.folded || player.allIn || player.hasActed) return null;
+        const allInTo = this.roundMoney(player.bet + player.stack);
+        if (allInTo <= this.currentBet) return null;
+        // Nobody left who could call a raise
+        if (!this.players.some(p => p !== player && !p.folded && !p.allIn)) return null;
+
+        const toCall = this.roundMoney(this.currentBet - player.bet);
+        const potLimit = this.roundMoney(this.currentBet + this.getTotalPot() + toCall);
+        const minimum = this.roundMoney(this.currentBet + Math.max(this.lastRaise, this.baseBet));
+        return {
+            min: Math.min(minimum, allInTo),
+            max: Math.min(potLimit, allInTo)
+        };
+    }
+
+    /**
+     * Process a player action, in turn
+     * action: 'fold' | 'check' | 'call' | 'raise'; amount: for a raise, the bet to raise to
+     */
+    processAction(playerId, action, amount) {
+        if (!PLO_STREETS.includes(this.phase)) {
+            return { success: false, error: 'There is no betting round in progress' };
+        }
+
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) {
+            return { success: false, error: 'Invalid player' };
+        }
+
+        if (this.toAct !== playerId) {
+            return { success: false, error: 'It is not your turn' };
+        }
+
+        const toCall = this.roundMoney(this.currentBet - player.bet);
+        let chips = 0;
+
+        switch (action) {
+            case 'fold':
+                player.folded = true;
+                break;
+
+            case 'check':
+                if (toCall > 0) {
+                    return { success: false, error: 'You cannot check facing a bet' };
+                }
+                break;
+
+            case 'call':
+                if (toCall <= 0) {
+                    return { success: false, error: 'There is no bet to call' };
+                }
+                chips = this.commit(player, toCall);
+                break;
+
+            case 'raise': {
+                const limits = this.getRaiseLimits(player);
+                if (!limits) {
+                    return { success: false, error: 'You cannot raise now' };
+                }
+                const raiseTo = this.roundMoney(parseFloat(amount));
+                if (!(raiseTo >= limits.min && raiseTo <= limits.max)) {
+                    return {
+                        success: false,
+                        error: `Raise to between $${limits.min.toFixed(2)} and $${limits.max.toFixed(2)}`
+                    };
+                }
+                const raiseBy = this.roundMoney(raiseTo - this.currentBet);
+                chips = this.commit(player, raiseTo - player.bet);
+                // A full raise reopens the betting; a short all-in only has to be called
+                if (raiseBy >= this.lastRaise) {
+                    this.lastRaise = raiseBy;
+                    for (const other of this.players) {
+                        if (other !== player) other.hasActed = false;
+                    }
+                }
+                this.currentBet = raiseTo;
+                break;
+            }
+
+            default:
+                return { success: false, error: 'Invalid action' };
+        }
+
+        player.hasActed = true;
+        this.shotClock?.charge(playerId);
+        this.turn++;
+        this.recordAction(player, action, chips);
+        // What the log shows: the bet raised to, or the chips put in to call
+        const logged = action === 'raise' ? player.bet : chips;
+        this.advance(this.players.indexOf(player));
+
+        return { success: true, gameState: this.getGameState(), amount: logged };
+    }
+
+    /**
+     * After an action: end the hand, move to the next street, or pass the turn on
+     */
+    advance(fromSeat) {
+        if (this.getActivePlayers().length === 1) {
+            this.finishHand();
+        } else if (this.isBettingComplete()) {
+            this.nextStreet();
+        } else {
+            this.toAct = this.nextToAct(fromSeat);
+        }
+    }
+
+    /**
+     * The street is over once everyone who can still bet has acted and matched the bet
+     */
+    isBettingComplete() {
+        const live = this.players.filter(p => !p.folded && !p.allIn);
+        if (live.length === 0) return true;
+        if (live.length === 1 && live[0].bet >= this.currentBet) return true;
+        return live.every(p => p.hasActed && p.bet === this.currentBet);
+    }
+
+    /**
+     * First player after `fromSeat` who still owes an action
+     */
+    nextToAct(fromSeat) {
+        const count = this.players.length;
+        for (let step = 1; step <= count; step++) {
+            const player = this.players[(fromSeat + step) % count];
+            if (!player.folded && !player.allIn && (!player.hasActed || player.bet < this.currentBet)) {
+                return player.id;
+            }
+        }
+        return null;
+    }
+
+    nextStreet() {
+        for (const player of this.players) {
+            player.bet = 0;
+            player.hasActed = false;
+        }
+        this.currentBet = 0;
+        this.lastRaise = this.baseBet;
+
+        if (this.phase === 'river') {
+            this.finishHand();
+            return;
+        }
+        this.phase = PLO_STREETS[PLO_STREETS.indexOf(this.phase) + 1];
+        this.boardShowing = PLO_BOARD_SHOWING[this.phase];
+
+        // With fewer than two players able to bet, the rest of the board is just dealt out
+        if (this.players.filter(p => !p.folded && !p.allIn).length < 2) {
+            this.boardShowing = 5;
+            this.finishHand();
+            return;
+        }
+        this.toAct = this.nextToAct(this.button);
+    }
+
+    /**
+     * Return the part of the biggest bet nobody could match
+     */
+    returnUncalledBet() {
+        const byTotal = [...this.players].sort((a, b) => b.totalBet - a.totalBet);
+        const [top, next] = byTotal;
+        const uncalled = this.roundMoney(top.totalBet - (next ? next.totalBet : 0));
+        if (uncalled > 0) {
+            top.stack = this.roundMoney(top.stack + uncalled);
+            top.totalBet = this.roundMoney(top.totalBet - uncalled);
+            top.bet = this.roundMoney(Math.max(0, top.bet - uncalled));
+            top.allIn = top.stack === 0;
+            this.recordAction(top, 'uncalled', uncalled);
+        }
+    }
+
+    /**
+     * Main pot and side pots: one per all-in level, each contested by those who reached it.
+     * Chips of folded players go to the pots they reached
+     */
+    buildPots() {
+        const contenders = this.getActivePlayers();
+        const levels = [...new Set(contenders.map(p => p.totalBet))].sort((a, b) => a - b);
+        let previous = 0;
+        return levels.map((level, i) => {
+            const cap = i === levels.length - 1 ? Infinity : level;
+            const amount = this.players.reduce((sum, p) =>
+                sum + Math.min(p.totalBet, cap) - Math.min(p.totalBet, previous), 0);
+            previous = level;
+            return {
+                amount: this.roundMoney(amount),
+                eligible: contenders.filter(p => p.totalBet >= level).map(p => p.id)
+            };
+        });
+    }
+
+    /**
+     * Split a pot between its winners to the cent; odd cents go to the first winners left of the button
+     */
+    splitPot(amount, winnerIds) {
+        const count = this.players.length;
+        const order = [];
+        for (let step = 1; step <= count; step++) {
+            const id = this.players[(this.button + step) % count].id;
+            if (winnerIds.includes(id)) order.push(id);
+        }
+        const cents = Math.round(amount * 100);
+        const share = Math.floor(cents / order.length);
+        const oddCents = cents - share * order.length;
+        return new Map(order.map((id, i) => [id, (share + (i < oddCents ? 1 : 0)) / 100]));
+    }
+
+    /**
+     * End the hand: award the pot uncontested or show down for each pot
+     */
+    finishHand() {
+        this.toAct = null;
+        this.returnUncalledBet();
+
+        const contenders = this.getActivePlayers();
+        const showdown = contenders.length > 1;
+        const hands = new Map();
+        if (showdown) {
+            this.boardShowing = 5;
+            for (const player of contenders) {
+                hands.set(player.id, Poker.evaluateOmahaHand(player.holeCards, this.board));
+            }
+        }
+
+        const won = new Map(this.players.map(p => [p.id, 0]));
+        this.pots = this.buildPots().map(pot => {
+            let winners = pot.eligible;
+            if (showdown) {
+                const best = pot.eligible.reduce((top, id) =>
+                    (!top || Poker.compareHands(hands.get(id), hands.get(top)) > 0 ? id : top), null);
+                winners = pot.eligible.filter(id => Poker.compareHands(hands.get(id), hands.get(best)) === 0);
+            }
+            for (const [id, share] of this.splitPot(pot.amount, winners)) {
+                won.set(id, this.roundMoney(won.get(id) + share));
+            }
+            return { ...pot, winners };
+        });
+
+        const results = this.players.map(player => {
+            const hand = hands.get(player.id);
+            const amountWon = won.get(player.id);
+            player.stack = this.roundMoney(player.stack + amountWon);
+            player.pnl = this.roundMoney(player.stack - player.boughtIn);
+            return {
+                playerId: player.id,
+                holeCards: [...player.holeCards],
+                folded: player.folded,
+                shown: showdown && !player.folded,
+                hand: hand ? { name: hand.name, rank: hand.rank } : null,
+                totalBet: player.totalBet,
+                won: amountWon,
+                netResult: this.roundMoney(amountWon - player.totalBet)
+            };
+        });
+
+        this.phase = 'results';
+        this.lastResults = results;
+        this.handHistory = this.buildHandHistory(results);
+        return results;
+    }
+
+    /**
+     * Structured record of the finished hand, for hand history export
+     * Players are listed in seat order and identified by id; the app adds names
+     */
+    buildHandHistory(results) {
+        const record = this.handRecord || { startedAt: Date.now(), actions: [] };
+
+        return {
+            game: 'pot-limit-omaha',
+            handId: this.shuffleId,
+            startedAt: record.startedAt,
+            endedAt: Date.now(),
+            baseBet: this.baseBet,
+            smallBlind: this.smallBlind,
+            buttonId: this.players[this.button]?.id || null,
+            players: this.players.map((player, index) => {
+                const result = results.find(r => r.playerId === player.id);
+                return {
+                    id: player.id,
+                    seat: index + 1,
+                    startingStack: player.startingStack,
+                    startingPnl: player.startingPnl,
+                    holeCards: [...result.holeCards],
+                    folded: result.folded,
+                    shown: result.shown,
+                    hand: result.hand ? result.hand.name : null,
+                    totalBet: result.totalBet,
+                    won: result.won,
+                    netResult: result.netResult
+                };
+            }),
+            board: this.board.slice(0, this.boardShowing),
+            pots: this.pots.map(pot => ({ amount: pot.amount, winners: [...pot.winners] })),
+            actions: record.actions.map(a => ({ ...a }))
+        };
+    }
+
+    /**
+     * Get current game state (for broadcasting)
+     */
+    getGameState() {
+        const acting = this.players.find(p => p.id === this.toAct);
+        return {
+            game: 'pot-limit-omaha',
+            phase: this.phase,
+            baseBet: this.baseBet,
+            smallBlind: this.smallBlind,
+            players: this.players.map(p => ({
+                id: p.id,
+                stack: p.stack,
+                pnl: p.startingPnl, // Show starting PnL during hand
+                actualPnl: p.pnl, // Actual PnL (for results)
+                bet: p.bet,
+                totalBet: p.totalBet,
+                folded: p.folded,
+                allIn: p.allIn,
+                hasActed: p.hasActed,
+                holeCards: p.holeCards
+            })),
+            queuedPlayers: this.queuedPlayers,
+            board: this.getBoardState(),
+            buttonId: this.players[this.button]?.id || null,
+            toAct: this.toAct,
+            currentBet: this.currentBet,
+            raiseLimits: acting ? this.getRaiseLimits(acting) : null,
+            turn: this.turn,
+            shotClock: this.shotClock ? this.shotClock.getState(this.getDecision()) : null,
+            totalPot: this.getTotalPot(),
+            pots: this.pots,
+            results: this.lastResults,
+            handHistory: this.handHistory,
+            shuffleId: this.shuffleId,
+            dealOrder: [...this.dealOrder]
+        };
+    }
+
+    getBoardState() {
+        return this.board.map((card, i) => (i < this.boardShowing ? card : { faceDown: true }));
+    }
+
+    /**
+     * A results state as one player may see it: hands that were folded, or won
+     * without a showdown, stay hidden from everyone but their owner
+     */
+    static redactState(state, viewerId) {
+        if (state.phase !== 'results' || !state.results) return state;
+        const shown = new Set(state.results
+            .filter(r => r.shown || r.playerId === viewerId)
+            .map(r => r.playerId));
+        return {
+            ...state,
+            players: state.players.map(p => (shown.has(p.id) ? p : {
+                ...p,
+                holeCards: p.holeCards.map(() => ({ faceDown: true }))
+            })),
+            results: state.results.map(r => (shown.has(r.playerId) ? r : { ...r, holeCards: null })),
+            handHistory: state.handHistory && {
+                ...state.handHistory,
+                players: state.handHistory.players.map(p => (shown.has(p.id) ? p : { ...p, holeCards: null }))
+            }
+        };
+    }
+
+    /**
+     * Compare the cards in a results state with the order of a rebuilt deck
+     * Mirrors the dealing order in startHand; cards this viewer never saw are skipped
+     */
+    checkDeal(deck, gameState) {
+        const problems = [];
+        const sameCard = (a, b) => b && a.rank === b.rank && a.suit === b.suit;
+
+        const dealOrder = gameState.dealOrder || gameState.players.map(p => p.id);
+        dealOrder.forEach((playerId, seat) => {
+            const player = gameState.players.find(p => p.id === playerId);
+            const cards = (player?.holeCards || []).filter(card => !card.faceDown);
+            if (cards.length > 0 && !cards.every((card, i) => sameCard(card, deck[seat * 4 + i]))) {
+                problems.push(`hole cards for ${playerId}`);
+            }
+        });
+
+        const boardStart = dealOrder.length * 4;
+        const board = gameState.board || [];
+        if (!board.every((card, i) => card.faceDown || sameCard(card, deck[boardStart + i]))) {
+            problems.push('board');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Remove a player from the game. Mid-hand they fold where they sit and their
+     * chips stay in the pot; the seat goes before the next deal
+     */
+    removePlayer(playerId) {
+        const index = this.players.findIndex(p => p.id === playerId);
+        if (index !== -1) {
+            const player = this.players[index];
+            if (PLO_STREETS.includes(this.phase)) {
+                player.leaving = true;
+                // An all-in hand plays on to the showdown without them
+                if (!player.folded && !player.allIn) {
+                    player.folded = true;
+                    player.hasActed = true;
+                    this.turn++;
+                    this.recordAction(player, 'fold', 0);
+                    if (this.toAct === playerId) {
+                        this.advance(index);
+                    } else if (this.getActivePlayers().length === 1) {
+                        this.finishHand();
+                    }
+                }
+            } else {
+                this.dropSeat(index);
+            }
+        }
+
+        const qIndex = this.queuedPlayers.indexOf(playerId);
+        if (qIndex !== -1) {
+            this.queuedPlayers.splice(qIndex, 1);
+        }
+    }
+
+    /**
+     * Take a seat out, keeping the button where it was at the table
+     */
+    dropSeat(index) {
+        this.players.splice(index, 1);
+        if (index <= this.button) this.button--;
+    }
+
+    /**
+     * Get serializable state for sync
+     */
+    serialize() {
+        return {
+            game: 'pot-limit-omaha',
+            players: this.players,
+            queuedPlayers: this.queuedPlayers,
+            deck: this.deck,
+            board: this.board,
+            boardShowing: this.boardShowing,
+            phase: this.phase,
+            baseBet: this.baseBet,
+            button: this.button,
+            toAct: this.toAct,
+            currentBet: this.currentBet,
+            lastRaise: this.lastRaise,
+            turn: this.turn,
+            shotClock: this.shotClock ? this.shotClock.serialize() : null,
+            lastResults: this.lastResults,
+            pots: this.pots,
+            shuffleId: this.shuffleId,
+            dealOrder: [...this.dealOrder],
+            handRecord: this.handRecord,
+            handHistory: this.handHistory
+        };
+    }
+
+    /**
+     * Load state from serialized data
+     */
+    deserialize(data) {
+        this.players = data.players;
+        this.queuedPlayers = data.queuedPlayers || [];
+        this.deck = data.deck;
+        this.board = data.board || [];
+        this.boardShowing = data.boardShowing || 0;
+        this.phase = data.phase;
+        this.baseBet = data.baseBet;
+        this.button = data.button ?? -1;
+        this.toAct = data.toAct || null;
+        this.currentBet = data.currentBet || 0;
+        this.lastRaise = data.lastRaise || data.baseBet;
+        this.turn = data.turn || 0;
+        this.shotClock = data.shotClock ? ShotClock.deserialize(data.shotClock) : null;
+        this.lastResults = data.lastResults;
+        this.pots = data.pots || null;
+        this.shuffleId = data.shuffleId || null;
+        this.dealOrder = data.dealOrder || [];
+        this.handRecord = data.handRecord || null;
+        this.handHistory = data.handHistory || null;
+    }
+}
+
+// Export
+window.PotLimitOmahaGame = PotLimitOmahaGame;
@@ -6,6 +6,8 @@
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
 const SUITS = ['s', 'h', 'd', 'c']; // spades, hearts, diamonds, clubs
 const SUIT_SYMBOLS = { 's': '♠', 'h': '♥', 'd': '♦', 'c': '♣' };
+// Jokers are { rank: 'X', suit: 'r' } (red) and { rank: 'X', suit: 'b' } (black)
+const JOKER_RANK = 'X';
 
 // Hand rankings
 const HAND_RANKS = {
@@ -18,7 +20,8 @@ const HAND_RANKS = {
     FULL_HOUSE: 6,
     FOUR_OF_A_KIND: 7,
     STRAIGHT_FLUSH: 8,
-    ROYAL_FLUSH: 9
+    ROYAL_FLUSH: 9,
+    FIVE_OF_A_KIND: 10 // Only with wild cards
 };
 
 // Simple hand names for display
@@ -32,7 +35,8 @@ const HAND_NAMES = {
     [HAND_RANKS.FULL_HOUSE]: 'Boat',
     [HAND_RANKS.FOUR_OF_A_KIND]: 'Quads',
     [HAND_RANKS.STRAIGHT_FLUSH]: 'Straight Flush',
-    [HAND_RANKS.ROYAL_FLUSH]: 'Royal Flush'
+    [HAND_RANKS.ROYAL_FLUSH]: 'Royal Flush',
+    [HAND_RANKS.FIVE_OF_A_KIND]: 'Five of a Kind'
 };
 
 // Multipliers for payouts
@@ -49,26 +53,77 @@ const MULTIPLIERS = {
     [HAND_RANKS.ROYAL_FLUSH]: 10
 };
 
+// Rules profile options the host picks from in the lobby
+// What each board needs to qualify: a pair of this rank or better, any pair, or two pair
+const QUALIFIERS = {
+    'A': 'Pair of Aces',
+    'K': 'Pair of Kings',
+    'Q': 'Pair of Queens',
+    'J': 'Pair of Jacks',
+    'any': 'Any pair',
+    'two-pair': 'Two Pair'
+};
+
+// Multiplier tables
+const PAYTABLES = {
+    standard: { name: 'Standard', multipliers: MULTIPLIERS },
+    'split-flush': { name: 'Split straight/flush', multipliers: { ...MULTIPLIERS, [HAND_RANKS.FLUSH]: 3 } }
+};
+
+// How the two boards' multipliers make the total
+const COMBINE_MODES = {
+    multiply: 'Multiply',
+    add: 'Add'
+};
+
+const DEFAULT_RULES = { qualifier: 'A', paytable: 'standard', combine: 'multiply' };
+
+// Hi-Lo split games: the highest card a qualifying low may have (eight or better)
+const LOW_QUALIFIER = 8;
+
+// Edge the Dealer variants
+// What a hand aims for, and how many cards make one
+const HAND_TARGETS = {
+    high: { name: 'High hand', size: 5 },
+    'deuce-seven': { name: '2-7 lowball', size: 5 },
+    badugi: { name: 'Badugi', size: 4 }
+};
+
+// Which cards are wild
+const WILD_CARDS = {
+    none: 'No wild cards',
+    jokers: 'Two jokers wild',
+    deuces: 'Deuces wild'
+};
+
+// How many open cards the dealer gets
+const DEALER_CARD_COUNTS = [5, 6, 7, 8, 9];
+
+const DEFAULT_VARIANT = { dealerCards: 7, wild: 'none', target: 'high' };
+
 /**
- * Create a deck of 52 cards
+ * Create a deck of 52 cards, plus up to two jokers at the end
  */
-function createDeck() {
+function createDeck(jokers = 0) {
     const deck = [];
     for (const suit of SUITS) {
         for (const rank of RANKS) {
             deck.push({ rank, suit });
         }
     }
+    for (const suit of ['r', 'b'].slice(0, jokers)) {
+        deck.push({ rank: JOKER_RANK, suit });
+    }
     return deck;
 }
 
 /**
  * Shuffle deck using Fisher-Yates algorithm
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, random = Math.random) {
     const shuffled = [...deck];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -165,6 +220,16 @@ function evaluate5CardHand(cards) {
         })
         .map(e => e[0]);
     
+    // Five of a Kind (a wild card standing in for the fifth)
+    if (counts[0] === 5) {
+        return {
+            rank: HAND_RANKS.FIVE_OF_A_KIND,
+            value: [getRankValue(ranksByCount[0])],
+            name: 'Five of a Kind',
+            cards
+        };
+    }
+
     // Straight Flush / Royal Flush
     if (isFlushHand && isStraight) {
         if (straightHigh === 12) { // Ace-high straight flush
@@ -325,19 +390,347 @@ function evaluateOmahaHand(holeCards, boardCards) {
 }
 
 /**
- * Check if a hand qualifies (pair of aces or better)
- * Pair of Aces means: at minimum a pair, and if it's just a pair, it must be Aces
+ * Get rank value for lows, aces low (A=1, 2=2, ..., K=13)
+ */
+function getLowRankValue(rank) {
+    return rank === 'A' ? 1 : getRankValue(rank) + 2;
+}
+
+/**
+ * Evaluate a 5-card hand for low: five different ranks, none above the qualifier,
+ * aces low. Straights and flushes don't spoil a low (A-2-3-4-5 is the best)
+ * Returns { value: [low values, highest first], name: '8-6-4-2-A', cards }, or null if it doesn't qualify
+ */
+function evaluate5CardLow(cards, qualifier = LOW_QUALIFIER) {
+    const values = cards.map(c => getLowRankValue(c.rank)).sort((a, b) => b - a);
+    if (new Set(values).size !== 5 || values[0] > qualifier) {
+        return null;
+    }
+    return {
+        value: values,
+        name: lowCardNames(values),
+        cards
+    };
+}
+
+/**
+ * "8-6-4-2-A" for low values, highest first
+ */
+function lowCardNames(values) {
+    return values.map(v => (v === 1 ? 'A' : RANKS[v - 2])).join('-');
+}
+
+/**
+ * Compare two lows (either may be null for no low)
+ * Returns positive if low1 is the better (lower) low, negative if low2 is, 0 if equal
+ */
+function compareLowHands(low1, low2) {
+    if (!low1 || !low2) {
+        return (low1 ? 1 : 0) - (low2 ? 1 : 0);
+    }
+
+    // Compare from the highest card down; the lower card wins
+    for (let i = 0; i < low1.value.length; i++) {
+        if (low1.value[i] !== low2.value[i]) {
+            return low2.value[i] - low1.value[i];
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Best qualifying low from any five of the cards (e.g. a dealer's seven cards), or null
+ */
+function evaluateBestLow(cards, qualifier = LOW_QUALIFIER) {
+    let bestLow = null;
+    for (const fiveCards of combinations(cards, 5)) {
+        const low = evaluate5CardLow(fiveCards, qualifier);
+        if (compareLowHands(low, bestLow) > 0) {
+            bestLow = low;
+        }
+    }
+    return bestLow;
+}
+
+/**
+ * Evaluate an Omaha Hi-Lo hand: the best high and the best qualifying low, each made
+ * of exactly 2 hole cards and 3 board cards (the two halves may use different cards)
+ * Returns { high, low }, low being null when no low qualifies
+ */
+function evaluateOmahaHiLo(holeCards, boardCards, qualifier = LOW_QUALIFIER) {
+    let bestLow = null;
+
+    for (const holeCombo of combinations(holeCards, 2)) {
+        for (const boardCombo of combinations(boardCards, 3)) {
+            const low = evaluate5CardLow([...holeCombo, ...boardCombo], qualifier);
+            if (compareLowHands(low, bestLow) > 0) {
+                low.holeCardsUsed = holeCombo;
+                low.boardCardsUsed = boardCombo;
+                bestLow = low;
+            }
+        }
+    }
+
+    return {
+        high: evaluateOmahaHand(holeCards, boardCards),
+        low: bestLow
+    };
+}
+
+/**
+ * Whether a card is wild under a WILD_CARDS option
+ */
+function isWildCard(card, wild = 'none') {
+    if (wild === 'jokers') return card.rank === JOKER_RANK;
+    if (wild === 'deuces') return card.rank === '2';
+    return false;
+}
+
+/**
+ * Evaluate a 5-card 2-7 lowball hand: ranked like a high hand, except aces are only
+ * high, so A-2-3-4-5 is no straight. The lower hand wins (compareTargetHands)
  */
-function doesHandQualify(hand) {
+function evaluateDeuceToSeven(cards) {
+    const hand = evaluate5CardHand(cards);
+    const isWheel = (hand.rank === HAND_RANKS.STRAIGHT || hand.rank === HAND_RANKS.STRAIGHT_FLUSH) &&
+        hand.value[0] === 3;
+    if (!isWheel && hand.rank !== HAND_RANKS.HIGH_CARD) {
+        return hand;
+    }
+
+    const values = cards.map(c => getRankValue(c.rank)).sort((a, b) => b - a);
+    const rank = hand.rank === HAND_RANKS.STRAIGHT_FLUSH ? HAND_RANKS.FLUSH : HAND_RANKS.HIGH_CARD;
+    return {
+        rank,
+        value: values,
+        name: rank === HAND_RANKS.FLUSH ? 'Flush' : values.map(v => RANKS[v]).join('-'),
+        cards
+    };
+}
+
+/**
+ * Evaluate a Badugi hand from up to four natural cards and some wild ones: the most
+ * cards of different ranks and different suits, aces low, then the lowest of those.
+ * Each wild card adds the lowest rank still missing
+ * Returns { rank: cards in the badugi (1-4), value: [low values, highest first], name, badugiCards }
+ */
+function evaluateBadugi(cards, wildCount = 0) {
+    let best = null;
+
+    for (let size = cards.length; size >= 0; size--) {
+        for (const subset of combinations(cards, size)) {
+            if (new Set(subset.map(c => c.rank)).size !== size || new Set(subset.map(c => c.suit)).size !== size) {
+                continue;
+            }
+
+            const values = subset.map(c => getLowRankValue(c.rank));
+            for (let v = 1, fill = Math.min(wildCount, 4 - size); fill > 0; v++) {
+                if (!values.includes(v)) {
+                    values.push(v);
+                    fill--;
+                }
+            }
+            values.sort((a, b) => b - a);
+
+            const hand = {
+                rank: values.length,
+                value: values,
+                name: values.length === 4 ? `${lowCardNames(values)} Badugi` : `${values.length}-card ${lowCardNames(values)}`,
+                badugiCards: subset
+            };
+            if (!best || compareTargetHands(hand, best, 'badugi') > 0) {
+                best = hand;
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Lowest straight-free ranks for a 2-7 hand's wild cards: five different ranks,
+ * as low as they go, without five in a row. Only the lowest few free ranks can
+ * be in the answer, so those are the only ones tried
+ */
+function lowestDeuceToSevenFill(values, wildCount) {
+    const free = RANKS.map((rank, value) => value).filter(value => !values.includes(value)).slice(0, wildCount + 4);
+    for (const fill of combinations(free, wildCount).sort(compareFillsFromTop)) {
+        const all = [...values, ...fill].sort((a, b) => a - b);
+        if (all[4] - all[0] !== 4) return fill;
+    }
+    return free.slice(0, wildCount);
+}
+
+/**
+ * Order rank fills by their highest value, then the next, lowest first
+ */
+function compareFillsFromTop(a, b) {
+    const high = [...a].sort((x, y) => y - x);
+    const other = [...b].sort((x, y) => y - x);
+    for (let i = 0; i < high.length; i++) {
+        if (high[i] !== other[i]) return high[i] - other[i];
+    }
+    return 0;
+}
+
+/**
+ * The best straight's rank values that holds every one of `values` (all
+ * different), high window first and the wheel last, or null
+ */
+function straightAround(values) {
+    for (let high = 12; high >= 3; high--) {
+        const window = high === 3 ? [12, 0, 1, 2, 3] : [high - 4, high - 3, high - 2, high - 1, high];
+        if (values.every(value => window.includes(value))) return window;
+    }
+    return null;
+}
+
+/**
+ * Best 5-card high or 2-7 hand with wild cards, filled in category by category
+ * instead of trying every rank for every wild card. Wild cards take the natural
+ * cards' suit when that makes a flush for a high hand, and a different suit for
+ * lowball, where a flush hurts
+ */
+function evaluateWithWildCards(naturals, wildCount, target) {
+    const suited = naturals.length > 0 && naturals.every(c => c.suit === naturals[0].suit);
+    const values = naturals.map(c => getRankValue(c.rank));
+    const distinct = new Set(values).size === values.length;
+    const suit = target === 'deuce-seven'
+        ? SUITS.find(s => !suited || s !== naturals[0].suit)
+        : (naturals[0]?.suit || SUITS[0]);
+    const fill = fillValues => [...naturals, ...fillValues.map(value => ({ rank: RANKS[value], suit }))];
+
+    if (target === 'deuce-seven') {
+        // A pair can't be undone, so the wild cards are just the lowest kickers
+        const fillValues = distinct
+            ? lowestDeuceToSevenFill(values, wildCount)
+            : RANKS.map((rank, value) => value).filter(value => !values.includes(value)).slice(0, wildCount);
+        return evaluateDeuceToSeven(fill(fillValues));
+    }
+
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    // Natural ranks, most copies first, then highest
+    const byCount = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || b - a);
+    const repeat = (value, times) => Array(times).fill(value);
+
+    // Five of a kind
+    if (byCount.length <= 1) {
+        return evaluate5CardHand(fill(repeat(byCount[0] ?? 12, wildCount)));
+    }
+    // Straight flush
+    const straight = distinct ? straightAround(values) : null;
+    if (straight && suited) {
+        return evaluate5CardHand(fill(straight.filter(value => !values.includes(value))));
+    }
+    // Four of a kind, of the highest rank the wild cards can make four of
+    const quads = byCount.filter(value => counts.get(value) + wildCount >= 4).sort((a, b) => b - a)[0];
+    if (quads !== undefined) {
+        return evaluate5CardHand(fill(repeat(quads, wildCount)));
+    }
+    // Full house: trips of the higher rank over the lower
+    if (byCount.length === 2) {
+        const [high, low] = [...byCount].sort((a, b) => b - a);
+        const toTrips = Math.max(0, 3 - counts.get(high));
+        return evaluate5CardHand(fill([...repeat(high, toTrips), ...repeat(low, wildCount - toTrips)]));
+    }
+    // Flush, aces for every wild card
+    if (suited) {
+        return evaluate5CardHand(fill(repeat(12, wildCount)));
+    }
+    if (straight) {
+        return evaluate5CardHand(fill(straight.filter(value => !values.includes(value))));
+    }
+    // Trips or a pair of the best rank there is
+    return evaluate5CardHand(fill(repeat(byCount[0], wildCount)));
+}
+
+/**
+ * Evaluate a hand of exactly HAND_TARGETS[target].size cards for a variant
+ * variant: { target, wild } (high hands and no wild cards when left out)
+ * Returns the target's hand object, with `cards` as dealt (wild cards included)
+ */
+function evaluateHand(cards, variant = {}) {
+    const target = variant.target || 'high';
+    const naturals = cards.filter(card => !isWildCard(card, variant.wild));
+    const wildCount = cards.length - naturals.length;
+
+    let hand;
+    if (target === 'badugi') {
+        hand = evaluateBadugi(naturals, wildCount);
+    } else if (wildCount > 0) {
+        hand = evaluateWithWildCards(naturals, wildCount, target);
+    } else {
+        hand = target === 'deuce-seven' ? evaluateDeuceToSeven(cards) : evaluate5CardHand(cards);
+    }
+
+    return { ...hand, cards };
+}
+
+/**
+ * Best hand for a variant from any HAND_TARGETS[target].size of the cards (e.g. a
+ * dealer's seven), or null when there are too few cards
+ */
+function evaluateBestHand(cards, variant = {}) {
+    const target = variant.target || 'high';
+    let best = null;
+    for (const combo of combinations(cards, HAND_TARGETS[target].size)) {
+        const hand = evaluateHand(combo, variant);
+        if (!best || compareTargetHands(hand, best, target) > 0) {
+            best = hand;
+        }
+    }
+    return best;
+}
+
+/**
+ * Compare two hands evaluated for the same target
+ * Returns positive if hand1 is the better hand, negative if hand2 is, 0 if equal
+ */
+function compareTargetHands(hand1, hand2, target = 'high') {
+    switch (target) {
+        case 'deuce-seven':
+            return compareHands(hand2, hand1);
+
+        case 'badugi':
+            // More cards first; then, like any low, the lower highest card
+            return hand1.rank !== hand2.rank ? hand1.rank - hand2.rank : compareLowHands(hand1, hand2);
+
+        default:
+            return compareHands(hand1, hand2);
+    }
+}
+
+/**
+ * A rules profile with every unknown or missing option set to the standard rule
+ */
+function normalizeRules(rules) {
+    const pick = (options, key) => (rules && Object.hasOwn(options, rules[key]) ? rules[key] : DEFAULT_RULES[key]);
+    return {
+        qualifier: pick(QUALIFIERS, 'qualifier'),
+        paytable: pick(PAYTABLES, 'paytable'),
+        combine: pick(COMBINE_MODES, 'combine')
+    };
+}
+
+/**
+ * Check if a hand qualifies under the rules (standard: pair of aces or better)
+ * With a pair qualifier, two pair or better always qualifies and a single pair
+ * must be of the qualifier's rank or higher
+ */
+function doesHandQualify(hand, rules = DEFAULT_RULES) {
+    if (rules.qualifier === 'two-pair') {
+        return hand.rank >= HAND_RANKS.TWO_PAIR;
+    }
+
     // Two pair or better always qualifies
     if (hand.rank >= HAND_RANKS.TWO_PAIR) {
         return true;
     }
     
-    // Only a pair of Aces qualifies among single pairs
     if (hand.rank === HAND_RANKS.PAIR) {
-        // Check if it's a pair of Aces
-        return hand.value[0] === 12; // Ace is rank 12
+        return rules.qualifier === 'any' || hand.value[0] >= getRankValue(rules.qualifier);
     }
     
     // High card doesn't qualify
@@ -345,23 +738,55 @@ function doesHandQualify(hand) {
 }
 
 /**
- * Get multiplier for a hand
+ * Get multiplier for a hand from the rules' paytable
+ */
+function getMultiplier(hand, rules = DEFAULT_RULES) {
+    return PAYTABLES[rules.paytable].multipliers[hand.rank];
+}
+
+/**
+ * Calculate total multiplier for both boards: the product, or the sum under additive rules
+ */
+function calculateTotalMultiplier(hand1, hand2, rules = DEFAULT_RULES) {
+    const mult1 = getMultiplier(hand1, rules);
+    const mult2 = getMultiplier(hand2, rules);
+    return rules.combine === 'add' ? mult1 + mult2 : mult1 * mult2;
+}
+
+/**
+ * An Edge the Dealer variant with every unknown or missing option set to the standard one
+ */
+function normalizeVariant(variant) {
+    const dealerCards = parseInt(variant?.dealerCards, 10);
+    return {
+        dealerCards: DEALER_CARD_COUNTS.includes(dealerCards) ? dealerCards : DEFAULT_VARIANT.dealerCards,
+        wild: variant && Object.hasOwn(WILD_CARDS, variant.wild) ? variant.wild : DEFAULT_VARIANT.wild,
+        target: variant && Object.hasOwn(HAND_TARGETS, variant.target) ? variant.target : DEFAULT_VARIANT.target
+    };
+}
+
+/**
+ * Short description of a variant, e.g. "9 dealer cards · Deuces wild · Badugi"
  */
-function getMultiplier(hand) {
-    return MULTIPLIERS[hand.rank];
+function describeVariant(variant) {
+    return `${variant.dealerCards} dealer cards · ${WILD_CARDS[variant.wild]} · ${HAND_TARGETS[variant.target].name}`;
 }
 
 /**
- * Calculate total multiplier for both boards
+ * Short description of a rules profile, e.g. "Pair of Jacks to qualify · Standard paytable · boards add"
  */
-function calculateTotalMultiplier(hand1, hand2) {
-    return getMultiplier(hand1) * getMultiplier(hand2);
+function describeRules(rules) {
+    const boards = rules.combine === 'add' ? 'boards add' : 'boards multiply';
+    return `${QUALIFIERS[rules.qualifier]} to qualify · ${PAYTABLES[rules.paytable].name} paytable · ${boards}`;
 }
 
 /**
  * Format a card for display
  */
 function formatCard(card) {
+    if (card.rank === JOKER_RANK) {
+        return { rank: 'JK', suit: '★', isRed: card.suit === 'r', original: card };
+    }
     return {
         rank: card.rank === 'T' ? '10' : card.rank,
         suit: SUIT_SYMBOLS[card.suit],
@@ -385,6 +810,16 @@ window.Poker = {
     HAND_RANKS,
     HAND_NAMES,
     MULTIPLIERS,
+    QUALIFIERS,
+    PAYTABLES,
+    COMBINE_MODES,
+    DEFAULT_RULES,
+    LOW_QUALIFIER,
+    JOKER_RANK,
+    HAND_TARGETS,
+    WILD_CARDS,
+    DEALER_CARD_COUNTS,
+    DEFAULT_VARIANT,
     createDeck,
     shuffleDeck,
     getRankValue,
@@ -392,9 +827,24 @@ window.Poker = {
     evaluate5CardHand,
     evaluateOmahaHand,
     compareHands,
+    getLowRankValue,
+    evaluate5CardLow,
+    evaluateBestLow,
+    compareLowHands,
+    evaluateOmahaHiLo,
+    isWildCard,
+    evaluateDeuceToSeven,
+    evaluateBadugi,
+    evaluateHand,
+    evaluateBestHand,
+    compareTargetHands,
+    normalizeRules,
     doesHandQualify,
     getMultiplier,
     calculateTotalMultiplier,
+    describeRules,
+    normalizeVariant,
+    describeVariant,
     formatCard,
     getCardId
 };
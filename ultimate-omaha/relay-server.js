@@ -0,0 +1,277 @@
+/**
+ * Ultimate Omaha - WebSocket Relay Server
+ * Minimal relay for the 'websocket' transport (transports.js), for LAN games
+ * without the PeerJS cloud. No dependencies beyond Node itself.
+ *
+ * Run:  node relay-server.js [port]      (default port 8787)
+ * Play: index.html?transport=websocket&relay=ws://<this-machine>:8787
+ *
+ * Protocol (JSON text frames):
+ *   -> { type: 'register', id }                 <- { type: 'open', id } | { type: 'error', errorType: 'unavailable-id' }
+ *                                                  registering again releases the socket's previous id
+ *   -> { type: 'connect', connectionId, to }    => { type: 'connection', connectionId, from } to the target
+ *                                               <- { type: 'error', errorType: 'peer-unavailable', connectionId }
+ *                                               <- { type: 'error', errorType: 'server-error', connectionId } if the id is in use
+ *   -> { type: 'accept', connectionId, to }     => { type: 'accept', connectionId } to the caller (callee only)
+ *   -> { type: 'data', connectionId, to, payload } => forwarded with `from`, once the callee has accepted
+ *   -> { type: 'close', connectionId, to }      => forwarded; also sent to the other side when a socket drops
+ *
+ * A message bigger than MAX_MESSAGE_BYTES closes the socket with status 1009.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024; // well above a full state sync or a set of backup shares
+const CLOSE_TOO_BIG = 1009;
+
+// ============ WEBSOCKET FRAMING ============
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wrap a raw upgraded socket with send/close and message/close callbacks
+ */
+function createClient(socket) {
+    const client = {
+        id: null,
+        onMessage: null,
+        onClose: null,
+        closed: false,
+        send(text) {
+            if (!client.closed) {
+                socket.write(encodeFrame(0x1, Buffer.from(text)));
+            }
+        },
+        close(code) {
+            if (client.closed) return;
+            client.closed = true;
+            const payload = Buffer.alloc(code ? 2 : 0);
+            if (code) payload.writeUInt16BE(code, 0);
+            socket.end(encodeFrame(0x8, payload));
+            if (client.onClose) client.onClose();
+        }
+    };
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+
+    socket.on('data', (chunk) => {
+        if (client.closed) return;
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Refuse oversized messages before buffering them
+            if (fragmentBytes + length > MAX_MESSAGE_BYTES) {
+                buffer = Buffer.alloc(0);
+                fragments = [];
+                client.close(CLOSE_TOO_BIG);
+                return;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buffer.length < offset + length) return;
+
+            const payload = Buffer.from(buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= buffer[maskOffset + (i % 4)];
+                }
+            }
+            buffer = buffer.subarray(offset + length);
+
+            if (opcode === 0x8) {
+                client.close();
+                return;
+            }
+            if (opcode === 0x9) {
+                socket.write(encodeFrame(0xA, payload));
+                continue;
+            }
+            if (opcode === 0x1 || opcode === 0x0) {
+                fragments.push(payload);
+                fragmentBytes += payload.length;
+                if (fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    fragmentBytes = 0;
+                    if (client.onMessage) client.onMessage(text);
+                }
+            }
+        }
+    });
+
+    socket.on('close', () => {
+        if (!client.closed) {
+            client.closed = true;
+            if (client.onClose) client.onClose();
+        }
+    });
+    socket.on('error', () => socket.destroy());
+
+    return client;
+}
+
+// ============ RELAY ============
+
+const peers = new Map(); // peerId -> client
+const links = new Map(); // connectionId -> { a: caller peerId, b: callee peerId, accepted }
+
+function sendTo(peerId, message) {
+    const client = peers.get(peerId);
+    if (client) client.send(JSON.stringify(message));
+}
+
+function handleRelayMessage(client, message) {
+    switch (message.type) {
+        case 'register': {
+            const id = message.id || crypto.randomBytes(16).toString('hex');
+            if (peers.has(id) && peers.get(id) !== client) {
+                client.send(JSON.stringify({ type: 'error', errorType: 'unavailable-id', message: `ID "${id}" is taken` }));
+                return;
+            }
+            // A socket holds one id at a time; drop the old one and its connections
+            if (client.id && client.id !== id) releasePeer(client);
+            client.id = id;
+            peers.set(id, client);
+            client.send(JSON.stringify({ type: 'open', id }));
+            break;
+        }
+
+        case 'connect':
+            if (!client.id) return;
+            if (!peers.has(message.to)) {
+                client.send(JSON.stringify({
+                    type: 'error',
+                    errorType: 'peer-unavailable',
+                    connectionId: message.connectionId,
+                    message: `Could not connect to peer ${message.to}`
+                }));
+                return;
+            }
+            if (links.has(message.connectionId)) {
+                client.send(JSON.stringify({
+                    type: 'error',
+                    errorType: 'server-error',
+                    connectionId: message.connectionId,
+                    message: `Connection ID ${message.connectionId} is in use`
+                }));
+                return;
+            }
+            links.set(message.connectionId, { a: client.id, b: message.to, accepted: false });
+            sendTo(message.to, { type: 'connection', connectionId: message.connectionId, from: client.id });
+            break;
+
+        case 'accept':
+        case 'data':
+        case 'close': {
+            // Only the two ends of a connection may use it; only the callee accepts,
+            // and no data flows until it has
+            const link = links.get(message.connectionId);
+            if (!link || (link.a !== client.id && link.b !== client.id)) return;
+            if (message.type === 'accept') {
+                if (link.b !== client.id || link.accepted) return;
+                link.accepted = true;
+            }
+            if (message.type === 'data' && !link.accepted) return;
+            const other = link.a === client.id ? link.b : link.a;
+            if (message.type === 'close') {
+                links.delete(message.connectionId);
+            }
+            sendTo(other, {
+                type: message.type,
+                connectionId: message.connectionId,
+                from: client.id,
+                payload: message.payload
+            });
+            break;
+        }
+    }
+}
+
+/**
+ * Free a client's id and close every connection it was part of
+ */
+function releasePeer(client) {
+    if (!client.id || peers.get(client.id) !== client) return;
+    peers.delete(client.id);
+
+    for (const [connectionId, link] of links) {
+        if (link.a === client.id || link.b === client.id) {
+            links.delete(connectionId);
+            sendTo(link.a === client.id ? link.b : link.a, { type: 'close', connectionId, from: client.id });
+        }
+    }
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`Ultimate Omaha relay: ${peers.size} peer(s) connected\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = createClient(socket);
+    client.onMessage = (text) => {
+        try {
+            handleRelayMessage(client, JSON.parse(text));
+        } catch (err) {
+            console.error('Bad relay message:', err.message);
+        }
+    };
+    client.onClose = () => releasePeer(client);
+});
+
+const port = parseInt(process.argv[2], 10) || 8787;
+server.listen(port, () => {
+    console.log(`Relay listening on ws://0.0.0.0:${port}`);
+});
@@ -0,0 +1,168 @@
+/**
+ * Ultimate Omaha - Secret Sharing
+ * Shamir k-of-n secret sharing over GF(256), used to split the host's
+ * game state backup so that no single client can read hidden cards
+ */
+
+// Log/antilog tables for GF(2^8) with the AES polynomial (x^8 + x^4 + x^3 + x + 1)
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+
+(function buildFieldTables() {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        // Multiply by the generator 3 (x * 2 + x)
+        let doubled = x << 1;
+        if (doubled & 0x100) doubled ^= 0x11b;
+        x = doubled ^ x;
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+function gfMul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfDiv(a, b) {
+    if (b === 0) throw new Error('Division by zero in GF(256)');
+    if (a === 0) return 0;
+    return GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]];
+}
+
+/**
+ * Fill a byte array from the platform CSPRNG (getRandomValues caps each call at 64KB)
+ */
+function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    for (let offset = 0; offset < length; offset += 65536) {
+        crypto.getRandomValues(bytes.subarray(offset, Math.min(offset + 65536, length)));
+    }
+    return bytes;
+}
+
+/**
+ * Split a byte array into `shareCount` shares, any `threshold` of which rebuild it
+ * Returns [{ index, bytes }] where index is the share's x coordinate (1-255)
+ */
+function splitBytes(secret, shareCount, threshold) {
+    if (shareCount < 1 || shareCount > 255) {
+        throw new Error('Share count must be between 1 and 255');
+    }
+    if (threshold < 1 || threshold > shareCount) {
+        throw new Error('Threshold must be between 1 and the share count');
+    }
+
+    const shares = [];
+    for (let i = 0; i < shareCount; i++) {
+        shares.push({ index: i + 1, bytes: new Uint8Array(secret.length) });
+    }
+
+    // One random polynomial per byte: coefficient 0 is the secret byte
+    const coefficients = randomBytes(secret.length * (threshold - 1));
+
+    for (let b = 0; b < secret.length; b++) {
+        const base = b * (threshold - 1);
+        for (const share of shares) {
+            // Horner evaluation from the highest coefficient down
+            let y = 0;
+            for (let c = threshold - 2; c >= 0; c--) {
+                y = gfMul(y, share.index) ^ coefficients[base + c];
+            }
+            share.bytes[b] = gfMul(y, share.index) ^ secret[b];
+        }
+    }
+
+    return shares;
+}
+
+/**
+ * Rebuild the secret from at least `threshold` shares (Lagrange interpolation at x = 0)
+ */
+function combineBytes(shares) {
+    if (!shares.length) {
+        throw new Error('No shares to combine');
+    }
+
+    const length = shares[0].bytes.length;
+    const xs = shares.map(s => s.index);
+    if (new Set(xs).size !== xs.length) {
+        throw new Error('Duplicate share index');
+    }
+    if (shares.some(s => s.bytes.length !== length)) {
+        throw new Error('Shares have different lengths');
+    }
+
+    // Basis weights only depend on the x coordinates
+    const weights = xs.map((xi, i) => {
+        let weight = 1;
+        xs.forEach((xj, j) => {
+            if (i !== j) {
+                weight = gfMul(weight, gfDiv(xj, xj ^ xi));
+            }
+        });
+        return weight;
+    });
+
+    const secret = new Uint8Array(length);
+    for (let b = 0; b < length; b++) {
+        let value = 0;
+        for (let i = 0; i < shares.length; i++) {
+            value ^= gfMul(shares[i].bytes[b], weights[i]);
+        }
+        secret[b] = value;
+    }
+    return secret;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Split a string into base64 shares that can travel in PeerJS messages
+ * Returns [{ index, data }]
+ */
+function splitString(text, shareCount, threshold) {
+    const secret = new TextEncoder().encode(text);
+    return splitBytes(secret, shareCount, threshold).map(share => ({
+        index: share.index,
+        data: bytesToBase64(share.bytes)
+    }));
+}
+
+/**
+ * Rebuild a string from shares produced by splitString
+ */
+function combineToString(shares) {
+    const decoded = shares.map(share => ({
+        index: share.index,
+        bytes: base64ToBytes(share.data)
+    }));
+    return new TextDecoder().decode(combineBytes(decoded));
+}
+
+// Export for use in other modules
+window.SecretSharing = {
+    splitBytes,
+    combineBytes,
+    splitString,
+    combineToString
+};
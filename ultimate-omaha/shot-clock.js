@@ -0,0 +1,116 @@
+/**
+ * Ultimate Omaha - Shot Clock
+ * An action clock for Ultimate Omaha, Pot-Limit Omaha and Edge the Dealer.
+ * Every decision (a betting round, a turn, a draw round) gives each player
+ * still to act the same number of seconds, then whatever is left of their own
+ * time bank. The host runs it and applies the game's default action to anyone
+ * whose time runs out; the game state carries the countdown to every client.
+ */
+
+const DEFAULT_SHOT_CLOCK = {
+    seconds: 30,
+    timeBank: 0 // Extra seconds each player can draw on over the whole game
+};
+
+const MAX_SHOT_CLOCK_SECONDS = 600;
+
+class ShotClock {
+    /**
+     * config: { seconds, timeBank }; anything missing or out of range falls
+     * back to DEFAULT_SHOT_CLOCK
+     */
+    constructor(config = {}) {
+        this.config = ShotClock.normalizeConfig(config);
+        this.banks = {}; // playerId -> seconds of time bank left
+        this.decision = null; // Key of the decision the clock is running for
+        this.startedAt = null; // When that decision came up
+    }
+
+    static normalizeConfig(config = {}) {
+        const seconds = (value, fallback, min) => {
+            const number = Math.round(parseFloat(value));
+            return Number.isFinite(number) && number >= min ? Math.min(number, MAX_SHOT_CLOCK_SECONDS) : fallback;
+        };
+        return {
+            seconds: seconds(config.seconds, DEFAULT_SHOT_CLOCK.seconds, 1),
+            timeBank: seconds(config.timeBank, DEFAULT_SHOT_CLOCK.timeBank, 0)
+        };
+    }
+
+    /**
+     * Start the clock when a new decision comes up; the same decision keeps its start
+     */
+    sync(key, now = Date.now()) {
+        if (key !== this.decision) {
+            this.decision = key;
+            this.startedAt = now;
+        }
+    }
+
+    bankOf(playerId) {
+        return this.banks[playerId] ?? this.config.timeBank;
+    }
+
+    /**
+     * Milliseconds a player has left on the current decision: the shot clock, then their time bank
+     */
+    remaining(playerId, now = Date.now()) {
+        if (this.startedAt === null) return (this.config.seconds + this.bankOf(playerId)) * 1000;
+        return Math.max(0, (this.config.seconds + this.bankOf(playerId)) * 1000 - (now - this.startedAt));
+    }
+
+    /**
+     * A player has acted: any time they took past the shot clock comes off their bank
+     */
+    charge(playerId, now = Date.now()) {
+        if (this.startedAt === null) return;
+        const over = (now - this.startedAt) / 1000 - this.config.seconds;
+        if (over > 0) {
+            this.banks[playerId] = Math.max(0, Math.round((this.bankOf(playerId) - over) * 10) / 10);
+        }
+    }
+
+    /**
+     * Of the players still to act, those whose time has run out
+     */
+    expired(playerIds, now = Date.now()) {
+        return playerIds.filter(id => this.remaining(id, now) <= 0);
+    }
+
+    /**
+     * What the table shows for a decision ({ key, playerIds }, or null when
+     * nobody has to act): milliseconds left and time bank for each player to act
+     */
+    getState(decision, now = Date.now()) {
+        const remaining = {};
+        const timeBanks = {};
+        if (decision) {
+            this.sync(decision.key, now);
+            for (const id of decision.playerIds) {
+                remaining[id] = this.remaining(id, now);
+                timeBanks[id] = this.bankOf(id);
+            }
+        }
+        return { ...this.config, remaining, timeBanks };
+    }
+
+    /**
+     * The decision in progress is left out: a new host starts it afresh on its own clock
+     */
+    serialize() {
+        return {
+            config: { ...this.config },
+            banks: { ...this.banks }
+        };
+    }
+
+    static deserialize(data) {
+        const clock = new ShotClock(data.config);
+        clock.banks = { ...(data.banks || {}) };
+        return clock;
+    }
+}
+
+// Export for use in other modules
+window.ShotClock = ShotClock;
+window.DEFAULT_SHOT_CLOCK = DEFAULT_SHOT_CLOCK;
@@ -0,0 +1,188 @@
+/**
+ * Ultimate Omaha - Sound
+ * Short Web Audio cues, synthesized on the fly so there is nothing to download.
+ * Settings (on/off, volume, muted cues) are kept in localStorage and shared by
+ * Ultimate Omaha and Edge the Dealer.
+ */
+
+const SOUND_SETTINGS_KEY = 'card-games-sound';
+
+// Every cue the games play, with the label the sound settings show
+const SOUND_EVENTS = {
+    deal: 'Dealing',
+    discard: 'Picking discards',
+    confirm: 'Acting / confirming',
+    round: 'Next draw round / the flop',
+    qualify: 'Qualifying / beating the dealer',
+    foul: 'Fouling / missing the dealer',
+    win: 'Winning the hand'
+};
+
+// ============ SYNTHESIS ============
+
+/**
+ * One note: frequency in Hz (optionally gliding to endFrequency), start and
+ * duration in seconds, with a fast attack and an exponential fade
+ */
+function tone(ctx, output, { frequency, endFrequency = frequency, start, duration, type = 'sine', gain = 0.3 }) {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, start);
+    if (endFrequency !== frequency) {
+        osc.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+    }
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    osc.connect(env).connect(output);
+    osc.start(start);
+    osc.stop(start + duration + 0.02);
+}
+
+/**
+ * A card sliding: a burst of noise through a band-pass filter centred on `frequency`
+ */
+function swish(ctx, output, { start, duration, frequency, gain = 0.4 }) {
+    const length = Math.ceil(ctx.sampleRate * duration);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+    }
+
+    const source = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+    source.buffer = buffer;
+    filter.type = 'bandpass';
+    filter.frequency.value = frequency;
+    env.gain.value = gain;
+    source.connect(filter).connect(env).connect(output);
+    source.start(start);
+}
+
+function arpeggio(ctx, output, start, frequencies, step, options = {}) {
+    frequencies.forEach((frequency, i) => {
+        tone(ctx, output, { frequency, start: start + i * step, duration: step * 2, ...options });
+    });
+}
+
+// Each cue draws on `output` from time `t`
+const CUES = {
+    deal: (ctx, output, t) => [0, 0.08, 0.16].forEach(d => swish(ctx, output, { start: t + d, duration: 0.06, frequency: 3200 })),
+    discard: (ctx, output, t) => swish(ctx, output, { start: t, duration: 0.09, frequency: 1600, gain: 0.3 }),
+    confirm: (ctx, output, t) => tone(ctx, output, { frequency: 880, start: t, duration: 0.09, gain: 0.2 }),
+    round: (ctx, output, t) => arpeggio(ctx, output, t, [523, 659], 0.09, { type: 'triangle', gain: 0.25 }),
+    qualify: (ctx, output, t) => arpeggio(ctx, output, t, [523, 659, 784], 0.08, { gain: 0.25 }),
+    foul: (ctx, output, t) => tone(ctx, output, { frequency: 330, endFrequency: 196, start: t, duration: 0.35, type: 'sawtooth', gain: 0.12 }),
+    win: (ctx, output, t) => arpeggio(ctx, output, t, [523, 659, 784, 1047], 0.1, { type: 'triangle', gain: 0.3 })
+};
+
+// ============ ENGINE ============
+
+class SoundEngine {
+    /**
+     * storage: where settings are kept (defaults to localStorage)
+     * AudioContextClass: the Web Audio constructor; sound is off where there is none
+     */
+    constructor(
+        storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        AudioContextClass = typeof AudioContext !== 'undefined' ? AudioContext
+            : (typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null)
+    ) {
+        this.storage = storage;
+        this.AudioContextClass = AudioContextClass;
+        this.context = null; // Created on first use, from a user gesture
+        this.settings = this.load();
+    }
+
+    get available() {
+        return Boolean(this.AudioContextClass);
+    }
+
+    get enabled() {
+        return this.settings.enabled;
+    }
+
+    load() {
+        const defaults = { enabled: false, volume: 0.6, muted: {} };
+        try {
+            const saved = JSON.parse(this.storage?.getItem(SOUND_SETTINGS_KEY) || 'null');
+            return saved ? { ...defaults, ...saved, muted: { ...saved.muted } } : defaults;
+        } catch (err) {
+            return defaults;
+        }
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(SOUND_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (err) {
+            console.warn('Could not save sound settings:', err);
+        }
+    }
+
+    setEnabled(enabled) {
+        this.settings.enabled = Boolean(enabled);
+        this.save();
+        if (this.settings.enabled) this.unlock();
+    }
+
+    /**
+     * volume: 0 (silent) to 1
+     */
+    setVolume(volume) {
+        this.settings.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+        this.save();
+    }
+
+    setMuted(event, muted) {
+        if (muted) {
+            this.settings.muted[event] = true;
+        } else {
+            delete this.settings.muted[event];
+        }
+        this.save();
+    }
+
+    isMuted(event) {
+        return Boolean(this.settings.muted[event]);
+    }
+
+    /**
+     * Browsers only start audio after a user gesture: call from a click
+     */
+    unlock() {
+        const ctx = this.getContext();
+        if (ctx && ctx.state === 'suspended') {
+            ctx.resume();
+        }
+    }
+
+    getContext() {
+        if (!this.context && this.AudioContextClass) {
+            this.context = new this.AudioContextClass();
+        }
+        return this.context;
+    }
+
+    /**
+     * Play one cue (a key of SOUND_EVENTS) unless sound is off or the cue is muted.
+     * delay: seconds from now, to follow one cue with another
+     */
+    play(event, delay = 0) {
+        if (!this.settings.enabled || this.isMuted(event) || !CUES[event] || this.settings.volume === 0) return;
+        const ctx = this.getContext();
+        if (!ctx) return;
+
+        const output = ctx.createGain();
+        output.gain.value = this.settings.volume;
+        output.connect(ctx.destination);
+        CUES[event](ctx, output, ctx.currentTime + delay);
+    }
+}
+
+// Export for use in other modules
+window.SoundEngine = SoundEngine;
+window.SOUND_EVENTS = SOUND_EVENTS;
@@ -0,0 +1,34 @@
+/**
+ * Ultimate Omaha - Service Worker
+ * Caches the game so it installs as an app and starts offline, where solo play
+ * against the bank or bots needs no network (see offline-cache.js).
+ */
+
+importScripts('offline-cache.js');
+
+// Bump the version whenever a file is added to or removed from the list
+registerOfflineCache('ultimate-omaha-v7', [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'vendor/peerjs.min.js',
+    'poker.js',
+    'equity.js',
+    'bots.js',
+    'tournament.js',
+    'bankroll.js',
+    'shot-clock.js',
+    'game.js',
+    'plo-game.js',
+    'secret-sharing.js',
+    'fair-shuffle.js',
+    'transports.js',
+    'identity.js',
+    'multiplayer.js',
+    'ledger.js',
+    'hand-history.js',
+    'sound.js',
+    'main.js'
+]);
@@ -0,0 +1,186 @@
+/**
+ * Ultimate Omaha - Tournament
+ * A freezeout for Ultimate Omaha and Edge the Dealer: everyone starts with the
+ * same stack, the ante rises level by level (after a number of hands or of
+ * minutes), a player whose stack runs out is eliminated, and the last one left
+ * wins. The game engines take each hand's ante from the clock instead of a base bet.
+ */
+
+// Each level's ante as a multiple of the first level's
+const TOURNAMENT_LEVELS = [1, 1.5, 2, 3, 4, 6, 8, 12, 16, 25, 40, 60, 100];
+
+// What a level lasts: a number of hands, or of minutes
+const LEVEL_UNITS = {
+    hands: 'hands',
+    minutes: 'minutes'
+};
+
+const DEFAULT_TOURNAMENT = {
+    startingStack: 100,
+    startingAnte: 1,
+    levelLength: 10,
+    levelUnit: 'hands'
+};
+
+function roundChips(amount) {
+    return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+class TournamentClock {
+    /**
+     * config: { startingStack, startingAnte, levelLength, levelUnit }; anything
+     * missing or out of range falls back to DEFAULT_TOURNAMENT
+     */
+    constructor(config = {}) {
+        this.config = TournamentClock.normalizeConfig(config);
+        this.startedAt = null; // When the first hand was dealt
+        this.handsPlayed = 0; // Hands dealt so far, the one being played included
+        this.level = 0; // Index into TOURNAMENT_LEVELS for the hand being played
+        this.eliminated = []; // { id, hand, stack } in the order players went out
+    }
+
+    static normalizeConfig(config = {}) {
+        const positive = (value, fallback) => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) && number > 0 ? number : fallback;
+        };
+        return {
+            startingStack: roundChips(positive(config.startingStack, DEFAULT_TOURNAMENT.startingStack)),
+            startingAnte: roundChips(positive(config.startingAnte, DEFAULT_TOURNAMENT.startingAnte)),
+            levelLength: Math.max(1, Math.round(positive(config.levelLength, DEFAULT_TOURNAMENT.levelLength))),
+            levelUnit: LEVEL_UNITS[config.levelUnit] ? config.levelUnit : DEFAULT_TOURNAMENT.levelUnit
+        };
+    }
+
+    get ante() {
+        return this.anteFor(this.level);
+    }
+
+    anteFor(level) {
+        return roundChips(this.config.startingAnte * TOURNAMENT_LEVELS[level]);
+    }
+
+    /**
+     * The level a hand dealt now would be played at
+     */
+    levelAt(now = Date.now()) {
+        const { levelLength, levelUnit } = this.config;
+        const elapsed = levelUnit === 'hands'
+            ? this.handsPlayed
+            : (now - (this.startedAt ?? now)) / 60000;
+        return Math.min(Math.floor(elapsed / levelLength), TOURNAMENT_LEVELS.length - 1);
+    }
+
+    /**
+     * Move the clock on to a new hand; returns its ante
+     */
+    nextHand(now = Date.now()) {
+        if (this.startedAt === null) {
+            this.startedAt = now;
+        }
+        this.level = this.levelAt(now);
+        this.handsPlayed += 1;
+        return this.ante;
+    }
+
+    stackOf(player) {
+        return roundChips(this.config.startingStack + player.pnl);
+    }
+
+    /**
+     * What a player antes: the level's ante, or the rest of a shorter stack
+     */
+    betFor(player) {
+        return Math.min(this.ante, this.stackOf(player));
+    }
+
+    isEliminated(playerId) {
+        return this.eliminated.some(entry => entry.id === playerId);
+    }
+
+    /**
+     * After a showdown, knock out everyone whose stack is gone. Of two players
+     * out in the same hand, the one with less left goes out first.
+     * Returns the ids eliminated
+     */
+    recordEliminations(players) {
+        const busted = players
+            .filter(p => !this.isEliminated(p.id) && this.stackOf(p) <= 0)
+            .sort((a, b) => this.stackOf(a) - this.stackOf(b));
+        for (const player of busted) {
+            this.eliminated.push({ id: player.id, hand: this.handsPlayed, stack: this.stackOf(player) });
+        }
+        return busted.map(p => p.id);
+    }
+
+    /**
+     * A player who leaves the tournament goes out with whatever stack they had
+     */
+    withdraw(player) {
+        if (!this.isEliminated(player.id)) {
+            this.eliminated.push({ id: player.id, hand: this.handsPlayed, stack: this.stackOf(player) });
+        }
+    }
+
+    /**
+     * Places so far: players still in by stack, then the rest, last out first
+     */
+    getStandings(players) {
+        const remaining = players
+            .filter(p => !this.isEliminated(p.id))
+            .map(p => ({ id: p.id, stack: this.stackOf(p), outInHand: null }))
+            .sort((a, b) => b.stack - a.stack);
+        const out = [...this.eliminated].reverse().map(entry => ({ id: entry.id, stack: entry.stack, outInHand: entry.hand }));
+        return [...remaining, ...out].map((entry, index) => ({ ...entry, place: index + 1 }));
+    }
+
+    /**
+     * What the table shows: the level, this and the next ante, when the next
+     * level starts (a hand number or a time), and the standings
+     */
+    getState(players) {
+        const { levelLength, levelUnit } = this.config;
+        const hasNextLevel = this.level < TOURNAMENT_LEVELS.length - 1;
+        const nextLevelAt = levelUnit === 'hands'
+            ? { hand: (this.level + 1) * levelLength + 1 }
+            : { time: (this.startedAt ?? Date.now()) + (this.level + 1) * levelLength * 60000 };
+        const standings = this.getStandings(players);
+        const playersLeft = standings.filter(entry => entry.outInHand === null).length;
+
+        return {
+            ...this.config,
+            level: this.level + 1,
+            ante: this.ante,
+            nextAnte: hasNextLevel ? this.anteFor(this.level + 1) : null,
+            nextLevelAt: hasNextLevel ? nextLevelAt : null,
+            handsPlayed: this.handsPlayed,
+            playersLeft,
+            over: this.handsPlayed > 0 && playersLeft <= 1,
+            standings
+        };
+    }
+
+    serialize() {
+        return {
+            config: { ...this.config },
+            startedAt: this.startedAt,
+            handsPlayed: this.handsPlayed,
+            level: this.level,
+            eliminated: this.eliminated.map(entry => ({ ...entry }))
+        };
+    }
+
+    static deserialize(data) {
+        const clock = new TournamentClock(data.config);
+        clock.startedAt = data.startedAt ?? null;
+        clock.handsPlayed = data.handsPlayed || 0;
+        clock.level = data.level || 0;
+        clock.eliminated = (data.eliminated || []).map(entry => ({ ...entry }));
+        return clock;
+    }
+}
+
+// Export for use in other modules
+window.TournamentClock = TournamentClock;
+window.TOURNAMENT_LEVELS = TOURNAMENT_LEVELS;
+window.DEFAULT_TOURNAMENT = DEFAULT_TOURNAMENT;
@@ -0,0 +1,454 @@
+/**
+ * Ultimate Omaha - Transports
+ * Signaling/transport backends for MultiplayerManager. Every backend hands out
+ * objects with the part of the PeerJS API the manager uses:
+ *   peer:       on('open' | 'connection' | 'error' | 'disconnected'), connect(id), reconnect(), destroy()
+ *   connection: peer, open, on('open' | 'data' | 'close' | 'error'), send(data), close()
+ * Errors carry PeerJS-style types ('unavailable-id', 'peer-unavailable', 'network')
+ * so room codes, session restore and host migration work the same on all of them.
+ *
+ * Backends:
+ * - peerjs:     the public PeerJS cloud broker (default)
+ * - peerserver: a self-hosted PeerServer, e.g. ?transport=peerserver&server=https://lan-box:9000/myapp
+ * - websocket:  a plain WebSocket relay (relay-server.js), e.g. ?transport=websocket&relay=ws://lan-box:8787
+ * - loopback:   in-memory, for several managers in one page or process (tests, offline solo play)
+ */
+
+class TransportEmitter {
+    constructor() {
+        this.listeners = new Map(); // event -> [handler]
+    }
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            this.listeners.set(event, handlers.filter(h => h !== handler));
+        }
+        return this;
+    }
+
+    emit(event, ...args) {
+        for (const handler of [...(this.listeners.get(event) || [])]) {
+            handler(...args);
+        }
+    }
+}
+
+function transportError(type, message) {
+    const err = new Error(message);
+    err.type = type;
+    return err;
+}
+
+function randomPeerId() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Network events never fire synchronously in PeerJS; keep that ordering everywhere
+function defer(fn) {
+    setTimeout(fn, 0);
+}
+
+// ============ PEERJS / PEERSERVER ============
+
+/**
+ * PeerJS peer on the public broker, or on a self-hosted PeerServer when options say so
+ */
+function createPeerJSPeer(id, options) {
+    if (typeof Peer === 'undefined') {
+        throw transportError('browser-incompatible', 'PeerJS failed to load. Check your connection or pick another transport.');
+    }
+
+    const peerOptions = { debug: 1 };
+    if (options.type === 'peerserver') {
+        peerOptions.host = options.host;
+        peerOptions.port = options.port;
+        peerOptions.path = options.path;
+        peerOptions.secure = options.secure;
+        peerOptions.key = options.key;
+    }
+    return new Peer(id, peerOptions);
+}
+
+// ============ IN-MEMORY LOOPBACK ============
+
+/**
+ * Registry of loopback peers; one hub is one "network"
+ */
+class LoopbackHub {
+    constructor() {
+        this.peers = new Map(); // peerId -> LoopbackPeer
+    }
+}
+
+class LoopbackConnection extends TransportEmitter {
+    constructor(remoteId) {
+        super();
+        this.peer = remoteId;
+        this.open = false;
+        this.remote = null; // The other end
+    }
+
+    send(data) {
+        if (!this.open) return;
+        const remote = this.remote;
+        // Copy like a real wire would, so peers never share objects
+        const payload = JSON.parse(JSON.stringify(data));
+        defer(() => {
+            if (remote.open) {
+                remote.emit('data', payload);
+            }
+        });
+    }
+
+    close() {
+        if (!this.open) return;
+        this.open = false;
+        defer(() => this.emit('close'));
+
+        const remote = this.remote;
+        if (remote && remote.open) {
+            remote.open = false;
+            defer(() => remote.emit('close'));
+        }
+    }
+}
+
+class LoopbackPeer extends TransportEmitter {
+    constructor(id, hub) {
+        super();
+        this.hub = hub;
+        this.id = id || randomPeerId();
+        this.connections = new Set();
+        this.disconnected = true;
+        this.destroyed = false;
+        defer(() => this.register());
+    }
+
+    register() {
+        if (this.destroyed) return;
+        const existing = this.hub.peers.get(this.id);
+        if (existing && existing !== this) {
+            this.emit('error', transportError('unavailable-id', `ID "${this.id}" is taken`));
+            return;
+        }
+        this.hub.peers.set(this.id, this);
+        this.disconnected = false;
+        this.emit('open', this.id);
+    }
+
+    connect(remoteId) {
+        const local = new LoopbackConnection(remoteId);
+        this.connections.add(local);
+
+        defer(() => {
+            const remotePeer = this.hub.peers.get(remoteId);
+            if (this.disconnected || !remotePeer || remotePeer.disconnected) {
+                this.emit('error', transportError('peer-unavailable', `Could not connect to peer ${remoteId}`));
+                return;
+            }
+
+            const remote = new LoopbackConnection(this.id);
+            local.remote = remote;
+            remote.remote = local;
+            remotePeer.connections.add(remote);
+            remotePeer.emit('connection', remote);
+
+            defer(() => {
+                local.open = true;
+                remote.open = true;
+                remote.emit('open');
+                local.emit('open');
+            });
+        });
+
+        return local;
+    }
+
+    reconnect() {
+        if (this.destroyed || !this.disconnected) return;
+        defer(() => this.register());
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.disconnected = true;
+        for (const conn of this.connections) {
+            conn.close();
+        }
+        this.connections.clear();
+        if (this.hub.peers.get(this.id) === this) {
+            this.hub.peers.delete(this.id);
+        }
+    }
+}
+
+// Shared by every loopback peer in this page unless a hub is passed in the options
+const defaultLoopbackHub = new LoopbackHub();
+
+// ============ WEBSOCKET RELAY ============
+
+class RelayConnection extends TransportEmitter {
+    constructor(localPeer, remoteId, connectionId) {
+        super();
+        this.localPeer = localPeer;
+        this.peer = remoteId;
+        this.connectionId = connectionId;
+        this.open = false;
+    }
+
+    send(data) {
+        if (!this.open) return;
+        this.localPeer.sendRelay({
+            type: 'data',
+            connectionId: this.connectionId,
+            to: this.peer,
+            payload: data
+        });
+    }
+
+    close() {
+        if (!this.open) return;
+        this.localPeer.sendRelay({ type: 'close', connectionId: this.connectionId, to: this.peer });
+        this.markClosed();
+    }
+
+    markOpen() {
+        if (this.open) return;
+        this.open = true;
+        this.emit('open');
+    }
+
+    markClosed() {
+        this.localPeer.connections.delete(this.connectionId);
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+}
+
+/**
+ * Peer that tunnels every connection through a WebSocket relay server
+ * Unlike WebRTC, connections depend on the relay: losing it closes them too
+ */
+class WebSocketRelayPeer extends TransportEmitter {
+    constructor(id, url) {
+        super();
+        this.url = url;
+        this.id = id || null; // The relay assigns one if we don't ask for a specific id
+        this.connections = new Map(); // connectionId -> RelayConnection
+        this.socket = null;
+        this.disconnected = true;
+        this.destroyed = false;
+        this.openSocket();
+    }
+
+    openSocket() {
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (err) {
+            defer(() => this.emit('error', transportError('network', `Invalid relay address: ${this.url}`)));
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({ type: 'register', id: this.id }));
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                console.error('Bad message from relay:', err);
+                return;
+            }
+            this.handleRelayMessage(message);
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket || this.destroyed) return;
+            const wasOpen = !this.disconnected;
+            this.disconnected = true;
+
+            for (const conn of Array.from(this.connections.values())) {
+                conn.markClosed();
+            }
+
+            if (wasOpen) {
+                this.emit('disconnected');
+            } else {
+                this.emit('error', transportError('network', 'Could not reach the relay server'));
+            }
+        };
+    }
+
+    handleRelayMessage(message) {
+        switch (message.type) {
+            case 'open':
+                this.id = message.id;
+                this.disconnected = false;
+                this.emit('open', message.id);
+                break;
+
+            case 'connection': {
+                const conn = new RelayConnection(this, message.from, message.connectionId);
+                this.connections.set(message.connectionId, conn);
+                this.sendRelay({ type: 'accept', connectionId: message.connectionId, to: message.from });
+                this.emit('connection', conn);
+                // Let the app attach its handlers before the connection opens
+                defer(() => conn.markOpen());
+                break;
+            }
+
+            case 'accept':
+                this.connections.get(message.connectionId)?.markOpen();
+                break;
+
+            case 'data':
+                this.connections.get(message.connectionId)?.emit('data', message.payload);
+                break;
+
+            case 'close':
+                this.connections.get(message.connectionId)?.markClosed();
+                break;
+
+            case 'error':
+                if (message.connectionId) {
+                    this.connections.delete(message.connectionId);
+                }
+                this.emit('error', transportError(message.errorType || 'server-error', message.message || 'Relay error'));
+                break;
+        }
+    }
+
+    sendRelay(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    connect(remoteId) {
+        const connectionId = randomPeerId();
+        const conn = new RelayConnection(this, remoteId, connectionId);
+        this.connections.set(connectionId, conn);
+
+        if (this.disconnected) {
+            defer(() => this.emit('error', transportError('disconnected', 'Not connected to the relay server')));
+        } else {
+            this.sendRelay({ type: 'connect', connectionId, to: remoteId });
+        }
+        return conn;
+    }
+
+    reconnect() {
+        if (this.destroyed || !this.disconnected) return;
+        this.openSocket();
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        for (const conn of Array.from(this.connections.values())) {
+            conn.close();
+        }
+        this.destroyed = true;
+        this.disconnected = true;
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+// ============ SELECTION ============
+
+/**
+ * Read transport settings from the page URL
+ * ?transport=peerserver&server=https://host:9000/path[&key=peerjs]
+ * ?transport=websocket&relay=ws://host:8787
+ * ?transport=loopback
+ */
+function getOptionsFromUrl(search) {
+    const params = new URLSearchParams(search || '');
+    const type = params.get('transport') || 'peerjs';
+
+    switch (type) {
+        case 'peerserver': {
+            const server = params.get('server');
+            if (!server) {
+                console.warn('transport=peerserver needs a server=URL parameter, using the PeerJS cloud');
+                return { type: 'peerjs' };
+            }
+            let url;
+            try {
+                url = new URL(server);
+            } catch (err) {
+                console.warn(`transport=peerserver has an invalid server URL (${server}), using the PeerJS cloud`);
+                return { type: 'peerjs' };
+            }
+            const secure = url.protocol === 'https:' || url.protocol === 'wss:';
+            return {
+                type: 'peerserver',
+                host: url.hostname,
+                port: parseInt(url.port, 10) || (secure ? 443 : 80),
+                path: url.pathname || '/',
+                secure,
+                key: params.get('key') || 'peerjs'
+            };
+        }
+
+        case 'websocket': {
+            const relay = params.get('relay');
+            if (!relay) {
+                console.warn('transport=websocket needs a relay=URL parameter, using the PeerJS cloud');
+                return { type: 'peerjs' };
+            }
+            return { type: 'websocket', url: relay };
+        }
+
+        case 'loopback':
+            return { type: 'loopback' };
+
+        default:
+            return { type: 'peerjs' };
+    }
+}
+
+/**
+ * Create a peer on the configured transport
+ * id: the peer id to claim, or undefined to get a random one
+ */
+function createPeer(id, options = { type: 'peerjs' }) {
+    switch (options.type) {
+        case 'loopback':
+            return new LoopbackPeer(id, options.hub || defaultLoopbackHub);
+
+        case 'websocket':
+            return new WebSocketRelayPeer(id, options.url);
+
+        case 'peerserver':
+        case 'peerjs':
+        default:
+            return createPeerJSPeer(id, options);
+    }
+}
+
+// Export for use in other modules
+window.Transports = {
+    createPeer,
+    getOptionsFromUrl,
+    LoopbackHub,
+    TransportEmitter
+};